@@ -124,6 +124,21 @@ constructor(database, gameConstants) {
     await this.log('TOKEN_SPEND', { playerId, perkId, amountTtaw, txSignature });
   }
 
+  // Bounty into or out of a bot (sim/botEconomy.js 'botValueFlow')
+  async logBotValue(arenaId, isPaid, flow) {
+    await this.log('BOT_VALUE', {
+      arenaId, isPaid,
+      direction: flow.direction,
+      botId: flow.botId,
+      botName: flow.botName,
+      amountUsdc: flow.amount,
+      reason: flow.reason,
+      counterparty: flow.counterparty,
+      bountyAfter: flow.bountyAfter,
+      tick: flow.tick
+    });
+  }
+
   // ----------------------------------------------------------
   // FAILURE ALERTS — Discord webhook for admin notification
   // ----------------------------------------------------------
@@ -165,6 +180,53 @@ constructor(database, gameConstants) {
     });
   }
 
+  // Economy engine conservation check failed (sim/economyEngine.js)
+  async alertEconomyInvariant(arenaId, failure) {
+    await this.alertFailure('ECONOMY INVARIANT FAILED', {
+      Arena: arenaId,
+      Event: failure.type,
+      Tick: failure.tick,
+      Failures: failure.failures.join('; '),
+      Movements: failure.movements.map(m => `${m.reason} ${m.from}→${m.to} ${m.amount}`).join(', ')
+    });
+  }
+
+  // Hourly bounty ledger close found accounts that don't match the arenas
+  async alertLedgerMismatch(report) {
+    const lines = [];
+    for (const [arenaId, arena] of Object.entries(report.arenas)) {
+      for (const f of arena.flagged) lines.push(`${arenaId} ${f.account}: ledger $${f.ledger} vs $${f.actual}`);
+    }
+    await this.alertFailure('BOUNTY LEDGER MISMATCH', {
+      Hour: `${new Date(report.from).toISOString()} → ${new Date(report.to).toISOString()}`,
+      Flagged: report.flagged,
+      Accounts: lines.slice(0, 20).join('; ')
+    });
+  }
+
+  // House wallet can't comfortably cover what's accrued (solvencyGuard.js)
+  async alertSolvencyLow(status) {
+    // A failed balance check throttles before anything was measured
+    const usdc = value => value === null ? 'unknown' : `$${value.toFixed(2)} USDC`;
+    await this.alertFailure('HOUSE SOLVENCY LOW — PAID PLAY PAUSED', {
+      Balance: usdc(status.houseBalance),
+      Owed: status.liabilities === null ? 'unknown' : `${usdc(status.liabilities)} (${status.owingSessions} session(s))`,
+      Headroom: usdc(status.headroom),
+      Coverage: status.coverage === null ? 'n/a' : `${status.coverage}× (min ${status.minCoverageRatio}×)`,
+      PayoutLimit: usdc(status.payoutLimit),
+      ...(status.lastError ? { CheckError: status.lastError } : {})
+    });
+  }
+
+  async logSolvencyRestored(status) {
+    await this.log('SOLVENCY_RESTORED', {
+      houseBalance: status.houseBalance,
+      liabilities: status.liabilities,
+      coverage: status.coverage,
+      pausedMs: status.pausedMs
+    });
+  }
+
   async alertFeeSplitFailed(type, amountLamports, error) {
     await this.alertFailure('FEE SPLIT FAILED', {
       Type: type,
@@ -0,0 +1,317 @@
+// ============================================================
+// bountyLedger.js — Double-entry ledger for arena bounty
+// ============================================================
+// Every bounty movement in an arena is posted here as a debit
+// from one account and a credit to another of the same whole
+// micro-USDC amount, so a book always sums to zero and any
+// dollar can be traced from where it entered to where it left.
+//
+// One book per arena. Accounts:
+//   marble:<id>   bounty a live player or bot holds
+//   vault         bounty passing through the Golden Vault (floor
+//                 hand-offs, the Vault Keeper) — empty between events
+//   bots          a dead bot's bounty on its way to the bot economy
+//                 policy's destination — empty between events
+//   house         pays start bounties, pocket claims and minimum-
+//                 bounty top-ups; takes unclaimed and forfeited bounty
+//   payouts       cashed out to player wallets (tiers, jackpot,
+//                 golden instant cash, last player refund)
+//   hourlyPool    bot bounty sent to the hourly bounty prize
+//   burn          bounty that left with nobody receiving it
+//                 (timeouts, server restarts, a free arena's prize pool)
+//
+// server.js posts the World's 'economyEvent' movements, the
+// 'botValueFlow's the engine didn't already settle, spawns, pocket
+// claims and stale-player removals. Peewee death drops are length,
+// not money — they never touch the ledger.
+//
+// Every closeIntervalMs the books are reconciled against the live
+// arenas: a marble account must equal that marble's bounty (zero
+// once it has died or left), vault and bots must be empty, and the
+// book must sum to zero. Accounts that don't are flagged on the
+// hour's report and passed to options.onMismatch.
+//
+// Balances, the reports and the hour in progress are saved with
+// StateBackup. Marble, vault and bots balances restored from a
+// previous process are burned — nothing from it is still alive.
+//
+// Config: economy.ledger { closeIntervalMs, keepReports, recentPostings }.
+// ============================================================
+
+const { toMicro, fromMicro } = require('./sim/economyEngine');
+
+const TRANSIT = ['vault', 'bots'];
+
+class BountyLedger {
+  constructor(gameConstants, options = {}) {
+    const cfg = gameConstants.economy?.ledger || {};
+    this.closeIntervalMs = cfg.closeIntervalMs || 3600000;
+    this.keepReports = cfg.keepReports || 24;
+    this.recentPostings = cfg.recentPostings || 100;
+
+    // () => [{ id, marbles: [{ id, bounty }] }] — the live arenas
+    this.getArenas = options.getArenas || (() => []);
+    this.onMismatch = options.onMismatch || (() => {});
+
+    this.books = new Map();   // arenaId → { balances, hour, postings, recent }
+    this.reports = [];        // newest last
+    this.hourStartedAt = Date.now();
+    this.rejected = 0;
+
+    this.closeInterval = setInterval(() => this.close(), this.closeIntervalMs);
+
+    console.log(`✅ BountyLedger initialized (reconciles every ${this.closeIntervalMs / 60000} min)`);
+  }
+
+  _book(arenaId) {
+    let book = this.books.get(arenaId);
+    if (!book) {
+      book = { balances: new Map(), hour: { postings: 0, byReason: {} }, postings: 0, recent: [] };
+      this.books.set(arenaId, book);
+    }
+    return book;
+  }
+
+  // ----------------------------------------------------------
+  // Posting — amount in micro-USDC
+  // ----------------------------------------------------------
+  post(arenaId, from, to, amount, reason, tick = null) {
+    if (amount === 0) return;
+    if (!Number.isSafeInteger(amount) || amount < 0 || from === to) {
+      this.rejected++;
+      console.error(`🚨 LEDGER: rejected ${reason} ${from} → ${to} ${amount} [${arenaId}]`);
+      return;
+    }
+
+    const book = this._book(arenaId);
+    book.balances.set(from, (book.balances.get(from) || 0) - amount);
+    book.balances.set(to, (book.balances.get(to) || 0) + amount);
+    book.postings++;
+    book.hour.postings++;
+    book.hour.byReason[reason] = (book.hour.byReason[reason] || 0) + amount;
+
+    book.recent.push({ from, to, amount, reason, tick, at: Date.now() });
+    if (book.recent.length > this.recentPostings) book.recent.shift();
+  }
+
+  // Economy engine movements (sim/economyEngine.js accounts)
+  postEconomyEvent(arenaId, { movements, tick }) {
+    for (const move of movements) {
+      this.post(arenaId, engineAccount(move.from), engineAccount(move.to), move.amount, move.reason, tick);
+    }
+  }
+
+  // Bot economy flows the engine didn't already move (sim/botEconomy.js)
+  postBotFlow(arenaId, flow, isPaid) {
+    if (flow.settled) return;
+    const amount = toMicro(flow.amount);
+    const bot = `marble:${flow.botId}`;
+    const pool = account => {
+      if (account === 'prizePool') return isPaid ? 'hourlyPool' : 'burn';
+      if (account === 'house' || account === 'vault') return account;
+      return `marble:${account}`;
+    };
+
+    if (flow.direction === 'in') {
+      this.post(arenaId, pool(flow.counterparty), bot, amount, `bot:${flow.reason}`, flow.tick);
+    } else {
+      // A policy-routed death pays out of the pool the engine moved it into
+      const from = flow.reason === 'death' ? 'bots' : bot;
+      this.post(arenaId, from, pool(flow.counterparty), amount, `bot:${flow.reason}`, flow.tick);
+    }
+  }
+
+  // A player entering with a start bounty or a claimed pocket
+  postSpawn(arenaId, player, pocketed = false) {
+    this.post(arenaId, 'house', `marble:${player.id}`, toMicro(player.bounty), pocketed ? 'pocketClaim' : 'startBounty');
+  }
+
+  // A live marble dropped without a death — its bounty goes nowhere
+  postBurn(arenaId, marble, reason) {
+    this.post(arenaId, `marble:${marble.id}`, 'burn', toMicro(marble.bounty), reason);
+  }
+
+  // ----------------------------------------------------------
+  // Reconciliation
+  // ----------------------------------------------------------
+  // Compares every book with its live arena — [{ account, ledger, actual }]
+  // per arena, amounts in USDC.
+  reconcile(arenas = this.getArenas()) {
+    const results = {};
+    const live = new Map(arenas.map(a => [a.id, a]));
+    const ids = new Set([...this.books.keys(), ...live.keys()]);
+
+    for (const arenaId of ids) {
+      const book = this._book(arenaId);
+      const expected = new Map();
+      for (const marble of live.get(arenaId)?.marbles || []) {
+        expected.set(`marble:${marble.id}`, toMicro(marble.bounty));
+      }
+
+      const flagged = [];
+      const flag = (account, ledger, actual) => {
+        if (ledger !== actual) flagged.push({ account, ledger: fromMicro(ledger), actual: fromMicro(actual) });
+      };
+
+      for (const [account, actual] of expected) flag(account, book.balances.get(account) || 0, actual);
+      for (const [account, balance] of book.balances) {
+        if (account.startsWith('marble:') && !expected.has(account)) flag(account, balance, 0);
+      }
+      for (const account of TRANSIT) flag(account, book.balances.get(account) || 0, 0);
+
+      let sum = 0;
+      for (const balance of book.balances.values()) sum += balance;
+      flag('*', sum, 0);
+
+      results[arenaId] = flagged;
+    }
+    return results;
+  }
+
+  // End of the hour: report, flag, prune settled marble accounts
+  close(arenas = this.getArenas()) {
+    const mismatches = this.reconcile(arenas);
+    const report = { from: this.hourStartedAt, to: Date.now(), flagged: 0, arenas: {} };
+
+    for (const [arenaId, flagged] of Object.entries(mismatches)) {
+      const book = this._book(arenaId);
+      report.arenas[arenaId] = {
+        postings: book.hour.postings,
+        byReason: toUsd(book.hour.byReason),
+        balances: this._summary(book),
+        flagged
+      };
+      report.flagged += flagged.length;
+
+      // Marble accounts that reconciled and are gone have nothing left to show
+      const live = new Set((arenas.find(a => a.id === arenaId)?.marbles || []).map(m => `marble:${m.id}`));
+      for (const [account, balance] of book.balances) {
+        if (account.startsWith('marble:') && balance === 0 && !live.has(account)) book.balances.delete(account);
+      }
+      book.hour = { postings: 0, byReason: {} };
+    }
+
+    this.reports.push(report);
+    if (this.reports.length > this.keepReports) this.reports.shift();
+    this.hourStartedAt = report.to;
+
+    if (report.flagged > 0) {
+      console.error(`🚨 LEDGER: ${report.flagged} account(s) don't reconcile`);
+      this.onMismatch(report);
+    } else {
+      console.log(`📒 Ledger closed: ${Object.keys(report.arenas).length} arena(s) reconciled`);
+    }
+    return report;
+  }
+
+  // Pool accounts in full, marbles as a count and total
+  _summary(book) {
+    const summary = { marbles: { count: 0, total: 0 } };
+    for (const [account, balance] of book.balances) {
+      if (account.startsWith('marble:')) {
+        summary.marbles.count++;
+        summary.marbles.total += balance;
+      } else {
+        summary[account] = fromMicro(balance);
+      }
+    }
+    summary.marbles.total = fromMicro(summary.marbles.total);
+    return summary;
+  }
+
+  // ----------------------------------------------------------
+  // Persistence (StateBackup)
+  // ----------------------------------------------------------
+  serialize() {
+    return {
+      hourStartedAt: this.hourStartedAt,
+      books: Object.fromEntries([...this.books].map(([arenaId, book]) => [arenaId, {
+        balances: Object.fromEntries(book.balances),
+        hour: book.hour,
+        postings: book.postings
+      }])),
+      reports: this.reports
+    };
+  }
+
+  // Merges onto whatever has been posted since startup
+  restore(saved) {
+    if (!saved?.books) return;
+    this.hourStartedAt = Math.min(this.hourStartedAt, saved.hourStartedAt || this.hourStartedAt);
+    this.reports = [...(saved.reports || []), ...this.reports].slice(-this.keepReports);
+
+    let burned = 0;
+    for (const [arenaId, savedBook] of Object.entries(saved.books)) {
+      const book = this._book(arenaId);
+      book.postings += savedBook.postings || 0;
+      book.hour.postings += savedBook.hour?.postings || 0;
+      for (const [reason, amount] of Object.entries(savedBook.hour?.byReason || {})) {
+        book.hour.byReason[reason] = (book.hour.byReason[reason] || 0) + amount;
+      }
+
+      for (const [account, balance] of Object.entries(savedBook.balances || {})) {
+        book.balances.set(account, (book.balances.get(account) || 0) + balance);
+        if (balance === 0 || !(account.startsWith('marble:') || TRANSIT.includes(account))) continue;
+        if (balance > 0) {
+          this.post(arenaId, account, 'burn', balance, 'serverRestart');
+        } else {
+          this.post(arenaId, 'burn', account, -balance, 'serverRestart');
+        }
+        burned += balance;
+      }
+    }
+
+    console.log(`🔄 Restored bounty ledger (${Object.keys(saved.books).length} arena(s), $${fromMicro(burned).toFixed(2)} open bounty burned)`);
+  }
+
+  // ----------------------------------------------------------
+  // Admin
+  // ----------------------------------------------------------
+  getStatus(arenaId = null) {
+    const mismatches = this.reconcile();
+    const arenas = {};
+    for (const [id, book] of this.books) {
+      if (arenaId && id !== arenaId) continue;
+      arenas[id] = {
+        postings: book.postings,
+        balances: this._summary(book),
+        marbles: Object.fromEntries([...book.balances]
+          .filter(([account, balance]) => account.startsWith('marble:') && balance !== 0)
+          .map(([account, balance]) => [account.slice(7), fromMicro(balance)])),
+        hour: { postings: book.hour.postings, byReason: toUsd(book.hour.byReason) },
+        flagged: mismatches[id] || [],
+        recent: book.recent.map(p => ({ ...p, amount: fromMicro(p.amount) }))
+      };
+    }
+    return {
+      hourStartedAt: new Date(this.hourStartedAt).toISOString(),
+      rejected: this.rejected,
+      arenas,
+      reports: this.reports.map(r => ({
+        ...r,
+        from: new Date(r.from).toISOString(),
+        to: new Date(r.to).toISOString(),
+        arenas: arenaId ? { [arenaId]: r.arenas[arenaId] } : r.arenas
+      }))
+    };
+  }
+
+  destroy() {
+    clearInterval(this.closeInterval);
+  }
+}
+
+// Economy engine account → ledger account
+function engineAccount(account) {
+  if (account.startsWith('bounty:')) return `marble:${account.slice(7)}`;
+  if (account.startsWith('wallet:')) return 'payouts';
+  if (account === 'botEconomy') return 'bots';
+  if (account === 'vaultKeeper') return 'vault';
+  return account;
+}
+
+function toUsd(byReason) {
+  return Object.fromEntries(Object.entries(byReason).map(([reason, amount]) => [reason, fromMicro(amount)]));
+}
+
+module.exports = BountyLedger;
@@ -49,8 +49,9 @@ const hbp = this.gc.economy.hourlyBountyPrize;
     // ----------------------------------------------------------
     this.pendingCreatorFees = 0;   // Accumulated SOL for creator
     this.pendingBountyFees = 0;    // Accumulated SOL for bounty pool
-    this.playLog = [];              // { timestamp, playerId }
+    this.playLog = [];              // { timestamp, playerId, arenaId }
     this.bountyKills = new Map();   // playerId → kill count (resets hourly)
+    this.arenaKills = new Map();    // arenaId → kill count (resets hourly)
 
     // SOL price cache (DISPLAY ONLY — transactions use fixed SOL amounts)
     this.solPriceUsd = 0;
@@ -80,7 +81,7 @@ const hbp = this.gc.economy.hourlyBountyPrize;
   // ----------------------------------------------------------
   // Record a buy-in and split fees
   // ----------------------------------------------------------
- recordBuyIn(playerId) {
+ recordBuyIn(playerId, arenaId = null) {
     const totalUsdc = this.fees.totalBuyInUsdc;  // 1.10 USDC
 
     // Split into three buckets
@@ -92,17 +93,26 @@ const hbp = this.gc.economy.hourlyBountyPrize;
     this.bountyPoolUsdc = (this.bountyPoolUsdc || 0) + bountyShare;
 
     // Track play for hourly prize (paid games only)
-    this.playLog.push({ timestamp: Date.now(), playerId });
+    this.playLog.push({ timestamp: Date.now(), playerId, arenaId });
 
-    console.log(`💵 Buy-in recorded: $${totalUsdc.toFixed(2)} USDC | Creator: +$${creatorShare.toFixed(4)} | Bounty pool: +$${bountyShare.toFixed(4)} (total: $${(this.bountyPoolUsdc || 0).toFixed(2)})`);
+    console.log(`💵 Buy-in recorded${arenaId ? ` [${arenaId}]` : ''}: $${totalUsdc.toFixed(2)} USDC | Creator: +$${creatorShare.toFixed(4)} | Bounty pool: +$${bountyShare.toFixed(4)} (total: $${(this.bountyPoolUsdc || 0).toFixed(2)})`);
+  }
+
+  // ----------------------------------------------------------
+  // Bot bounty the bot economy policy sends to the prize pool
+  // ----------------------------------------------------------
+  recordBotBounty(amountUsdc, arenaId = null) {
+    this.bountyPoolUsdc = (this.bountyPoolUsdc || 0) + amountUsdc;
+    console.log(`🤖 Bot bounty → prize pool${arenaId ? ` [${arenaId}]` : ''}: +$${amountUsdc.toFixed(4)} (total: $${this.bountyPoolUsdc.toFixed(2)})`);
   }
 
   // ----------------------------------------------------------
   // Track kills for hourly bounty prize
   // ----------------------------------------------------------
-  recordKill(playerId) {
+  recordKill(playerId, arenaId = null) {
     const current = this.bountyKills.get(playerId) || 0;
     this.bountyKills.set(playerId, current + 1);
+    if (arenaId) this.arenaKills.set(arenaId, (this.arenaKills.get(arenaId) || 0) + 1);
   }
 
   // ----------------------------------------------------------
@@ -147,6 +157,7 @@ const hbp = this.gc.economy.hourlyBountyPrize;
     await this.payBountyPrize();
     // Reset hourly kill tracker
     this.bountyKills.clear();
+    this.arenaKills.clear();
   }
 
   // ----------------------------------------------------------
@@ -261,11 +272,28 @@ this.bountyPoolUsdc = 0;
       pendingBountyPool: `${this.pendingBountyFees.toFixed(6)} SOL`,
       currentHourlyPrize: `${hourlyPrize.toFixed(6)} SOL`,
       bountyLeader: leader ? `${leader.playerId} (${leader.kills} kills)` : 'None',
+      byArena: this.getArenaStats(),
       solPriceUsd: this.solPriceUsd,
       priceAge: `${Math.floor((Date.now() - this.lastPriceUpdate) / 60000)} min ago`
     };
   }
 
+  // Plays (24h) and kills (this hour) per arena
+  getArenaStats() {
+    const cutoff = Date.now() - (24 * 60 * 60 * 1000);
+    const byArena = {};
+    for (const play of this.playLog) {
+      if (play.timestamp < cutoff || !play.arenaId) continue;
+      byArena[play.arenaId] = byArena[play.arenaId] || { plays24h: 0, kills: 0 };
+      byArena[play.arenaId].plays24h++;
+    }
+    for (const [arenaId, kills] of this.arenaKills) {
+      byArena[arenaId] = byArena[arenaId] || { plays24h: 0, kills: 0 };
+      byArena[arenaId].kills = kills;
+    }
+    return byArena;
+  }
+
   // Cleanup
   destroy() {
     clearInterval(this.hourlyInterval);
@@ -0,0 +1,149 @@
+// ============================================================
+// lobby/directory.js — Which game servers are up, and where
+// ============================================================
+// Every game server heartbeats its state here (net/lobbyHeartbeat.js):
+//
+//   { id, url, region, modes, players, maxPlayers,
+//     goldenVaultFloor, goldenYardTime, paidPlayOpen, arenas,
+//     physicsVersion }
+//
+// paidPlayOpen is false while the server's SolvencyGuard has paid
+// buy-ins closed, null when it runs no paid arena.
+//
+// A server that misses heartbeats for lobby.staleAfterMs drops
+// out of the listing; one that shuts down cleanly deregisters.
+//
+// pick() is the matchmaking half: least full server of the
+// requested mode with room, same region first. Paid picks skip
+// servers with paid play closed.
+// ============================================================
+
+const MODES = ['free', 'paid'];
+
+class ServerDirectory {
+  constructor(gameConstants, options = {}) {
+    const cfg = gameConstants.lobby || {};
+    this.staleAfterMs = options.staleAfterMs ?? cfg.staleAfterMs ?? 15000;
+    this.now = options.now || Date.now;
+
+    this.servers = new Map();   // serverId → entry
+  }
+
+  // ----------------------------------------------------------
+  // Heartbeat — registers on first sight, refreshes after that
+  // ----------------------------------------------------------
+  heartbeat(report) {
+    if (!report || typeof report.id !== 'string' || !report.id) {
+      throw new Error('Heartbeat needs a server id');
+    }
+    if (typeof report.url !== 'string' || !/^https?:\/\//.test(report.url)) {
+      throw new Error(`Heartbeat from ${report.id} needs an http(s) url`);
+    }
+
+    const modes = (Array.isArray(report.modes) ? report.modes : [report.mode])
+      .filter(mode => MODES.includes(mode));
+    if (modes.length === 0) {
+      throw new Error(`Heartbeat from ${report.id} has no valid mode (expected ${MODES.join(' / ')})`);
+    }
+
+    const existing = this.servers.get(report.id);
+    const entry = {
+      id: report.id,
+      url: report.url.replace(/\/+$/, ''),
+      region: report.region || 'local',
+      modes,
+      players: toCount(report.players),
+      maxPlayers: toCount(report.maxPlayers),
+      goldenVaultFloor: Number(report.goldenVaultFloor) || 0,
+      goldenYardTime: report.goldenYardTime || null,
+      paidPlayOpen: typeof report.paidPlayOpen === 'boolean' ? report.paidPlayOpen : null,
+      arenas: Array.isArray(report.arenas) ? report.arenas : [],
+      physicsVersion: report.physicsVersion || null,
+      version: report.version || null,
+      registeredAt: existing ? existing.registeredAt : this.now(),
+      lastHeartbeat: this.now()
+    };
+
+    this.servers.set(entry.id, entry);
+    if (!existing) {
+      console.log(`🛰️ Server registered: ${entry.id} (${entry.modes.join('+')}, ${entry.region}) → ${entry.url}`);
+    }
+    return entry;
+  }
+
+  deregister(serverId) {
+    const removed = this.servers.delete(serverId);
+    if (removed) console.log(`🛰️ Server deregistered: ${serverId}`);
+    return removed;
+  }
+
+  // Drop servers that stopped heartbeating
+  prune() {
+    const cutoff = this.now() - this.staleAfterMs;
+    for (const [id, entry] of this.servers) {
+      if (entry.lastHeartbeat < cutoff) {
+        this.servers.delete(id);
+        console.log(`⏰ Server ${id} missed heartbeats — dropped from the lobby`);
+      }
+    }
+  }
+
+  // ----------------------------------------------------------
+  // Listing — filter: { mode, region }
+  // ----------------------------------------------------------
+  list(filter = {}) {
+    this.prune();
+    return [...this.servers.values()]
+      .filter(entry => !filter.mode || entry.modes.includes(filter.mode))
+      .filter(entry => !filter.region || entry.region === filter.region)
+      .map(entry => ({
+        ...entry,
+        hasRoom: entry.players < entry.maxPlayers,
+        ageMs: this.now() - entry.lastHeartbeat
+      }))
+      .sort((a, b) => a.id.localeCompare(b.id));
+  }
+
+  // ----------------------------------------------------------
+  // Matchmaking — least full with room; same region before others
+  // ----------------------------------------------------------
+  pick({ mode, region, physicsVersion } = {}) {
+    const candidates = this.list({ mode })
+      .filter(entry => entry.hasRoom)
+      .filter(entry => mode !== 'paid' || entry.paidPlayOpen !== false)
+      .filter(entry => !physicsVersion || !entry.physicsVersion || entry.physicsVersion === physicsVersion);
+
+    if (candidates.length === 0) return null;
+
+    const fill = entry => entry.maxPlayers > 0 ? entry.players / entry.maxPlayers : 1;
+    candidates.sort((a, b) => {
+      if (region) {
+        const regionOrder = (b.region === region) - (a.region === region);
+        if (regionOrder !== 0) return regionOrder;
+      }
+      return fill(a) - fill(b) || a.id.localeCompare(b.id);
+    });
+    return candidates[0];
+  }
+
+  getStats() {
+    const servers = this.list();
+    return {
+      servers: servers.length,
+      players: servers.reduce((sum, entry) => sum + entry.players, 0),
+      byMode: Object.fromEntries(MODES.map(mode => [
+        mode,
+        servers.filter(entry => entry.modes.includes(mode)).length
+      ]))
+    };
+  }
+}
+
+function toCount(value) {
+  const n = Math.floor(Number(value));
+  return Number.isFinite(n) && n > 0 ? n : 0;
+}
+
+ServerDirectory.MODES = MODES;
+
+module.exports = ServerDirectory;
@@ -0,0 +1,112 @@
+// ============================================================
+// lobby/server.js — Lobby directory + matchmaking service
+// ============================================================
+// Game servers heartbeat in; clients ask where to play.
+//
+//   POST   /api/servers/heartbeat    game server → lobby (every
+//                                    lobby.heartbeatIntervalMs)
+//   DELETE /api/servers/:id          clean shutdown
+//   GET    /api/servers              ?mode=free|paid&region=
+//   GET    /api/servers/pick         ?mode=&region=&physicsVersion=
+//                                    → the server to connect to
+//   GET    /health
+//
+// Heartbeat/deregister need x-lobby-key = LOBBY_SECRET when set.
+//
+// Local test with two game servers:
+//   LOBBY_PORT=3100 npm run lobby
+//   PORT=3001 SERVER_ID=free-a SERVER_MODE=free LOBBY_URL=http://localhost:3100 npm start
+//   PORT=3002 SERVER_ID=paid-a SERVER_MODE=paid LOBBY_URL=http://localhost:3100 npm start
+//   curl localhost:3100/api/servers/pick?mode=paid
+// ============================================================
+
+require('dotenv').config();
+const express = require('express');
+const http = require('http');
+
+const gameConstants = require('../constants/gameConstants.json');
+const ServerDirectory = require('./directory');
+
+const PORT = process.env.LOBBY_PORT || 3100;
+const LOBBY_SECRET = process.env.LOBBY_SECRET || null;
+
+const directory = new ServerDirectory(gameConstants);
+const app = express();
+
+// CORS middleware — the client calls /api/servers straight from the browser
+app.use((req, res, next) => {
+  res.header('Access-Control-Allow-Origin', process.env.CORS_ORIGIN || '*');
+  res.header('Access-Control-Allow-Methods', 'GET, POST, DELETE, OPTIONS');
+  res.header('Access-Control-Allow-Headers', 'Content-Type, Authorization, x-lobby-key');
+  if (req.method === 'OPTIONS') return res.sendStatus(200);
+  next();
+});
+
+app.use(express.json());
+
+function requireLobbyKey(req, res, next) {
+  if (LOBBY_SECRET && req.headers['x-lobby-key'] !== LOBBY_SECRET) {
+    return res.status(403).json({ error: 'Unauthorized' });
+  }
+  next();
+}
+
+// ============================================================================
+// GAME SERVERS → LOBBY
+// ============================================================================
+app.post('/api/servers/heartbeat', requireLobbyKey, (req, res) => {
+  try {
+    const entry = directory.heartbeat(req.body);
+    res.json({ ok: true, id: entry.id, staleAfterMs: directory.staleAfterMs });
+  } catch (err) {
+    res.status(400).json({ ok: false, error: err.message });
+  }
+});
+
+app.delete('/api/servers/:id', requireLobbyKey, (req, res) => {
+  res.json({ ok: directory.deregister(req.params.id) });
+});
+
+// ============================================================================
+// CLIENT → LOBBY
+// ============================================================================
+app.get('/api/servers', (req, res) => {
+  res.json({
+    servers: directory.list({ mode: req.query.mode, region: req.query.region }),
+    timestamp: Date.now()
+  });
+});
+
+app.get('/api/servers/pick', (req, res) => {
+  const server = directory.pick({
+    mode: req.query.mode,
+    region: req.query.region,
+    physicsVersion: req.query.physicsVersion
+  });
+  if (!server) {
+    return res.status(404).json({ error: 'No server with room', mode: req.query.mode || null });
+  }
+  res.json({ server });
+});
+
+app.get('/health', (req, res) => {
+  res.json({ status: 'ok', ...directory.getStats(), uptime: process.uptime() });
+});
+
+// Stale servers drop out even if nobody is listing
+const pruneInterval = setInterval(() => directory.prune(), directory.staleAfterMs);
+
+const server = http.createServer(app);
+server.listen(PORT, () => {
+  console.log(`🛰️ Lobby directory listening on :${PORT} (stale after ${directory.staleAfterMs / 1000}s${LOBBY_SECRET ? ', key required' : ''})`);
+});
+
+function shutdown(signal) {
+  console.log(`\n🛑 ${signal} received — lobby shutting down...`);
+  clearInterval(pruneInterval);
+  server.close(() => process.exit(0));
+  setTimeout(() => process.exit(1), 3000);
+}
+
+process.on('SIGTERM', () => shutdown('SIGTERM'));
+process.on('SIGINT', () => shutdown('SIGINT'));
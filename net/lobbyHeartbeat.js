@@ -0,0 +1,77 @@
+// ============================================================
+// net/lobbyHeartbeat.js — Report this server to the lobby
+// ============================================================
+// Posts getReport() to LOBBY_URL/api/servers/heartbeat every
+// lobby.heartbeatIntervalMs, and deregisters on stop(). The
+// lobby (lobby/server.js) drops servers that go quiet, so a
+// crashed process disappears on its own.
+//
+// A lobby that is down never affects the game — failures are
+// logged once and retried on the next beat.
+// ============================================================
+
+class LobbyHeartbeat {
+  /**
+   * options: { lobbyUrl, serverId, secret, getReport }
+   */
+  constructor(gameConstants, options) {
+    const cfg = gameConstants.lobby || {};
+    this.lobbyUrl = options.lobbyUrl.replace(/\/+$/, '');
+    this.serverId = options.serverId;
+    this.secret = options.secret || null;
+    this.getReport = options.getReport;
+    this.intervalMs = cfg.heartbeatIntervalMs || 5000;
+    this.timeoutMs = cfg.requestTimeoutMs || 3000;
+
+    this.interval = null;
+    this.failing = false;
+  }
+
+  start() {
+    if (this.interval) return;
+    this.beat();
+    this.interval = setInterval(() => this.beat(), this.intervalMs);
+    console.log(`🛰️ Lobby heartbeat → ${this.lobbyUrl} as ${this.serverId} (every ${this.intervalMs / 1000}s)`);
+  }
+
+  async beat() {
+    try {
+      const res = await this._request('POST', '/api/servers/heartbeat', {
+        ...this.getReport(),
+        id: this.serverId
+      });
+      if (!res.ok) {
+        const body = await res.json().catch(() => ({}));
+        throw new Error(body.error || `HTTP ${res.status}`);
+      }
+      if (this.failing) console.log(`✅ Lobby heartbeat restored (${this.lobbyUrl})`);
+      this.failing = false;
+    } catch (err) {
+      if (!this.failing) console.warn(`⚠️ Lobby heartbeat failed: ${err.message}`);
+      this.failing = true;
+    }
+  }
+
+  async stop() {
+    clearInterval(this.interval);
+    this.interval = null;
+    try {
+      await this._request('DELETE', `/api/servers/${encodeURIComponent(this.serverId)}`);
+    } catch (err) {
+      console.warn(`⚠️ Lobby deregister failed: ${err.message}`);
+    }
+  }
+
+  _request(method, path, body) {
+    const headers = { 'Content-Type': 'application/json' };
+    if (this.secret) headers['x-lobby-key'] = this.secret;
+    return fetch(this.lobbyUrl + path, {
+      method,
+      headers,
+      body: body ? JSON.stringify(body) : undefined,
+      signal: AbortSignal.timeout(this.timeoutMs)
+    });
+  }
+}
+
+module.exports = LobbyHeartbeat;
@@ -0,0 +1,281 @@
+// ============================================================
+// net/snapshotBroadcaster.js — Per-client binary snapshots
+// ============================================================
+// Clients that send `snapshotConfig { binary: true }` stop
+// getting the full JSON `gameState` and instead receive
+// `gameSnapshot` buffers (shared/snapshotCodec.js):
+//
+//   • interest management — only entities within the client's
+//     view radius (derived from the `zoom` constants and the
+//     viewport it reports), plus itself and the Golden Mib
+//   • deltas against the last snapshot it acked (`snapshotAck`)
+//   • quantized positions / angles
+//
+// Send rate is decoupled from the simulation tick: a 'full'
+// snapshot every 1/sendRateHz, and in between 'nearby' ones
+// (nearbySendRateHz) that only refresh entities close to the
+// client. Everyone else keeps the JSON format, at sendRateHz.
+// ============================================================
+
+const { getBodyGeometry } = require('../shared/bodyGeometry');
+const {
+  SNAPSHOT_VERSION,
+  KIND_PLAYER,
+  KIND_BOT,
+  KIND_COIN,
+  KIND_POWERUP,
+  quantizeEntity,
+  encodeSnapshot
+} = require('../shared/snapshotCodec');
+
+class SnapshotBroadcaster {
+  constructor(gameConstants) {
+    this.C = gameConstants;
+    const cfg = gameConstants.network?.snapshot || {};
+
+    this.enabled = cfg.binary !== false;
+    this.viewportWidth = cfg.viewportWidth || 1920;
+    this.viewportHeight = cfg.viewportHeight || 1080;
+    this.viewMarginPx = cfg.viewMarginPx ?? 300;
+    this.historySize = cfg.historySize || 32;
+
+    this.sendRateHz = cfg.sendRateHz || 20;
+    this.nearbySendRateHz = cfg.nearbySendRateHz || this.sendRateHz;
+    this.nearbyRadiusPx = cfg.nearbyRadiusPx || 900;
+    this.lastFullAt = -Infinity;
+    this.lastNearbyAt = -Infinity;
+
+    // int16 positions — shrink the scale if the arena wouldn't fit
+    const arenaRadius = gameConstants.arena?.radius || 3000;
+    this.posScale = Math.max(1, Math.min(cfg.positionScale || 8, Math.floor(32000 / (arenaRadius + 500))));
+
+    this.clients = new Map();   // socketId → client state
+    this.netIds = new Map();    // entity id → u32 net id (never reused)
+    this.nextNetId = 1;
+    this.records = new Map();   // entity id → last quantized record (reused while unchanged)
+  }
+
+  // ----------------------------------------------------------
+  // Client lifecycle
+  // ----------------------------------------------------------
+  addClient(socketId, options = {}) {
+    const viewport = options.viewport || {};
+    this.clients.set(socketId, {
+      viewportWidth: clampViewport(viewport.width, this.viewportWidth),
+      viewportHeight: clampViewport(viewport.height, this.viewportHeight),
+      history: new Map(),     // snapshotId → Map netId → record
+      lastSent: null,         // newest Map sent (baseline for 'nearby' carry-over)
+      lastAckedId: 0,
+      nextSnapshotId: 1,
+      center: { x: 0, y: 0 },
+      zoom: this.C.zoom?.min || 0.55
+    });
+  }
+
+  removeClient(socketId) {
+    this.clients.delete(socketId);
+  }
+
+  hasClient(socketId) {
+    return this.clients.has(socketId);
+  }
+
+  ack(socketId, snapshotId) {
+    const client = this.clients.get(socketId);
+    if (!client || typeof snapshotId !== 'number') return;
+    // Only move forward, and only onto a snapshot we still remember
+    if (snapshotId > client.lastAckedId && client.history.has(snapshotId)) {
+      client.lastAckedId = snapshotId;
+      for (const id of client.history.keys()) {
+        if (id < snapshotId) client.history.delete(id);
+      }
+    }
+  }
+
+  // Reported to clients in `init`
+  getConfig() {
+    return {
+      binary: this.enabled,
+      version: SNAPSHOT_VERSION,
+      positionScale: this.posScale,
+      historySize: this.historySize,
+      sendRateHz: this.sendRateHz,
+      nearbySendRateHz: this.nearbySendRateHz,
+      nearbyRadiusPx: this.nearbyRadiusPx
+    };
+  }
+
+  // ----------------------------------------------------------
+  // Which snapshot this tick sends: 'full', 'nearby' or null
+  // ----------------------------------------------------------
+  // Driven by simulation time, so it holds at any tick rate fast enough
+  // to carry it — a rate above the tick rate just sends every tick. Half
+  // a millisecond of slack absorbs 1000/60 rounding: at 60 TPS, 20 Hz
+  // full lands every 3rd tick and 30 Hz nearby on the ticks between.
+  due(nowMs) {
+    if (nowMs - this.lastFullAt >= 1000 / this.sendRateHz - 0.5) {
+      this.lastFullAt = nowMs;
+      this.lastNearbyAt = nowMs;
+      return 'full';
+    }
+    if (this.nearbySendRateHz > this.sendRateHz &&
+        nowMs - this.lastNearbyAt >= 1000 / this.nearbySendRateHz - 0.5) {
+      this.lastNearbyAt = nowMs;
+      return 'nearby';
+    }
+    return null;
+  }
+
+  // ----------------------------------------------------------
+  // Zoom → view radius (mirrors the client camera)
+  // ----------------------------------------------------------
+  zoomForLength(lengthScore) {
+    const zoom = this.C.zoom || {};
+    const max = zoom.max ?? 1.0;
+    const min = zoom.min ?? 0.55;
+    const progress = Math.min(1, Math.max(0, (lengthScore || 0) / (zoom.scoreAtMin || 2000)));
+    return max - (max - min) * Math.pow(progress, zoom.progressExponent ?? 1);
+  }
+
+  viewRadius(client) {
+    const halfDiagonal = Math.hypot(client.viewportWidth, client.viewportHeight) / 2;
+    return halfDiagonal / client.zoom + this.viewMarginPx;
+  }
+
+  // ----------------------------------------------------------
+  // Per-tick: quantize every alive entity once
+  // ----------------------------------------------------------
+  buildFrame(world) {
+    const frame = [];
+    const seen = new Set();
+
+    const add = (kind, entity, reach) => {
+      seen.add(entity.id);
+      let netId = this.netIds.get(entity.id);
+      if (!netId) {
+        netId = this.nextNetId++;
+        if (this.nextNetId > 0xFFFFFFFF) this.nextNetId = 1;
+        this.netIds.set(entity.id, netId);
+      }
+
+      let record = quantizeEntity(kind, entity, this.posScale);
+      const previous = this.records.get(entity.id);
+      if (previous && previous.kind === kind && sameValues(previous.q, record.q)) {
+        record = previous; // identical → encoder skips it without comparing fields
+      } else {
+        this.records.set(entity.id, record);
+      }
+
+      frame.push({ netId, record, x: entity.x, y: entity.y, reach, isGolden: !!entity.isGolden, id: entity.id });
+    };
+
+    for (const player of Object.values(world.state.players)) {
+      if (!player.alive) continue;
+      add(KIND_PLAYER, player, bodyReach(player, this.C));
+    }
+    for (const bot of world.state.bots) {
+      if (!bot.alive) continue;
+      add(KIND_BOT, bot, bodyReach(bot, this.C));
+    }
+    for (const coin of world.state.coins) {
+      add(KIND_COIN, coin, coin.radius || 0);
+    }
+    for (const item of world.powerUps.items) {
+      add(KIND_POWERUP, item, item.radius);
+    }
+
+    // Forget entities that left the world (net ids are never reused)
+    for (const id of this.netIds.keys()) {
+      if (!seen.has(id)) {
+        this.netIds.delete(id);
+        this.records.delete(id);
+      }
+    }
+
+    return frame;
+  }
+
+  // ----------------------------------------------------------
+  // Per-client: filter by view, delta against last ack, encode
+  // ----------------------------------------------------------
+  // options.nearbyOnly: entities outside nearbyRadiusPx keep whatever the
+  // client was last sent (so they read as unchanged, not removed)
+  encodeFor(socketId, world, frame, header, options = {}) {
+    const client = this.clients.get(socketId);
+    if (!client) return null;
+
+    const self = world.state.players[socketId];
+    if (self && self.alive) {
+      client.center = { x: self.x, y: self.y };
+      client.zoom = this.zoomForLength(self.lengthScore);
+    }
+
+    const radius = this.viewRadius(client);
+    const cx = client.center.x;
+    const cy = client.center.y;
+
+    const nearLimit = this.nearbyRadiusPx;
+    const current = new Map();
+    for (const entry of frame) {
+      const limit = radius + entry.reach;
+      const dx = entry.x - cx;
+      const dy = entry.y - cy;
+      const distSq = dx * dx + dy * dy;
+      if (entry.id !== socketId && !entry.isGolden && distSq > limit * limit) continue;
+
+      if (options.nearbyOnly && entry.id !== socketId) {
+        const near = distSq <= (nearLimit + entry.reach) * (nearLimit + entry.reach);
+        if (!near) {
+          const stale = client.lastSent ? client.lastSent.get(entry.netId) : undefined;
+          if (stale) current.set(entry.netId, stale);
+          continue;
+        }
+      }
+      current.set(entry.netId, entry.record);
+    }
+
+    const snapshotId = client.nextSnapshotId++;
+    const baseline = client.lastAckedId ? client.history.get(client.lastAckedId) : null;
+
+    const buffer = encodeSnapshot({
+      ...header,
+      snapshotId,
+      baselineId: baseline ? client.lastAckedId : 0,
+      posScale: this.posScale,
+      nearbyOnly: !!options.nearbyOnly
+    }, current, baseline);
+
+    client.history.set(snapshotId, current);
+    client.lastSent = current;
+    while (client.history.size > this.historySize) {
+      const oldest = client.history.keys().next().value;
+      client.history.delete(oldest);
+      if (oldest === client.lastAckedId) client.lastAckedId = 0; // too far behind → next one is full
+    }
+
+    // Node Buffer so Socket.IO ships it as a binary attachment
+    return Buffer.from(buffer.buffer, buffer.byteOffset, buffer.byteLength);
+  }
+}
+
+// Head radius + trailing body, so long marbles show up before their head does
+function bodyReach(marble, C) {
+  const body = getBodyGeometry(marble.lengthScore || 0, C);
+  return body.radius + body.length;
+}
+
+function sameValues(a, b) {
+  if (a.length !== b.length) return false;
+  for (let i = 0; i < a.length; i++) {
+    if (a[i] !== b[i]) return false;
+  }
+  return true;
+}
+
+function clampViewport(value, fallback) {
+  const n = Number(value);
+  if (!Number.isFinite(n) || n <= 0) return fallback;
+  return Math.min(n, 3840);
+}
+
+module.exports = SnapshotBroadcaster;
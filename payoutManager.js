@@ -56,12 +56,13 @@ class PayoutManager {
   //  SESSION LIFECYCLE
   // ==========================================================
 
-  startSession(privyUserId, playerId, playerName, isPaid = false) {
+  startSession(privyUserId, playerId, playerName, isPaid = false, arenaId = null) {
     const session = {
       privyUserId,
       playerId,
       playerName,
       isPaid,
+      arenaId,
       startTime: Date.now(),
       ledger: [],
       totalAccrued: 0,       // In USDC (e.g. 5.00 = $5.00)
@@ -78,7 +79,7 @@ class PayoutManager {
     };
 
     this.activeSessions.set(privyUserId, session);
-    console.log(`🎮 Session started: ${playerName} (${privyUserId}) [${isPaid ? 'PAID' : 'FREE'}]`);
+    console.log(`🎮 Session started: ${playerName} (${privyUserId}) [${isPaid ? 'PAID' : 'FREE'}]${arenaId ? ` in ${arenaId}` : ''}`);
     return session;
   }
 
@@ -337,8 +338,15 @@ class PayoutManager {
   // Stats & monitoring
   // ----------------------------------------------------------
   getStats() {
+    const sessionsByArena = {};
+    for (const session of this.activeSessions.values()) {
+      const arenaId = session.arenaId || 'unknown';
+      sessionsByArena[arenaId] = (sessionsByArena[arenaId] || 0) + 1;
+    }
+
     return {
       activeSessions: this.activeSessions.size,
+      sessionsByArena,
       pendingPayouts: this.pendingPayouts.length,
       isProcessing: this.isProcessing
     };
@@ -0,0 +1,190 @@
+// ============================================================
+// rooms/arena.js — One arena: its own World, room and economy
+// ============================================================
+// A server process runs any number of these side by side. Each
+// arena owns what used to be process-wide in server.js:
+//
+//   • a World (players, bots, coins, golden vault, GYT shrink)
+//   • a SnapshotBroadcaster and, if enabled, a ReplayRecorder
+//   • a Socket.IO room (`arena:<id>`) — every arena-scoped emit
+//     goes through emit(), never io.emit
+//   • on paid arenas, slots for its queue and Golden Hour manager
+//
+// Which socket plays where is the Matchmaker's job
+// (rooms/matchmaker.js); server.js wires World events and the
+// tick loop per arena.
+// ============================================================
+
+const World = require('../sim/world');
+const SeededRng = require('../sim/rng');
+const { TickClock } = require('../sim/clock');
+const { ReplayRecorder } = require('../sim/replay');
+const SnapshotBroadcaster = require('../net/snapshotBroadcaster');
+
+const MODES = ['free', 'paid'];
+
+class Arena {
+  /**
+   * options: { id, mode, io, seed, tickRate, maxBots, maxCoins, maxPlayers, hooks }
+   */
+  constructor(gameConstants, options) {
+    if (!MODES.includes(options.mode)) {
+      throw new Error(`Unknown arena mode "${options.mode}" (expected ${MODES.join(' / ')})`);
+    }
+
+    this.C = gameConstants;
+    this.id = options.id;
+    this.mode = options.mode;
+    this.isPaid = options.mode === 'paid';
+    this.io = options.io;
+    this.seed = options.seed;
+    this.maxPlayers = options.maxPlayers || gameConstants.arena.maxPlayers || 40;
+
+    this.room = `arena:${this.id}`;
+    this.binaryRoom = `arena:${this.id}:binary`;
+    this.sockets = new Set();   // socket ids assigned to this arena
+
+    this.world = new World(gameConstants, {
+      rng: new SeededRng(options.seed),
+      clock: new TickClock(Date.now(), 1000 / options.tickRate),
+      tickRate: options.tickRate,
+      mode: this.mode,
+      maxBots: this.isPaid ? 0 : (options.maxBots ?? 0),
+      maxCoins: options.maxCoins,
+      hooks: options.hooks
+    });
+    // Same object the World mutates — shared with queue and yard time
+    this.state = this.world.state;
+
+    this.snapshots = new SnapshotBroadcaster(gameConstants);
+    this.lastJsonBroadcastTime = Date.now();
+    this.lastBinaryBroadcastTime = Date.now();
+
+    this.replayRecorder = gameConstants.replay?.enabled
+      ? new ReplayRecorder({ arenaId: this.id, flushIntervalMs: gameConstants.replay.flushIntervalMs })
+      : null;
+
+    // Paid arenas only — set by server.js once io is listening
+    this.queueManager = null;
+    this.goldenHourManager = null;
+  }
+
+  start() {
+    if (this.replayRecorder) this.replayRecorder.start(this.world, { serverMode: this.mode });
+    this.world.initialize();
+  }
+
+  // ----------------------------------------------------------
+  // Room emits
+  // ----------------------------------------------------------
+  emit(event, data) {
+    this.io.to(this.room).emit(event, data);
+  }
+
+  // ----------------------------------------------------------
+  // Membership — humans only; ghosts hold their slot
+  // ----------------------------------------------------------
+  addSocket(socket) {
+    this.sockets.add(socket.id);
+    socket.join(this.room);
+  }
+
+  removeSocket(socket) {
+    this.sockets.delete(socket.id);
+    this.snapshots.removeClient(socket.id);
+    socket.leave(this.room);
+    socket.leave(this.binaryRoom);
+  }
+
+  playerCount() {
+    return Object.keys(this.state.players).length;
+  }
+
+  hasRoom() {
+    return this.playerCount() < this.maxPlayers;
+  }
+
+  // Lobby listing
+  getSummary() {
+    return {
+      id: this.id,
+      mode: this.mode,
+      players: this.playerCount(),
+      maxPlayers: this.maxPlayers,
+      bots: this.state.bots.length,
+      queueLength: this.queueManager ? this.queueManager.getLength() : 0,
+      goldenVaultFloor: this.isPaid ? (this.state.goldenVaultFloor || 0) : 0,
+      arenaRadius: this.state.arenaRadius
+    };
+  }
+
+  // ----------------------------------------------------------
+  // Broadcast — JSON to the room, binary per opted-in client
+  // ----------------------------------------------------------
+  broadcast(now) {
+    const world = this.world;
+    const gameState = this.state;
+    const snapshots = this.snapshots;
+    const snapshotKind = snapshots.due(world.now());
+
+    // JSON fallback — every socket that hasn't opted into binary snapshots
+    if (snapshotKind === 'full' && this.sockets.size > snapshots.clients.size) {
+      const delta = now - this.lastJsonBroadcastTime;
+      this.lastJsonBroadcastTime = now;
+
+      this.io.to(this.room).except(this.binaryRoom).emit('gameState', {
+        tick: world.tick,
+        tickRate: world.tickRate,
+        serverDeltaMs: delta,
+        serverMode: this.mode,
+        arenaId: this.id,
+        players: world.serializePlayers(),
+        bots: world.serializeBots(),
+        coins: world.serializeCoins(),
+        powerUps: world.serializePowerUps(),
+        timestamp: now,
+        arenaRadius: gameState.arenaRadius,
+        goldenVaultFloor: this.isPaid ? gameState.goldenVaultFloor : 0,
+        exhaustedTierCount: this.isPaid ? gameState.exhaustedTiers.size : 0,
+        heldTierThreshold: this.isPaid ? world.getHeldTierThreshold() : null
+      });
+    }
+
+    // Binary — quantize once, then filter + delta per client
+    if (snapshotKind && snapshots.clients.size > 0) {
+      const delta = now - this.lastBinaryBroadcastTime;
+      this.lastBinaryBroadcastTime = now;
+      const frame = snapshots.buildFrame(world);
+      const header = {
+        tick: world.tick,
+        timestamp: now,
+        serverDeltaMs: delta,
+        isPaid: this.isPaid,
+        arenaRadius: gameState.arenaRadius,
+        goldenVaultFloor: this.isPaid ? gameState.goldenVaultFloor : 0,
+        exhaustedTierCount: this.isPaid ? gameState.exhaustedTiers.size : 0,
+        heldTierThreshold: this.isPaid ? world.getHeldTierThreshold() : null
+      };
+      for (const socketId of snapshots.clients.keys()) {
+        const clientSocket = this.io.sockets.sockets.get(socketId);
+        if (!clientSocket) {
+          snapshots.removeClient(socketId);
+          continue;
+        }
+        clientSocket.emit('gameSnapshot', snapshots.encodeFor(socketId, world, frame, header, {
+          nearbyOnly: snapshotKind === 'nearby'
+        }));
+      }
+    }
+  }
+
+  close() {
+    if (this.replayRecorder) this.replayRecorder.close(this.world.tick);
+    if (this.goldenHourManager) this.goldenHourManager.destroy();
+    if (this.queueManager) this.queueManager.destroy();
+  }
+}
+
+Arena.MODES = MODES;
+
+module.exports = Arena;
@@ -0,0 +1,99 @@
+// ============================================================
+// rooms/matchmaker.js — Which arena a socket plays in
+// ============================================================
+// Every socket belongs to exactly one arena (socket.arena).
+// New sockets go to the least full arena of the mode they ask
+// for — `mode` (free / paid) or a specific `arenaId` in the
+// handshake auth/query — falling back to the server's default
+// mode. Ties go to the arena listed first.
+//
+// Arenas come from the ARENAS env var, e.g. "free:2,paid:1"
+// → free-1, free-2, paid-1. Unset = one arena of SERVER_MODE.
+// ============================================================
+
+const Arena = require('./arena');
+
+// "free:2,paid:1" → [{ mode: 'free', count: 2 }, { mode: 'paid', count: 1 }]
+function parseArenaSpec(spec, defaultMode) {
+  if (!spec || !spec.trim()) return [{ mode: defaultMode, count: 1 }];
+
+  return spec.split(',').map(part => {
+    const [mode, count] = part.trim().split(':');
+    const n = count === undefined ? 1 : parseInt(count, 10);
+    if (!Arena.MODES.includes(mode) || !Number.isInteger(n) || n < 1) {
+      throw new Error(`Invalid ARENAS entry "${part.trim()}" (expected mode:count, e.g. free:2)`);
+    }
+    return { mode, count: n };
+  });
+}
+
+class Matchmaker {
+  constructor(defaultMode) {
+    this.defaultMode = defaultMode;
+    this.arenas = new Map();    // arenaId → Arena
+  }
+
+  add(arena) {
+    if (this.arenas.has(arena.id)) throw new Error(`Duplicate arena id ${arena.id}`);
+    this.arenas.set(arena.id, arena);
+    return arena;
+  }
+
+  get(arenaId) {
+    return this.arenas.get(arenaId) || null;
+  }
+
+  all() {
+    return [...this.arenas.values()];
+  }
+
+  hasMode(mode) {
+    return this.all().some(arena => arena.mode === mode);
+  }
+
+  // Least full arena of `mode` — one with room if there is any
+  leastFull(mode, exclude = null) {
+    let best = null;
+    for (const arena of this.arenas.values()) {
+      if (arena.mode !== mode || arena === exclude) continue;
+      if (!best ||
+          (arena.hasRoom() && !best.hasRoom()) ||
+          (arena.hasRoom() === best.hasRoom() && arena.playerCount() < best.playerCount())) {
+        best = arena;
+      }
+    }
+    return best;
+  }
+
+  // What the client asked for at connect time
+  pick(request = {}) {
+    const wanted = request.arenaId ? this.get(String(request.arenaId)) : null;
+    if (wanted) return wanted;
+
+    const mode = Arena.MODES.includes(request.mode) && this.hasMode(request.mode)
+      ? request.mode
+      : this.defaultMode;
+    return this.leastFull(mode) || this.all()[0];
+  }
+
+  assign(socket, arena) {
+    if (socket.arena === arena) return arena;
+    if (socket.arena) socket.arena.removeSocket(socket);
+    socket.arena = arena;
+    arena.addSocket(socket);
+    return arena;
+  }
+
+  release(socket) {
+    if (!socket.arena) return;
+    socket.arena.removeSocket(socket);
+    socket.arena = null;
+  }
+
+  // Lobby listing — clients filter by mode
+  getSummary() {
+    return this.all().map(arena => arena.getSummary());
+  }
+}
+
+module.exports = { Matchmaker, parseArenaSpec };
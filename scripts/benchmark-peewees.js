@@ -0,0 +1,194 @@
+#!/usr/bin/env node
+// ============================================================
+// scripts/benchmark-peewees.js — Peewee cost after big deaths
+// ============================================================
+// Kills several long marbles in the same tick — each exploding
+// into deathDrop.maxDrops peewees — then times the peewee
+// physics (sim/peeweeSystem.js update) and the whole
+// World.step() while the drops fly, bounce and settle.
+//
+// Reported in windows after the explosion so the cost of the
+// burst and of the settled (sleeping) field both show:
+//   burst    first second   settle   1–5s   rest   after 5s
+//
+// Usage:
+//   node scripts/benchmark-peewees.js [options]
+//
+// Options:
+//   --deaths <n>     marbles killed at once (default 6)
+//   --length <n>     their lengthScore (default 3000)
+//   --bots <n>       live bots moving through the field (default 10)
+//   --seconds <n>    simulated seconds after the deaths (default 10)
+//   --seed <n>       simulation seed (default 1)
+//   --no-sleep       peewee sleeping off, for comparison
+//   --json           print the result as JSON
+// ============================================================
+
+const baseConstants = require('../constants/gameConstants.json');
+const World = require('../sim/world');
+const SeededRng = require('../sim/rng');
+const { TickClock } = require('../sim/clock');
+
+function parseArgs(argv) {
+  const args = { deaths: 6, length: 3000, bots: 10, seconds: 10, seed: 1, sleep: true, json: false };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--deaths') args.deaths = parseInt(argv[++i], 10);
+    else if (arg === '--length') args.length = parseInt(argv[++i], 10);
+    else if (arg === '--bots') args.bots = parseInt(argv[++i], 10);
+    else if (arg === '--seconds') args.seconds = parseFloat(argv[++i]);
+    else if (arg === '--seed') args.seed = parseInt(argv[++i], 10);
+    else if (arg === '--no-sleep') args.sleep = false;
+    else if (arg === '--json') args.json = true;
+  }
+  return args;
+}
+
+// A long marble lying along a straight trail, so its drops spread
+// over the whole body like a real death
+function addVictim(world, index, count, lengthScore) {
+  const C = world.C;
+  const angle = (index / count) * Math.PI * 2;
+  const headX = Math.cos(angle) * C.arena.radius * 0.5;
+  const headY = Math.sin(angle) * C.arena.radius * 0.5;
+  const pathBuffer = world.createPathBuffer(headX, headY);
+
+  // Trail runs tangentially, tail first so the head ends at (headX, headY)
+  const trail = Math.min(lengthScore * 2, C.arena.radius);
+  const dirX = -Math.sin(angle);
+  const dirY = Math.cos(angle);
+  for (let d = trail; d >= 0; d -= 4) {
+    pathBuffer.add(headX - dirX * d, headY - dirY * d);
+  }
+
+  const player = {
+    id: `victim_${index}`,
+    name: `victim_${index}`,
+    marbleType: world.peeweeTypes[0],
+    x: headX,
+    y: headY,
+    angle: Math.atan2(dirY, dirX),
+    targetAngle: Math.atan2(dirY, dirX),
+    lengthScore,
+    bounty: 1,
+    kills: 0,
+    alive: true,
+    boosting: false,
+    isBot: false,
+    isGolden: false,
+    spawnTime: world.now(),
+    pathBuffer,
+    nextTierIndex: 0,
+    totalPayout: 0
+  };
+  world.addPlayer(player);
+  return player;
+}
+
+// ----------------------------------------------------------
+// Measurement
+// ----------------------------------------------------------
+function time(fn) {
+  const start = process.hrtime.bigint();
+  fn();
+  return Number(process.hrtime.bigint() - start) / 1e6;
+}
+
+function round(ms) {
+  return Math.round(ms * 1000) / 1000;
+}
+
+function summarize(samples) {
+  const sorted = [...samples].sort((a, b) => a - b);
+  const pick = p => sorted[Math.min(sorted.length - 1, Math.floor(sorted.length * p))] || 0;
+  const mean = samples.reduce((sum, v) => sum + v, 0) / Math.max(1, samples.length);
+  return { mean: round(mean), p95: round(pick(0.95)), max: round(sorted[sorted.length - 1] || 0) };
+}
+
+function main() {
+  const args = parseArgs(process.argv.slice(2));
+  const C = JSON.parse(JSON.stringify(baseConstants));
+  C.peewee.system = { ...C.peewee.system, sleep: { ...C.peewee.system?.sleep, enabled: args.sleep } };
+  C.bot.population = { ...C.bot.population, enabled: false };
+  const tickRate = World.DEFAULT_TICK_RATE; // same TICK_RATE the server runs with
+  const maxDrops = C.deathDrop?.maxDrops || 30;
+
+  const log = console.log;
+  console.log = () => {};
+
+  const world = new World(C, {
+    rng: new SeededRng(args.seed),
+    clock: new TickClock(0, 1000 / tickRate),
+    tickRate,
+    maxBots: args.bots,
+    maxCoins: 300 + args.deaths * maxDrops,
+    hooks: { canRefundLastPlayer: () => false }
+  });
+
+  world.initialize();
+  // Bots spawn on timers spread over ten seconds — let them in, let the field settle
+  world.run(Math.ceil(12000 / world.tickMs));
+
+  // Time the peewee phases inside step() without changing what runs
+  let peeweeMs = 0;
+  const update = world.peewees.update.bind(world.peewees);
+  world.peewees.update = (dt) => { peeweeMs += time(() => update(dt)); };
+
+  const victims = [];
+  for (let i = 0; i < args.deaths; i++) victims.push(addVictim(world, i, args.deaths, args.length));
+  const coinsBefore = world.state.coins.length;
+  const explosionMs = time(() => {
+    for (const victim of victims) world.killMarble(victim, null);
+  });
+  const dropped = world.state.coins.length - coinsBefore;
+
+  const windows = { burst: { step: [], peewee: [] }, settle: { step: [], peewee: [] }, rest: { step: [], peewee: [] } };
+  const asleepAt = {};
+  const ticks = Math.ceil((args.seconds * 1000) / world.tickMs);
+
+  for (let t = 0; t < ticks; t++) {
+    peeweeMs = 0;
+    const stepMs = time(() => world.step());
+    const sec = (t * world.tickMs) / 1000;
+    const window = sec < 1 ? windows.burst : sec < 5 ? windows.settle : windows.rest;
+    window.step.push(stepMs);
+    window.peewee.push(peeweeMs);
+    if (t % Math.round(1000 / world.tickMs) === 0) {
+      asleepAt[`${Math.round(sec)}s`] = world.state.coins.filter(c => c._asleep).length;
+    }
+  }
+  console.log = log;
+
+  const result = {
+    deaths: args.deaths,
+    lengthScore: args.length,
+    maxDrops,
+    dropped,
+    coins: world.state.coins.length,
+    bots: world.state.bots.filter(b => b.alive).length,
+    sleep: args.sleep,
+    tickBudgetMs: round(world.tickMs),
+    explosionMs: round(explosionMs),
+    windows: Object.fromEntries(Object.entries(windows).map(([name, w]) => [name, {
+      stepMs: summarize(w.step),
+      peeweeMs: summarize(w.peewee)
+    }])),
+    asleep: asleepAt,
+    pool: world.peewees.getStats()
+  };
+
+  if (args.json) {
+    log(JSON.stringify(result, null, 2));
+    return;
+  }
+
+  log(`💥 ${args.deaths} deaths × length ${args.length} → ${dropped} peewees (maxDrops ${maxDrops}) | ${result.coins} on field, ${result.bots} bots | sleep ${args.sleep ? 'on' : 'off'}`);
+  log(`   explosion tick    ${result.explosionMs}ms (killMarble × ${args.deaths})`);
+  for (const [name, w] of Object.entries(result.windows)) {
+    log(`   ${name.padEnd(8)} step mean ${w.stepMs.mean}ms  p95 ${w.stepMs.p95}  max ${w.stepMs.max} | peewees mean ${w.peeweeMs.mean}ms  p95 ${w.peeweeMs.p95}  max ${w.peeweeMs.max}`);
+  }
+  log(`   asleep            ${Object.entries(asleepAt).map(([s, n]) => `${s}:${n}`).join(' ')}`);
+  log(`   pool              created ${result.pool.created}, reused ${result.pool.reused}, pooled ${result.pool.pooled}`);
+}
+
+main();
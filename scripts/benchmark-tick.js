@@ -0,0 +1,252 @@
+#!/usr/bin/env node
+// ============================================================
+// scripts/benchmark-tick.js — Simulation tick cost under load
+// ============================================================
+// Runs a headless World with a full arena — 40 scripted
+// players, 10 bots and the peewee field padded to maxCoins —
+// and reports how long World.step() takes, plus the grid
+// broadphase passes timed on their own.
+//
+// Usage:
+//   node scripts/benchmark-tick.js [options]
+//
+// Options:
+//   --ticks <n>      ticks to measure (default 1800)
+//   --warmup <n>     ticks to run first, unmeasured (default 300)
+//   --players <n>    scripted players kept alive (default 40)
+//   --bots <n>       bots (default 10)
+//   --coins <n>      peewees kept on the field (default maxCoins)
+//   --seed <n>       simulation seed (default 1)
+//   --json           print the result as JSON
+// ============================================================
+
+const gameConstants = require('../constants/gameConstants.json');
+const World = require('../sim/world');
+const SeededRng = require('../sim/rng');
+const { TickClock } = require('../sim/clock');
+const { checkCollisions } = require('../sim/collisions');
+const { checkCoinCollisions } = require('../sim/peewees');
+
+function parseArgs(argv) {
+  const args = { ticks: 1800, warmup: 300, players: 40, bots: 10, coins: null, seed: 1, json: false };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--ticks') args.ticks = parseInt(argv[++i], 10);
+    else if (arg === '--warmup') args.warmup = parseInt(argv[++i], 10);
+    else if (arg === '--players') args.players = parseInt(argv[++i], 10);
+    else if (arg === '--bots') args.bots = parseInt(argv[++i], 10);
+    else if (arg === '--coins') args.coins = parseInt(argv[++i], 10);
+    else if (arg === '--seed') args.seed = parseInt(argv[++i], 10);
+    else if (arg === '--json') args.json = true;
+  }
+  return args;
+}
+
+// ----------------------------------------------------------
+// Arena setup
+// ----------------------------------------------------------
+let playerSeq = 0;
+
+function addPlayer(world, rng) {
+  const C = world.C;
+  const id = `bench_${playerSeq++}`;
+  const spawn = world.findSafeSpawn(C.arena?.spawnMinDistance || 200, C.arena.radius);
+  const player = {
+    id,
+    name: id,
+    marbleType: rng.pick(world.peeweeTypes),
+    x: spawn.x,
+    y: spawn.y,
+    angle: rng.next() * Math.PI * 2,
+    targetAngle: 0,
+    lengthScore: C.player.startLength + rng.int(0, 400),
+    bounty: 1,
+    kills: 0,
+    alive: true,
+    boosting: false,
+    isBot: false,
+    isGolden: false,
+    spawnTime: world.now(),
+    spawnProtection: true,
+    pathBuffer: world.createPathBuffer(spawn.x, spawn.y),
+    _lastValidX: spawn.x,
+    _lastValidY: spawn.y,
+    _lastAngle: 0,
+    lastProcessedInput: -1,
+    nextTierIndex: 0,
+    totalPayout: 0,
+    _wobble: rng.next() * Math.PI * 2
+  };
+  world.addPlayer(player);
+  world.settleJoin(player);
+  return player;
+}
+
+// spawnCoin stops at the ambient cap; death drops push the field past it,
+// so pad with ambient-shaped peewees to reach the worst case
+function padCoins(world, target, rng) {
+  const C = world.C;
+  while (world.state.coins.length < target) {
+    const angle = rng.next() * Math.PI * 2;
+    const distance = rng.next() * C.arena.radius * 0.95;
+    const rollAngle = rng.next() * Math.PI * 2;
+    const rollSpeed = (C.peewee?.initialRollSpeedMin || 80) + rng.next() * 100;
+    world.state.coins.push(world.peewees.create({
+      x: Math.cos(angle) * distance,
+      y: Math.sin(angle) * distance,
+      vx: Math.cos(rollAngle) * rollSpeed,
+      vy: Math.sin(rollAngle) * rollSpeed,
+      radius: C.peewee?.radius || 50,
+      mass: C.peewee?.mass || 2.0,
+      growthValue: C.peewee?.growthValue || 20,
+      friction: C.peewee?.friction || 0.92,
+      marbleType: rng.pick(world.peeweeTypes),
+      isDropped: false,
+      sizeMultiplier: 1.0,
+      spawnTime: world.now()
+    }));
+  }
+}
+
+// Wander, drift back toward the middle near the wall, boost now and then
+function steerPlayers(world, seq) {
+  const wallRadius = world.C.arena.radius * 0.7;
+  for (const player of Object.values(world.state.players)) {
+    if (!player.alive) continue;
+    const toCenter = Math.atan2(-player.y, -player.x);
+    const wander = player.angle + Math.sin(world.tick / 40 + player._wobble) * 0.8;
+    const nearWall = Math.hypot(player.x, player.y) > wallRadius;
+    world.applyInput(player.id, {
+      targetAngle: nearWall ? toCenter : wander,
+      boost: (world.tick + Math.floor(player._wobble * 100)) % 240 < 20,
+      seq: seq.next++
+    });
+  }
+}
+
+function keepPopulation(world, rng, players) {
+  for (const player of Object.values(world.state.players)) {
+    if (!player.alive) world.removePlayer(player.id);
+  }
+  while (Object.keys(world.state.players).length < players) addPlayer(world, rng);
+}
+
+// ----------------------------------------------------------
+// Measurement
+// ----------------------------------------------------------
+function percentile(sorted, p) {
+  if (sorted.length === 0) return 0;
+  return sorted[Math.min(sorted.length - 1, Math.floor(sorted.length * p))];
+}
+
+function summarize(samples) {
+  const sorted = [...samples].sort((a, b) => a - b);
+  const mean = samples.reduce((sum, v) => sum + v, 0) / Math.max(1, samples.length);
+  return {
+    mean: round(mean),
+    p50: round(percentile(sorted, 0.50)),
+    p95: round(percentile(sorted, 0.95)),
+    p99: round(percentile(sorted, 0.99)),
+    max: round(sorted[sorted.length - 1] || 0)
+  };
+}
+
+function round(ms) {
+  return Math.round(ms * 1000) / 1000;
+}
+
+function time(fn) {
+  const start = process.hrtime.bigint();
+  fn();
+  return Number(process.hrtime.bigint() - start) / 1e6;
+}
+
+// The broadphase passes on their own, against the final arena state.
+// Pickups eat coins and grow marbles, so both are put back each round.
+function timePhases(world, repeats) {
+  const grid = world.state.spatialGrid;
+  const coins = world.state.coins;
+  const rebuild = [];
+  const collisions = [];
+  const pickups = [];
+
+  for (let i = 0; i < repeats; i++) {
+    rebuild.push(time(() => grid.rebuild(world.getAliveMarbles())));
+    collisions.push(time(() => checkCollisions(world)));
+
+    const lengths = grid.marbles.map(m => m.lengthScore);
+    world.state.coins = coins.map(c => ({ ...c }));
+    pickups.push(time(() => checkCoinCollisions(world)));
+    grid.marbles.forEach((m, idx) => { m.lengthScore = lengths[idx]; });
+  }
+  world.state.coins = coins;
+
+  return {
+    gridRebuild: summarize(rebuild),
+    marbleCollisions: summarize(collisions),
+    peeweePickups: summarize(pickups)
+  };
+}
+
+function main() {
+  const args = parseArgs(process.argv.slice(2));
+  const C = gameConstants;
+  const tickRate = World.DEFAULT_TICK_RATE; // same TICK_RATE the server runs with
+
+  const log = console.log;
+  console.log = () => {};
+
+  const rng = new SeededRng(args.seed + 1);
+  const world = new World(C, {
+    rng: new SeededRng(args.seed),
+    clock: new TickClock(0, 1000 / tickRate),
+    tickRate,
+    maxBots: args.bots,
+    hooks: { canRefundLastPlayer: () => false }
+  });
+  const coinTarget = args.coins ?? world.maxCoins;
+  const seq = { next: 0 };
+
+  world.initialize();
+  // Bots spawn on timers spread over ten seconds — let them all in
+  world.run(Math.ceil(10000 / world.tickMs) + 1);
+
+  const samples = [];
+  let deaths = 0;
+  world.on('death', () => deaths++);
+
+  for (let t = 0; t < args.warmup + args.ticks; t++) {
+    keepPopulation(world, rng, args.players);
+    padCoins(world, coinTarget, rng);
+    steerPlayers(world, seq);
+    const ms = time(() => world.step());
+    if (t >= args.warmup) samples.push(ms);
+  }
+
+  const phases = timePhases(world, 200);
+  console.log = log;
+
+  const result = {
+    ticks: args.ticks,
+    tickBudgetMs: round(world.tickMs),
+    players: Object.values(world.state.players).filter(p => p.alive).length,
+    bots: world.state.bots.filter(b => b.alive).length,
+    coins: world.state.coins.length,
+    deaths,
+    stepMs: summarize(samples),
+    phases
+  };
+
+  if (args.json) {
+    log(JSON.stringify(result, null, 2));
+    return;
+  }
+
+  log(`⏱️  ${result.ticks} ticks | ${result.players} players, ${result.bots} bots, ${result.coins} peewees | ${deaths} deaths`);
+  log(`   World.step()      mean ${result.stepMs.mean}ms  p50 ${result.stepMs.p50}  p95 ${result.stepMs.p95}  p99 ${result.stepMs.p99}  max ${result.stepMs.max}  (budget ${result.tickBudgetMs}ms)`);
+  for (const [name, s] of Object.entries(phases)) {
+    log(`   ${name.padEnd(17)} mean ${s.mean}ms  p95 ${s.p95}  max ${s.max}`);
+  }
+}
+
+main();
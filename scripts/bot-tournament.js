@@ -0,0 +1,122 @@
+#!/usr/bin/env node
+// ============================================================
+// scripts/bot-tournament.js — Score bot profiles offline
+// ============================================================
+// Bots-only matches across several seeds, faster than real
+// time (sim/botTournament.js), with per-profile survival,
+// kills, peak length, wall deaths and bounty gained.
+//
+// Usage:
+//   node scripts/bot-tournament.js [options]
+//
+// Options:
+//   --minutes <n>       simulated minutes per seed (default 5)
+//   --seeds <list|n>    seeds to run: "1,7,42", or n for 1..n
+//                       (default 3)
+//   --bots <n>          bots in the arena (default bot.count)
+//   --mode <free|paid>  profile weights / bot economy (default free)
+//   --profiles <a,b>    only these profiles, evenly weighted
+//   --constants <file>  gameConstants to use instead of the repo's
+//                       (compare a tuned copy against the baseline)
+//   --csv               CSV instead of JSON
+//   --out <file>        write to file instead of stdout
+//   --verbose           keep the simulation's console logs
+//   --help              print usage
+//
+// Before/after a bot change:
+//   node scripts/bot-tournament.js --seeds 10 --out before.json
+//   node scripts/bot-tournament.js --seeds 10 --out after.json
+// ============================================================
+
+const fs = require('fs');
+const path = require('path');
+const { runTournament, tournamentToCsv } = require('../sim/botTournament');
+
+const USAGE = `Usage: node scripts/bot-tournament.js [options]
+
+  --minutes <n>       simulated minutes per seed (default 5)
+  --seeds <list|n>    seeds to run: "1,7,42", or n for 1..n (default 3)
+  --bots <n>          bots in the arena (default bot.count)
+  --mode <free|paid>  profile weights / bot economy (default free)
+  --profiles <a,b>    only these profiles, evenly weighted
+  --constants <file>  gameConstants to use instead of the repo's
+  --csv               CSV instead of JSON
+  --out <file>        write to file instead of stdout
+  --verbose           keep the simulation's console logs`;
+
+function parseArgs(argv) {
+  const args = { minutes: 5, seeds: '3', bots: null, mode: 'free', profiles: null, constants: null, csv: false, out: null, verbose: false, help: false };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--minutes') args.minutes = parseFloat(argv[++i]);
+    else if (arg === '--seeds') args.seeds = argv[++i];
+    else if (arg === '--bots') args.bots = parseInt(argv[++i], 10);
+    else if (arg === '--mode') args.mode = argv[++i];
+    else if (arg === '--profiles') args.profiles = argv[++i].split(',').map(s => s.trim()).filter(Boolean);
+    else if (arg === '--constants') args.constants = argv[++i];
+    else if (arg === '--csv') args.csv = true;
+    else if (arg === '--out') args.out = argv[++i];
+    else if (arg === '--verbose') args.verbose = true;
+    else if (arg === '--help' || arg === '-h') args.help = true;
+  }
+  return args;
+}
+
+function parseSeeds(spec) {
+  if (String(spec).includes(',')) {
+    return spec.split(',').map(s => parseInt(s, 10)).filter(Number.isFinite);
+  }
+  const count = Math.max(1, parseInt(spec, 10) || 1);
+  return Array.from({ length: count }, (_, i) => i + 1);
+}
+
+function main() {
+  const args = parseArgs(process.argv.slice(2));
+  if (args.help) {
+    console.log(USAGE);
+    return;
+  }
+  const gameConstants = args.constants
+    ? JSON.parse(fs.readFileSync(path.resolve(args.constants), 'utf8'))
+    : require('../constants/gameConstants.json');
+
+  if (!(args.minutes > 0)) {
+    console.error(USAGE);
+    process.exit(1);
+  }
+
+  // The World logs every death — mute it unless asked
+  const log = console.log;
+  if (!args.verbose) console.log = () => {};
+  let result;
+  try {
+    result = runTournament({
+      gameConstants,
+      seeds: parseSeeds(args.seeds),
+      minutes: args.minutes,
+      bots: args.bots ?? gameConstants.bot?.count ?? 10,
+      mode: args.mode,
+      profiles: args.profiles
+    });
+  } catch (err) {
+    console.error(`❌ ${err.message}`);
+    process.exit(1);
+  } finally {
+    console.log = log;
+  }
+
+  const output = args.csv
+    ? tournamentToCsv(result)
+    : JSON.stringify(result, null, 2);
+
+  if (args.out) {
+    fs.writeFileSync(args.out, output + '\n');
+  } else {
+    process.stdout.write(output + '\n');
+  }
+
+  const speedup = result.wallClockSec > 0 ? Math.round(result.simulatedSec / result.wallClockSec) : 0;
+  console.error(`🏁 ${result.config.seeds.length} seed(s) × ${args.minutes} min | ${result.simulatedSec}s simulated in ${result.wallClockSec}s (${speedup}× real time)${args.out ? ` → ${args.out}` : ''}`);
+}
+
+main();
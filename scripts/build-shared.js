@@ -0,0 +1,150 @@
+#!/usr/bin/env node
+// ============================================================
+// scripts/build-shared.js — Build the shared physics package
+// ============================================================
+// shared/*.js (CommonJS) is the only source. This script:
+//
+//   1. hashes the movement-math sources into PHYSICS_VERSION
+//      → shared/physicsVersion.js
+//   2. writes the ESM build the Phaser client imports
+//      → shared/esm/*.mjs
+//
+// The server sends PHYSICS_VERSION in `init`; a client built
+// from different movement math is told to reload.
+//
+// Comments and blank lines don't count towards the hash, so
+// doc-only edits don't force every client to reload.
+//
+// Usage:
+//   node scripts/build-shared.js           write the outputs
+//   node scripts/build-shared.js --check   exit 1 if they're stale
+//
+// npm start and npm test run the check first (check:shared), so
+// committed shared/esm/ output can't drift from the sources.
+// ============================================================
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const SHARED_DIR = path.join(__dirname, '..', 'shared');
+const ESM_DIR = path.join(SHARED_DIR, 'esm');
+
+// Anything that changes how a marble moves or where its body is
+const PHYSICS_SOURCES = ['physics', 'PathBuffer', 'bodyGeometry', 'inputPrediction'];
+
+// Every module in the package, in dependency order
+const MODULES = ['physics', 'PathBuffer', 'bodyGeometry', 'inputPrediction', 'physicsVersion', 'snapshotCodec', 'index'];
+
+function readSource(name) {
+  return fs.readFileSync(path.join(SHARED_DIR, `${name}.js`), 'utf8');
+}
+
+// ----------------------------------------------------------
+// PHYSICS_VERSION
+// ----------------------------------------------------------
+function stripComments(source) {
+  return source
+    .replace(/\/\*[\s\S]*?\*\//g, '')
+    .split('\n')
+    .map(line => line.replace(/^\s*\/\/.*$/, '').trim())
+    .filter(Boolean)
+    .join('\n');
+}
+
+function computePhysicsVersion() {
+  const hash = crypto.createHash('sha256');
+  for (const name of PHYSICS_SOURCES) {
+    hash.update(`${name}\n${stripComments(readSource(name))}\n`);
+  }
+  return hash.digest('hex').slice(0, 12);
+}
+
+function physicsVersionModule(version) {
+  return `// ============================================================
+// shared/physicsVersion.js — GENERATED by scripts/build-shared.js
+// ============================================================
+// Hash of ${PHYSICS_SOURCES.map(n => `${n}.js`).join(', ')}.
+// Do not edit — run \`npm run build:shared\`.
+// ============================================================
+
+const PHYSICS_VERSION = '${version}';
+const PHYSICS_SOURCES = ${JSON.stringify(PHYSICS_SOURCES.map(n => `${n}.js`))};
+
+module.exports = { PHYSICS_VERSION, PHYSICS_SOURCES };
+`;
+}
+
+// ----------------------------------------------------------
+// CommonJS → ESM
+// ----------------------------------------------------------
+// The shared sources stick to three forms, which map 1:1:
+//   const { a, b } = require('./x');   → import { a, b } from './x.mjs';
+//   const X = require('./x');          → import X from './x.mjs';
+//   module.exports = { a, b };         → export { a, b };
+//   module.exports = X;                → export default X;
+function toEsm(name, source) {
+  let out = source
+    .replace(/const (\{[^}]*\}) = require\('\.\/([\w.]+?)(?:\.js)?'\);/g, "import $1 from './$2.mjs';")
+    .replace(/const (\w+) = require\('\.\/([\w.]+?)(?:\.js)?'\);/g, "import $1 from './$2.mjs';")
+    .replace(/module\.exports = (\{[\s\S]*?\});?\s*$/, (match, body) => {
+      if (/:/.test(body)) throw new Error(`shared/${name}.js: module.exports must list plain names`);
+      return `export ${body.replace(/;$/, '')};\n`;
+    })
+    .replace(/module\.exports = (\w+);\s*$/, 'export default $1;\n');
+
+  if (/\brequire\(|module\.exports/.test(out)) {
+    throw new Error(`shared/${name}.js: can't convert to ESM — only relative requires and one module.exports are supported`);
+  }
+
+  return `// GENERATED by scripts/build-shared.js from shared/${name}.js — do not edit.\n${out}`;
+}
+
+// ----------------------------------------------------------
+// Build
+// ----------------------------------------------------------
+function build() {
+  const version = computePhysicsVersion();
+  const outputs = new Map();
+  outputs.set(path.join(SHARED_DIR, 'physicsVersion.js'), physicsVersionModule(version));
+
+  for (const name of MODULES) {
+    const source = name === 'physicsVersion'
+      ? outputs.get(path.join(SHARED_DIR, 'physicsVersion.js'))
+      : readSource(name);
+    outputs.set(path.join(ESM_DIR, `${name}.mjs`), toEsm(name, source));
+  }
+
+  return { version, outputs };
+}
+
+function main() {
+  const check = process.argv.includes('--check');
+  const { version, outputs } = build();
+
+  if (check) {
+    const stale = [];
+    for (const [file, content] of outputs) {
+      const current = fs.existsSync(file) ? fs.readFileSync(file, 'utf8') : null;
+      if (current !== content) stale.push(path.relative(process.cwd(), file));
+    }
+    // A module dropped from the package leaves its old .mjs behind
+    for (const file of fs.existsSync(ESM_DIR) ? fs.readdirSync(ESM_DIR) : []) {
+      const full = path.join(ESM_DIR, file);
+      if (file.endsWith('.mjs') && !outputs.has(full)) stale.push(`${path.relative(process.cwd(), full)} (no longer built)`);
+    }
+    if (stale.length > 0) {
+      console.error(`❌ Shared package is out of date (PHYSICS_VERSION ${version}) — run npm run build:shared`);
+      for (const file of stale) console.error(`   ${file}`);
+      process.exit(1);
+    }
+    console.log(`✅ Shared package up to date (PHYSICS_VERSION ${version})`);
+    return;
+  }
+
+  fs.mkdirSync(ESM_DIR, { recursive: true });
+  for (const [file, content] of outputs) fs.writeFileSync(file, content);
+  console.log(`✅ Built shared package — PHYSICS_VERSION ${version} (${outputs.size} files)`);
+}
+
+main();
@@ -0,0 +1,169 @@
+#!/usr/bin/env node
+// ============================================================
+// scripts/economy-sim.js — House edge and solvency, offline
+// ============================================================
+// Monte Carlo over synthetic paid arenas, run through the real
+// economy code (sim/economySimulator.js): expected house profit
+// per buy-in, its variance, worst-case drawdown, and how often
+// the house wallet runs dry.
+//
+// Usage:
+//   node scripts/economy-sim.js --house-balance <usdc|live> [options]
+//
+// Options:
+//   --trials <n>            independent runs (default 200)
+//   --buy-ins <n>           buy-ins per run (default 500)
+//   --session <n>           buy-ins per Golden Yard Time session (default 50)
+//   --players <n>           players in the arena at once (default 6)
+//   --bots <n>              bots fighting alongside them (default 0)
+//   --skill-spread <x>      lognormal spread of player skill (default 0.6)
+//   --deaths <k,w,d>        kill, wall, disconnect weights (default 0.8,0.15,0.05)
+//   --schedule <name>       cashout tier schedule (default: the paid mode's)
+//   --house-balance <usdc|live>
+//                           starting house wallet (required); "live"
+//                           reads the house USDC balance through Privy
+//   --seed <n>              first trial's seed (default 1)
+//   --constants <file>      gameConstants to use instead of the repo's
+//                           (price a tuned copy against the baseline)
+//   --csv                   per-trial CSV instead of the JSON report
+//   --out <file>            write to file instead of stdout
+//   --verbose               keep the simulation's console logs
+//   --help                  print usage
+//
+// Before/after an economy change:
+//   node scripts/economy-sim.js --house-balance 500 --out before.json
+//   node scripts/economy-sim.js --house-balance 500 --constants tuned.json --out after.json
+// ============================================================
+
+const fs = require('fs');
+const path = require('path');
+const { runSimulation, simulationToCsv } = require('../sim/economySimulator');
+
+const USAGE = `Usage: node scripts/economy-sim.js --house-balance <usdc|live> [options]
+
+  --trials <n>            independent runs (default 200)
+  --buy-ins <n>           buy-ins per run (default 500)
+  --session <n>           buy-ins per Golden Yard Time session (default 50)
+  --players <n>           players in the arena at once (default 6)
+  --bots <n>              bots fighting alongside them (default 0)
+  --skill-spread <x>      lognormal spread of player skill (default 0.6)
+  --deaths <k,w,d>        kill, wall, disconnect weights (default 0.8,0.15,0.05)
+  --schedule <name>       cashout tier schedule (default: the paid mode's)
+  --house-balance <usdc|live>
+                          starting house wallet (required); "live" reads
+                          the house USDC balance through Privy
+  --seed <n>              first trial's seed (default 1)
+  --constants <file>      gameConstants to use instead of the repo's
+  --csv                   per-trial CSV instead of the JSON report
+  --out <file>            write to file instead of stdout
+  --verbose               keep the simulation's console logs`;
+
+function parseArgs(argv) {
+  const args = {
+    trials: 200, buyIns: 500, session: 50, players: 6, bots: 0, skillSpread: 0.6,
+    deaths: null, schedule: null, houseBalance: null, seed: 1,
+    constants: null, csv: false, out: null, verbose: false, help: false
+  };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--trials') args.trials = parseInt(argv[++i], 10);
+    else if (arg === '--buy-ins') args.buyIns = parseInt(argv[++i], 10);
+    else if (arg === '--session') args.session = parseInt(argv[++i], 10);
+    else if (arg === '--players') args.players = parseInt(argv[++i], 10);
+    else if (arg === '--bots') args.bots = parseInt(argv[++i], 10);
+    else if (arg === '--skill-spread') args.skillSpread = parseFloat(argv[++i]);
+    else if (arg === '--deaths') args.deaths = argv[++i];
+    else if (arg === '--schedule') args.schedule = argv[++i];
+    else if (arg === '--house-balance') args.houseBalance = argv[++i];
+    else if (arg === '--seed') args.seed = parseInt(argv[++i], 10);
+    else if (arg === '--constants') args.constants = argv[++i];
+    else if (arg === '--csv') args.csv = true;
+    else if (arg === '--out') args.out = argv[++i];
+    else if (arg === '--verbose') args.verbose = true;
+    else if (arg === '--help' || arg === '-h') args.help = true;
+  }
+  return args;
+}
+
+function parseDeathMix(spec) {
+  if (!spec) return undefined;
+  const [kill, wall, disconnect] = spec.split(',').map(s => parseFloat(s));
+  return { kill: kill || 0, wall: wall || 0, disconnect: disconnect || 0 };
+}
+
+async function resolveHouseBalance(spec) {
+  if (spec !== 'live') return parseFloat(spec);
+  // Only needs Privy/Solana when asked for
+  const PrivyService = require('../privyService');
+  const privy = new PrivyService();
+  const balance = await privy.getHouseUsdcBalance();
+  console.error(`🏦 Live house USDC balance: $${balance.toFixed(2)}`);
+  return balance;
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  if (args.help) {
+    console.log(USAGE);
+    return;
+  }
+  const gameConstants = args.constants
+    ? JSON.parse(fs.readFileSync(path.resolve(args.constants), 'utf8'))
+    : require('../constants/gameConstants.json');
+
+  if (!(args.trials > 0) || !(args.buyIns > 0) || !(args.session > 0) || !(args.players >= 2)) {
+    console.error(USAGE);
+    process.exit(1);
+  }
+
+  // Exhaustion odds mean nothing without a wallet to exhaust
+  if (args.houseBalance === null) {
+    console.error('❌ --house-balance is required: a starting USDC amount, or "live" for the house wallet');
+    process.exit(1);
+  }
+  const houseBalance = await resolveHouseBalance(args.houseBalance);
+  if (!(houseBalance > 0)) {
+    console.error(`❌ --house-balance must be a positive number or "live" (got ${args.houseBalance}${args.houseBalance === 'live' ? ` → $${houseBalance}` : ''})`);
+    process.exit(1);
+  }
+
+  // The World logs every death and payout — mute it unless asked
+  const log = console.log;
+  if (!args.verbose) console.log = () => {};
+  let result;
+  try {
+    result = runSimulation({
+      gameConstants,
+      trials: args.trials,
+      buyIns: args.buyIns,
+      sessionBuyIns: args.session,
+      arenaPlayers: args.players,
+      bots: args.bots,
+      skillSpread: args.skillSpread,
+      deathMix: parseDeathMix(args.deaths),
+      schedule: args.schedule,
+      houseBalance,
+      seed: args.seed
+    });
+  } catch (err) {
+    console.error(`❌ ${err.message}`);
+    process.exit(1);
+  } finally {
+    console.log = log;
+  }
+
+  const output = args.csv
+    ? simulationToCsv(result)
+    : JSON.stringify(result, null, 2);
+
+  if (args.out) {
+    fs.writeFileSync(args.out, output + '\n');
+  } else {
+    process.stdout.write(output + '\n');
+  }
+
+  const { profitPerBuyIn, drawdown, exhaustionProbability } = result;
+  console.error(`🎲 ${args.trials} trial(s) × ${args.buyIns} buy-ins in ${result.wallClockSec}s | profit/buy-in $${profitPerBuyIn.mean} ± ${profitPerBuyIn.stdDev} | worst drawdown $${drawdown.worst} | exhaustion ${(exhaustionProbability * 100).toFixed(1)}%${args.out ? ` → ${args.out}` : ''}`);
+}
+
+main();
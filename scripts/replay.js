@@ -0,0 +1,94 @@
+#!/usr/bin/env node
+// ============================================================
+// scripts/replay.js — Re-simulate a recorded arena session
+// ============================================================
+// Usage:
+//   node scripts/replay.js <file.replay.gz> [options]
+//   node scripts/replay.js --list [dir]
+//
+// Options:
+//   --until <tick>        stop after this tick
+//   --csv                 timeline as CSV instead of JSON
+//   --collisions          include raw collision events
+//   --out <file>          write to file instead of stdout
+//   --verbose             keep the simulation's console logs
+//   --help                print usage
+//
+// Exit code 2 if the re-simulation diverged from the recording.
+// ============================================================
+
+const fs = require('fs');
+const { readReplay, listReplays, playReplay, timelineToCsv } = require('../sim/replay');
+
+const USAGE = `Usage: node scripts/replay.js <file.replay.gz> [options]
+       node scripts/replay.js --list [dir]
+
+  --until <tick>        stop after this tick
+  --csv                 timeline as CSV instead of JSON
+  --collisions          include raw collision events
+  --out <file>          write to file instead of stdout
+  --verbose             keep the simulation's console logs`;
+
+function parseArgs(argv) {
+  const args = { file: null, untilTick: undefined, csv: false, collisions: false, out: null, verbose: false, list: false, dir: undefined, help: false };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--until') args.untilTick = parseInt(argv[++i], 10);
+    else if (arg === '--csv') args.csv = true;
+    else if (arg === '--collisions') args.collisions = true;
+    else if (arg === '--out') args.out = argv[++i];
+    else if (arg === '--verbose') args.verbose = true;
+    else if (arg === '--list') { args.list = true; args.dir = argv[i + 1]; i++; }
+    else if (arg === '--help' || arg === '-h') args.help = true;
+    else if (!args.file) args.file = arg;
+  }
+  return args;
+}
+
+function main() {
+  const args = parseArgs(process.argv.slice(2));
+  if (args.help) {
+    console.log(USAGE);
+    return;
+  }
+
+  if (args.list) {
+    console.log(JSON.stringify(listReplays(args.dir), null, 2));
+    return;
+  }
+
+  if (!args.file) {
+    console.error(USAGE);
+    process.exit(1);
+  }
+
+  const replay = readReplay(args.file);
+
+  // The World logs every death/cashout — mute it unless asked
+  const log = console.log;
+  if (!args.verbose) console.log = () => {};
+  let result;
+  try {
+    result = playReplay(replay, { untilTick: args.untilTick, includeCollisions: args.collisions });
+  } finally {
+    console.log = log;
+  }
+
+  const output = args.csv
+    ? timelineToCsv(result.timeline)
+    : JSON.stringify(result, null, 2);
+
+  if (args.out) {
+    fs.writeFileSync(args.out, output + '\n');
+    console.error(`✅ ${result.summary.deaths} deaths over ${result.summary.ticks} ticks → ${args.out}`);
+  } else {
+    process.stdout.write(output + '\n');
+  }
+
+  if (result.divergence) {
+    console.error(`⚠️ Replay diverged at tick ${result.divergence.tick} — timeline after that point is not trustworthy`);
+    process.exitCode = 2;
+  }
+}
+
+main();
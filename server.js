@@ -20,13 +20,22 @@ app.use((req, res, next) => {
 });
 
 const http = require('http');
+const path = require('path');
+const { execFile } = require('child_process');
 const socketIO = require('socket.io');
 
-const { wrapAngle, calculateMarbleRadius, calculateTurnStep } = require('./shared/physics.server.js');
 const { supabase } = require('./supabase-client.js');
-const PathBuffer = require('./shared/PathBuffer.server.js');
 const gameConstants = require('./constants/gameConstants.json');
 
+// ── Arenas: each one a headless World + room (movement, bots, collisions, bounty routing) ──
+const Arena = require('./rooms/arena');
+const World = require('./sim/world');
+const { Matchmaker, parseArenaSpec } = require('./rooms/matchmaker');
+const { listReplays } = require('./sim/replay');
+const { resolveTierSchedules, simulateSchedule } = require('./sim/tierSchedules');
+const { PHYSICS_VERSION } = require('./shared/physicsVersion');
+const LobbyHeartbeat = require('./net/lobbyHeartbeat');
+
 // â”€â”€ $TTAW Token Reward System â”€â”€
 const TokenRewardSystem = require('./tokenRewards');
 const FeeManager = require('./feeManager');
@@ -40,27 +49,35 @@ const spendVerifier = new TokenSpendVerifier(rewards.privy, gameConstants);
 // â”€â”€ Audit Log + State Backup â”€â”€
 const AuditLog = require('./auditLog');
 const StateBackup = require('./stateBackup');
+const BountyLedger = require('./bountyLedger');
 
 const auditLog = new AuditLog(null, gameConstants, rewards.privy);
-const stateBackup = new StateBackup(payouts, feeManager, spendVerifier, null, gameConstants);
+// Every bounty movement, double-entry — reconciled against the live arenas hourly
+const bountyLedger = new BountyLedger(gameConstants, {
+  getArenas: () => matchmaker.all().map(a => ({
+    id: a.id,
+    marbles: a.world.getAliveMarbles().map(m => ({ id: m.id, bounty: m.bounty }))
+  })),
+  onMismatch: (report) => auditLog.alertLedgerMismatch(report)
+});
+const stateBackup = new StateBackup(payouts, feeManager, spendVerifier, null, gameConstants, bountyLedger);
+const SolvencyGuard = require('./solvencyGuard');
 // ── Goldn Yard Time Engine (requires io, wired after server.listen) ──
 const GoldenHourManager = require('./goldenHourManager');
 const QueueManager = require('./queueManager');
-let goldenHourManager = null; // initialized after io is ready
-let queueManager = null;      // initialized after io is ready
 
 stateBackup.restore().then(() => {
     // ═══ FIX: Restore vault state as proper types (JSON kills Sets) ═══
-    gameState.exhaustedTiers = new Set(gameState.exhaustedTiers || []);
-    gameState.usedBuyInSignatures = new Set(gameState.usedBuyInSignatures || []);
-    gameState.goldenVaultFloor = gameState.goldenVaultFloor || 0;
+    for (const arena of matchmaker.all()) {
+      arena.state.exhaustedTiers = new Set(arena.state.exhaustedTiers || []);
+      arena.state.goldenVaultFloor = arena.state.goldenVaultFloor || 0;
+    }
     console.log('✅ State restoration complete');
   }).catch(err => {
     console.log('ℹ️ No state to restore:', err.message);
   });
 
-const killedThisFrame = new Set(); // âœ… FIX: Track kills to prevent double-kill crash
-const dequeuedPlayers = new Map();   // privyUserId → queue entry (for recognizing paid players on reconnect)
+const dequeuedPlayers = new Map();   // privyUserId → queue entry + arenaId (for recognizing paid players on reconnect)
 const queueGraceTimers = new Map();  // privyUserId → setTimeout handle (grace period before removing disconnected queued player)
 
 // ═══ SHARED: Verify a USDC buy-in transaction on-chain ═══
@@ -72,7 +89,7 @@ async function verifyBuyInTransaction(txSignature, expectedSenderWallet) {
   const houseAddress = process.env.HOUSE_WALLET_ADDRESS || 'G4RNPSmh828JcqqZvJMGM3jaGmcg1apqkjF4oLyczA81';
 
   // 1. Replay check
-  if (gameState.usedBuyInSignatures && gameState.usedBuyInSignatures.has(txSignature)) {
+  if (usedBuyInSignatures.has(txSignature)) {
     return { success: false, error: 'Transaction already used' };
   }
 
@@ -135,8 +152,7 @@ async function verifyBuyInTransaction(txSignature, expectedSenderWallet) {
   }
 
   // 6. Mark signature as used
-  if (!gameState.usedBuyInSignatures) gameState.usedBuyInSignatures = new Set();
-  gameState.usedBuyInSignatures.add(txSignature);
+  usedBuyInSignatures.add(txSignature);
 
   const receivedUsdc = houseReceived / Math.pow(10, USDC_DECIMALS);
   return { success: true, houseReceived, receivedUsdc, senderAddress };
@@ -147,32 +163,13 @@ async function verifyBuyInTransaction(txSignature, expectedSenderWallet) {
 // CONFIGURATION
 // ============================================================================
 const PORT = process.env.PORT || 3001;
-const TICK_RATE = 1000 / 60; // ✅ 60 TPS (Slither.io standard)
-const SERVER_MODE = process.env.SERVER_MODE || 'free'; // 'paid' or 'free'
-const IS_PAID_SERVER = SERVER_MODE === 'paid';
-const MAX_BOTS = IS_PAID_SERVER ? 0 : (gameConstants.bot?.count ?? 0);
+const TICK_RATE = World.DEFAULT_TICK_RATE; // ✅ 60 TPS (Slither.io standard) — ticks per second
+const SERVER_MODE = process.env.SERVER_MODE || 'free'; // 'paid' or 'free' — default arena mode
+const ARENA_SPECS = parseArenaSpec(process.env.ARENAS, SERVER_MODE); // e.g. ARENAS=free:2,paid:1
+const MAX_BOTS = gameConstants.bot?.count ?? 0; // per free arena — bot.population scales below this
 const MAX_COINS = 500;
 const PLAYER_TIMEOUT = 15000;
 
-const SPATIAL_GRID_SIZE = gameConstants.collision?.gridSizePx || 64;
-
-const BOT_NAMES = [
-  'RollerPro', 'SpinMaster', 'MarbleKing', 'SphereHero', 'BounceBot',
-  'TurboMarble', 'SpeedyOrb', 'RollingThunder', 'CircleChamp', 'GlassGiant'
-];
-
-// ✅ Peewee types — catseye only. Ground ambient spawns + bots. NOT player boulders.
-const PEEWEE_TYPES = Object.values(gameConstants.pickupThemes || {})
-  .filter(theme => theme.isPeewee === true)
-  .map(theme => theme.key);
-
-if (PEEWEE_TYPES.length === 0) {
-  PEEWEE_TYPES.push('CATSEYEBLUEYELLOW', 'CATSEYEGREENBLUE', 'CATSEYEGREENORANGE');
-}
-
-// ✅ Bots use peewee types
-const BOT_MARBLE_TYPES = PEEWEE_TYPES;
-
 // ✅ All boulder (player shooter) marble types
 const MARBLE_TYPES = Object.values(gameConstants.pickupThemes || {})
   .filter(theme => theme.isBoulder)
@@ -197,251 +194,18 @@ const respawnReservations = new Map();
 
 const activeDepositWatchers = new Map(); // walletAddress → { wsId, startedAt }
 
-// ============================================================================
-// GAME STATE
-// ============================================================================
-const gameState = {
-  players: {},
-  bots: [],
-  coins: [],
-  exhaustedTiers: new Set(),
-  goldenVaultFloor: 0,
-  lastUpdate: Date.now(),
-  spatialGrid: null
-};
-
+// Buy-in replay protection — one wallet can't spend a tx in two arenas
+const usedBuyInSignatures = new Set();
+let cachedPocketedTotal = 0;
 
 // ============================================================================
-// PEEWEE PHYSICS UPDATE
+// GAME STATE — one Arena per ARENAS entry (built once io exists, below)
 // ============================================================================
-function updatePeeweePhysics(dt) {
-  const friction = gameConstants.peewee?.friction || 0.92;
-  const gravity = gameConstants.peewee?.gravity || 15;
-  const bounceMultiplier = gameConstants.peewee?.bounceMultiplier || 0.85;
-  const peeweeBounceMultiplier = gameConstants.peewee?.peeweeBounceMultiplier || 0.90;
-  const spinVelocityThreshold = gameConstants.peewee?.spinVelocityThreshold || 15;
-  const spinSpeedMin = gameConstants.peewee?.spinSpeedMin || 0.5;
-  const spinSpeedMax = gameConstants.peewee?.spinSpeedMax || 2.5;
-  
-  // âœ… Get all marbles ONCE before loop
-  const allMarbles = [...Object.values(gameState.players), ...gameState.bots]
-    .filter(m => m.alive);
-  
-for (const peewee of gameState.coins) {
-    // ✅ Skip ALL physics for coins being sucked in — suction is uninterruptible
-    if (peewee._inSuction) continue;
-    
-    // Random curve drift (each peewee curves slightly different)
-    if (!peewee._curve) {
-      peewee._curve = (Math.random() - 0.5) * 0.02;
-    }
-    
-    // Apply curve to velocity (rotate direction slightly)
-    if (Math.abs(peewee.vx) > 2 || Math.abs(peewee.vy) > 2) {
-      const cos = Math.cos(peewee._curve);
-      const sin = Math.sin(peewee._curve);
-      const newVx = peewee.vx * cos - peewee.vy * sin;
-      const newVy = peewee.vx * sin + peewee.vy * cos;
-      peewee.vx = newVx;
-      peewee.vy = newVy;
-    }
-    
-    // âœ… ALWAYS apply velocity to position (THIS MAKES IT ROLL!)
-    peewee.x += peewee.vx * dt;
-    peewee.y += peewee.vy * dt;
-    
-
-    
-    // âœ… Apply friction
-    peewee.vx *= friction;
-    peewee.vy *= friction;
-    
-    // âœ… Apply gravity
-    peewee.vy += gravity * dt;
-    
-    // Calculate velocity magnitude
-    const speed = Math.sqrt(peewee.vx * peewee.vx + peewee.vy * peewee.vy);
-    
-    // âœ… ONLY SPIN WHEN ROLLING (speed above threshold)
-    if (!peewee._spinSpeed) {
-      peewee._spinSpeed = (Math.random() * (spinSpeedMax - spinSpeedMin) + spinSpeedMin) * (Math.random() > 0.5 ? 1 : -1);
-    }
-    
-if (speed > spinVelocityThreshold) {
-      const spinMultiplier = Math.min(speed / 100, 6.0);
-      peewee.rotation = (peewee.rotation || 0) + (peewee._spinSpeed * spinMultiplier * dt);
-    }
-    
-    // Stop if moving very slowly
-    if (speed < 5) {
-      peewee.vx = 0;
-      peewee.vy = 0;
-    }
-    
-    // âœ… WALL COLLISION
-    const distFromCenter = Math.sqrt(peewee.x * peewee.x + peewee.y * peewee.y);
-    if (distFromCenter + peewee.radius > gameConstants.arena.radius) {
-      const nx = -peewee.x / distFromCenter;
-      const ny = -peewee.y / distFromCenter;
-      
-      const dot = peewee.vx * nx + peewee.vy * ny;
-      peewee.vx = (peewee.vx - 2 * dot * nx) * bounceMultiplier;
-      peewee.vy = (peewee.vy - 2 * dot * ny) * bounceMultiplier;
-      
-      const overlap = (distFromCenter + peewee.radius) - gameConstants.arena.radius;
-      peewee.x -= nx * overlap;
-      peewee.y -= ny * overlap;
-    }
-    
-  // ✅ PEEWEE-PEEWEE COLLISION (only during bounce window for dropped peewees)
-    const bounceWindowMs = gameConstants.peewee?.deathDrop?.bounceWindowMs || 2500;
-    const peeweeAge = Date.now() - (peewee.spawnTime || 0);
-    const peeweeCanBounce = !peewee.isDropped || peeweeAge < bounceWindowMs;
-    
-    if (peeweeCanBounce) {
-      for (const other of gameState.coins) {
-        if (other === peewee) continue;
-        
-        const otherAge = Date.now() - (other.spawnTime || 0);
-        const otherCanBounce = !other.isDropped || otherAge < bounceWindowMs;
-        if (!otherCanBounce) continue;
-        
-        const dx = other.x - peewee.x;
-        const dy = other.y - peewee.y;
-        const dist = Math.sqrt(dx * dx + dy * dy);
-        const minDist = peewee.radius + other.radius;
-        
-        if (dist < minDist && dist > 0) {
-          const nx = dx / dist;
-          const ny = dy / dist;
-          
-          const tempVx = peewee.vx;
-          const tempVy = peewee.vy;
-          peewee.vx = other.vx * peeweeBounceMultiplier;
-          peewee.vy = other.vy * peeweeBounceMultiplier;
-          other.vx = tempVx * peeweeBounceMultiplier;
-          other.vy = tempVy * peeweeBounceMultiplier;
-          
-          const overlap = minDist - dist;
-          peewee.x -= nx * (overlap / 2);
-          peewee.y -= ny * (overlap / 2);
-          other.x += nx * (overlap / 2);
-          other.y += ny * (overlap / 2);
-        }
-      }
-    }
-    
-   // ✅ MARBLE COLLISION (bounce off player/bot marbles — only during bounce window for drops)
-    if (peeweeCanBounce) {
-    for (const marble of allMarbles) {
-      const marbleRadius = calculateMarbleRadius(marble.lengthScore, gameConstants);
-      
-      // Check HEAD collision
-      const dx = peewee.x - marble.x;
-      const dy = peewee.y - marble.y;
-      const dist = Math.sqrt(dx * dx + dy * dy);
-      
-      if (dist < marbleRadius + peewee.radius && dist > 0) {
-        // Bounce off head
-        const nx = dx / dist;
-        const ny = dy / dist;
-        
-        const dot = peewee.vx * nx + peewee.vy * ny;
-        peewee.vx = (peewee.vx - 2 * dot * nx) * bounceMultiplier;
-        peewee.vy = (peewee.vy - 2 * dot * ny) * bounceMultiplier;
-        
-        // Push out
-        const overlap = (marbleRadius + peewee.radius) - dist;
-        peewee.x += nx * overlap;
-        peewee.y += ny * overlap;
-        
-        continue; // Skip body check if hit head
-      }
-      
-      // Check BODY SEGMENT collisions
-// Check BODY SEGMENT collisions (only check nearby segments for performance)
-      if (marble.pathBuffer && marble.pathBuffer.samples.length > 1) {
-        const segmentSpacing = 20;
-        const bodyLength = marble.lengthScore * 2;
-        const numSegments = Math.floor(bodyLength / segmentSpacing);
-        
-        // âœ… Only check first 10 segments for performance
-// ✅ Check every 2nd segment across full body length
-        for (let segIdx = 1; segIdx <= numSegments; segIdx += 2) {
-           const sample = marble.pathBuffer.sampleBack(segIdx * segmentSpacing);
-          
-          const segDx = peewee.x - sample.x;
-          const segDy = peewee.y - sample.y;
-          const segDist = Math.sqrt(segDx * segDx + segDy * segDy);
-          
-          const segmentRadius = marbleRadius * 0.9;
-          
-          if (segDist < segmentRadius + peewee.radius && segDist > 0) {
-            // Bounce off segment
-            const nx = segDx / segDist;
-            const ny = segDy / segDist;
-            
-            const dot = peewee.vx * nx + peewee.vy * ny;
-            peewee.vx = (peewee.vx - 2 * dot * nx) * bounceMultiplier;
-            peewee.vy = (peewee.vy - 2 * dot * ny) * bounceMultiplier;
-            
-            // Push out
-            const overlap = (segmentRadius + peewee.radius) - segDist;
-            peewee.x += nx * overlap;
-            peewee.y += ny * overlap;
-            
-  break; // Only bounce once per marble
-          }
-        }
-      }
-    }  // ← closes for (const marble of allMarbles)
-    }  // ← closes if (peeweeCanBounce)
-  }    // ← closes for (const peewee of gameState.coins)
-}      // ← closes function updatePeeweePhysics
-
-
-// ============================================================================
-// SPATIAL GRID (from Doc 15)
-// ============================================================================
-class SpatialGrid {
-  constructor(cellSize, bounds) {
-    this.cellSize = cellSize;
-    this.bounds = bounds;
-    this.grid = new Map();
-  }
-
-  clear() {
-    this.grid.clear();
-  }
-
-  _getKey(x, y) {
-    return `${Math.floor(x / this.cellSize)},${Math.floor(y / this.cellSize)}`;
-  }
-
-  insert(x, y, entity) {
-    const key = this._getKey(x, y);
-    if (!this.grid.has(key)) this.grid.set(key, []);
-    this.grid.get(key).push(entity);
-  }
-
-  insertMarble(marble) {
-    const radius = calculateMarbleRadius(marble.lengthScore, gameConstants);
-    this.insert(marble.x, marble.y, marble);
-    
-    if (marble.pathBuffer && marble.pathBuffer.samples.length > 1) {
-      const segmentSpacing = 20;
-      const bodyLength = marble.lengthScore * 2;
-      const numSegments = Math.floor(bodyLength / segmentSpacing);
-      
-      for (let i = 1; i <= Math.min(numSegments, 50); i++) {
-        const sample = marble.pathBuffer.sampleBack(i * segmentSpacing);
-        this.insert(sample.x, sample.y, { ...marble, isSegment: true, segmentIndex: i });
-      }
-    }
-  }
-}
-
+// The simulation seed is logged so a bad round can be re-run offline;
+// arena n runs on SIM_SEED + n
+const SIM_SEED = parseInt(process.env.SIM_SEED, 10) || (Date.now() >>> 0);
 
+const matchmaker = new Matchmaker(SERVER_MODE);
 
 // ============================================================================
 // RATE LIMITING (from Doc 15)
@@ -460,814 +224,6 @@ function checkRateLimit(socketId, action) {
   return true;
 }
 
-// ============================================================================
-// HELPER FUNCTIONS
-// ============================================================================
-// ============================================================================
-// GOLDEN VAULT HELPERS
-// ============================================================================
-
-function getVaultFloorForTier(tierThreshold) {
-  const floors = gameConstants.goldenVault?.vaultFloors || [];
-  let bestFloor = 0;
-  for (let i = 0; i < floors.length; i++) {
-    if (floors[i].tierThreshold <= tierThreshold) {
-      bestFloor = floors[i].vaultFloor;
-    }
-  }
-  return bestFloor;
-}
-
-function findGoldenMib() {
-  const allAlive = [
-    ...Object.values(gameState.players).filter(p => p.alive),
-    ...gameState.bots.filter(b => b.alive)
-  ];
-  return allAlive.find(m => m.isGolden) || null;
-}
-
-function findSecondHighestBounty(excludeId) {
-  const allAlive = [
-    ...Object.values(gameState.players).filter(p => p.alive && p.id !== excludeId),
-    ...gameState.bots.filter(b => b.alive && b.id !== excludeId)
-  ];
-  if (allAlive.length === 0) return null;
-  return allAlive.reduce((prev, cur) => (cur.bounty || 0) > (prev.bounty || 0) ? cur : prev);
-}
-
-
-
-
-function marble_alive_false_only(marble) {
-  if (!marble) return;
-  marble.alive = false;
-  // Drop peewees for length (no $ value, just gameplay)
-  const dropInfo = calculateBountyDrop(marble, gameConstants);
-  const dropDist = calculateDropDistribution(dropInfo.totalValue, gameConstants, marble.lengthScore);
-  const coinsToSpawn = Math.min(dropDist.numDrops, MAX_COINS - gameState.coins.length);
-  
-  for (let i = 0; i < coinsToSpawn; i++) {
-    let spawnX = marble.x;
-    let spawnY = marble.y;
-    if (marble.pathBuffer && marble.pathBuffer.samples.length > 1) {
-      const bodyLength = marble.lengthScore * 2;
-      const distanceAlong = (i / coinsToSpawn) * bodyLength;
-      const sample = marble.pathBuffer.sampleBack(distanceAlong);
-      if (sample) { spawnX = sample.x; spawnY = sample.y; }
-    }
-    const angle = Math.random() * Math.PI * 2;
-    const distance = 20 + Math.random() * 40;
-    const explodeSpeed = 100 + Math.random() * 80;
-    
-const sm = 0.5 + Math.random() * 0.5;
-    const baseRadius = gameConstants.peewee?.radius || 20;
-    const baseGrowth = (dropDist.totalValue / Math.max(1, dropDist.numDrops));
-    gameState.coins.push({
-      id: `coin_${Date.now()}_${Math.random()}_${i}`,
-      x: spawnX + Math.cos(angle) * distance,
-      y: spawnY + Math.sin(angle) * distance,
-      vx: Math.cos(angle) * explodeSpeed,
-      vy: Math.sin(angle) * explodeSpeed,
-      growthValue: Math.max(1, Math.floor(baseGrowth * sm)),
-      radius: baseRadius * sm,
-sizeMultiplier: sm,
-      isDropped: true,
-      mass: gameConstants.peewee?.mass || 2.0,
-      friction: gameConstants.peewee?.friction || 0.92,
-      marbleType: marble.marbleType || 'GALAXY1',
-      rotation: 0,
-      spawnTime: Date.now()
-    });
-  }
-}
-
-
-function calculateBountyDrop(marble, C) {
-  const totalValue = marble.lengthScore * (C.collision?.dropValueMultiplier || 0.5);
-  const bountyValue = marble.bounty || 1;
-  return { totalValue, bountyValue };
-}
-
-function calculateDropDistribution(totalValue, C, lengthScore) {
-  const segmentSpacing = 20;
-  const numSegments = Math.max(1, Math.floor((lengthScore * 2) / segmentSpacing));
-  const dropsPerSeg = C.deathDrop?.dropsPerSegment || 1;
-  const maxDrops = C.deathDrop?.maxDrops || 30;
-  const numDrops = Math.min(numSegments * dropsPerSeg, maxDrops);
-
-  // ✅ Randomised sizeMultipliers (0.5–1.0) per drop, normalised so total value is preserved
-  const rawWeights = Array.from({ length: numDrops }, () => 0.5 + Math.random() * 0.5);
-  const weightSum = rawWeights.reduce((a, b) => a + b, 0);
-  const sizeMultipliers = rawWeights.map(w => w / weightSum * numDrops); // normalised around 1.0 mean
-  // Clamp each back to 0.6–1.5 range and derive value proportionally
-  const clampedMultipliers = sizeMultipliers.map(m => Math.max(0.6, Math.min(1.5, m)));
-
-  return { numDrops, totalValue, clampedMultipliers, numSegments, dropsPerSeg };
-}
-function findSafeSpawn(minDistance, arenaRadius) {
-  const allMarbles = [...Object.values(gameState.players), ...gameState.bots];
-  
-  for (let attempt = 0; attempt < 100; attempt++) {
-    const angle = Math.random() * Math.PI * 2;
-    const distance = Math.random() * arenaRadius * 0.7;
-    const x = Math.cos(angle) * distance;
-    const y = Math.sin(angle) * distance;
-    
-    let isSafe = true;
-    for (const marble of allMarbles) {
-      if (!marble.alive) continue;
-      const dist = Math.hypot(x - marble.x, y - marble.y);
-      if (dist < minDistance) {
-        isSafe = false;
-        break;
-      }
-    }
-    
-    if (isSafe) return { x, y };
-  }
-  
-  return { x: 0, y: 0 };
-}
-
-
-
-// ============================================================================
-// BOT AI â€” SMART BOTS
-// ============================================================================
-
-function findNearestCoin(marble, maxRange) {
-  let nearest = null;
-  let minDist = maxRange || Infinity;
-  
-  for (const coin of gameState.coins) {
-    const dist = Math.hypot(coin.x - marble.x, coin.y - marble.y);
-    if (dist < minDist) {
-      minDist = dist;
-      nearest = coin;
-    }
-  }
-  return nearest;
-}
-
-// âœ… Check if a position is too close to arena wall
-function isNearWall(x, y, buffer) {
-  const distFromCenter = Math.sqrt(x * x + y * y);
-  return distFromCenter + buffer > gameConstants.arena.radius;
-}
-
-// âœ… Get steering angle AWAY from wall (tangent + inward)
-function getWallAvoidAngle(x, y) {
-  // Point toward center, but offset 45Â° so bot curves away smoothly
-  const angleToCenter = Math.atan2(-y, -x);
-  const offset = (Math.random() > 0.5 ? 1 : -1) * (Math.PI / 4);
-  return angleToCenter + offset;
-}
-
-// âœ… Scan ahead for body segments in bot's path
-function scanForBodies(bot, lookAhead, scanWidth) {
-  const allMarbles = [...Object.values(gameState.players), ...gameState.bots]
-    .filter(m => m.alive && m.id !== bot.id);
-  
-  const cosA = Math.cos(bot.angle);
-  const sinA = Math.sin(bot.angle);
-  
-  let closestThreat = null;
-  let closestDist = lookAhead;
-  
-  for (const other of allMarbles) {
-    const otherRadius = calculateMarbleRadius(other.lengthScore, gameConstants);
-    
-    // Check head
-    const hdx = other.x - bot.x;
-    const hdy = other.y - bot.y;
-    const headDist = Math.sqrt(hdx * hdx + hdy * hdy);
-    
-    if (headDist < lookAhead) {
-      // Project onto bot's forward direction
-      const forward = hdx * cosA + hdy * sinA;
-      const lateral = Math.abs(-hdx * sinA + hdy * cosA);
-      
-      if (forward > 0 && forward < closestDist && lateral < scanWidth + otherRadius) {
-        closestDist = forward;
-        closestThreat = { x: other.x, y: other.y, isHead: true, ownerId: other.id };
-      }
-    }
-    
-    // Check body segments
-    if (other.pathBuffer && other.pathBuffer.samples.length > 1) {
-      const segSpacing = 20;
-      const bodyLen = other.lengthScore * 2;
-      const numSegs = Math.floor(bodyLen / segSpacing);
-      
-      // Only check every 3rd segment for performance
-      for (let i = 1; i <= numSegs; i += 3) {
-        const sample = other.pathBuffer.sampleBack(i * segSpacing);
-        const sdx = sample.x - bot.x;
-        const sdy = sample.y - bot.y;
-        const segDist = Math.sqrt(sdx * sdx + sdy * sdy);
-        
-        if (segDist < lookAhead) {
-          const forward = sdx * cosA + sdy * sinA;
-          const lateral = Math.abs(-sdx * sinA + sdy * cosA);
-          const segRadius = otherRadius * 0.9;
-          
-          if (forward > 0 && forward < closestDist && lateral < scanWidth + segRadius) {
-            closestDist = forward;
-            closestThreat = { x: sample.x, y: sample.y, isHead: false, ownerId: other.id };
-          }
-        }
-      }
-    }
-  }
-  
-  return closestThreat;
-}
-
-// âœ… Find a huntable target (smaller or similar size, nearby)
-function findHuntTarget(bot) {
-  const allMarbles = [...Object.values(gameState.players), ...gameState.bots]
-    .filter(m => m.alive && m.id !== bot.id);
-  
-  let bestTarget = null;
-  let bestScore = -Infinity;
-  
-  for (const other of allMarbles) {
-    const dist = Math.hypot(other.x - bot.x, other.y - bot.y);
-    if (dist > 600) continue; // Only hunt nearby
-    
-    // Prefer smaller targets, closer targets, and players over bots
-    const sizeAdvantage = bot.lengthScore - other.lengthScore;
-    if (sizeAdvantage < -50) continue; // Don't hunt much bigger
-    
-    const score = sizeAdvantage * 2 - dist + (other.isBot ? 0 : 100) + (other.bounty || 0) * 5;
-    
-    if (score > bestScore) {
-      bestScore = score;
-      bestTarget = other;
-    }
-  }
-  
-  return bestScore > 0 ? bestTarget : null;
-}
-
-// âœ… Get angle to intercept a moving target (lead the target)
-function getInterceptAngle(bot, target) {
-  const baseSpeed = gameConstants.movement?.normalSpeed || 250;
-  
-  // Predict where target will be in ~0.5 seconds
-  const predictX = target.x + Math.cos(target.angle || 0) * baseSpeed * 0.5;
-  const predictY = target.y + Math.sin(target.angle || 0) * baseSpeed * 0.5;
-  
-  return Math.atan2(predictY - bot.y, predictX - bot.x);
-}
-
-function updateBotAI(bot, delta) {
-  const dt = 1 / TICK_RATE; // ✅ Fixed timestep: 1/60 = 0.01667s
-  const botRadius = calculateMarbleRadius(bot.lengthScore, gameConstants);
-  
-  // âœ… Initialize AI state
-if (!bot._aiState) {
-    bot._aiState = 'HUNT_COIN';
-    bot._stateTimer = 0;
-    bot._reactionDelay = 200 + Math.random() * 1200; // ✅ 200-1400ms — some sharp, some very slow
-    bot._lastPlayerSeen = null;
-    bot._personality = Math.random(); // 0 = passive, 1 = aggressive
-    bot._steerSmooth = bot.angle; // Smoothed steering
-    bot._wanderCurve = (Math.random() - 0.5) * 0.03; // ✅ Slight curve drift for natural movement
-    bot._decisionJitter = 0; // ✅ Prevents rapid state flipping
-  }
-  
-  bot._stateTimer += delta;
-  
-  // ========================================
-  // PRIORITY 1: WALL AVOIDANCE (always active)
-  // ========================================
-  const wallBuffer = botRadius + 150;
-  const futureX = bot.x + Math.cos(bot.angle) * 200;
-  const futureY = bot.y + Math.sin(bot.angle) * 200;
-  
-  if (isNearWall(futureX, futureY, wallBuffer) || isNearWall(bot.x, bot.y, wallBuffer)) {
-    bot._aiState = 'WALL_AVOID';
-    const avoidAngle = getWallAvoidAngle(bot.x, bot.y);
-    bot.targetAngle = avoidAngle;
-    bot.boosting = false;
-    
-    // Emergency: very close to wall, steer harder toward center
-    const distFromCenter = Math.sqrt(bot.x * bot.x + bot.y * bot.y);
-    if (distFromCenter + botRadius > gameConstants.arena.radius - 50) {
-      bot.targetAngle = Math.atan2(-bot.y, -bot.x); // Straight to center
-    }
-  }
-  
-  // ========================================
-  // PRIORITY 2: BODY/HEAD COLLISION AVOIDANCE
-  // ========================================
-  else {
-    const lookAhead = 150 + (bot.boosting ? 100 : 0);
-    const scanWidth = botRadius + 20;
-    const threat = scanForBodies(bot, lookAhead, scanWidth);
-    
-    if (threat) {
-      bot._aiState = 'DODGE';
-      
-      // Steer perpendicular to threat
-      const angleToThreat = Math.atan2(threat.y - bot.y, threat.x - bot.x);
-      const angleDiff = wrapAngle(angleToThreat - bot.angle);
-      
-      // Dodge left or right depending on which side threat is on
-      const dodgeDir = angleDiff > 0 ? -1 : 1;
-      bot.targetAngle = bot.angle + dodgeDir * (Math.PI / 2.5);
-      bot.boosting = false; // Slow down to steer better
-      
-    }
-    
-    // ========================================
-    // PRIORITY 3: HUNT / COLLECT / WANDER
-    // ========================================
-    else {
-// âœ… Always try coins first
-      const nearestCoin = findNearestCoin(bot, 500);
-      
-      // Only hunt players when NO coins nearby and bot is big + aggressive
-      if (!nearestCoin && bot._personality > 0.7 && bot.lengthScore > 300 && bot._stateTimer > bot._reactionDelay) {
-        const huntTarget = findHuntTarget(bot);
-        
-        if (huntTarget) {
-          bot._aiState = 'HUNT_PLAYER';
-          
-          // âœ… Delayed reaction: use last known position, not current
-          if (!bot._lastPlayerSeen || Date.now() - (bot._lastSeenTime || 0) > bot._reactionDelay) {
-            bot._lastPlayerSeen = { x: huntTarget.x, y: huntTarget.y, angle: huntTarget.angle || 0 };
-            bot._lastSeenTime = Date.now();
-          }
-          
-          // Lead the target with prediction
-          bot.targetAngle = getInterceptAngle(bot, bot._lastPlayerSeen);
-          
-          // Boost to close distance
-          const huntDist = Math.hypot(huntTarget.x - bot.x, huntTarget.y - bot.y);
-          bot.boosting = huntDist < 400 && huntDist > 100;
-          
-        } else {
-          bot._aiState = 'HUNT_COIN';
-        }
-      }
-      
-      // Collect coins
- if (bot._aiState === 'HUNT_COIN' || bot._aiState === 'HUNT_PLAYER') {
-        if (bot._aiState !== 'HUNT_PLAYER') {
-          if (nearestCoin) {
-            bot.targetAngle = Math.atan2(nearestCoin.y - bot.y, nearestCoin.x - bot.x);
-            
-            // Boost toward coin clusters
-            const coinDist = Math.hypot(nearestCoin.x - bot.x, nearestCoin.y - bot.y);
-            bot.boosting = coinDist > 200 && bot.lengthScore > 150 && Math.random() < 0.3;
-          } else {
-            bot._aiState = 'WANDER';
-          }
-        }
-      }
-      
-      // Wander when nothing to do
-      if (bot._aiState === 'WANDER') {
-        if (bot._stateTimer > 2000 + Math.random() * 2000) {
-          // Pick random point within safe zone (70% of arena)
-          const angle = Math.random() * Math.PI * 2;
-          const distance = Math.random() * gameConstants.arena.radius * 0.6;
-          bot._wanderTarget = {
-            x: Math.cos(angle) * distance,
-            y: Math.sin(angle) * distance
-          };
-          bot._stateTimer = 0;
-        }
-        
-        if (bot._wanderTarget) {
-          bot.targetAngle = Math.atan2(
-            bot._wanderTarget.y - bot.y,
-            bot._wanderTarget.x - bot.x
-          );
-        }
-        bot.boosting = false;
-        
-        // Switch back to coin hunting periodically
-        if (bot._stateTimer > 1000) {
-          bot._aiState = 'HUNT_COIN';
-        }
-      }
-    }
-  }
-  
-// ========================================
-  // APPLY MOVEMENT (shared for all states) — ✅ Smoothed steering
-  // ========================================
-  // Smooth the target angle to prevent jittery snapping
-  const steerLerp = 0.08 + bot._personality * 0.07; // 0.08-0.15 depending on personality
-  const angleDiff = ((bot.targetAngle - bot._steerSmooth + Math.PI * 3) % (Math.PI * 2)) - Math.PI;
-  bot._steerSmooth = bot._steerSmooth + angleDiff * steerLerp;
-  
-  // ✅ Add subtle curve drift for organic movement
-  bot._steerSmooth += bot._wanderCurve;
-  
-  // ✅ Slowly drift the curve direction over time
-  if (Math.random() < 0.01) {
-    bot._wanderCurve = (Math.random() - 0.5) * 0.03;
-  }
-  
-  bot.angle = calculateTurnStep(
-    bot._steerSmooth,
-    bot.angle,
-    bot.lengthScore,
-    bot.boosting,
-    gameConstants,
-    dt
-  );
-  
-  const goldenBoost = bot.isGolden ? (gameConstants.golden?.speedMultiplier || 1.0) : 1.0;
-  const baseSpeed = gameConstants.movement?.normalSpeed || 250;
-  const boostMult = gameConstants.movement?.boostMultiplier || 1.6;
-  const speed = (bot.boosting ? baseSpeed * boostMult : baseSpeed) * goldenBoost;
-  
-
-  // ✅ Exponential boost growth loss for bots too
-  if (bot.boosting && bot.lengthScore > gameConstants.player.startLength) {
-    const boostCfg = gameConstants.boost || {};
-    const base = boostCfg.growthLossBase || 3;
-    const exp = boostCfg.growthLossExponent || 1.4;
-    const threshold = boostCfg.growthLossScaleThreshold || 500;
-    const sizeRatio = Math.max(1, bot.lengthScore / threshold);
-    const loss = base * Math.pow(sizeRatio, exp);
-    bot.lengthScore = Math.max(gameConstants.player.startLength, bot.lengthScore - loss * dt);
-  }
-
-  const newX = bot.x + Math.cos(bot.angle) * speed * dt;
-  const newY = bot.y + Math.sin(bot.angle) * speed * dt;
-  
-  const distFromCenter = Math.sqrt(newX * newX + newY * newY);
-  
-  if (distFromCenter + botRadius < gameConstants.arena.radius - 5) {
-    bot.x = newX;
-    bot.y = newY;
-    bot.pathBuffer.add(bot.x, bot.y);
-  } else {
-    // Emergency: force steer toward center next tick
-    bot.targetAngle = Math.atan2(-bot.y, -bot.x);
-  }
-}
-
-
-
-
-
-
-
-
-function checkCollisions(gameState, C) {
-  const results = [];
-  const allMarbles = [...Object.values(gameState.players), ...gameState.bots].filter(m => m.alive);
-  
-  // âœ… For each marble, check its HEAD against ALL other marbles (head + body)
-  for (let i = 0; i < allMarbles.length; i++) {
-    const marble = allMarbles[i];
-    if (!marble.alive) continue;    
-    const headRadius = calculateMarbleRadius(marble.lengthScore, C);
-    
-    // Check against ALL other marbles
-    for (let j = 0; j < allMarbles.length; j++) {
-      if (i === j) continue; // Skip self
-      
-      const other = allMarbles[j];
-      if (!other.alive) continue;
-      
-      // âœ… SPAWN PROTECTION: Skip collision if either marble just spawned
-      if (marble.spawnProtection || other.spawnProtection) continue;
-      
-      const otherHeadRadius = calculateMarbleRadius(other.lengthScore, C);
-      
-      // âœ… CHECK 1: HEAD-to-HEAD collision
-      const dx = other.x - marble.x;
-      const dy = other.y - marble.y;
-      const dist = Math.sqrt(dx * dx + dy * dy);
-      
-      if (dist < (headRadius + otherHeadRadius) * 0.60) {
-        // HEAD-to-HEAD: Use angle comparison
-      // HEAD-to-HEAD: Use angle comparison
-        const collisionX = (marble.x + other.x) / 2;
-        const collisionY = (marble.y + other.y) / 2;
-        
-        const angleFromMarble = Math.atan2(collisionY - marble.y, collisionX - marble.x);
-        const relativeAngleMarble = Math.abs(wrapAngle(angleFromMarble - marble.angle));
-        
-        const angleFromOther = Math.atan2(collisionY - other.y, collisionX - other.x);
-        const relativeAngleOther = Math.abs(wrapAngle(angleFromOther - other.angle));
-        
-        // SMALLER angle = more aggressive = DIES
-        if (relativeAngleMarble < relativeAngleOther) {
-          results.push({ killerId: other.id, victimId: marble.id });
-          
-          // âœ… EMIT COLLISION EVENT with player IDs
-          io.emit('collision', {
-            x: collisionX,
-            y: collisionY,
-            playerId: marble.id,
-            otherPlayerId: other.id,
-            timestamp: Date.now()
-          });
-        } else if (relativeAngleOther < relativeAngleMarble) {
-          results.push({ killerId: marble.id, victimId: other.id });
-          
-          io.emit('collision', {
-            x: collisionX,
-            y: collisionY,
-            playerId: other.id,
-            otherPlayerId: marble.id,
-            timestamp: Date.now()
-          });
-        } else {
-          // Equal - both die
-          results.push({ killerId: null, victimId: marble.id });
-          results.push({ killerId: null, victimId: other.id });
-          
-          io.emit('collision', {
-            x: collisionX,
-            y: collisionY,
-            playerId: marble.id,
-            otherPlayerId: other.id,
-            timestamp: Date.now()
-          });
-        }
-        continue; // Skip body check if head-to-head happened
-      }
-      
-      // âœ… CHECK 2: HEAD-to-BODY collision
-      if (other.pathBuffer && other.pathBuffer.samples.length > 1) {
-        const segmentSpacing = 20;
-        const bodyLength = other.lengthScore * 2;
-        const numSegments = Math.floor(bodyLength / segmentSpacing);
-        
-        for (let segIdx = 1; segIdx <= numSegments; segIdx++) {
-          const sample = other.pathBuffer.sampleBack(segIdx * segmentSpacing);
-          
-          const segDx = sample.x - marble.x;
-          const segDy = sample.y - marble.y;
-          const segDist = Math.sqrt(segDx * segDx + segDy * segDy);
-          
-          const segmentRadius = otherHeadRadius * 0.9;
-          
-          if (segDist < (headRadius + segmentRadius) * 0.60) {
-       results.push({ 
-              killerId: other.id,
-              victimId: marble.id
-            });
-            
-            // âœ… EMIT COLLISION EVENT with player IDs
-            io.emit('collision', {
-              x: sample.x,
-              y: sample.y,
-              playerId: marble.id,
-              otherPlayerId: other.id,
-              timestamp: Date.now()
-            });
-            break;
-          }
-        }
-      }
-    }
-  }
-  
-  // Remove duplicates
-  const uniqueDeaths = new Map();
-  for (const result of results) {
-    const key = result.victimId;
-    if (!uniqueDeaths.has(key)) {
-      uniqueDeaths.set(key, result);
-    }
-  }
-  
-  return Array.from(uniqueDeaths.values());
-}
-
-// ============================================================================
-// WALL COLLISIONS
-// ============================================================================
-function checkWallCollisions() {
-  const allMarbles = [...Object.values(gameState.players), ...gameState.bots].filter(m => m.alive);
-  const wallHits = [];
-  
-  for (const marble of allMarbles) {
-    if (!marble.alive) continue;
-    
-    const leadRadius = calculateMarbleRadius(marble.lengthScore, gameConstants);
-    let hitWall = false;
-    let hitLocation = null;
-    
-    // Check head
-    const headDist = Math.sqrt(marble.x * marble.x + marble.y * marble.y);
-    if (headDist + leadRadius > gameConstants.arena.radius) {
-      hitWall = true;
-      hitLocation = { x: marble.x, y: marble.y };
-    }
-    
-    
-    if (hitWall) {
-      let creditTo = null;
-      const allMarbles = [...Object.values(gameState.players), ...gameState.bots].filter(m => m.alive);
-      const goldenMarble = allMarbles.find(m => m.isGolden && m.alive && m.id !== marble.id);
-      
-      if (goldenMarble) {
-        creditTo = goldenMarble.id;
-      } else {
-        const sorted = allMarbles
-          .filter(m => m.alive && m.id !== marble.id)
-          .sort((a, b) => (b.bounty || 0) - (a.bounty || 0));
-        
-        if (sorted.length > 0) creditTo = sorted[0].id;
-      }
-      
-      wallHits.push({ marbleId: marble.id, creditTo, location: hitLocation });
-    }
-  }
-  
-  return wallHits;
-}
-
-// ============================================================================
-// COIN COLLISIONS
-// ============================================================================
-function checkCoinCollisions() {
-  // âœ… FIX: Clean up invalid coins FIRST
-  gameState.coins = gameState.coins.filter(coin => 
-    coin && 
-    coin.x !== undefined && 
-    coin.y !== undefined && 
-    !isNaN(coin.x) && 
-    !isNaN(coin.y)
-  );
-  
-  const allMarbles = [...Object.values(gameState.players), ...gameState.bots].filter(m => m.alive);
-  
-  for (let i = gameState.coins.length - 1; i >= 0; i--) {
-    const coin = gameState.coins[i];
-    
-    // âœ… FIX: Safety check for this coin
-    if (!coin || !coin.x || !coin.y) {
-      gameState.coins.splice(i, 1);
-      continue;
-    }
-    
-    for (const marble of allMarbles) {
-      const marbleRadius = calculateMarbleRadius(marble.lengthScore, gameConstants);
-      const suctionRadius = marbleRadius + (gameConstants.suction?.extraRadius || 50);
-      const dist = Math.hypot(coin.x - marble.x, coin.y - marble.y);
-      
-      // âœ… COLLECTION: If touching marble head
-      if (dist < marbleRadius + coin.radius) {
-      marble.lengthScore += coin.growthValue;
-        gameState.coins.splice(i, 1);
-        spawnCoin(); // fill-as-eaten — instantly replace consumed peewee
-        
-              break;
-      }
-      
-      // âœ… SUCTION: Pull toward marble (Slither.io style)
-      if (dist < suctionRadius && dist > marbleRadius + coin.radius) {
-        coin._inSuction = true;
-        coin._suctionTarget = marble.id;
-        
-        // âœ… Accelerating pull - gets STRONGER near head
-        const distanceRatio = dist / suctionRadius; // 1.0 at edge, 0.0 at head
-      const pullStrength = Math.pow(1 - distanceRatio, 2) * 0.55; // Quadratic acceleration (25% faster)
-        
-        // Calculate direction to marble
-        const dx = marble.x - coin.x;
-        const dy = marble.y - coin.y;
-        
-        // âœ… Smooth pull with acceleration
-        coin.x += dx * pullStrength;
-        coin.y += dy * pullStrength;
-        
-        // Update velocity to match pull direction (for spin calculation)
-        coin.vx = dx * pullStrength * 60; // Convert to velocity
-        coin.vy = dy * pullStrength * 60;
-        
-        break; // Only one marble can suction this coin
-      } else {
-        // Reset suction flag if out of range
-        if (coin._suctionTarget === marble.id) {
-          coin._inSuction = false;
-          coin._suctionTarget = null;
-        }
-      }
-    }
-  }
-}
-
-// ============================================================================
-// DEATH & DROPS (with Golden Marble from Doc 15)
-// ============================================================================
-// ============================================================================
-// HELPER FUNCTIONS (after io initialization)
-// ============================================================================
-
-// ============================================================================
-//Collisions
-// ============================================================================
-
-
-
-// ============================================================================
-// SPAWNING
-// ============================================================================
-
-function spawnBot(id) {
-  const spawnPos = findSafeSpawn(
-    gameConstants.arena?.spawnMinDistance || 200,
-    gameConstants.arena.radius
-  );
-
-  const bot = {
-    id,
-    name: BOT_NAMES[Math.floor(Math.random() * BOT_NAMES.length)] + Math.floor(Math.random() * 100),
-marbleType: BOT_MARBLE_TYPES[Math.floor(Math.random() * BOT_MARBLE_TYPES.length)],    x: spawnPos.x,
-    y: spawnPos.y,
-    angle: Math.random() * Math.PI * 2,
-    targetAngle: Math.random() * Math.PI * 2,
-    lengthScore: gameConstants.bot?.startLength || 100,
-    bounty: Math.floor(Math.random() * ((gameConstants.bot?.startBountyMax || 5) - (gameConstants.bot?.startBounty || 1))) + (gameConstants.bot?.startBounty || 1),
-    kills: 0,
-    alive: true,
-    boosting: false,
-    isBot: true,
-    isGolden: false,
-    targetX: spawnPos.x,
-    targetY: spawnPos.y,
-    lastUpdate: Date.now(),
-    spawnTime: Date.now(),
-    pathBuffer: new PathBuffer(gameConstants.spline?.pathStepPx || 2),
- _aiState: 'HUNT_COIN',
-    _stateTimer: 0,
-    _reactionDelay: 200 + Math.random() * 1200,
-    _lastPlayerSeen: null,
-    _personality: Math.random(),
-    _steerSmooth: Math.random() * Math.PI * 2,
-    _wanderCurve: (Math.random() - 0.5) * 0.03,
-    _decisionJitter: 0
-  };
-
-  bot.pathBuffer.reset(bot.x, bot.y);
-  gameState.bots.push(bot);
-}
-
-function spawnCoin() {
-  // âœ… FIX: Clean up invalid coins BEFORE checking length
-  gameState.coins = gameState.coins.filter(coin => 
-    coin && 
-    coin.x !== undefined && 
-    coin.y !== undefined && 
-    !isNaN(coin.x) && 
-    !isNaN(coin.y)
-  );
-  
-if (gameState.coins.length >= 100) {
-    if (!this._lastMaxCoinsLog || Date.now() - this._lastMaxCoinsLog > 5000) {
-      //console.log(`⚠️ MAX COINS (100) reached, no spawning until some are eaten`);
-      //this._lastMaxCoinsLog = Date.now();
-    }
-    return;
-  }
-  
-  const angle = Math.random() * Math.PI * 2;
-  const distance = Math.random() * gameConstants.arena.radius * 0.95;
-  
-  // âœ… ALWAYS give initial roll velocity
-  const rollAngle = Math.random() * Math.PI * 2;
-  const min = gameConstants.peewee?.initialRollSpeedMin || 80;
-  const max = gameConstants.peewee?.initialRollSpeedMax || 180;
-  const rollSpeed = min + Math.random() * (max - min);
-  
-  const coin = {
-    id: `coin_${Date.now()}_${Math.random()}`,
-    x: Math.cos(angle) * distance,
-    y: Math.sin(angle) * distance,
-    vx: Math.cos(rollAngle) * rollSpeed,
-    vy: Math.sin(rollAngle) * rollSpeed,
-    radius: gameConstants.peewee?.radius || 50,
-    mass: gameConstants.peewee?.mass || 2.0,
-    growthValue: gameConstants.peewee?.growthValue || 20,
-    friction: gameConstants.peewee?.friction || 0.92,
-marbleType: PEEWEE_TYPES[Math.floor(Math.random() * PEEWEE_TYPES.length)],
-    isDropped: false,
-    sizeMultiplier: 1.0,
-    spawnTime: Date.now()
-  };
-  
-  gameState.coins.push(coin);
-  
-  // âœ… FIX: Log every 10 spawns
-  if (gameState.coins.length % 10 === 0) {
-  //  console.log(`ðŸŽ¯ Spawned coin! Total: ${gameState.coins.length}/100`);
-  }
-}
-
 // ============================================================================
 // EXPRESS & SOCKET.IO
 // ============================================================================
@@ -1285,6 +241,48 @@ const io = socketIO(server, {
   }
 });
 
+// ── Arenas: ids are the mode when there's one of it, else mode-1, mode-2… ──
+ARENA_SPECS.forEach(({ mode, count }) => {
+  for (let i = 1; i <= count; i++) {
+    const id = count === 1 && ARENA_SPECS.length === 1
+      ? (process.env.ARENA_ID || mode)
+      : `${mode}-${i}`;
+    const seed = (SIM_SEED + matchmaker.arenas.size) >>> 0;
+    const arena = matchmaker.add(new Arena(gameConstants, {
+      id,
+      mode,
+      io,
+      seed,
+      tickRate: TICK_RATE,
+      maxBots: MAX_BOTS,
+      maxCoins: MAX_COINS,
+      hooks: {
+        // Last-player refund only if the paid session never accrued anything
+        canRefundLastPlayer: (player) => {
+          const session = payouts.getSessionState(player.privyId);
+          return !!session && session.totalAccrued <= 0;
+        }
+      }
+    }));
+    wireArenaEvents(arena);
+    console.log(`🎲 Arena ${arena.id} (${arena.mode}) — simulation seed: ${seed}`);
+  }
+});
+
+const HAS_PAID_ARENA = matchmaker.hasMode('paid');
+
+// House USDC vs accrued payouts — closes paid play and holds big tiers when
+// it runs thin. Free-only servers have no paid play to guard: null.
+const solvencyGuard = HAS_PAID_ARENA
+  ? new SolvencyGuard(gameConstants, {
+    privyService: rewards.privy,
+    payouts,
+    getArenas: () => matchmaker.all().filter(a => a.isPaid),
+    onThrottle: (status) => auditLog.alertSolvencyLow(status),
+    onResume: (status) => auditLog.logSolvencyRestored(status)
+  })
+  : null;
+
 // ============================================================================
 // API ENDPOINTS
 // ============================================================================
@@ -1671,11 +669,23 @@ app.post('/api/request-gas', async (req, res) => {
   }
 });
 app.get('/health', (req, res) => {
+  const arenas = matchmaker.all();
   res.json({
     status: 'ok',
-    players: Object.keys(gameState.players).length,
-    bots: gameState.bots.length,
-    coins: gameState.coins.length,
+    players: arenas.reduce((sum, a) => sum + a.playerCount(), 0),
+    bots: arenas.reduce((sum, a) => sum + a.state.bots.length, 0),
+    coins: arenas.reduce((sum, a) => sum + a.state.coins.length, 0),
+    arenas: arenas.map(a => ({
+      ...a.getSummary(),
+      coins: a.state.coins.length,
+      botPopulation: a.world.botDirector.getTelemetry().current,
+      peeweeLayout: a.world.peeweeField.layoutName,
+      tierSchedule: a.world.economy.scheduleName,
+      heldTierThreshold: a.isPaid ? a.world.getHeldTierThreshold() : null,
+      powerUps: a.world.powerUps.getStatus(),
+      lagCompensation: a.world.lagComp.getMetrics()
+    })),
+    solvency: solvencyGuard ? solvencyGuard.getStatus() : { enabled: false },
     uptime: process.uptime()
   });
 });
@@ -1931,610 +941,432 @@ app.get('/api/wallet-balance', async (req, res) => {
 });
 
 // ============================================================================
-// FUNCTIONS THAT USE io (must be after io initialization)
+// REPLAYS (admin) — list recordings, re-simulate one into a kill/bounty timeline
 // ============================================================================
+app.get('/api/admin/replays', (req, res) => {
+  const adminKey = req.query.adminKey || req.headers['x-admin-key'];
+  if (adminKey !== process.env.ADMIN_SECRET) {
+    return res.status(403).json({ error: 'Unauthorized' });
+  }
+  res.json({
+    arenas: matchmaker.all().map(a => ({
+      id: a.id,
+      recording: a.replayRecorder?.filePath ? path.basename(a.replayRecorder.filePath) : null
+    })),
+    replays: listReplays()
+  });
+});
 
-function updateGoldenMarble() {
-  const allMarbles = [...Object.values(gameState.players), ...gameState.bots].filter(m => m.alive);
-  
-  allMarbles.forEach(m => m.isGolden = false);
-  
-  if (allMarbles.length > 0) {
-    const highest = allMarbles.reduce((prev, current) => {
-      return (current.bounty || 0) > (prev.bounty || 0) ? current : prev;
-    });
-    
-    if (highest.bounty > 0) highest.isGolden = true;
+// ── Bot population telemetry: bot-to-human ratio over time, per arena ──
+app.get('/api/admin/bot-population', (req, res) => {
+  const adminKey = req.query.adminKey || req.headers['x-admin-key'];
+  if (adminKey !== process.env.ADMIN_SECRET) {
+    return res.status(403).json({ error: 'Unauthorized' });
   }
-}
+  res.json({
+    arenas: matchmaker.all().map(a => ({
+      id: a.id,
+      ...a.world.botDirector.getTelemetry(),
+      squads: a.world.botSquads.getTelemetry()
+    }))
+  });
+});
 
-function checkCashoutTiers(player) {
-  if (!player.alive || player.isBot) return [];
-  
-  const tiers = gameConstants.cashout.tiers;
-  const cashoutsThisCheck = [];
-  const jackpotThreshold = gameConstants.goldenVault?.jackpotThreshold || 1000000;
-  
-  while (player.nextTierIndex < tiers.length) {
-    const tier = tiers[player.nextTierIndex];
-    
-    if (player.bounty >= tier.threshold) {
-      
-// ═══ TIER EXHAUSTION CHECK (jackpot-tier only) ═══
-      // Normal tiers reset per-player via nextTierIndex on death
-      // Only jackpot-level tiers use global exhaustion
-      if (tier.threshold >= (gameConstants.goldenVault?.jackpotThreshold || 1000000) && gameState.exhaustedTiers.has(tier.threshold)) {
-        console.log(`⏭️ JACKPOT TIER EXHAUSTED: $${tier.threshold} (skipping for ${player.name})`);
-        player.nextTierIndex++;
-        continue;
-      }
-      
-      // ═══ JACKPOT CHECK: $1M+ threshold ═══
-      if (tier.threshold >= jackpotThreshold) {
-        const jackpotAmount = player.bounty;
-        player.totalPayout = (player.totalPayout || 0) + jackpotAmount;
-        player.bounty = 0;
-        player.alive = false;
-        
-        cashoutsThisCheck.push({
-          tierIndex: player.nextTierIndex,
-          amount: jackpotAmount,
-          total: player.totalPayout,
-          isJackpot: true
-        });
-        
-        gameState.exhaustedTiers.add(tier.threshold);
-        
-        console.log(`🎰 ═══════════════════════════════════════`);
-        console.log(`🎰 JACKPOT!!! ${player.name}`);
-        console.log(`🎰 Paid: $${jackpotAmount.toFixed(2)} | Total: $${player.totalPayout.toFixed(2)}`);
-        console.log(`🎰 ═══════════════════════════════════════`);
-        
-        // Economy reset
-        gameState.exhaustedTiers.clear();
-        gameState.goldenVaultFloor = 0;
-        console.log(`🔄 ECONOMY RESET: All tiers refreshed, vault floor cleared`);
-        
-        // Emit jackpot to winner
-        io.to(player.id).emit('jackpot', {
-          amount: jackpotAmount,
-          total: player.totalPayout
-        });
-        
-        // Announce to entire lobby
-        io.emit('jackpotAnnouncement', {
-          playerName: player.name,
-          amount: jackpotAmount
-        });
-        
-        stateBackup.saveNow();
-        
-        // $TTAW rewards for jackpot
-        if (player.privyId && player._isPaidSession) {
-          payouts.accrueCashoutTier(player.privyId, tier.threshold, jackpotAmount);
-        }
-        
-        // Remove player from game after brief delay (let events emit first)
-        const jackpotPlayerId = player.id;
-        setTimeout(() => {
-          delete gameState.players[jackpotPlayerId];
-          io.emit('playerLeft', { playerId: jackpotPlayerId });
-          updateGoldenMarble();
-        }, 500);
-        
-        break;
-      }
-      
-      // ═══ NORMAL TIER PAYOUT ═══
-      const payout = tier.payout;
-      
-      if (payout > 0) {
-        const bountyBefore = player.bounty;
-        player.totalPayout = (player.totalPayout || 0) + payout;
-        player.bounty -= payout;
-        
- // Mark tier as exhausted only for jackpot-level tiers
-        if (tier.threshold >= (gameConstants.goldenVault?.jackpotThreshold || 1000000)) {
-          gameState.exhaustedTiers.add(tier.threshold);
-        }
-        
-        // Update vault floor if this player is Golden
-        if (player.isGolden) {
-          const newVaultFloor = getVaultFloorForTier(tier.threshold);
-          if (newVaultFloor > gameState.goldenVaultFloor) {
-            console.log(`🏦 VAULT FLOOR UP: $${gameState.goldenVaultFloor} → $${newVaultFloor} (triggered $${tier.threshold} tier)`);
-            gameState.goldenVaultFloor = newVaultFloor;
-          }
-        }
-        
-        cashoutsThisCheck.push({
-          tierIndex: player.nextTierIndex,
-          amount: payout,
-          total: player.totalPayout
-        });
-        
-        console.log(`💰 CASHOUT: ${player.name} | Tier $${tier.threshold}: payout $${payout} | Bounty: $${bountyBefore.toFixed(2)} → $${player.bounty.toFixed(2)} | Total paid: $${player.totalPayout.toFixed(2)}`);
-        stateBackup.saveNow();
-        
-        // $TTAW rewards
-        if (player.privyId && player._isPaidSession) {
-          payouts.accrueCashoutTier(player.privyId, tier.threshold, payout);
-        }
-        if (player.privyId) {
-          const tierBonus = payout * (gameConstants.economy?.rewards?.cashoutBonusRate || 0.10);
-          rewards.queueReward(player.privyId, tierBonus, `cashout_tier_${player.nextTierIndex}`);
-        }
-      }
-      
-      player.nextTierIndex++;
-    } else {
-      break;
-    }
+app.get('/api/admin/bot-economy', (req, res) => {
+  const adminKey = req.query.adminKey || req.headers['x-admin-key'];
+  if (adminKey !== process.env.ADMIN_SECRET) {
+    return res.status(403).json({ error: 'Unauthorized' });
   }
-  
-  return cashoutsThisCheck;
-}
+  res.json({
+    arenas: matchmaker.all().map(a => ({ id: a.id, isPaid: a.isPaid, ...a.world.botEconomy.getStats() }))
+  });
+});
 
+// ── Bounty ledger: balances per account, live mismatches, hourly reconciliation reports ──
+app.get('/api/admin/ledger', (req, res) => {
+  const adminKey = req.query.adminKey || req.headers['x-admin-key'];
+  if (adminKey !== process.env.ADMIN_SECRET) {
+    return res.status(403).json({ error: 'Unauthorized' });
+  }
+  res.json(bountyLedger.getStatus(req.query.arena || null));
+});
 
-// ============================================================================
-// LAST PLAYER REFUND — $1.00 buy-in returned if no kills, no payouts, last alive
-// ============================================================================
-function tryLastPlayerRefund(player) {
-  if (!player || !player._isPaidSession) return false;
-  if ((player.kills || 0) > 0) return false;
-  
-  const session = payouts.getSessionState(player.privyId);
-  if (!session || session.totalAccrued > 0) return false;
-  
-  const humanPlayers = Object.values(gameState.players).filter(p => p.alive && p.id !== player.id);
-  const aliveBots = gameState.bots.filter(b => b.alive && !b.isVaultKeeper);
-  if (humanPlayers.length > 0 || aliveBots.length > 0) return false;
-  
-  // All conditions met — refund
-  const refundAmount = 1.00;
-  payouts.accrueReward(player.privyId, refundAmount, 'Last player refund', {
-    type: 'last_player_refund'
-  });
-  console.log(`💸 LAST PLAYER REFUND: $${refundAmount.toFixed(2)} → ${player.name} (0 kills, 0 payouts, last alive)`);
-  
-// Clean exit — no death drops, no vault keeper
-  player.alive = false;
-  player.nextTierIndex = 0;
-  player._refundProcessed = true; // Flag so disconnect handler skips duplicate processing
-  
-  io.to(player.id).emit('playerDeath', {
-    playerId: player.id,
-    killerId: null,
-    killerName: 'Refund',
-    deathType: 'refund',
-    bountyLost: 0,
-    x: player.x,
-    y: player.y,
-    marbleType: player.marbleType,
-    timestamp: Date.now()
+// ── Cashout tier schedules: what's configured and what each arena runs ──
+app.get('/api/admin/cashout-schedules', (req, res) => {
+  const adminKey = req.query.adminKey || req.headers['x-admin-key'];
+  if (adminKey !== process.env.ADMIN_SECRET) {
+    return res.status(403).json({ error: 'Unauthorized' });
+  }
+  const { schedules, modes, nights } = resolveTierSchedules(gameConstants);
+  res.json({
+    schedules: Object.fromEntries(Object.entries(schedules).map(([name, tiers]) => [name, {
+      tiers: tiers.length,
+      firstThreshold: tiers[0].threshold,
+      lastThreshold: tiers[tiers.length - 1].threshold
+    }])),
+    modes,
+    nights,
+    arenas: matchmaker.all().map(a => ({ id: a.id, mode: a.mode, tierSchedule: a.world.economy.scheduleName }))
   });
-  
-  io.emit('playerLeft', { playerId: player.id });
-  delete gameState.players[player.id];
-  stateBackup.saveNow();
-  return true;
-}
+});
 
-function killMarble(marble, killerId, overrideDeathType) {
-  if (!marble || !marble.alive) return;
-  
-  // âœ… FIX: Prevent double-kill in same frame
-  if (killedThisFrame.has(marble.id)) {
-    console.log('âš ï¸ Already killed this frame:', marble.id);
-    return;
+// Expected house edge of a schedule for a spread of per-life bounties:
+// ?bounties=1:40,5:25,50:5 (bounty:weight), default cashout.simulator.bounties
+app.get('/api/admin/cashout-schedules/:name/simulate', (req, res) => {
+  const adminKey = req.query.adminKey || req.headers['x-admin-key'];
+  if (adminKey !== process.env.ADMIN_SECRET) {
+    return res.status(403).json({ error: 'Unauthorized' });
+  }
+  const { schedules } = resolveTierSchedules(gameConstants);
+  const tiers = schedules[req.params.name];
+  if (!tiers) {
+    return res.status(404).json({ error: 'Unknown schedule', schedules: Object.keys(schedules) });
   }
-  killedThisFrame.add(marble.id);
-  // ═══ RESET TIER INDEX ON DEATH — player can re-earn all tiers next life ═══
-  marble.nextTierIndex = 0;
-
-marble.alive = false;
-  
-  // ✅ Vault Keeper: skip peewee drops when absorbed by joining player
-const dropInfo = calculateBountyDrop(marble, gameConstants);
 
-  if (marble.isVaultKeeper) {
-    console.log(`🏦 VAULT KEEPER ABSORBED: ${marble.name} | Bounty: $${(marble.bounty || 0).toFixed(2)} | No peewee drop`);
-  } else {
-const dropDist = calculateDropDistribution(dropInfo.totalValue, gameConstants, marble.lengthScore);  
-const coinsToSpawn = Math.min(dropDist.numDrops, MAX_COINS - gameState.coins.length);
- console.log(`💀 DEATH DROP: ${marble.name} | lengthScore=${marble.lengthScore} | totalValue=${dropInfo.totalValue} | spawning ${coinsToSpawn} peewees`);
-
-for (let i = 0; i < coinsToSpawn; i++) {
-    // Distribute along the body, not just at head
-    let spawnX = marble.x;
-    let spawnY = marble.y;
-    
-    if (marble.pathBuffer && marble.pathBuffer.samples.length > 1) {
-      const bodyLength = marble.lengthScore * 2;
-      const distanceAlong = (i / coinsToSpawn) * bodyLength;
-      const sample = marble.pathBuffer.sampleBack(distanceAlong);
-      if (sample) {
-        spawnX = sample.x;
-        spawnY = sample.y;
-      }
+  let bounties = gameConstants.cashout?.simulator?.bounties || [];
+  if (req.query.bounties) {
+    bounties = String(req.query.bounties).split(',').map(pair => {
+      const [bounty, weight] = pair.split(':').map(Number);
+      return { bounty, weight: weight ?? 1 };
+    });
+    if (bounties.some(b => !(b.bounty >= 0) || !(b.weight >= 0))) {
+      return res.status(400).json({ error: 'bounties must be bounty:weight pairs, e.g. 1:40,5:25,50:5' });
     }
-    
-    // Random explosion direction from each segment
-    const angle = Math.random() * Math.PI * 2;
-    const distance = 20 + Math.random() * 40;
-    const explodeSpeed = 100 + Math.random() * 80;
-    
-   const sm = dropDist.clampedMultipliers ? (dropDist.clampedMultipliers[i] ?? 1.0) : 1.0;
-    const baseRadius = gameConstants.peewee?.radius || 20;
-    const baseGrowth = (dropDist.totalValue / Math.max(1, dropDist.numDrops));
+  }
 
-    
-    gameState.coins.push({
-      id: `coin_${Date.now()}_${Math.random()}_${i}`,
-      x: spawnX + Math.cos(angle) * distance,
-      y: spawnY + Math.sin(angle) * distance,
-      vx: Math.cos(angle) * explodeSpeed,
-      vy: Math.sin(angle) * explodeSpeed,
-      growthValue: Math.max(1, Math.floor(baseGrowth * sm)),
-      radius: baseRadius * sm,
-      sizeMultiplier: sm,
-      mass: gameConstants.peewee?.mass || 2.0,
-      friction: gameConstants.peewee?.friction || 0.92,
-      marbleType: marble.isGolden ? 'GOLDEN' : (marble.marbleType || 'GALAXY1'),
-      rotation: 0,
-      spawnTime: Date.now()
+  try {
+    res.json({
+      schedule: req.params.name,
+      ...simulateSchedule(tiers, bounties, {
+        jackpotThreshold: gameConstants.goldenVault?.jackpotThreshold,
+        buyInUsdc: gameConstants.economy.buyIn.amountUsdc,
+        houseSplitFraction: gameConstants.economy.buyIn.houseSplitFraction
+      })
     });
+  } catch (err) {
+    res.status(400).json({ error: err.message });
   }
-   }
-  
-  // Get killer info
-  let killer = null;
-  let killerName = 'The Arena';
-  let deathType = 'wall';
-  
-  if (killerId) {
-    killer = gameState.players[killerId];
-     if (!killer) killer = gameState.bots.find(b => b.id === killerId);
-    
-   if (killer) {
-      killerName = killer.name || 'Unknown';
-      deathType = overrideDeathType || 'player';
-  
-      
- if (killer.alive) {
-        const victimBounty = dropInfo.bountyValue;
-        const vaultConfig = gameConstants.goldenVault;
-        killer.kills = (killer.kills || 0) + 1;
-        const socket_killer_privyId = killer?.privyId || null;
-        
-        let bountyGainedForNotification = 0;
-
-        // ═══════════════════════════════════════════════════════
-        // CASE 1: VICTIM IS GOLDEN MIB → Vault Transfer Sequence
-        // ═══════════════════════════════════════════════════════
-        if (marble.isGolden && victimBounty > 0) {
-          const vaultFloor = gameState.goldenVaultFloor || 0;
-          const transferable = Math.max(0, victimBounty - vaultFloor);
-          
-          console.log(`🏦 VAULT TRANSFER: ${marble.name} killed by ${killer.name}`);
-          console.log(`   Bounty: $${victimBounty.toFixed(2)} | Vault: $${vaultFloor} | Transferable: $${transferable.toFixed(2)}`);
-          
-          // Step 2: Transfer only "up for grabs" portion
-          killer.bounty = (killer.bounty || 0) + transferable;
-          
-          // Step 3: Killer progresses through tiers on the transferable amount
-          if (!killer.isBot) {
-            const cashouts = checkCashoutTiers(killer);
-            if (cashouts && cashouts.length > 0) {
-              console.log(`💰 VAULT KILL TIERS: ${killer.name} | tiers=${cashouts.map(c => '$' + c.amount).join(', ')} | bounty after: $${killer.bounty.toFixed(2)}`);
-              io.to(killer.id).emit('cashout', {
-                tiers: cashouts.map(c => ({ amount: c.amount, isGolden: false, isJackpot: c.isJackpot || false })),
-                total: killer.totalPayout,
-                bountyGained: transferable
-              });
-              // If jackpot was hit, killer is removed — skip vault inheritance
-              if (cashouts.some(c => c.isJackpot)) {
-                console.log(`🎰 JACKPOT during vault transfer! ${killer.name} removed.`);
-                bountyGainedForNotification = transferable;
-                // Skip Step 4-6, player is gone
-              }
-            }
-            
-            // Step 4: Add vault floor on top (only if not jackpotted out)
-            if (killer.alive) {
-              killer.bounty += vaultFloor;
-              console.log(`🏦 VAULT INHERITED: ${killer.name} | New bounty: $${killer.bounty.toFixed(2)} | Vault floor: $${vaultFloor}`);
-            }
-          } else {
-            // Bot killer — just add vault floor directly
-            killer.bounty += vaultFloor;
-          }
-          
-          bountyGainedForNotification = transferable;
-
-        // ═══════════════════════════════════════════════════════
-        // CASE 2: KILLER IS GOLDEN MIB → 20% wallet, 80% bounty
-        // ═══════════════════════════════════════════════════════
-      } else if (killer.isGolden && victimBounty > 0) {
-          const isNonCombat = (overrideDeathType === 'wall' || overrideDeathType === 'disconnect');
-
-          if (isNonCombat) {
-            // ═══ WALL/DISCONNECT: 100% to bounty, NO 20% instant cash ═══
-            killer.bounty = (killer.bounty || 0) + victimBounty;
-            console.log(`🧱 ${overrideDeathType.toUpperCase()}→GOLDEN: ${killer.name} | +$${victimBounty.toFixed(2)} to bounty (no 20% cash) | New bounty: $${killer.bounty.toFixed(2)}`);
-
-            if (!killer.isBot) {
-              const cashouts = checkCashoutTiers(killer);
-              if (cashouts && cashouts.length > 0) {
-                console.log(`💰 ${overrideDeathType.toUpperCase()} TIERS: ${killer.name} | tiers=${cashouts.map(c => '$' + c.amount).join(', ')} | bounty: $${killer.bounty.toFixed(2)}`);
-                io.to(killer.id).emit('cashout', {
-                  tiers: cashouts.map(c => ({ amount: c.amount, isGolden: false, isJackpot: c.isJackpot || false })),
-                  total: killer.totalPayout,
-                  bountyGained: victimBounty
-                });
-              }
-            }
-            bountyGainedForNotification = victimBounty;
+});
 
-          } else {
-            // ═══ COMBAT KILL: 20% instant cash, 80% to bounty ═══
-            const goldenPayout = victimBounty * (vaultConfig?.instantCashRate || 0.20);
-            const bountyAdded = victimBounty - goldenPayout;
+app.get('/api/admin/replays/:name/timeline', (req, res) => {
+  const adminKey = req.query.adminKey || req.headers['x-admin-key'];
+  if (adminKey !== process.env.ADMIN_SECRET) {
+    return res.status(403).json({ error: 'Unauthorized' });
+  }
 
-            killer.bounty = (killer.bounty || 0) + bountyAdded;
+  const name = path.basename(req.params.name);
+  if (!/^[\w.-]+\.replay\.gz$/.test(name)) {
+    return res.status(400).json({ error: 'Invalid replay name' });
+  }
+  const file = path.join(process.env.REPLAY_DIR || './replays', name);
 
-            console.log(`🥇 GOLDEN KILL: ${killer.name} | Absorbed $${victimBounty.toFixed(2)} | 20%: $${goldenPayout.toFixed(2)} to wallet | 80%: $${bountyAdded.toFixed(2)} to bounty`);
+  // Re-simulation is CPU-bound — run it out of process so the game loop keeps ticking
+  const args = [path.join(__dirname, 'scripts', 'replay.js'), file];
+  if (req.query.until) args.push('--until', String(parseInt(req.query.until, 10) || 0));
+  if (req.query.format === 'csv') args.push('--csv');
 
-            if (!killer.isBot) {
-              killer.totalPayout = (killer.totalPayout || 0) + goldenPayout;
-              stateBackup.saveNow();
+  execFile(process.execPath, args, {
+    timeout: gameConstants.replay?.playbackTimeoutMs || 120000,
+    maxBuffer: 64 * 1024 * 1024
+  }, (err, stdout, stderr) => {
+    // Exit code 2 = diverged; the output is still useful up to that point
+    if (err && err.code !== 2) {
+      console.error('[API] replay timeline error:', stderr || err.message);
+      return res.status(500).json({ error: 'Replay failed', details: (stderr || err.message).slice(0, 500) });
+    }
+    if (req.query.format === 'csv') {
+      res.type('text/csv').send(stdout);
+    } else {
+      res.type('application/json').send(stdout);
+    }
+  });
+});
 
-              const killerSocket = io.sockets.sockets.get(killer.id);
-              if (killerSocket?.privyUserId) {
-                payouts.accrueGoldenBonus(killerSocket.privyUserId, goldenPayout);
-              }
+// ============================================================================
+// WORLD EVENTS → SOCKETS / PAYOUTS (must be after io initialization)
+// ============================================================================
+// The World decides WHAT happened; this block decides who hears about it
+// and which ledgers it touches.
+// Wired once per arena: room-scoped events go to arena.emit, money
+// events carry arena.id so fees and payouts can be split per arena.
+function wireArenaEvents(arena) {
+  const world = arena.world;
+
+  world.on('collision', (data) => {
+    arena.emit('collision', data);
+  });
 
-              io.to(killer.id).emit('cashout', {
-                tiers: [{ amount: goldenPayout, isGolden: true }],
-                total: killer.totalPayout,
-                isGolden: true,
-                bountyGained: victimBounty
-              });
+  world.on('cashout', (playerId, payload) => {
+    io.to(playerId).emit('cashout', payload);
+  });
 
-              const cashouts = checkCashoutTiers(killer);
-              if (cashouts && cashouts.length > 0) {
-                console.log(`💰 GOLDEN TIER CASHOUT: ${killer.name} | tiers=${cashouts.map(c => '$' + c.amount).join(', ')} | bounty: $${killer.bounty.toFixed(2)}`);
-                io.to(killer.id).emit('cashout', {
-                  tiers: cashouts.map(c => ({ amount: c.amount, isGolden: false, isJackpot: c.isJackpot || false })),
-                  total: killer.totalPayout,
-                  bountyGained: bountyAdded
-                });
-              }
-            }
-            bountyGainedForNotification = bountyAdded;
-          }
+  world.on('economyChanged', () => {
+    stateBackup.saveNow();
+  });
 
-        // ═══════════════════════════════════════════════════════
-        // CASE 3: REGULAR PVP → 10% tax to Golden Mib
-        // ═══════════════════════════════════════════════════════
-        } else {
-          const taxRate = vaultConfig?.passiveTaxRate || 0.10;
-          const taxExemptMax = vaultConfig?.taxExemptMaxBounty || 1;
-          
-          const goldenMib = findGoldenMib();
-          
-          // Tax exempt: both at $1 or less, OR no Golden Mib exists
-          const isExempt = !goldenMib || (victimBounty <= taxExemptMax && (killer.bounty || 0) <= taxExemptMax);
-          
-          let bountyToKiller = victimBounty;
-          let taxToGolden = 0;
-          
-          if (!isExempt) {
-            taxToGolden = victimBounty * taxRate;
-            bountyToKiller = victimBounty - taxToGolden;
-            goldenMib.bounty = (goldenMib.bounty || 0) + taxToGolden;
-            
-            console.log(`👑 GOLDEN TAX: ${goldenMib.name} +$${taxToGolden.toFixed(2)} (10% of $${victimBounty.toFixed(2)}) | Golden bounty now: $${goldenMib.bounty.toFixed(2)}`);
-            
-            // Check if Golden Mib's passive income triggers tiers
-            if (!goldenMib.isBot) {
-              const goldenCashouts = checkCashoutTiers(goldenMib);
-              if (goldenCashouts && goldenCashouts.length > 0) {
-                io.to(goldenMib.id).emit('cashout', {
-                  tiers: goldenCashouts.map(c => ({ amount: c.amount, isGolden: false, isJackpot: c.isJackpot || false })),
-                  total: goldenMib.totalPayout,
-                  bountyGained: taxToGolden
-                });
-              }
-            }
-          }
-          
-          killer.bounty = (killer.bounty || 0) + bountyToKiller;
-          
-          if (!killer.isBot) {
-            const cashouts = checkCashoutTiers(killer);
-            if (cashouts && cashouts.length > 0) {
-              console.log(`💰 REGULAR KILL TIERS: ${killer.name} | tiers=${cashouts.map(c => '$' + c.amount).join(', ')} | bounty: $${killer.bounty.toFixed(2)}`);
-              io.to(killer.id).emit('cashout', {
-                tiers: cashouts.map(c => ({ amount: c.amount, isGolden: false, isJackpot: c.isJackpot || false })),
-                total: killer.totalPayout,
-                bountyGained: bountyToKiller
-              });
-            }
-          }
-          
-          bountyGainedForNotification = bountyToKiller;
-        }
-        
-     // ═══════════════════════════════════════════════════════
-        // KILL NOTIFICATION + $TTAW + YARD TIME (all cases)
-        // ═══════════════════════════════════════════════════════
-        if (!killer.isBot && killer.alive) {
-          if (socket_killer_privyId) {
-            rewards.handleKill(socket_killer_privyId);
-            // Track kill for Goldn Yard Time prize (paid sessions only)
-            const killerSocket = io.sockets.sockets.get(killer.id);
-            if (killerSocket?.isPaidSession) {
-              feeManager.recordKill(socket_killer_privyId);
-            }
-          }
-          
-          io.to(killer.id).emit('playerKill', {
-            killerId: killer.id,
-            victimId: marble.id,
-            victimName: marble.name || 'Player',
-            bountyGained: bountyGainedForNotification
-          });
-        }
+  // Bounty math broke conservation — page someone
+  world.on('economyInvariantFailed', (failure) => {
+    auditLog.alertEconomyInvariant(arena.id, failure);
+  });
+
+  world.on('economyEvent', (event) => {
+    bountyLedger.postEconomyEvent(arena.id, event);
+  });
+
+  world.on('tierPayout', ({ player, threshold, amount, tierIndex, isJackpot }) => {
+    // $TTAW rewards
+    if (player.privyId && player._isPaidSession) {
+      payouts.accrueCashoutTier(player.privyId, threshold, amount);
+    }
+    if (!isJackpot && player.privyId) {
+      const tierBonus = amount * (gameConstants.economy?.rewards?.cashoutBonusRate || 0.10);
+      rewards.queueReward(player.privyId, tierBonus, `cashout_tier_${tierIndex}`);
+    }
+  });
+
+  world.on('jackpot', ({ player, amount, total }) => {
+    // Emit jackpot to winner
+    io.to(player.id).emit('jackpot', { amount, total });
+
+    // Announce to entire lobby
+    io.emit('jackpotAnnouncement', {
+      arenaId: arena.id,
+      playerName: player.name,
+      amount
+    });
+  });
+
+  world.on('goldenBonus', ({ killer, amount }) => {
+    // ═══ ACCRUE golden bonus to payout session ═══
+    const killerSocket = io.sockets.sockets.get(killer.id);
+    if (killerSocket?.privyUserId) {
+      payouts.accrueGoldenBonus(killerSocket.privyUserId, amount);
+    }
+  });
+
+  // ═══════════════════════════════════════════════════════
+  // KILL NOTIFICATION + $TTAW + YARD TIME (all cases)
+  // ═══════════════════════════════════════════════════════
+  world.on('kill', ({ killer, victim, bountyGained }) => {
+    if (killer.isBot || !killer.alive) return;
+
+    if (killer.privyId) {
+      rewards.handleKill(killer.privyId);
+      // Track kill for Goldn Yard Time prize (paid sessions only)
+      const killerSocket = io.sockets.sockets.get(killer.id);
+      if (killerSocket?.isPaidSession) {
+        feeManager.recordKill(killer.privyId, arena.id);
       }
+    }
+
+    io.to(killer.id).emit('playerKill', {
+      killerId: killer.id,
+      victimId: victim.id,
+      victimName: victim.name || 'Player',
+      bountyGained
+    });
+  });
+
+  world.on('lastPlayerRefund', ({ player, amount }) => {
+    payouts.accrueReward(player.privyId, amount, 'Last player refund', {
+      type: 'last_player_refund'
+    });
+
+    io.to(player.id).emit('playerDeath', {
+      playerId: player.id,
+      killerId: null,
+      killerName: 'Refund',
+      deathType: 'refund',
+      bountyLost: 0,
+      x: player.x,
+      y: player.y,
+      marbleType: player.marbleType,
+      timestamp: Date.now()
+    });
+  });
 
+  world.on('playerDeath', ({ marble, killerId, killerName, deathType, bountyLost }) => {
+    // ✅ EMIT death event to victim
+    io.to(marble.id).emit('playerDeath', {
+      playerId: marble.id,
+      killerId: killerId,
+      killerName: killerName,
+      deathType: deathType,
+      bountyLost: bountyLost,
+      x: marble.x,
+      y: marble.y,
+      marbleType: marble.marbleType,
+      timestamp: Date.now()
+    });
 
-      
-      
+    // ── Ghost slot: paid human deaths hold their arena slot for 50s (Play Again window) ──
+    if (arena.isPaid && marble.privyId && marble._isPaidSession) {
+      respawnReservations.set(marble.privyId, {
+        arenaId: arena.id,
+        deadline: Date.now() + 50000,
+        playerName: marble.name,
+        ghostSocketId: marble.id,
+      });
+      console.log(`👻 Ghost slot reserved: ${marble.name} | 50s window | privyId: ${marble.privyId}`);
     }
-  }
-  
-  if (marble.isBot) {
-    const idx = gameState.bots.findIndex(b => b.id === marble.id);
-    if (idx >= 0) {
-      gameState.bots.splice(idx, 1);
-      setTimeout(() => {
-        if (gameState.bots.length < MAX_BOTS) {
-          spawnBot(`bot_${Date.now()}`);
+
+    // âœ… Save stats to Supabase ON DEATH (before player data is lost)
+    const deathPrivyId = marble.privyId;
+    if (deathPrivyId) {
+      const sessionKills = marble.kills || 0;
+      const sessionEarned = marble.totalPayout || 0;
+      supabase
+        .from('players')
+       .select('total_kills, total_earned, games_played, highest_bounty, paid_kills, paid_earned, paid_highest_bounty, free_highest_bounty')
+        .eq('privy_id', deathPrivyId)
+        .single()
+        .then(({ data: existing }) => {
+          if (existing) {
+            const newHighest = Math.max(existing.highest_bounty || 0, marble.bounty || 0);
+            supabase
+              .from('players')
+              .update({
+                total_kills: (existing.total_kills || 0) + sessionKills,
+                total_earned: (existing.total_earned || 0) + sessionEarned,
+                games_played: (existing.games_played || 0) + 1,
+                paid_games_played: (existing.paid_games_played || 0) + (marble._isPaidSession ? 1 : 0),
+                highest_bounty: newHighest,
+                paid_kills: (existing.paid_kills || 0) + (marble._isPaidSession ? sessionKills : 0),
+                paid_earned: (existing.paid_earned || 0) + (marble._isPaidSession ? sessionEarned : 0),
+                paid_highest_bounty: marble._isPaidSession ? Math.max(existing.paid_highest_bounty || 0, marble.bounty || 0) : (existing.paid_highest_bounty || 0),
+                free_highest_bounty: !marble._isPaidSession ? Math.max(existing.free_highest_bounty || 0, marble.bounty || 0) : (existing.free_highest_bounty || 0),
+              })
+              .eq('privy_id', deathPrivyId)
+              .then(({ error }) => {
+                if (error) {
+                  console.error('[Supabase] Stats save failed:', error.message);
+                } else {
+                  console.log(`[Supabase] Stats saved for ${marble.name}: kills=${sessionKills} payout=$${sessionEarned.toFixed(2)} games=${(existing.games_played || 0) + 1}`);
+                }
+              });
+          }
+        })
+        .catch(err => console.error('[Supabase] Stats save error:', err.message));
+    }
+
+  // ✅ End payout session + cleanup survival interval on combat death
+    if (arena.isPaid) {
+      const deathSocket = io.sockets.sockets.get(marble.id);
+      if (deathSocket) {
+        if (deathSocket._survivalInterval) clearInterval(deathSocket._survivalInterval);
+        if (deathSocket.privyUserId) {
+          payouts.endSession(deathSocket.privyUserId, 'killed');
+          rewards.handleDeath(deathSocket.privyUserId);
         }
-      }, 3000);
+      }
     }
-} else {
-// ✅ EMIT death event to victim
-  io.to(marble.id).emit('playerDeath', {
-    playerId: marble.id,
-    killerId: killerId,
-    killerName: killerName,
-    deathType: deathType,
-    bountyLost: dropInfo.bountyValue,
-    x: marble.x,
-    y: marble.y,
-    marbleType: marble.marbleType,
-    timestamp: Date.now()
   });
 
-  // ── Ghost slot: paid human deaths hold their arena slot for 50s (Play Again window) ──
-  if (IS_PAID_SERVER && marble.privyId && marble._isPaidSession) {
-    respawnReservations.set(marble.privyId, {
-      deadline: Date.now() + 50000,
-      playerName: marble.name,
-      ghostSocketId: marble.id,
-    });
-    console.log(`👻 Ghost slot reserved: ${marble.name} | 50s window | privyId: ${marble.privyId}`);
-  }
+  world.on('marbleDeath', (data) => {
+    arena.emit('marbleDeath', data);
+  });
 
-  // âœ… Save stats to Supabase ON DEATH (before player data is lost)
-  const deathPrivyId = marble.privyId;
-  if (deathPrivyId) {
-    const sessionKills = marble.kills || 0;
-    const sessionEarned = marble.totalPayout || 0;
-    supabase
-      .from('players')
-     .select('total_kills, total_earned, games_played, highest_bounty, paid_kills, paid_earned, paid_highest_bounty, free_highest_bounty')
-      .eq('privy_id', deathPrivyId)
-      .single()
-      .then(({ data: existing }) => {
-        if (existing) {
-          const newHighest = Math.max(existing.highest_bounty || 0, marble.bounty || 0);
-          supabase
-            .from('players')
-            .update({
-              total_kills: (existing.total_kills || 0) + sessionKills,
-              total_earned: (existing.total_earned || 0) + sessionEarned,
-              games_played: (existing.games_played || 0) + 1,
-              paid_games_played: (existing.paid_games_played || 0) + (marble._isPaidSession ? 1 : 0),
-              highest_bounty: newHighest,
-              paid_kills: (existing.paid_kills || 0) + (marble._isPaidSession ? sessionKills : 0),
-              paid_earned: (existing.paid_earned || 0) + (marble._isPaidSession ? sessionEarned : 0),
-              paid_highest_bounty: marble._isPaidSession ? Math.max(existing.paid_highest_bounty || 0, marble.bounty || 0) : (existing.paid_highest_bounty || 0),
-              free_highest_bounty: !marble._isPaidSession ? Math.max(existing.free_highest_bounty || 0, marble.bounty || 0) : (existing.free_highest_bounty || 0),
-            })
-            .eq('privy_id', deathPrivyId)
-            .then(({ error }) => {
-              if (error) {
-                console.error('[Supabase] Stats save failed:', error.message);
-              } else {
-                console.log(`[Supabase] Stats saved for ${marble.name}: kills=${sessionKills} payout=$${sessionEarned.toFixed(2)} games=${(existing.games_played || 0) + 1}`);
-              }
-            });
-        }
-      })
-      .catch(err => console.error('[Supabase] Stats save error:', err.message));
-  }
+  world.on('playerLeft', (data) => {
+    arena.emit('playerLeft', data);
+  });
 
-// ✅ End payout session + cleanup survival interval on combat death
-  if (IS_PAID_SERVER) {
-    const deathSocket = io.sockets.sockets.get(marble.id);
-    if (deathSocket) {
-      if (deathSocket._survivalInterval) clearInterval(deathSocket._survivalInterval);
-      if (deathSocket.privyUserId) {
-        payouts.endSession(deathSocket.privyUserId, 'killed');
-        rewards.handleDeath(deathSocket.privyUserId);
-      }
+  // Every dollar into or out of a bot is on the audit trail
+  world.on('botValueFlow', (flow) => {
+    auditLog.logBotValue(arena.id, arena.isPaid, flow);
+    bountyLedger.postBotFlow(arena.id, flow, arena.isPaid);
+    if (flow.direction === 'out' && flow.counterparty === 'prizePool' && arena.isPaid) {
+      feeManager.recordBotBounty(flow.amount, arena.id);
     }
-  }
+  });
 
-  // ✅ FIX: DELETE IMMEDIATELY - no setImmediate delay!
-  delete gameState.players[marble.id];
-
-// ═══ VAULT KEEPER: Last entity leaves with bounty — always preserve it ═══
-  if (!killerId && (marble.bounty || 0) > 0) {
-    const anyoneLeft = [
-      ...Object.values(gameState.players).filter(p => p.alive),
-      ...gameState.bots.filter(b => b.alive)
-    ];
-    if (anyoneLeft.length === 0) {
-      const vaultKeeperBot = {
-        id: `vaultkeeper_${Date.now()}`,
-        name: '🏦 Vault Keeper',
-        x: 0, y: 0, angle: 0, targetAngle: 0,
-        lengthScore: gameConstants.player.startLength,
-        bounty: marble.bounty,
-        kills: 0, alive: true, boosting: false,
-        isBot: true, isGolden: true, isVaultKeeper: true,
-        lastUpdate: Date.now(), spawnTime: Date.now(),
-        pathBuffer: new PathBuffer(gameConstants.spline.pathStepPx || 2),
-        _lastValidX: 0, _lastValidY: 0, _lastAngle: 0,
-        _aiState: 'IDLE', _steerSmooth: 0, _wanderCurve: 0,
-        _personality: { aggression: 0, speed: 0 }
-      };
-      vaultKeeperBot.pathBuffer.reset(0, 0);
-      gameState.bots.push(vaultKeeperBot);
-      console.log(`🏦 VAULT KEEPER SPAWNED: Bounty $${marble.bounty.toFixed(2)} | Vault floor: $${gameState.goldenVaultFloor}`);
-      stateBackup.saveNow();
-    }
-  }
-}
-  
-io.emit('marbleDeath', {
-    marbleId: marble.id,
-    killerId: killerId,
-    position: { x: marble.x, y: marble.y }
+  // Bot director retired a bot — clients fade it out instead of a death
+  world.on('botRetired', ({ bot }) => {
+    arena.emit('botRetired', { botId: bot.id });
+  });
+
+  // Pickup flash + effect timer — the effect itself rides on snapshots (`powerUps`)
+  world.on('powerUpCollected', ({ marble, type, durationMs }) => {
+    arena.emit('powerUpCollected', { marbleId: marble.id, type, durationMs });
   });
-  
-  // âœ… FIX: Immediately recalculate golden status when someone dies
-  // This prevents the "no golden marble" gap that causes issues
-  updateGoldenMarble();
 }
 
 // ============================================================================
 // SOCKET.IO HANDLERS (with reconciliation from Doc 14)
 // ============================================================================
 
+// Everything a client needs to render its arena — sent on connect
+// and again whenever the socket moves to another arena
+function sendInit(socket) {
+  const arena = socket.arena;
+  const world = arena.world;
+  const snapshots = arena.snapshots;
+
+  socket.emit('init', {
+    playerId: socket.id,
+    constants: gameConstants,
+    arenaId: arena.id,
+    serverMode: arena.mode,
+    physicsVersion: PHYSICS_VERSION,
+    snapshot: snapshots.getConfig(),
+    arenaRadius: world.state.arenaRadius,
+    // Simulation rate vs. how often gameState / gameSnapshot arrive
+    network: {
+      tickRate: world.tickRate,
+      tickMs: world.tickMs,
+      tick: world.tick,
+      snapshotRateHz: snapshots.sendRateHz,
+      nearbySnapshotRateHz: snapshots.nearbySendRateHz,
+      nearbyRadiusPx: snapshots.nearbyRadiusPx
+    },
+    gameState: {
+      players: world.serializePlayers(),
+      bots: world.serializeBots(),
+      coins: world.serializeCoins(),
+      powerUps: world.serializePowerUps()
+    }
+  });
+}
+
+// Only before the socket has a marble — a live marble stays where it is
+function moveToArena(socket, arena) {
+  const from = socket.arena;
+  const binary = from ? from.snapshots.clients.get(socket.id) : null;
+
+  matchmaker.assign(socket, arena);
+  // Keep binary snapshots on — deltas restart from a fresh baseline
+  if (binary && arena.snapshots.enabled) {
+    arena.snapshots.addClient(socket.id, {
+      viewport: { width: binary.viewportWidth, height: binary.viewportHeight }
+    });
+    socket.join(arena.binaryRoom);
+  }
+  console.log(`🚪 ${socket.id.substring(0, 8)} moved ${from ? from.id : '—'} → ${arena.id}`);
+  sendInit(socket);
+}
+
+// Paid arena whose queue holds this player, if any
+function findQueueFor(privyUserId) {
+  return matchmaker.all().find(arena => arena.queueManager?.isQueued(privyUserId)) || null;
+}
+
 // ════════════════════════════════════════════════════════════
 // DEFERRED SPAWN — stores intent, player NOT in gameState yet
 // Zero collision surface, zero broadcast, zero movement
 // ════════════════════════════════════════════════════════════
 function _prepareSpawn(socket, data) {
-  const spawnPos = findSafeSpawn(
-    gameConstants.arena?.spawnMinDistance || 200,
-    gameConstants.arena.radius
-  );
+  // Full arena → least full arena of the same mode, if it has room. Not
+  // while this socket's marble is alive here: it would stay behind in
+  // this World with no socket, still holding its bounty
+  if (!socket.arena.hasRoom()) {
+    const other = matchmaker.leastFull(socket.arena.mode, socket.arena);
+    if (socket.arena.state.players[socket.id]?.alive) {
+      console.log(`🚪 ${socket.id.substring(0, 8)} stays in full ${socket.arena.id} — its marble is still alive`);
+    } else if (other && other.hasRoom()) {
+      moveToArena(socket, other);
+    }
+  }
+
+  const spawnPos = socket.arena.world.findPlayerSpawn(gameConstants.arena?.spawnMinDistance || 200);
 
   // Store spawn intent on socket — NOT in gameState
   socket._spawnIntent = {
@@ -2567,42 +1399,34 @@ function _prepareSpawn(socket, data) {
 
 io.on('connection', (socket) => {
   console.log(`📌 Player connected: ${socket.id.substring(0, 8)}`);
-  
-socket.emit('init', {
-    playerId: socket.id,
-    constants: gameConstants,
-    serverMode: SERVER_MODE,
-    gameState: {
-      players: Object.fromEntries(
-        Object.entries(gameState.players)
-          .filter(([id, p]) => p && p.alive)
-          .map(([id, p]) => [id, {
-            id: p.id, name: p.name, marbleType: p.marbleType,
-            x: p.x, y: p.y, angle: p.angle, targetAngle: p.targetAngle,
-            lengthScore: p.lengthScore, bounty: p.bounty, kills: p.kills,
-            alive: p.alive, isGolden: p.isGolden, boosting: p.boosting || false,
-            lastProcessedInput: p.lastProcessedInput, nextTierIndex: p.nextTierIndex || 0
-          }])
-      ),
-bots: gameState.bots.filter(b => b && b.alive).map(b => ({
-    id: b.id, name: b.name, marbleType: b.marbleType,
-    x: b.x, y: b.y, angle: b.angle, lengthScore: b.lengthScore,
-    bounty: b.bounty, kills: b.kills || 0, alive: b.alive, isGolden: b.isGolden, boosting: b.boosting || false
-  })),
-coins: gameState.coins.map(c => ({
-        id: c.id, x: c.x, y: c.y, vx: c.vx, vy: c.vy,
-        radius: c.radius, growthValue: c.growthValue,
-        marbleType: c.marbleType, rotation: c.rotation || 0,
-        isDropped: c.isDropped || false, sizeMultiplier: c.sizeMultiplier || 1.0
-      }))
-    }
-  });
+
+  // ═══ PHYSICS VERSION HANDSHAKE ═══
+  // Clients built from different movement math would silently desync —
+  // tell them to reload. Clients that don't send a version still get
+  // `physicsVersion` in init and can check it themselves.
+  const clientPhysicsVersion = socket.handshake.auth?.physicsVersion ?? socket.handshake.query?.physicsVersion;
+  if (clientPhysicsVersion && clientPhysicsVersion !== PHYSICS_VERSION) {
+    console.log(`🔄 Stale client physics ${clientPhysicsVersion} (server ${PHYSICS_VERSION}) — asking ${socket.id.substring(0, 8)} to reload`);
+    socket.emit('reloadRequired', {
+      reason: 'physicsVersion',
+      physicsVersion: PHYSICS_VERSION,
+      clientPhysicsVersion
+    });
+    socket.disconnect(true);
+    return;
+  }
+
+  matchmaker.assign(socket, matchmaker.pick({
+    arenaId: socket.handshake.auth?.arenaId ?? socket.handshake.query?.arenaId,
+    mode: socket.handshake.auth?.mode ?? socket.handshake.query?.mode
+  }));
+  sendInit(socket);
 
   socket.on('playerSetup', (data) => {
     // ═══ PAID GATE SAFETY NET ═══
     // Client SHOULD wait for buyInConfirmed before sending playerSetup
     // If isPaidSession is still false, the Solana verification is still in-flight
-    if (IS_PAID_SERVER && !socket.isPaidSession) {
+    if (socket.arena.isPaid && !socket.isPaidSession) {
       console.log(`⏳ PAID GATE: Waiting for buyIn — ${data.name || 'Anonymous'} (${socket.privyUserId || 'anon'})`);
       socket._pendingSetupData = data;
       let waitTicks = 0;
@@ -2805,7 +1629,8 @@ function stopDepositWatcher(walletAddress) {
 
   // ── Queue Spawn — player already paid via queue, just needs isPaidSession flag ──
   socket.on('queueSpawnConnect', (data) => {
-    if (!IS_PAID_SERVER) return;
+    const queueManager = socket.arena.queueManager;
+    if (!socket.arena.isPaid) return;
     if (!socket.privyUserId) {
       socket.emit('buyInError', { message: 'Not authenticated' });
       return;
@@ -2829,7 +1654,11 @@ function stopDepositWatcher(walletAddress) {
 
  // ── USDC Buy-in (paid play) with password gate ──
   socket.on('buyIn', async (data) => {
-    if (!IS_PAID_SERVER) { socket.emit('buyInError', { message: 'This is a free server' }); return; }
+    // Arena at the time of the request — the socket can't move once it has paid
+    const arena = socket.arena;
+    const gameState = arena.state;
+    const goldenHourManager = arena.goldenHourManager;
+    if (!arena.isPaid) { socket.emit('buyInError', { message: 'This is a free arena' }); return; }
     if (!socket.privyUserId) {
       socket.emit('buyInError', { message: 'Not authenticated' });
       return;
@@ -2842,6 +1671,13 @@ function stopDepositWatcher(walletAddress) {
       return;
     }
 
+    // ═══ SOLVENCY GATE — house wallet too thin to cover what's owed ═══
+    if (solvencyGuard && !solvencyGuard.canAcceptBuyIns()) {
+      socket.emit('buyInError', { message: 'Paid play is paused for a moment — please try again shortly' });
+      console.log(`🚨 Solvency pause — blocked paid play: ${socket.privyUserId}`);
+      return;
+    }
+
     // ═══ PASSWORD GATE (beta only — remove when going public) ═══
     const gateEnabled = gameConstants.economy?.passwordGate?.enabled;
     const correctPassword = process.env.PAID_PLAY_PASSWORD;
@@ -2874,7 +1710,7 @@ socket.isPaidSession = true;
         existingPlayer._isPaidSession = true;
         console.log(`✅ LATE PAID FLAG: ${existingPlayer.name} now marked as paid (buyIn verified after spawn)`);
       }
-      feeManager.recordBuyIn(buyInUsdc);
+      feeManager.recordBuyIn(buyInUsdc, arena.id);
       if (auditLog) {
         auditLog.logBuyIn(socket.privyUserId, gameState.players[socket.id]?.name || 'unknown', 'DEV_BYPASS', 0);
       }
@@ -2889,7 +1725,7 @@ socket.isPaidSession = true;
       const USDC_DECIMALS = gameConstants.economy.usdcDecimals; // 6
 
       // 1. Check for replay (signature already used)
-      if (gameState.usedBuyInSignatures && gameState.usedBuyInSignatures.has(data.txSignature)) {
+      if (usedBuyInSignatures.has(data.txSignature)) {
         socket.emit('buyInError', { message: 'Transaction already used' });
         return;
       }
@@ -2974,8 +1810,7 @@ socket.isPaidSession = true;
       }
 
       // 5. Mark signature as used (replay protection)
-      if (!gameState.usedBuyInSignatures) gameState.usedBuyInSignatures = new Set();
-      gameState.usedBuyInSignatures.add(data.txSignature);
+      usedBuyInSignatures.add(data.txSignature);
 
 // 6. Confirm buy-in
       socket.isPaidSession = true;
@@ -2992,7 +1827,7 @@ socket.isPaidSession = true;
           console.log(`✅ LATE SESSION UPGRADE: ${existingPlayer.name} session now [PAID]`);
         }
       }
-      feeManager.recordBuyIn(buyInUsdc);
+      feeManager.recordBuyIn(buyInUsdc, arena.id);
 
       // Log for audit
       if (auditLog) {
@@ -3068,17 +1903,20 @@ socket.isPaidSession = true;
 // ── Forfeit respawn reservation: player chose Return to Lobby, release ghost slot immediately ──
   socket.on('forfeitRespawn', () => {
     if (!socket.privyUserId) return;
-    if (respawnReservations.has(socket.privyUserId)) {
+    const reservation = respawnReservations.get(socket.privyUserId);
+    if (reservation) {
       respawnReservations.delete(socket.privyUserId);
-      // Clean up ghost from gameState
+      // Clean up ghost from the arena it died in
+      const arena = matchmaker.get(reservation.arenaId) || socket.arena;
+      const gameState = arena.state;
       Object.keys(gameState.players).forEach(id => {
         const p = gameState.players[id];
         if (p && !p.alive && p.privyId === socket.privyUserId) {
-          io.emit('playerLeft', { playerId: id });
+          arena.emit('playerLeft', { playerId: id });
           delete gameState.players[id];
         }
       });
-      if (queueManager?.getLength() > 0) setTimeout(() => drainQueueToArena(), 500);
+      if (arena.queueManager?.getLength() > 0) setTimeout(() => drainQueueToArena(arena), 500);
       console.log(`👻 Respawn forfeited by ${socket.privyUserId} — slot released, queue notified`);
     }
   });
@@ -3120,6 +1958,22 @@ if (result.success) {
       return;
     }
 
+    // Queue for this arena if it's paid, else the least full paid arena
+    const arena = socket.arena.isPaid ? socket.arena : matchmaker.leastFull('paid');
+    const queueManager = arena?.queueManager;
+    if (!queueManager) {
+      socket.emit('queueError', { message: 'No paid arena available' });
+      return;
+    }
+    if (solvencyGuard && !solvencyGuard.canAcceptBuyIns()) {
+      socket.emit('queueError', { message: 'Paid play is paused for a moment — please try again shortly' });
+      console.log(`🚨 Solvency pause — blocked queue join: ${socket.privyUserId}`);
+      return;
+    }
+    if (arena !== socket.arena && !socket.arena.state.players[socket.id]) {
+      moveToArena(socket, arena);
+    }
+
     // Must be paid mode
     if (!data?.txSignature) {
       socket.emit('queueError', { message: 'No transaction signature provided' });
@@ -3196,7 +2050,7 @@ if (result.success) {
 
       // If arena has room RIGHT NOW, drain immediately
       if (!queueManager.isArenaFull()) {
-        drainQueueToArena();
+        drainQueueToArena(arena);
       }
     } else {
       socket.emit('queueError', { message: result.error });
@@ -3215,6 +2069,11 @@ if (result.success) {
     // TODO: verify TTAW spend via spendVerifier when token is live
     // For now, trust the client (or DEV_BYPASS)
 
+    const queueManager = findQueueFor(socket.privyUserId)?.queueManager;
+    if (!queueManager) {
+      socket.emit('queueError', { message: 'Not in a queue' });
+      return;
+    }
     const result = queueManager.useSkip(socket.privyUserId);
     if (result.success) {
       socket.emit('queueSkipped', { newPosition: result.newPosition + 1 });
@@ -3225,6 +2084,8 @@ if (result.success) {
 
 socket.on('leaveQueue', () => {
     if (!socket.privyUserId) return;
+    const queueManager = findQueueFor(socket.privyUserId)?.queueManager;
+    if (!queueManager) return;
     // Partial refund: $1.00 back, $0.10 entry fee forfeited
     queueManager.voluntaryLeave(socket.privyUserId, socket.id)
       .then(result => {
@@ -3259,8 +2120,8 @@ socket.on('auth-sync', async (data) => {
         console.error('[Supabase] Upsert failed:', error);
       } else {
    socket.privyUserId = data.privyId;
-        if (gameState.players[socket.id]) {
-          gameState.players[socket.id].privyId = data.privyId;
+        if (socket.arena?.state.players[socket.id]) {
+          socket.arena.state.players[socket.id].privyId = data.privyId;
         }
 console.log('✅ [Supabase] Player synced:', data.name);
 
@@ -3272,8 +2133,10 @@ console.log('✅ [Supabase] Player synced:', data.name);
         }
 
         // ── Update socket ID if player reconnected while still in queue ──
-        if (queueManager && queueManager.isQueued(data.privyId)) {
-          queueManager.updateSocket(data.privyId, socket.id);
+        const queuedArena = findQueueFor(data.privyId);
+        if (queuedArena) {
+          if (queuedArena !== socket.arena) moveToArena(socket, queuedArena);
+          queuedArena.queueManager.updateSocket(data.privyId, socket.id);
           socket.isPaidSession = true;
           console.log(`🔄 Queue socket updated for reconnected player: ${data.name}`);
         }
@@ -3284,8 +2147,12 @@ console.log('✅ [Supabase] Player synced:', data.name);
           socket.isPaidSession = true;
           dequeuedPlayers.delete(data.privyId);
 
+          // Spawn in the arena the queue drained into
+          const dequeuedArena = matchmaker.get(queueEntry.arenaId);
+          if (dequeuedArena && dequeuedArena !== socket.arena) moveToArena(socket, dequeuedArena);
+
           // NOTE: Don't start payout session here — playerSetup handles it
-          // using IS_PAID_SERVER (no race condition). Just mark the socket.
+          // using arena.isPaid (no race condition). Just mark the socket.
           if (auditLog) {
             auditLog.logBuyIn(data.privyId, data.name, queueEntry.txSignature, 0);
           }
@@ -3305,8 +2172,10 @@ console.log('✅ [Supabase] Player synced:', data.name);
   });
   
   // âœ… INPUT-BASED with sequence tracking (from Doc 14)
+  // { targetAngle, boost, seq, tick, viewTick } — queued for `tick`,
+  // acked back as lastProcessedInput / lastInputTick (sim/inputQueue.js)
 socket.on('playerInput', (data) => {
-    const player = gameState.players[socket.id];
+    const player = socket.arena?.state.players[socket.id];
     if (!player || !player.alive) return;
 
 
@@ -3316,18 +2185,28 @@ socket.on('playerInput', (data) => {
       return;
     }
     
-    player.targetAngle = data.targetAngle;
-    player.boosting = !!data.boost;
+    socket.arena.world.applyInput(socket.id, data);
 
-    
-    // âœ… Track input sequence for reconciliation
-    if (typeof data.seq === 'number' && data.seq > player.lastProcessedInput) {
-      player.lastProcessedInput = data.seq;
-    }
-    
     player.lastUpdate = Date.now();
   });
 
+  // ── Snapshot protocol opt-in: { binary: true, viewport: { width, height } } ──
+  socket.on('snapshotConfig', (data) => {
+    const arena = socket.arena;
+    if (!arena) return;
+    if (data?.binary && arena.snapshots.enabled) {
+      arena.snapshots.addClient(socket.id, { viewport: data.viewport });
+      socket.join(arena.binaryRoom);
+    } else {
+      arena.snapshots.removeClient(socket.id);
+      socket.leave(arena.binaryRoom);
+    }
+  });
+
+  socket.on('snapshotAck', (data) => {
+    if (socket.arena) socket.arena.snapshots.ack(socket.id, data?.snapshotId);
+  });
+
 // ══════════════════════════════════════════════════════
   // DEFERRED SPAWN: playerSetup stores intent, playerReady creates player
   // Player does NOT exist in gameState until playerReady → zero collision surface
@@ -3347,6 +2226,11 @@ socket.on('playerInput', (data) => {
 
     const intent = socket._spawnIntent;
     delete socket._spawnIntent;
+    const pocketed = !!socket._claimedPocket?.bounty;
+
+    const arena = socket.arena;
+    const world = arena.world;
+    const gameState = arena.state;
 
     // ═══ NOW CREATE THE ACTUAL PLAYER IN GAMESTATE ═══
     const player = {
@@ -3365,19 +2249,18 @@ socket.on('playerInput', (data) => {
       isBot: false,
       isGolden: false,
       lastUpdate: Date.now(),
-      spawnTime: Date.now(),
+      spawnTime: world.now(),
       spawnProtection: true,
-      pathBuffer: new PathBuffer(gameConstants.spline.pathStepPx || 2),
+      pathBuffer: world.createPathBuffer(intent.spawnX, intent.spawnY),
       _lastValidX: intent.spawnX,
       _lastValidY: intent.spawnY,
       _lastAngle: 0,
       lastProcessedInput: -1,
+      lastInputTick: 0,
       nextTierIndex: socket._claimedPocket?.nextTierIndex || 0,
       totalPayout: socket._claimedPocket?.totalPayout || 0
     };
 
-    player.pathBuffer.reset(player.x, player.y);
-
     // Copy Privy auth
     if (socket.privyUserId) {
       player.privyId = socket.privyUserId;
@@ -3397,7 +2280,7 @@ socket.on('playerInput', (data) => {
     player._isPaidSession = socket.isPaidSession === true;
 
     // Final paid check (defense in depth — should never trigger with client gate)
-    if (IS_PAID_SERVER && !socket.isPaidSession) {
+    if (arena.isPaid && !socket.isPaidSession) {
       console.log(`🚫 BLOCKED UNPAID at playerReady: ${player.name} (${socket.privyUserId || 'anon'})`);
       socket.emit('spawnRejected', { message: 'Payment required.' });
       socket.disconnect(true);
@@ -3406,29 +2289,25 @@ socket.on('playerInput', (data) => {
 
   // ── Clean up any ghost from a previous life for this privyId (Play Again flow) ──
     if (socket.privyUserId) {
+      const reservation = respawnReservations.get(socket.privyUserId);
       respawnReservations.delete(socket.privyUserId);
-      Object.keys(gameState.players).forEach(id => {
-        const p = gameState.players[id];
+      const ghostArena = matchmaker.get(reservation?.arenaId) || arena;
+      Object.keys(ghostArena.state.players).forEach(id => {
+        const p = ghostArena.state.players[id];
         if (p && !p.alive && p.privyId === socket.privyUserId && id !== socket.id) {
           console.log(`👻 Ghost cleaned up on respawn: ${p.name} (${id})`);
-          io.emit('playerLeft', { playerId: id });
-          delete gameState.players[id];
+          ghostArena.emit('playerLeft', { playerId: id });
+          delete ghostArena.state.players[id];
         }
       });
     }
 
     // ═══ ADD TO GAMESTATE — player is NOW real, collidable, visible ═══
-    gameState.players[socket.id] = player;
-    io.emit('playerJoined', { player });
+    world.addPlayer(player);
+    bountyLedger.postSpawn(arena.id, player, pocketed);
+    arena.emit('playerJoined', { player });
 
-    console.log(`✅ ${player.name} SPAWNED at (${player.x.toFixed(0)}, ${player.y.toFixed(0)}) — isPaid: ${player._isPaidSession}`);
-
-    // Clear spawn protection after 3 seconds
-    setTimeout(() => {
-      if (gameState.players[socket.id]) {
-        gameState.players[socket.id].spawnProtection = false;
-      }
-    }, 3000);
+    console.log(`✅ ${player.name} SPAWNED in ${arena.id} at (${player.x.toFixed(0)}, ${player.y.toFixed(0)}) — isPaid: ${player._isPaidSession}`);
 
     // ── Start payout session ──
     if (socket.privyUserId) {
@@ -3436,7 +2315,8 @@ socket.on('playerInput', (data) => {
         socket.privyUserId,
         socket.id,
         player.name,
-        player._isPaidSession
+        player._isPaidSession,
+        arena.id
       );
       socket._survivalInterval = setInterval(() => {
         if (gameState.players[socket.id]?.alive) {
@@ -3445,17 +2325,18 @@ socket.on('playerInput', (data) => {
       }, 60000);
     }
 
-    // ═══ VAULT KEEPER ABSORPTION ═══
-    const vaultKeeper = gameState.bots.find(b => b.isVaultKeeper && b.alive);
-    if (vaultKeeper) {
-      console.log(`🏦 VAULT KEEPER ABSORBED by ${player.name} | Bounty: $${vaultKeeper.bounty.toFixed(2)}`);
-      killMarble(vaultKeeper, socket.id);
-    }
-
-    updateGoldenMarble();
+    // ═══ VAULT KEEPER ABSORPTION + golden refresh ═══
+    world.settleJoin(player);
   });
 
 socket.on('disconnect', async () => {
+    // Everything below works on the arena the socket was in
+    const arena = socket.arena;
+    matchmaker.release(socket);
+    if (!arena) return;
+    const gameState = arena.state;
+    const queueManager = arena.queueManager;
+
   // ── Clean up deferred spawn intent if player never sent playerReady ──
     if (socket._spawnIntent) {
       if (socket._spawnTimeout) clearTimeout(socket._spawnTimeout);
@@ -3494,13 +2375,15 @@ stopDepositWatcher(socket._walletAddress || null);
     if (player && player._refundProcessed) {
       if (socket._survivalInterval) clearInterval(socket._survivalInterval);
       if (queueManager && queueManager.getLength() > 0) {
-        setTimeout(() => drainQueueToArena(), 500);
+        setTimeout(() => drainQueueToArena(arena), 500);
       }
       return;
     }
     
-    // ✅ Last player refund check (disconnect path — player still alive)
-    if (player && player.alive && tryLastPlayerRefund(player)) {
+    // ✅ Disconnect = death (or last player refund): drop peewees + transfer bounty to highest player
+    const disconnectOutcome = (player && player.alive) ? arena.world.disconnectPlayer(socket.id) : null;
+
+    if (disconnectOutcome === 'refund') {
       const privyId = socket.privyUserId;
       if (privyId) {
         payouts.endSession(privyId, 'last_player_refund');
@@ -3508,29 +2391,11 @@ stopDepositWatcher(socket._walletAddress || null);
       }
       if (socket._survivalInterval) clearInterval(socket._survivalInterval);
       if (queueManager && queueManager.getLength() > 0) {
-        setTimeout(() => drainQueueToArena(), 500);
+        setTimeout(() => drainQueueToArena(arena), 500);
       }
       return;
     }
 
-// ✅ Disconnect = death: drop peewees + transfer bounty to highest player
-    if (player && player.alive) {
-  const allAlive = [
-        ...Object.values(gameState.players).filter(p => p.alive && p.id !== socket.id),
-        ...gameState.bots.filter(b => b.alive)
-      ];
-      
-      if (allAlive.length > 0) {
-        // Credit kill to second-highest bounty player (vault transfer sequence applies)
-        const sorted = allAlive.sort((a, b) => (b.bounty || 0) - (a.bounty || 0));
-      const creditTo = sorted[0].id;
-        killMarble(player, creditTo, 'disconnect');
-} else {
-        // No other players alive — killMarble handles vault keeper spawning
-        killMarble(player, null, 'disconnect');
-      }
-    }
-
     // ── $TTAW: End payout session + cleanup ──
     if (socket._survivalInterval) clearInterval(socket._survivalInterval);
     const privyId = socket.privyUserId;
@@ -3545,10 +2410,10 @@ stopDepositWatcher(socket._walletAddress || null);
       // Don't delete — ghost cleanup interval will handle expiry and queue drain
     } else {
       delete gameState.players[socket.id];
-      io.emit('playerLeft', { playerId: socket.id });
+      arena.emit('playerLeft', { playerId: socket.id });
       // ── Drain queue: slot just opened ──
       if (queueManager && queueManager.getLength() > 0) {
-        setTimeout(() => drainQueueToArena(), 500);
+        setTimeout(() => drainQueueToArena(arena), 500);
       }
     }
 
@@ -3563,24 +2428,28 @@ stopDepositWatcher(socket._walletAddress || null);
 // INITIALIZATION
 // ============================================================================
 
-function drainQueueToArena() {
+function drainQueueToArena(arena) {
+  const queueManager = arena.queueManager;
   if (!queueManager || queueManager.getLength() === 0) return;
 
   const entries = queueManager.drainToCapacity();
 
   for (const entry of entries) {
-    // Store entry so auth-sync can recognize this player as paid
-    dequeuedPlayers.set(entry.privyUserId, entry);
+    // Store entry so auth-sync can recognize this player as paid — and where
+    dequeuedPlayers.set(entry.privyUserId, { ...entry, arenaId: arena.id });
 
  // Notify via their yard socket — fall back to searching by privyUserId if socketId is stale
     const yardSock = io.sockets.sockets.get(entry.socketId)
       || [...io.sockets.sockets.values()].find(s => s.privyUserId === entry.privyUserId && s.connected);
     if (yardSock && yardSock.connected) {
+      if (yardSock.arena !== arena && !yardSock.arena?.state.players[yardSock.id]) {
+        moveToArena(yardSock, arena);
+      }
       yardSock.emit('queueSpawning', {
         playerName: entry.playerName,
         marbleType: entry.marbleType,
       });
-      console.log(`🎮 Notified ${entry.playerName} — spawning from queue`);
+      console.log(`🎮 Notified ${entry.playerName} — spawning from queue into ${arena.id}`);
     } else {
       console.log(`⚠️ ${entry.playerName} disconnected — entry stays in dequeuedPlayers for reconnect`);
     }
@@ -3603,342 +2472,72 @@ function drainQueueToArena() {
 }
 
 function initializeGame() {
-  console.log('ðŸŽ® Initializing game...');
-  gameState.exhaustedTiers = new Set();
-  gameState.goldenVaultFloor = 0;
-
-  const bounds = {
-    minX: -gameConstants.arena.radius,
-    minY: -gameConstants.arena.radius,
-    maxX: gameConstants.arena.radius,
-    maxY: gameConstants.arena.radius
-  };
-  gameState.spatialGrid = new SpatialGrid(SPATIAL_GRID_SIZE, bounds);
-  
-  // âœ… Spawn initial coins
-  const initialCoins = Math.min(MAX_COINS, 300);
-  for (let i = 0; i < initialCoins; i++) spawnCoin();
-  console.log(`âœ… Spawned ${gameState.coins.length} initial coins`);
-  
-  if (MAX_BOTS > 0) {
-    const spawnInterval = 10000 / MAX_BOTS;
-    for (let i = 0; i < MAX_BOTS; i++) {
-      setTimeout(() => spawnBot(`bot_${Date.now()}_${i}`), i * spawnInterval);
-    }
-    console.log(`âœ… Spawning ${MAX_BOTS} bots...`);
+  console.log(`🎮 Initializing game — ${matchmaker.arenas.size} arena(s)...`);
+  applyPeeweeLayouts();
+  applyCashoutSchedules();
+  for (const arena of matchmaker.all()) {
+    arena.start();
   }
 }
 
+// ── Themed night → peewee field layout (sim/peeweeField.js) ──
+// nights[weekday] when themed nights are on, else the mode's layout
+function peeweeLayoutFor(arena, date = new Date()) {
+  const field = gameConstants.peeweeField;
+  const weekday = date.toLocaleDateString('en-US', { weekday: 'long' }).toLowerCase();
+  const night = gameConstants.themedNights?.enabled ? field.nights?.[weekday] : null;
+  return night || field.modes?.[arena.mode] || null;
+}
 
-// ============================================================================
-// GOLDEN MARBLE UPDATE
-// ============================================================================
-function updateGoldenMarble() {
-  const allMarbles = [
-    ...Object.values(gameState.players),
-    ...gameState.bots
-  ].filter(m => m.alive);
-  
-  // Find who WAS golden before this update
-  const previousGolden = allMarbles.find(m => m.isGolden);
-  
-  // Clear all golden status
-  allMarbles.forEach(m => m.isGolden = false);
-  
-  if (allMarbles.length === 0) return;
-  
-  // Find highest bounty
-  const highest = allMarbles.reduce((prev, cur) => {
-    return (cur.bounty || 0) > (prev.bounty || 0) ? cur : prev;
-  });
-  
-  if ((highest.bounty || 0) <= 0) return;
-  
-  highest.isGolden = true;
-  
-// ═══ GOLDEN MIB CHANGED HANDS ═══
-  if (previousGolden && previousGolden.id !== highest.id) {
-    const exhaustedCount = gameState.exhaustedTiers.size;
-    gameState.exhaustedTiers.clear();
-    
-    // Reset ALL players' tier indices so they can re-earn from tier 0
-    Object.values(gameState.players).forEach(p => { if (p.alive) p.nextTierIndex = 0; });
-   // Recalculate vault floor for new golden mib based on their passed tiers
-    const tiers = gameConstants.cashout?.tiers || [];
-    for (let i = 0; i < (highest.nextTierIndex || 0); i++) {
-      if (i < tiers.length) {
-        const floor = getVaultFloorForTier(tiers[i].threshold);
-        if (floor > gameState.goldenVaultFloor) {
-          gameState.goldenVaultFloor = floor;
-        }
-      }
-    }
-    
-    console.log(`👑 GOLDEN TRANSFER: ${previousGolden.name} → ${highest.name} | Cleared ${exhaustedCount} exhausted tiers | Vault floor KEPT at $${gameState.goldenVaultFloor}`);
-  }
-  
-// ═══ FIRST GOLDEN MIB (no previous) ═══
-  if (!previousGolden && highest.isGolden) {
-    // Recalculate vault floor based on what tiers this player has already passed
-    const tiers = gameConstants.cashout?.tiers || [];
-    for (let i = 0; i < (highest.nextTierIndex || 0); i++) {
-      if (i < tiers.length) {
-        const floor = getVaultFloorForTier(tiers[i].threshold);
-        if (floor > gameState.goldenVaultFloor) {
-          gameState.goldenVaultFloor = floor;
-        }
-      }
-    }
-    console.log(`👑 FIRST GOLDEN MIB: ${highest.name} | Bounty: $${(highest.bounty || 0).toFixed(2)} | Vault floor: $${gameState.goldenVaultFloor}`);
+function applyPeeweeLayouts() {
+  if (!gameConstants.peeweeField?.enabled) return;
+  for (const arena of matchmaker.all()) {
+    arena.world.setPeeweeLayout(peeweeLayoutFor(arena));
   }
 }
 
+// ── Themed night → cashout tier schedule (sim/tierSchedules.js) ──
+// Same weekday rule as the peewee layouts
+function cashoutScheduleFor(arena, date = new Date()) {
+  const cashout = gameConstants.cashout || {};
+  const weekday = date.toLocaleDateString('en-US', { weekday: 'long' }).toLowerCase();
+  const night = gameConstants.themedNights?.enabled ? cashout.nights?.[weekday] : null;
+  return night || cashout.modes?.[arena.mode] || arena.world.economy.scheduleName;
+}
+
+function applyCashoutSchedules() {
+  for (const arena of matchmaker.all()) {
+    arena.world.setTierSchedule(cashoutScheduleFor(arena));
+  }
+}
 
+setInterval(() => {
+  applyPeeweeLayouts();
+  applyCashoutSchedules();
+}, 60000);
 
 
 // ============================================================================
 // GAME LOOP (60 TPS)
 // ============================================================================
-let tickCounter = 0;
-let frameCount = 0;
-let lastStatsTime = Date.now();
-
+// Every arena steps on the same interval, one tick every 1000 /
+// TICK_RATE ms. world.step() runs the simulation; everything below
+// it is socket-side: ghost slots, stale sockets and the broadcast.
+// Snapshots go out at the network.snapshot rates (20 Hz full, 30 Hz
+// nearby), not every tick.
 setInterval(() => {
   const now = Date.now();
-  const delta = now - gameState.lastUpdate;
-  
-  // âœ… FIX: Clear kill tracking for new frame
-  killedThisFrame.clear();
-  gameState.lastUpdate = now;
-  tickCounter++;
-  frameCount++;
-  
-const dt = 1 / TICK_RATE; // âœ… Fixed timestep: 1/60 = 0.01667s
-
-  // ========================================
-  // PERFORMANCE MONITORING
-  // ========================================
-  if (frameCount % 600 === 0) {
-    const actualFPS = 600 / ((now - lastStatsTime) / 1000);
-    
-    //console.log(`ðŸ“Š Server Stats:
-    //â”œâ”€ Target FPS: 60
-    //â”œâ”€ Actual FPS: ${actualFPS.toFixed(1)}
-    //â”œâ”€ Players: ${Object.keys(gameState.players).length}
-    //â”œâ”€ Bots: ${gameState.bots.length}
-    //â””â”€ Total Entities: ${Object.keys(gameState.players).length + gameState.bots.length + gameState.coins.length}`);
-    
-    lastStatsTime = now;
-  }
-  
-  // ========================================
-  // 1. UPDATE PLAYERS
-  // ========================================
-  Object.values(gameState.players).forEach(player => {
-    if (!player.alive) return;
 
-// ✅ Boost drops temporarily disabled — re-enable after coin physics audit
-    if (!player.boosting) player._boostDropAccum = 0;
-
-      // âœ… REMOVE SPAWN PROTECTION AFTER 3 SECONDS
-  if (player.spawnProtection && Date.now() - player.spawnTime > 2000) {
-    player.spawnProtection = false;
+  for (const arena of matchmaker.all()) {
+    tickArena(arena, now);
   }
-    if (player.targetAngle === undefined) return;
-    
-    // Turn toward target angle
-    player.angle = calculateTurnStep(
-      player.targetAngle,
-      player.angle,
-      player.lengthScore,
-      player.boosting,
-      gameConstants,
-      dt
-    );
-    
-    // Calculate speed
-const goldenBoost = player.isGolden ? (gameConstants.golden?.speedMultiplier || 1.0) : 1.0;
-    const baseSpeed = gameConstants.movement?.normalSpeed || 250;
-    const boostMult = gameConstants.movement?.boostMultiplier || 1.6;
-  const speed = (player.boosting ? baseSpeed * boostMult : baseSpeed) * goldenBoost;
-    
-    // ✅ Exponential boost growth loss — bigger chains lose MORE when boosting
-
-
-    if (player.boosting && player.lengthScore > gameConstants.player.startLength) {
-      const boostCfg = gameConstants.boost || {};
-      const base = boostCfg.growthLossBase || 3;
-      const exp = boostCfg.growthLossExponent || 1.4;
-      const threshold = boostCfg.growthLossScaleThreshold || 500;
-      const sizeRatio = Math.max(1, player.lengthScore / threshold);
-      const loss = base * Math.pow(sizeRatio, exp);
-      player.lengthScore = Math.max(gameConstants.player.startLength, player.lengthScore - loss * dt);
-    }
-    // Calculate new position
-    const newX = player.x + Math.cos(player.angle) * speed * dt;
-    const newY = player.y + Math.sin(player.angle) * speed * dt;
-    
- // Anti-cheat: compare against PREVIOUS tick's position stored in _lastValidX/Y
-    if (player._lastValidX !== undefined) {
-      const movedSinceLastTick = Math.hypot(newX - player._lastValidX, newY - player._lastValidY);
-      const maxAllowedDistance = speed * dt * 3.0; // Allow 3x for network jitter
-      
-      if (movedSinceLastTick > maxAllowedDistance) {
-        player.x = player._lastValidX;
-        player.y = player._lastValidY;
-        return;
-      }
-    }
-    
-    // Check arena bounds
-    const marbleRadius = calculateMarbleRadius(player.lengthScore, gameConstants);
-    const distFromCenter = Math.sqrt(newX * newX + newY * newY);
-    const maxAllowedDist = gameConstants.arena.radius - marbleRadius;
-    
-if (distFromCenter <= maxAllowedDist) {
-      player.x = newX;
-      player.y = newY;
-      player.pathBuffer.add(player.x, player.y);
-      player._lastValidX = newX;
-      player._lastValidY = newY;
-    } else {
-      // ✅ WALL DEATH: Only mark for death — do NOT set alive=false here
-      // killMarble() in step 2 handles alive=false, death drops, payouts, etc.
-      player._markForDeath = true;
-      player._wallDeath = true;
-      // Clamp position to arena edge so they don't phase through
-      const clampDist = gameConstants.arena.radius - marbleRadius - 1;
-      const angle = Math.atan2(newY, newX);
-      player.x = Math.cos(angle) * clampDist;
-      player.y = Math.sin(angle) * clampDist;
-    }
-    
-    player._lastAngle = player.angle;
-  });
-  
-  // ========================================
-  // 2. HANDLE PLAYER DEATHS
-  // ========================================
-Object.values(gameState.players).forEach(player => {
-    if (player._markForDeath && player.alive) {
- // ✅ Check last player refund BEFORE normal death processing
-      if (tryLastPlayerRefund(player)) {
-        // End payout session so the accrued refund actually pays out
-        if (player.privyId) {
-          payouts.endSession(player.privyId, 'last_player_refund');
-          rewards.handleDeath(player.privyId);
-        }
-        delete player._markForDeath;
-        delete player._wallDeath;
-        return; // Clean exit — no death drops, no vault keeper
-      }
-      
-      let creditTo = null;
-      const allMarbles = [...Object.values(gameState.players), ...gameState.bots].filter(m => m.alive);
-      const goldenMarble = allMarbles.find(m => m.isGolden && m.alive && m.id !== player.id);
-      
-      if (goldenMarble) {
-        creditTo = goldenMarble.id;
-      } else {
-        const sorted = allMarbles
-          .filter(m => m.alive && m.id !== player.id)
-          .sort((a, b) => (b.bounty || 0) - (a.bounty || 0));
-        
-        if (sorted.length > 0) creditTo = sorted[0].id;
-      }
-      
-// ✅ Log wall deaths distinctly + capture flag BEFORE deleting
-      const isWallDeath = !!player._wallDeath;
-      if (player._wallDeath) {
-        const creditName = creditTo 
-          ? (gameState.players[creditTo]?.name || gameState.bots.find(b => b.id === creditTo)?.name || creditTo)
-          : 'NONE (vault keeper)';
-        console.log(`🧱 WALL DEATH: ${player.name} | Bounty: $${(player.bounty || 0).toFixed(2)} | Credit → ${creditName}`);
-        delete player._wallDeath;
-      }
-      
-      killMarble(player, creditTo, isWallDeath ? 'wall' : undefined);
-      delete player._markForDeath;
-    }
-  });
-  
-  // ========================================
-  // 3. UPDATE BOTS
-  // ========================================
-  for (const bot of gameState.bots) {
-if (bot.alive) updateBotAI(bot, 1000 / TICK_RATE);  }
-  
-// ========================================
-  // 4. UPDATE PEEWEE PHYSICS
-  // ========================================
-  updatePeeweePhysics(dt);  // âœ… Use dt (already in seconds)
-  
-
-  
-  // ========================================
-  // 5. COIN COLLISIONS
-  // ========================================
-checkCoinCollisions();
+}, 1000 / TICK_RATE);
 
-  
-  // ========================================
-  // 6. SPATIAL GRID UPDATE
-  // ========================================
-  if (gameState.spatialGrid) {
-    gameState.spatialGrid.clear();
-    const allMarbles = [...Object.values(gameState.players), ...gameState.bots].filter(m => m.alive);
-    for (const marble of allMarbles) {
-      gameState.spatialGrid.insertMarble(marble);
-    }
-  }
-  
-  // ========================================
-  // 7. MARBLE COLLISIONS
-  // ========================================
-const collisionResults = checkCollisions(gameState, gameConstants);
-  const victimToKiller = new Map();
-  
-  for (const collision of collisionResults) {
-    if (!killedThisFrame.has(collision.victimId) && !victimToKiller.has(collision.victimId)) {
-      victimToKiller.set(collision.victimId, collision.killerId);
-    }
-  }
-  
-  for (const [victimId, killerId] of victimToKiller.entries()) {
-    const victim = gameState.players[victimId] || gameState.bots.find(b => b.id === victimId);
-    if (victim && victim.alive) {
-      killMarble(victim, killerId);
-      killedThisFrame.add(victimId);
-    }
-  }
-  
-  // ========================================
-  // 8. WALL COLLISIONS
-  // ========================================
-const wallHits = checkWallCollisions();
-  for (const wallHit of wallHits) {
-    if (killedThisFrame.has(wallHit.marbleId)) continue;
-    
-    const victim = gameState.players[wallHit.marbleId] || gameState.bots.find(b => b.id === wallHit.marbleId);
-    if (victim && victim.alive) {
-      const creditTarget = wallHit.creditTo
-        ? (gameState.players[wallHit.creditTo] || gameState.bots.find(b => b.id === wallHit.creditTo))
-        : null;
-      console.log(`🧱 WALL DEATH: ${victim.name} | Golden: ${victim.isGolden} | Bounty: $${(victim.bounty || 0).toFixed(2)} | Credit → ${creditTarget?.name || 'NONE (vault keeper)'}`);
-     killMarble(victim, wallHit.creditTo, 'wall');
-      killedThisFrame.add(wallHit.marbleId);
-    }
-  }
-  
-  // ========================================
-  // 9. PERIODIC UPDATES
-  // ========================================
-if (tickCounter % 60 === 0) {
-    updateGoldenMarble();
-    const coinsToSpawn = MAX_COINS - gameState.coins.length;
-    for(let i = 0; i < Math.min(coinsToSpawn, 10); i++) spawnCoin();
-  }
+function tickArena(arena, now) {
+  const world = arena.world;
+  const gameState = arena.state;
 
+  world.step();
 
 // ========================================
 // 9.5. GHOST MARBLE CLEANUP (Memory Leak Fix)
@@ -3954,26 +2553,17 @@ Object.keys(gameState.players).forEach(playerId => {
       // Reservation expired — clean up and pop queue
       respawnReservations.delete(player.privyId);
       console.log(`⏰ Respawn reservation expired: ${player.name} — slot released`);
-      io.emit('playerLeft', { playerId });
+      arena.emit('playerLeft', { playerId });
       delete gameState.players[playerId];
-      if (queueManager?.getLength() > 0) setTimeout(() => drainQueueToArena(), 500);
+      if (arena.queueManager?.getLength() > 0) setTimeout(() => drainQueueToArena(arena), 500);
       return;
     }
     console.log(`🧹 Cleaning up ghost player: ${playerId}`);
-    io.emit('playerLeft', { playerId });
+    arena.emit('playerLeft', { playerId });
     delete gameState.players[playerId];
   }
 });
 
-// Remove any dead bots that weren't properly cleaned up
-for (let i = gameState.bots.length - 1; i >= 0; i--) {
-  if (!gameState.bots[i].alive) {
-    console.log(`ðŸ§¹ Cleaning up ghost bot: ${gameState.bots[i].id}`);
-    gameState.bots.splice(i, 1);
-  }
-}
-
-
   // ========================================
   // 10. STALE PLAYER CLEANUP
   // ========================================
@@ -3992,10 +2582,11 @@ for (let i = gameState.bots.length - 1; i >= 0; i--) {
         timestamp: Date.now()
       });
       
-      io.emit('playerLeft', { playerId });
+      arena.emit('playerLeft', { playerId });
       
       setImmediate(() => {
-        delete gameState.players[playerId];
+        if (world.state.players[playerId]?.alive) bountyLedger.postBurn(arena.id, world.state.players[playerId], 'timeout');
+        world.removePlayer(playerId);
       });
     }
   });
@@ -4003,122 +2594,94 @@ for (let i = gameState.bots.length - 1; i >= 0; i--) {
   // ========================================
   // 11. BROADCAST STATE (Clean serialization from Doc 14)
   // ========================================
-  // âœ… NEVER send PathBuffer or other class instances
-  // Only send plain JSON-serializable data
- // âœ… FIX: Only broadcast ALIVE players
-  const cleanPlayers = Object.fromEntries(
-    Object.entries(gameState.players)
-      .filter(([id, p]) => p && p.alive) // âœ… Filter dead players
-      .map(([id, p]) => [
-      id,
-      {
-        id: p.id,
-        name: p.name,
-        marbleType: p.marbleType,
-        x: p.x,
-        y: p.y,
-        angle: p.angle,
-        targetAngle: p.targetAngle,
-        lengthScore: p.lengthScore,
-        bounty: p.bounty,
-        kills: p.kills,
-        alive: p.alive,
-    isGolden: p.isGolden,
-        boosting: p.boosting || false,
-lastProcessedInput: p.lastProcessedInput,
-        nextTierIndex: p.nextTierIndex || 0      }
-    ])
-  );
-  
-  // âœ… FIX: Only broadcast ALIVE bots
-const cleanBots = gameState.bots
-    .filter(b => b && b.alive)
-    .map(b => ({
-      id: b.id,
-      name: b.name,
-      marbleType: b.marbleType,
-      x: b.x,
-      y: b.y,
-      angle: b.angle,
-      lengthScore: b.lengthScore,
-      bounty: b.bounty,
-      kills: b.kills || 0,
-      alive: b.alive,
-      isGolden: b.isGolden,
-      boosting: b.boosting || false
-    }));
-  
-  
-const cleanCoins = gameState.coins.map(c => ({
-    id: c.id,
-    x: c.x,
-    y: c.y,
-    vx: c.vx,
-    vy: c.vy,
-    radius: c.radius,
-    growthValue: c.growthValue,
-    marbleType: c.marbleType,
-    rotation: c.rotation || 0,
-    isDropped: c.isDropped || false,
-    sizeMultiplier: c.sizeMultiplier || 1.0
-  }));
-  
-io.emit('gameState', {
-  serverDeltaMs: delta,
-  serverMode: SERVER_MODE,
-  players: cleanPlayers,
-  bots: cleanBots,
-  coins: cleanCoins,
-  timestamp: now,
-  goldenVaultFloor: IS_PAID_SERVER ? gameState.goldenVaultFloor : 0,
-  exhaustedTierCount: IS_PAID_SERVER ? gameState.exhaustedTiers.size : 0
-});
-  
-
-}, 1000 / TICK_RATE);
+  arena.broadcast(now);
+}
 
 // ============================================================================
 // STARTUP
 // ============================================================================
 server.listen(PORT, () => {
+  const paidArenas = matchmaker.all().filter(arena => arena.isPaid).length;
   console.log(`╔═══════════════════════════════════════╗`);
   console.log(`║   MIBS.GG — ${SERVER_MODE.toUpperCase()} SERVER`.padEnd(40) + `║`);
   console.log(`╠═══════════════════════════════════════╣`);
-  console.log(`║   Mode: ${IS_PAID_SERVER ? 'PAID (economy ON)' : 'FREE (economy OFF)'}`.padEnd(40) + `║`);
+  console.log(`║   Arenas: ${matchmaker.arenas.size} (${paidArenas} paid)`.padEnd(40) + `║`);
+  console.log(`║   Economy: ${HAS_PAID_ARENA ? 'ON' : 'OFF'}`.padEnd(40) + `║`);
   console.log(`║   Port: ${PORT}`.padEnd(40) + `║`);
-  console.log(`║   Bots: ${MAX_BOTS}`.padEnd(40) + `║`);
+  console.log(`║   Bots: ${MAX_BOTS} per free arena`.padEnd(40) + `║`);
   console.log(`║   Version: ${gameConstants.version}`.padEnd(40) + `║`);
-  console.log(`║   Tick Rate: 60 TPS`.padEnd(40) + `║`);
+  console.log(`║   Tick Rate: ${TICK_RATE} TPS`.padEnd(40) + `║`);
   console.log(`╚═══════════════════════════════════════╝`);
 
   initializeGame();
+  if (lobbyHeartbeat) lobbyHeartbeat.start();
 });
 
 
-// ✅ Only start economy systems on paid server
-if (IS_PAID_SERVER) {
- goldenHourManager = new GoldenHourManager(gameConstants, io, gameState, {
+// ✅ Only start economy systems for paid arenas — one queue + yard time each
+if (HAS_PAID_ARENA) {
+  for (const arena of matchmaker.all()) {
+    if (!arena.isPaid) continue;
+
+    arena.goldenHourManager = new GoldenHourManager(gameConstants, io, arena.state, {
       stateBackup, feeManager, payouts, auditLog, refreshPocketedTotal
     });
-    queueManager = new QueueManager(io, gameConstants, {
+    arena.queueManager = new QueueManager(io, gameConstants, {
       supabase,
       privyService: rewards.privy,
       auditLog,
       feeManager,
-      gameState,
+      gameState: arena.state,
+      arenaId: arena.id,
     });
 
     // Refund any orphaned queue entries from a previous crash
-    queueManager.recoverAndRefund();
+    arena.queueManager.recoverAndRefund();
 
     // Wire queueManager into goldenHourManager
-    goldenHourManager.queueManager = queueManager;
-    goldenHourManager.drainQueueFn = drainQueueToArena;
+    arena.goldenHourManager.queueManager = arena.queueManager;
+    arena.goldenHourManager.drainQueueFn = () => drainQueueToArena(arena);
 
-    console.log(`✅ PAID SERVER: Golden Hour + Queue Manager initialized`);
+    console.log(`✅ PAID ARENA ${arena.id}: Golden Hour + Queue Manager initialized`);
+  }
 } else {
     console.log(`🎮 FREE SERVER: Economy systems DISABLED (no payouts, no queue, no yard time)`);
 }
+
+// ============================================================================
+// LOBBY DIRECTORY — heartbeat to lobby/server.js when LOBBY_URL is set
+// ============================================================================
+const SERVER_ID = process.env.SERVER_ID || `${SERVER_MODE}-${PORT}`;
+
+function getLobbyReport() {
+  const arenas = matchmaker.all();
+  const paidArenas = arenas.filter(arena => arena.isPaid);
+  const yardTimeSource = paidArenas.find(arena => arena.goldenHourManager);
+
+  return {
+    url: process.env.PUBLIC_URL || `http://localhost:${PORT}`,
+    region: process.env.REGION || 'local',
+    modes: [...new Set(arenas.map(arena => arena.mode))],
+    players: arenas.reduce((sum, arena) => sum + arena.playerCount(), 0),
+    maxPlayers: arenas.reduce((sum, arena) => sum + arena.maxPlayers, 0),
+    goldenVaultFloor: Math.max(0, ...paidArenas.map(arena => arena.state.goldenVaultFloor || 0)),
+    goldenYardTime: yardTimeSource ? yardTimeSource.goldenHourManager.getStatus() : getGoldenYardTimeStatus(),
+    // null = no paid play on this server (lobby/directory.js)
+    paidPlayOpen: solvencyGuard ? solvencyGuard.canAcceptBuyIns() : null,
+    arenas: matchmaker.getSummary(),
+    physicsVersion: PHYSICS_VERSION,
+    version: gameConstants.version
+  };
+}
+
+const lobbyHeartbeat = process.env.LOBBY_URL
+  ? new LobbyHeartbeat(gameConstants, {
+      lobbyUrl: process.env.LOBBY_URL,
+      serverId: SERVER_ID,
+      secret: process.env.LOBBY_SECRET,
+      getReport: getLobbyReport
+    })
+  : null;
 // ============================================================================
 // YARD BROADCAST â€” Lobby live stats (every 3 seconds)
 // ============================================================================
@@ -4171,6 +2734,7 @@ function getGoldenYardTimeStatus() {
       timeRemaining: formatCountdown(remainingSecs),
       timeUntilOpen: null,
       opensAt: formatTime12h(startMinutes),
+      elapsedMs: ((nowMinutes - startMinutes) * 60 + s) * 1000,
     };
   } else {
     let secsUntilOpen;
@@ -4189,7 +2753,28 @@ function getGoldenYardTimeStatus() {
   }
 }
 
+// ── GYT schedule → World: arena shrink (sim/arenaShrink.js) + bot population (sim/botDirector.js) ──
+setInterval(() => {
+  if (!gameConstants.goldenYardTime?.enabled) return;
+  for (const arena of matchmaker.all()) {
+    const status = arena.goldenHourManager ? arena.goldenHourManager.getStatus() : getGoldenYardTimeStatus();
+    arena.world.setGoldenYardTime(!!status.isOpen, status.elapsedMs || 0);
+  }
+}, 1000);
+
+// Each arena's room gets its own stats, plus the arena list for the lobby
 setInterval(() => {
+  const arenas = matchmaker.getSummary();
+  for (const arena of matchmaker.all()) {
+    broadcastYardUpdate(arena, arenas);
+  }
+}, 3000);
+
+function broadcastYardUpdate(arena, arenas) {
+  const gameState = arena.state;
+  const queueManager = arena.queueManager;
+  const goldenHourManager = arena.goldenHourManager;
+
   const playerCount = Object.keys(gameState.players).length;
   const botCount = gameState.bots ? gameState.bots.length : 0;
   const totalPlaying = playerCount + botCount;
@@ -4229,15 +2814,20 @@ setInterval(() => {
 // Calculate total arena value (sum of all live bounties)
   const arenaValue = allEntities.reduce((sum, e) => sum + (e.bounty || 0), 0);
 
-  io.emit('yard-update', {
+  arena.emit('yard-update', {
+    arenaId: arena.id,
+    serverMode: arena.mode,
+    arenas,
     playing: totalPlaying,
-    max: gameConstants.arena.maxPlayers || 40,
+    max: arena.maxPlayers,
 queueLength: queueManager ? queueManager.getLength() : 0,
     queueMax: gameConstants.economy?.queue?.maxQueueSize || 100,
     queuePreview: queueManager ? queueManager.getQueuePreview() : [],
     arenaValue: arenaValue,
-pocketedValue: gameState.cachedPocketedTotal || 0,    leaderboard: top5,
+pocketedValue: cachedPocketedTotal,    leaderboard: top5,
     vaultFloor: gameState.goldenVaultFloor || 0,
+    paidPlayOpen: solvencyGuard ? solvencyGuard.canAcceptBuyIns() : null,
+    heldTierThreshold: arena.isPaid ? arena.world.getHeldTierThreshold() : null,
    goldenHour: goldenHourManager ? goldenHourManager.getStatus() : getGoldenYardTimeStatus(),
     pocketedLeaderboard: [], // TODO: read from pocketManager once built
     yardTime: {
@@ -4248,7 +2838,7 @@ pocketedValue: gameState.cachedPocketedTotal || 0,    leaderboard: top5,
       playsLast24h: yardTime.playsLast24h,
     }
   });
-}, 3000);
+}
 
 // ── Refresh cached pocketed total from Supabase (called on GYT close + startup) ──
 async function refreshPocketedTotal() {
@@ -4258,8 +2848,8 @@ async function refreshPocketedTotal() {
       .select('bounty')
       .eq('status', 'active');
     if (error) throw error;
-    gameState.cachedPocketedTotal = data.reduce((sum, row) => sum + (row.bounty || 0), 0);
-    console.log(`🎱 Cached pocketed total: $${gameState.cachedPocketedTotal.toFixed(2)}`);
+    cachedPocketedTotal = data.reduce((sum, row) => sum + (row.bounty || 0), 0);
+    console.log(`🎱 Cached pocketed total: $${cachedPocketedTotal.toFixed(2)}`);
   } catch (err) {
     console.warn(`⚠️ Could not refresh pocketed total: ${err.message}`);
   }
@@ -4271,9 +2861,11 @@ async function gracefulShutdown(signal) {
   console.log(`\n🛑 ${signal} received — graceful shutdown...`);
   
 // Refund all queued players before shutting down
-  if (queueManager && queueManager.getLength() > 0) {
-    console.log('💸 Refunding queued players before shutdown...');
-    await queueManager.refundAll('SERVER_SHUTDOWN');
+  for (const arena of matchmaker.all()) {
+    if (arena.queueManager && arena.queueManager.getLength() > 0) {
+      console.log(`💸 Refunding queued players in ${arena.id} before shutdown...`);
+      await arena.queueManager.refundAll('SERVER_SHUTDOWN');
+    }
   }
 
   // Save state before exit
@@ -4285,9 +2877,11 @@ async function gracefulShutdown(signal) {
   }
   
 // Clean up intervals
-if (goldenHourManager) goldenHourManager.destroy();
-  if (queueManager) queueManager.destroy();
+  for (const arena of matchmaker.all()) arena.close();
+  if (lobbyHeartbeat) await lobbyHeartbeat.stop();
   stateBackup.destroy();
+  bountyLedger.destroy();
+  if (solvencyGuard) solvencyGuard.destroy();
   auditLog.destroy();
   rewards.destroy();
   
@@ -1,5 +1,10 @@
-// MIBS.GG/src/shared/PathBuffer.server.js
-// âœ… Pure CommonJS PathBuffer for Node.js
+// GENERATED by scripts/build-shared.js from shared/PathBuffer.js — do not edit.
+// ============================================================
+// shared/PathBuffer.js — Trail of head positions by arc length
+// ============================================================
+// Source of truth for client and server (ESM build: shared/esm/).
+// Part of PHYSICS_VERSION — see scripts/build-shared.js.
+// ============================================================
 
 class PathBuffer {
   constructor(sampleDistance = 2) {
@@ -7,11 +12,13 @@ class PathBuffer {
     this.sampleDistance = sampleDistance;
     this.maxSamples = 2000;
     this.totalLength = 0;
+    this.trimmedLength = 0; // length shifted off the front — totalLength + this = odometer
   }
 
   reset(x, y) {
     this.samples = [{ x, y, dist: 0 }];
     this.totalLength = 0;
+    this.trimmedLength = 0;
   }
 
   add(x, y) {
@@ -40,6 +47,7 @@ class PathBuffer {
         s.dist -= offset;
       }
       this.totalLength -= offset;
+      this.trimmedLength += offset;
     }
   }
 
@@ -74,4 +82,4 @@ class PathBuffer {
   }
 }
 
-module.exports = PathBuffer;
+export default PathBuffer;
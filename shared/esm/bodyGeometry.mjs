@@ -0,0 +1,52 @@
+// GENERATED by scripts/build-shared.js from shared/bodyGeometry.js — do not edit.
+// ============================================================
+// shared/bodyGeometry.js — Where a marble's body segments are
+// ============================================================
+// One definition of a marble's body, used by everything that
+// touches it: collisions, the spatial grid, death drops, peewee
+// bounces and bot avoidance. The client draws from the same
+// constants, so the segments a player sees are the ones that
+// kill them — including on very long marbles.
+//
+//   radius    calculateMarbleRadius(lengthScore) — head AND segments
+//   spacing   2 × radius × spline.segmentSpacingMultiplier
+//   length    lengthScore × spline.bodyLengthPerScore
+//   count     floor(length / spacing); segment i sits i × spacing
+//             back along the path buffer (i = 1..count)
+//
+// Contact between two circles counts once they overlap past
+// collision.contactScale of their summed radii.
+//
+// Part of PHYSICS_VERSION (see scripts/build-shared.js).
+// ============================================================
+
+import { calculateMarbleRadius } from './physics.mjs';
+
+function getBodyGeometry(lengthScore, C) {
+  const radius = calculateMarbleRadius(lengthScore, C);
+  const spacing = Math.max(1, radius * 2 * (C.spline?.segmentSpacingMultiplier ?? 0.7));
+  const length = Math.max(0, lengthScore) * (C.spline?.bodyLengthPerScore ?? 2);
+  return {
+    radius,
+    segmentRadius: radius,
+    spacing,
+    length,
+    count: Math.floor(length / spacing)
+  };
+}
+
+// Distance behind the head (along the path) of segment `index`
+function segmentDistance(geometry, index) {
+  return index * geometry.spacing;
+}
+
+// Centre distance below which two marble circles are touching
+function contactDistance(radiusA, radiusB, C) {
+  return (radiusA + radiusB) * (C.collision?.contactScale ?? 0.60);
+}
+
+export {
+  getBodyGeometry,
+  segmentDistance,
+  contactDistance
+};
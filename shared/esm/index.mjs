@@ -0,0 +1,60 @@
+// GENERATED by scripts/build-shared.js from shared/index.js — do not edit.
+// ============================================================
+// shared/index.js — Everything the client and server share
+// ============================================================
+// CommonJS entry of the shared package. The client imports the
+// ESM build instead (shared/esm/index.mjs), generated from these
+// same files by `npm run build:shared`.
+// ============================================================
+
+import {
+  clamp,
+  wrapAngle,
+  calculateMarbleRadius,
+  hasSpeedBurst,
+  calculateTurnStep,
+  calculateMoveSpeed,
+  calculateBoostLoss
+} from './physics.mjs';
+import { stepPrediction, InputPredictor } from './inputPrediction.mjs';
+import PathBuffer from './PathBuffer.mjs';
+import { getBodyGeometry, segmentDistance, contactDistance } from './bodyGeometry.mjs';
+import { PHYSICS_VERSION, PHYSICS_SOURCES } from './physicsVersion.mjs';
+import {
+  SNAPSHOT_VERSION,
+  KIND_PLAYER,
+  KIND_BOT,
+  KIND_COIN,
+  KIND_POWERUP,
+  POWER_UP_TYPES,
+  quantizeEntity,
+  encodeSnapshot,
+  SnapshotDecoder
+} from './snapshotCodec.mjs';
+
+export {
+  clamp,
+  wrapAngle,
+  calculateMarbleRadius,
+  hasSpeedBurst,
+  calculateTurnStep,
+  calculateMoveSpeed,
+  calculateBoostLoss,
+  stepPrediction,
+  InputPredictor,
+  PathBuffer,
+  getBodyGeometry,
+  segmentDistance,
+  contactDistance,
+  PHYSICS_VERSION,
+  PHYSICS_SOURCES,
+  SNAPSHOT_VERSION,
+  KIND_PLAYER,
+  KIND_BOT,
+  KIND_COIN,
+  KIND_POWERUP,
+  POWER_UP_TYPES,
+  quantizeEntity,
+  encodeSnapshot,
+  SnapshotDecoder
+};
@@ -0,0 +1,128 @@
+// GENERATED by scripts/build-shared.js from shared/inputPrediction.js — do not edit.
+// ============================================================
+// shared/inputPrediction.js — Client-side prediction + replay
+// ============================================================
+// The server applies each playerInput on one tick (at most one
+// per tick, never before the tick it was stamped with) and acks
+// it as lastProcessedInput / lastInputTick in every snapshot —
+// see sim/inputQueue.js.
+//
+// The client stamps inputs with push(), sends what it returns
+// as playerInput, and on every snapshot calls reconcile(): acked
+// inputs are dropped and the rest are re-simulated on top of the
+// server's state, tick by tick, with the same turn / speed /
+// boost-loss math as World._updatePlayers — including a speed
+// burst from the snapshot's powerUps. Walls, pickups and
+// collisions are left to the next snapshot.
+//
+// Part of PHYSICS_VERSION, like physics.js.
+// ============================================================
+
+import { calculateTurnStep, calculateMoveSpeed, calculateBoostLoss } from './physics.mjs';
+
+/**
+ * One server tick of head movement for `input` ({ targetAngle, boost }).
+ * state.powerUps: active power-ups from the last snapshot — a speed
+ * burst is assumed to last until a snapshot says otherwise
+ */
+function stepPrediction(state, input, C, dt) {
+  const angle = calculateTurnStep(input.targetAngle, state.angle, state.lengthScore, input.boost, C, dt, state.powerUps);
+  const speed = calculateMoveSpeed(input.boost, state.isGolden, C, state.powerUps);
+  const lengthScore = input.boost && state.lengthScore > C.player.startLength
+    ? calculateBoostLoss(state.lengthScore, C, dt, state.powerUps)
+    : state.lengthScore;
+
+  return {
+    x: state.x + Math.cos(angle) * speed * dt,
+    y: state.y + Math.sin(angle) * speed * dt,
+    angle,
+    lengthScore,
+    isGolden: state.isGolden,
+    powerUps: state.powerUps,
+    targetAngle: input.targetAngle,
+    boosting: input.boost
+  };
+}
+
+class InputPredictor {
+  /**
+   * options.tickRate: server ticks per second (init.network.tickRate)
+   * options.maxPending: unacked inputs kept before the oldest is dropped
+   */
+  constructor(C, options = {}) {
+    this.C = C;
+    this.dt = 1 / (options.tickRate || 60);
+    this.maxPending = options.maxPending || 120;
+    this.nextSeq = 1;
+    this.pending = [];     // { seq, tick, targetAngle, boost }
+    this.lateTicks = 0;    // how much later than stamped the last ack landed
+  }
+
+  /**
+   * Stamp an input for `tick` — send the result as playerInput.
+   * Like the server, at most one input per tick.
+   */
+  push(input, tick) {
+    const last = this.pending[this.pending.length - 1];
+    const entry = {
+      seq: this.nextSeq++,
+      tick: last ? Math.max(tick, last.tick + 1) : tick,
+      targetAngle: input.targetAngle,
+      boost: !!input.boost
+    };
+    this.pending.push(entry);
+    if (this.pending.length > this.maxPending) this.pending.shift();
+    return { ...entry };
+  }
+
+  /**
+   * self: this player's entry from the snapshot at `serverTick`.
+   * Returns the predicted state at `untilTick`.
+   */
+  reconcile(self, serverTick, untilTick) {
+    const ackSeq = typeof self.lastProcessedInput === 'number' ? self.lastProcessedInput : -1;
+    const ackTick = self.lastInputTick || 0;
+
+    const acked = this.pending.find(e => e.seq === ackSeq);
+    if (acked && ackTick) this.lateTicks = Math.max(0, ackTick - acked.tick);
+    this.pending = this.pending.filter(e => e.seq > ackSeq);
+
+    // The server never applies two inputs on one tick
+    let previousTick = ackTick;
+    for (const entry of this.pending) {
+      entry.tick = Math.max(entry.tick, previousTick + 1);
+      previousTick = entry.tick;
+    }
+
+    let state = {
+      x: self.x,
+      y: self.y,
+      angle: self.angle,
+      lengthScore: self.lengthScore,
+      isGolden: !!self.isGolden,
+      powerUps: self.powerUps || [],
+      targetAngle: self.targetAngle,
+      boosting: !!self.boosting
+    };
+    let active = { targetAngle: self.targetAngle, boost: !!self.boosting };
+    let next = 0;
+
+    for (let tick = serverTick + 1; tick <= untilTick; tick++) {
+      while (next < this.pending.length && this.pending[next].tick <= tick) {
+        active = this.pending[next++];
+      }
+      state = stepPrediction(state, active, this.C, this.dt);
+    }
+    return state;
+  }
+
+  reset() {
+    this.pending = [];
+    this.lateTicks = 0;
+  }
+}
+
+export {
+  stepPrediction,
+  InputPredictor
+};
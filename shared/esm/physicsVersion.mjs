@@ -0,0 +1,12 @@
+// GENERATED by scripts/build-shared.js from shared/physicsVersion.js — do not edit.
+// ============================================================
+// shared/physicsVersion.js — GENERATED by scripts/build-shared.js
+// ============================================================
+// Hash of physics.js, PathBuffer.js, bodyGeometry.js, inputPrediction.js.
+// Do not edit — run `npm run build:shared`.
+// ============================================================
+
+const PHYSICS_VERSION = '3ed67414b1ec';
+const PHYSICS_SOURCES = ["physics.js","PathBuffer.js","bodyGeometry.js","inputPrediction.js"];
+
+export { PHYSICS_VERSION, PHYSICS_SOURCES };
@@ -0,0 +1,453 @@
+// GENERATED by scripts/build-shared.js from shared/snapshotCodec.js — do not edit.
+// ============================================================
+// shared/snapshotCodec.js — Binary, delta-compressed gameState
+// ============================================================
+// Used on both ends: the server encodes one snapshot per client
+// (only entities inside that client's view), the client decodes
+// it back into the same shape as the JSON `gameState` event.
+//
+// Wire format (little endian):
+//   header   u8 version | u32 snapshotId | u32 baselineId (0 = full)
+//            u32 tick | f64 timestamp | u16 serverDeltaMs
+//            u8 flags (1 paid, 2 nearby-only refresh)
+//            f32 goldenVaultFloor | u16 exhaustedTierCount | u8 posScale
+//            u16 arenaRadius (px — shrinks during Golden Yard Time)
+//            f32 heldTierThreshold (cashout tiers held from here
+//                while the house wallet is low — 0 = all available)
+//   removed  u16 count, then u32 netId × count
+//   records  u16 count, then per record:
+//              u32 netId | u8 op (0 update, 1 enter)
+//              enter → u8 kind + kind's strings (u8 len + utf8)
+//              u16 field mask | changed fields in schema order
+//
+// Deltas are against `baselineId`, the last snapshot the client
+// acked. Entities missing from `records` are unchanged.
+//
+// Pure JS (DataView + TextEncoder) — no Node-only APIs.
+// ============================================================
+
+const SNAPSHOT_VERSION = 5; // 2: players carry lastInputTick, 3: arenaRadius, 4: power-ups, 5: heldTierThreshold
+
+const KIND_PLAYER = 0;
+const KIND_BOT = 1;
+const KIND_COIN = 2;
+const KIND_POWERUP = 3;
+
+// Power-up types — order is the bit order of a marble's `powerUps` mask
+const POWER_UP_TYPES = ['shield', 'magnet', 'ghost', 'speed'];
+
+const TWO_PI = Math.PI * 2;
+
+// ----------------------------------------------------------
+// Quantizers — every field is compared and sent quantized
+// ----------------------------------------------------------
+function clampInt(v, min, max) {
+  return Math.max(min, Math.min(max, Math.round(v)));
+}
+
+const angleField = (key) => ({
+  key,
+  type: 'u16',
+  encode: (v) => {
+    let a = (v || 0) % TWO_PI;
+    if (a < 0) a += TWO_PI;
+    return Math.round(a / TWO_PI * 65536) & 0xFFFF;
+  },
+  decode: (q) => {
+    const a = q / 65536 * TWO_PI;
+    return a > Math.PI ? a - TWO_PI : a;
+  }
+});
+
+const positionField = (key) => ({
+  key,
+  type: 'i16',
+  encode: (v, scale) => clampInt((v || 0) * scale, -32768, 32767),
+  decode: (q, scale) => q / scale
+});
+
+const scaledField = (key, type, factor, max) => ({
+  key,
+  type,
+  encode: (v) => clampInt((v || 0) * factor, type === 'i16' ? -32768 : 0, max),
+  decode: (q) => q / factor
+});
+
+const rawField = (key, type) => ({
+  key,
+  type,
+  encode: (v) => (type === 'f32' ? Math.fround(v || 0) : (v || 0)),
+  decode: (q) => q
+});
+
+// Active power-ups: array of type names ↔ u8 bitmask
+const powerUpsField = (key) => ({
+  key,
+  type: 'u8',
+  encode: (v) => (v || []).reduce((bits, type) => {
+    const bit = POWER_UP_TYPES.indexOf(type);
+    return bit >= 0 ? bits | (1 << bit) : bits;
+  }, 0),
+  decode: (q) => POWER_UP_TYPES.filter((type, bit) => q & (1 << bit))
+});
+
+const flagsField = (keys) => ({
+  key: '_flags',
+  type: 'u8',
+  flags: keys,
+  encode: (entity) => keys.reduce((bits, key, i) => bits | (entity[key] ? (1 << i) : 0), 0),
+  decode: (q) => q
+});
+
+// ----------------------------------------------------------
+// Schemas — order is the wire order and the mask bit order
+// ----------------------------------------------------------
+const SCHEMAS = {
+  [KIND_PLAYER]: {
+    strings: ['id', 'name', 'marbleType'],
+    fields: [
+      positionField('x'),
+      positionField('y'),
+      angleField('angle'),
+      angleField('targetAngle'),
+      rawField('lengthScore', 'f32'),
+      rawField('bounty', 'f64'),
+      scaledField('kills', 'u16', 1, 65535),
+      flagsField(['alive', 'isGolden', 'boosting']),
+      rawField('lastProcessedInput', 'i32'),
+      rawField('lastInputTick', 'u32'),
+      scaledField('nextTierIndex', 'u8', 1, 255),
+      powerUpsField('powerUps')
+    ]
+  },
+  [KIND_BOT]: {
+    strings: ['id', 'name', 'marbleType'],
+    fields: [
+      positionField('x'),
+      positionField('y'),
+      angleField('angle'),
+      rawField('lengthScore', 'f32'),
+      rawField('bounty', 'f64'),
+      scaledField('kills', 'u16', 1, 65535),
+      flagsField(['alive', 'isGolden', 'boosting']),
+      powerUpsField('powerUps')
+    ]
+  },
+  [KIND_COIN]: {
+    strings: ['id', 'marbleType'],
+    fields: [
+      positionField('x'),
+      positionField('y'),
+      scaledField('vx', 'i16', 4, 32767),
+      scaledField('vy', 'i16', 4, 32767),
+      scaledField('radius', 'u16', 100, 65535),
+      rawField('growthValue', 'f32'),
+      angleField('rotation'),
+      flagsField(['isDropped']),
+      scaledField('sizeMultiplier', 'u16', 1000, 65535)
+    ]
+  },
+  [KIND_POWERUP]: {
+    strings: ['id', 'type'],
+    fields: [
+      positionField('x'),
+      positionField('y'),
+      scaledField('radius', 'u16', 100, 65535)
+    ]
+  }
+};
+
+// Quantize an entity once per frame — shared by every client's encode
+function quantizeEntity(kind, entity, posScale) {
+  const schema = SCHEMAS[kind];
+  const q = new Array(schema.fields.length);
+  for (let i = 0; i < schema.fields.length; i++) {
+    const field = schema.fields[i];
+    q[i] = field.flags ? field.encode(entity) : field.encode(entity[field.key], posScale);
+  }
+  const strings = schema.strings.map(key => String(entity[key] ?? ''));
+  return { kind, q, strings };
+}
+
+// ----------------------------------------------------------
+// Byte writer / reader
+// ----------------------------------------------------------
+const SIZES = { u8: 1, u16: 2, i16: 2, u32: 4, i32: 4, f32: 4, f64: 8 };
+
+class ByteWriter {
+  constructor(initialSize = 4096) {
+    this.buffer = new ArrayBuffer(initialSize);
+    this.view = new DataView(this.buffer);
+    this.bytes = new Uint8Array(this.buffer);
+    this.offset = 0;
+  }
+
+  _ensure(n) {
+    if (this.offset + n <= this.buffer.byteLength) return;
+    let size = this.buffer.byteLength * 2;
+    while (size < this.offset + n) size *= 2;
+    const next = new ArrayBuffer(size);
+    new Uint8Array(next).set(this.bytes.subarray(0, this.offset));
+    this.buffer = next;
+    this.view = new DataView(next);
+    this.bytes = new Uint8Array(next);
+  }
+
+  write(type, value) {
+    this._ensure(SIZES[type]);
+    const v = this.view;
+    const o = this.offset;
+    switch (type) {
+      case 'u8': v.setUint8(o, value); break;
+      case 'u16': v.setUint16(o, value, true); break;
+      case 'i16': v.setInt16(o, value, true); break;
+      case 'u32': v.setUint32(o, value >>> 0, true); break;
+      case 'i32': v.setInt32(o, value | 0, true); break;
+      case 'f32': v.setFloat32(o, value, true); break;
+      case 'f64': v.setFloat64(o, value, true); break;
+    }
+    this.offset += SIZES[type];
+  }
+
+  writeString(str) {
+    const encoded = textEncoder.encode(str);
+    const len = Math.min(encoded.length, 255);
+    this.write('u8', len);
+    this._ensure(len);
+    this.bytes.set(encoded.subarray(0, len), this.offset);
+    this.offset += len;
+  }
+
+  // Patch a u16 written earlier (counts known only after the loop)
+  patchU16(offset, value) {
+    this.view.setUint16(offset, value, true);
+  }
+
+  finish() {
+    return new Uint8Array(this.buffer, 0, this.offset);
+  }
+}
+
+class ByteReader {
+  constructor(data) {
+    const bytes = data instanceof Uint8Array ? data : new Uint8Array(data);
+    this.view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    this.bytes = bytes;
+    this.offset = 0;
+  }
+
+  read(type) {
+    const v = this.view;
+    const o = this.offset;
+    this.offset += SIZES[type];
+    switch (type) {
+      case 'u8': return v.getUint8(o);
+      case 'u16': return v.getUint16(o, true);
+      case 'i16': return v.getInt16(o, true);
+      case 'u32': return v.getUint32(o, true);
+      case 'i32': return v.getInt32(o, true);
+      case 'f32': return v.getFloat32(o, true);
+      case 'f64': return v.getFloat64(o, true);
+    }
+    return 0;
+  }
+
+  readString() {
+    const len = this.read('u8');
+    const str = textDecoder.decode(this.bytes.subarray(this.offset, this.offset + len));
+    this.offset += len;
+    return str;
+  }
+}
+
+const textEncoder = new TextEncoder();
+const textDecoder = new TextDecoder();
+
+// ============================================================================
+// ENCODE
+// ============================================================================
+// current / baseline: Map netId → quantized record ({ kind, q, strings })
+// header: { snapshotId, baselineId, tick, timestamp, serverDeltaMs,
+//           isPaid, goldenVaultFloor, exhaustedTierCount, posScale, arenaRadius,
+//           heldTierThreshold }
+function encodeSnapshot(header, current, baseline) {
+  const w = new ByteWriter();
+
+  w.write('u8', SNAPSHOT_VERSION);
+  w.write('u32', header.snapshotId);
+  w.write('u32', baseline ? header.baselineId : 0);
+  w.write('u32', header.tick || 0);
+  w.write('f64', header.timestamp || 0);
+  w.write('u16', clampInt(header.serverDeltaMs || 0, 0, 65535));
+  w.write('u8', (header.isPaid ? 1 : 0) | (header.nearbyOnly ? 2 : 0));
+  w.write('f32', header.goldenVaultFloor || 0);
+  w.write('u16', clampInt(header.exhaustedTierCount || 0, 0, 65535));
+  w.write('u8', header.posScale);
+  w.write('u16', clampInt(header.arenaRadius || 0, 0, 65535));
+  w.write('f32', header.heldTierThreshold || 0);
+
+  // ── Removed since baseline ──
+  const removedAt = w.offset;
+  w.write('u16', 0);
+  let removed = 0;
+  if (baseline) {
+    for (const netId of baseline.keys()) {
+      if (!current.has(netId)) {
+        w.write('u32', netId);
+        removed++;
+      }
+    }
+  }
+  w.patchU16(removedAt, removed);
+
+  // ── Entered / changed ──
+  const recordsAt = w.offset;
+  w.write('u16', 0);
+  let records = 0;
+  for (const [netId, record] of current) {
+    const base = baseline ? baseline.get(netId) : undefined;
+    if (base === record) continue; // same frozen record → nothing changed
+
+    const schema = SCHEMAS[record.kind];
+    let mask = 0;
+    const entering = !base || base.kind !== record.kind;
+    for (let i = 0; i < record.q.length; i++) {
+      if (entering || base.q[i] !== record.q[i]) mask |= (1 << i);
+    }
+    if (mask === 0) continue;
+
+    w.write('u32', netId);
+    w.write('u8', entering ? 1 : 0);
+    if (entering) {
+      w.write('u8', record.kind);
+      for (const str of record.strings) w.writeString(str);
+    }
+    w.write('u16', mask);
+    for (let i = 0; i < record.q.length; i++) {
+      if (mask & (1 << i)) w.write(schema.fields[i].type, record.q[i]);
+    }
+    records++;
+  }
+  w.patchU16(recordsAt, records);
+
+  return w.finish();
+}
+
+// ============================================================================
+// DECODE (client)
+// ============================================================================
+// Keeps recent decoded snapshots as baselines. After decode(), ack
+// the returned snapshotId so the server deltas against it.
+class SnapshotDecoder {
+  constructor(options = {}) {
+    this.historySize = options.historySize || 32;
+    this.history = new Map(); // snapshotId → Map netId → { kind, q, strings }
+  }
+
+  decode(data) {
+    const r = new ByteReader(data);
+
+    const version = r.read('u8');
+    if (version !== SNAPSHOT_VERSION) {
+      throw new Error(`Unsupported snapshot version ${version}`);
+    }
+
+    const header = {
+      snapshotId: r.read('u32'),
+      baselineId: r.read('u32'),
+      tick: r.read('u32'),
+      timestamp: r.read('f64'),
+      serverDeltaMs: r.read('u16'),
+      flags: r.read('u8'),
+      goldenVaultFloor: r.read('f32'),
+      exhaustedTierCount: r.read('u16'),
+      posScale: r.read('u8'),
+      arenaRadius: r.read('u16'),
+      heldTierThreshold: r.read('f32') || null
+    };
+    header.isPaid = (header.flags & 1) !== 0;
+    header.nearbyOnly = (header.flags & 2) !== 0;
+
+    let state;
+    if (header.baselineId === 0) {
+      state = new Map();
+    } else {
+      const baseline = this.history.get(header.baselineId);
+      if (!baseline) return null; // baseline dropped — don't ack, server will resend full
+      state = new Map(baseline);
+    }
+
+    const removedCount = r.read('u16');
+    for (let i = 0; i < removedCount; i++) state.delete(r.read('u32'));
+
+    const recordCount = r.read('u16');
+    for (let i = 0; i < recordCount; i++) {
+      const netId = r.read('u32');
+      const entering = r.read('u8') === 1;
+      let record;
+      if (entering) {
+        const kind = r.read('u8');
+        const strings = SCHEMAS[kind].strings.map(() => r.readString());
+        record = { kind, q: new Array(SCHEMAS[kind].fields.length).fill(0), strings };
+      } else {
+        const base = state.get(netId);
+        if (!base) throw new Error(`Delta for unknown entity ${netId}`);
+        record = { kind: base.kind, q: base.q.slice(), strings: base.strings };
+      }
+
+      const schema = SCHEMAS[record.kind];
+      const mask = r.read('u16');
+      for (let f = 0; f < schema.fields.length; f++) {
+        if (mask & (1 << f)) record.q[f] = r.read(schema.fields[f].type);
+      }
+      state.set(netId, record);
+    }
+
+    this.history.set(header.snapshotId, state);
+    while (this.history.size > this.historySize) {
+      this.history.delete(this.history.keys().next().value);
+    }
+
+    return { ...header, ...toGameState(state, header.posScale) };
+  }
+}
+
+// Same shape as the JSON `gameState` payload: { players: {id: …}, bots: [], coins: [], powerUps: [] }
+function toGameState(state, posScale) {
+  const players = {};
+  const bots = [];
+  const coins = [];
+  const powerUps = [];
+
+  for (const record of state.values()) {
+    const schema = SCHEMAS[record.kind];
+    const entity = {};
+    schema.strings.forEach((key, i) => { entity[key] = record.strings[i]; });
+    schema.fields.forEach((field, i) => {
+      if (field.flags) {
+        field.flags.forEach((key, bit) => { entity[key] = (record.q[i] & (1 << bit)) !== 0; });
+      } else {
+        entity[field.key] = field.decode(record.q[i], posScale);
+      }
+    });
+
+    if (record.kind === KIND_PLAYER) players[entity.id] = entity;
+    else if (record.kind === KIND_BOT) bots.push(entity);
+    else if (record.kind === KIND_POWERUP) powerUps.push(entity);
+    else coins.push(entity);
+  }
+
+  return { players, bots, coins, powerUps };
+}
+
+export {
+  SNAPSHOT_VERSION,
+  KIND_PLAYER,
+  KIND_BOT,
+  KIND_COIN,
+  KIND_POWERUP,
+  POWER_UP_TYPES,
+  quantizeEntity,
+  encodeSnapshot,
+  SnapshotDecoder
+};
@@ -0,0 +1,59 @@
+// ============================================================
+// shared/index.js — Everything the client and server share
+// ============================================================
+// CommonJS entry of the shared package. The client imports the
+// ESM build instead (shared/esm/index.mjs), generated from these
+// same files by `npm run build:shared`.
+// ============================================================
+
+const {
+  clamp,
+  wrapAngle,
+  calculateMarbleRadius,
+  hasSpeedBurst,
+  calculateTurnStep,
+  calculateMoveSpeed,
+  calculateBoostLoss
+} = require('./physics');
+const { stepPrediction, InputPredictor } = require('./inputPrediction');
+const PathBuffer = require('./PathBuffer');
+const { getBodyGeometry, segmentDistance, contactDistance } = require('./bodyGeometry');
+const { PHYSICS_VERSION, PHYSICS_SOURCES } = require('./physicsVersion');
+const {
+  SNAPSHOT_VERSION,
+  KIND_PLAYER,
+  KIND_BOT,
+  KIND_COIN,
+  KIND_POWERUP,
+  POWER_UP_TYPES,
+  quantizeEntity,
+  encodeSnapshot,
+  SnapshotDecoder
+} = require('./snapshotCodec');
+
+module.exports = {
+  clamp,
+  wrapAngle,
+  calculateMarbleRadius,
+  hasSpeedBurst,
+  calculateTurnStep,
+  calculateMoveSpeed,
+  calculateBoostLoss,
+  stepPrediction,
+  InputPredictor,
+  PathBuffer,
+  getBodyGeometry,
+  segmentDistance,
+  contactDistance,
+  PHYSICS_VERSION,
+  PHYSICS_SOURCES,
+  SNAPSHOT_VERSION,
+  KIND_PLAYER,
+  KIND_BOT,
+  KIND_COIN,
+  KIND_POWERUP,
+  POWER_UP_TYPES,
+  quantizeEntity,
+  encodeSnapshot,
+  SnapshotDecoder
+};
@@ -0,0 +1,97 @@
+// ============================================================
+// shared/physics.js — Movement math shared with the client
+// ============================================================
+// Source of truth for client and server (ESM build: shared/esm/).
+// Part of PHYSICS_VERSION — any change here means old clients
+// must reload (see scripts/build-shared.js).
+// ============================================================
+
+/**
+ * Clamp value between min and max
+ */
+function clamp(value, min, max) {
+  return Math.max(min, Math.min(max, value));
+}
+
+/**
+ * Wraps an angle to the range -PI to PI.
+ */
+function wrapAngle(angle) {
+  while (angle > Math.PI) angle -= Math.PI * 2;
+  while (angle < -Math.PI) angle += Math.PI * 2;
+  return angle;
+}
+
+/**
+ * Calculates a marble's current radius based on its length.
+ */
+function calculateMarbleRadius(lengthScore, C) {
+  const extra = Math.max(0, lengthScore - C.player.startLength);
+  const growFrac = extra / Math.max(1, 1000 * C.player.widthVsLengthMult);
+  return (C.marble.shooterTargetWidth * 0.5) * (1 + growFrac);
+}
+
+/**
+ * A speed burst moves and turns like a boost but costs no length.
+ * powerUps: the marble's active types, as snapshots carry them
+ */
+function hasSpeedBurst(powerUps) {
+  return Array.isArray(powerUps) && powerUps.includes('speed');
+}
+
+/**
+ * Calculates the new angle for one tick
+ */
+function calculateTurnStep(targetAngle, currentAngle, lengthScore, boosting, C, dt, powerUps) {
+  const leadMarbleRadius = calculateMarbleRadius(lengthScore, C);
+  const fast = boosting || hasSpeedBurst(powerUps);
+  const turnPenaltyFromBoost = fast ? (1 - C.movement.boostTurnPenaltyFrac) : 1;
+  const rawMaxTurn = (C.movement.turnRateMaxDegPerSec * Math.PI / 180);
+  const sizeScale = leadMarbleRadius / (C.marble.shooterTargetWidth * 0.5);
+  const stiffK = C.movement.turnStiffnessPerScale;
+  const minTurn = C.movement.minTurnMultiplier;
+  const sizeMult = Math.max(minTurn, 1 / (1 + stiffK * (sizeScale - 1)));
+  
+  const maxTurnRate = rawMaxTurn * turnPenaltyFromBoost * sizeMult * dt;
+  
+  const diff = wrapAngle(targetAngle - currentAngle);
+  const step = clamp(diff, -maxTurnRate, maxTurnRate);
+  
+  return wrapAngle(currentAngle + step);
+}
+
+/**
+ * Head speed in px/s for the current boost / speed burst / golden state
+ */
+function calculateMoveSpeed(boosting, isGolden, C, powerUps) {
+  const goldenBoost = isGolden ? (C.golden?.speedMultiplier || 1.0) : 1.0;
+  const baseSpeed = C.movement?.normalSpeed || 250;
+  const boostMult = C.movement?.boostMultiplier || 1.6;
+  const fast = boosting || hasSpeedBurst(powerUps);
+  return (fast ? baseSpeed * boostMult : baseSpeed) * goldenBoost;
+}
+
+/**
+ * Length left after one tick of boosting — bigger chains lose MORE,
+ * nothing is lost during a speed burst
+ */
+function calculateBoostLoss(lengthScore, C, dt, powerUps) {
+  if (hasSpeedBurst(powerUps)) return lengthScore;
+  const boostCfg = C.boost || {};
+  const base = boostCfg.growthLossBase || 3;
+  const exp = boostCfg.growthLossExponent || 1.4;
+  const threshold = boostCfg.growthLossScaleThreshold || 500;
+  const sizeRatio = Math.max(1, lengthScore / threshold);
+  const loss = base * Math.pow(sizeRatio, exp);
+  return Math.max(C.player.startLength, lengthScore - loss * dt);
+}
+
+module.exports = {
+  clamp,
+  wrapAngle,
+  calculateMarbleRadius,
+  hasSpeedBurst,
+  calculateTurnStep,
+  calculateMoveSpeed,
+  calculateBoostLoss
+};
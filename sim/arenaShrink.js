@@ -0,0 +1,85 @@
+// ============================================================
+// sim/arenaShrink.js — Arena contracts during Golden Yard Time
+// ============================================================
+// Drives world.state.arenaRadius, which every wall check reads
+// instead of the fixed C.arena.radius (movement bounds, bot
+// wall avoidance, spawns, peewee bounces, wall deaths).
+//
+// The GYT schedule is wall-clock time, so it stays outside the
+// simulation: server.js calls world.setGoldenYardTime() when
+// it opens or closes (recorded for replays) and from then on
+// the radius follows simulation time only.
+//
+//   open + shrinkStartMinutes       wall starts closing in
+//   shrinkSpeedMultiplier 1         reaches minRadius as GYT closes
+//                         2         ...halfway through, and so on
+//   closed                          grows back at catchUpPxPerSec
+//
+// The wall never jumps: opening mid-GYT (server restart) closes
+// in at catchUpPxPerSec until it meets the schedule.
+//
+// Marbles the wall passes die as wall deaths, credited like
+// any other (world.findWallDeathCredit).
+//
+// Config: goldenYardTime.arena
+//   enabled, shrinkStartMinutes, shrinkSpeedMultiplier,
+//   minRadius, catchUpPxPerSec
+// ============================================================
+
+class ArenaShrink {
+  constructor(world) {
+    this.world = world;
+    const C = world.C;
+    const gyt = C.goldenYardTime || {};
+    const cfg = gyt.arena || {};
+
+    this.enabled = gyt.enabled !== false && cfg.enabled === true;
+    this.fullRadius = C.arena.radius;
+    this.minRadius = Math.min(this.fullRadius, cfg.minRadius ?? this.fullRadius * 0.4);
+    this.startDelayMs = (cfg.shrinkStartMinutes || 0) * 60000;
+    this.catchUpPxPerSec = cfg.catchUpPxPerSec ?? 100;
+
+    // Spread the shrink over whatever is left of GYT after the delay
+    const durationMs = (gyt.schedule?.durationMinutes || 60) * 60000;
+    const shrinkMs = Math.max(60000, durationMs - this.startDelayMs) / (cfg.shrinkSpeedMultiplier || 1);
+    this.shrinkPxPerMs = (this.fullRadius - this.minRadius) / shrinkMs;
+
+    this.openedAt = null;   // sim time GYT opened (null = closed)
+  }
+
+  get isOpen() {
+    return this.openedAt !== null;
+  }
+
+  // elapsedMs: how long GYT had already been open (server restarted mid-GYT)
+  open(elapsedMs = 0) {
+    this.openedAt = this.world.now() - Math.max(0, elapsedMs);
+  }
+
+  close() {
+    this.openedAt = null;
+  }
+
+  // Radius the wall is heading for at `now`
+  targetRadius(now) {
+    if (!this.enabled || this.openedAt === null) return this.fullRadius;
+    const shrinkingFor = now - this.openedAt - this.startDelayMs;
+    if (shrinkingFor <= 0) return this.fullRadius;
+    return Math.max(this.minRadius, this.fullRadius - shrinkingFor * this.shrinkPxPerMs);
+  }
+
+  // Once per step(), before anything checks the wall
+  update() {
+    const state = this.world.state;
+    const target = this.targetRadius(this.world.now());
+    const maxStep = Math.max(this.catchUpPxPerSec * this.world.dt, this.shrinkPxPerMs * this.world.tickMs);
+
+    if (target < state.arenaRadius) {
+      state.arenaRadius = Math.max(target, state.arenaRadius - maxStep);
+    } else if (target > state.arenaRadius) {
+      state.arenaRadius = Math.min(target, state.arenaRadius + maxStep);
+    }
+  }
+}
+
+module.exports = ArenaShrink;
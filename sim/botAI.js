@@ -0,0 +1,488 @@
+// ============================================================
+// sim/botAI.js — SMART BOTS (spawn + per-tick steering)
+// ============================================================
+// Every tick: WALL_AVOID → DODGE (shared reflexes), then squad
+// orders if the bot is pack-hunting (sim/botSquads.js), else the
+// bot's brain picks what to go after (sim/botBrains.js). The
+// built-in brains:
+//
+//   forager   coins first, hunts only when big + aggressive and
+//             no coin is near (the original bots)
+//   hunter    goes for players whenever it's big enough
+//   coward    runs from anything bigger, grazes otherwise
+//   sniper    drifts without boosting, then boosts in for
+//             targets that come within snipe range
+//
+// All rolls go through world.rng so bot behaviour replays
+// exactly from the world seed.
+// ============================================================
+
+const { wrapAngle, calculateMarbleRadius, calculateTurnStep, calculateMoveSpeed } = require('../shared/physics');
+const PathBuffer = require('../shared/PathBuffer');
+const { getBodyGeometry, segmentDistance } = require('../shared/bodyGeometry');
+const { registerBrain, getBrain, pickBotProfile } = require('./botBrains');
+
+const BOT_NAMES = [
+  'RollerPro', 'SpinMaster', 'MarbleKing', 'SphereHero', 'BounceBot',
+  'TurboMarble', 'SpeedyOrb', 'RollingThunder', 'CircleChamp', 'GlassGiant'
+];
+
+function findNearestCoin(world, marble, maxRange) {
+  let nearest = null;
+  let minDist = maxRange || Infinity;
+
+  for (const coin of world.state.coins) {
+    const dist = Math.hypot(coin.x - marble.x, coin.y - marble.y);
+    if (dist < minDist) {
+      minDist = dist;
+      nearest = coin;
+    }
+  }
+  return nearest;
+}
+
+// ✅ Check if a position is too close to arena wall
+function isNearWall(world, x, y, buffer) {
+  const distFromCenter = Math.sqrt(x * x + y * y);
+  return distFromCenter + buffer > world.state.arenaRadius;
+}
+
+// ✅ Get steering angle AWAY from wall (tangent + inward)
+function getWallAvoidAngle(world, x, y) {
+  // Point toward center, but offset 45° so bot curves away smoothly
+  const angleToCenter = Math.atan2(-y, -x);
+  const offset = (world.rng.next() > 0.5 ? 1 : -1) * (Math.PI / 4);
+  return angleToCenter + offset;
+}
+
+// ✅ Scan ahead for body segments in bot's path
+function scanForBodies(world, bot, lookAhead, scanWidth) {
+  const allMarbles = world.getAliveMarbles().filter(m => m.id !== bot.id);
+
+  const cosA = Math.cos(bot.angle);
+  const sinA = Math.sin(bot.angle);
+
+  let closestThreat = null;
+  let closestDist = lookAhead;
+
+  for (const other of allMarbles) {
+    const otherRadius = calculateMarbleRadius(other.lengthScore, world.C);
+
+    // Check head
+    const hdx = other.x - bot.x;
+    const hdy = other.y - bot.y;
+    const headDist = Math.sqrt(hdx * hdx + hdy * hdy);
+
+    if (headDist < lookAhead) {
+      // Project onto bot's forward direction
+      const forward = hdx * cosA + hdy * sinA;
+      const lateral = Math.abs(-hdx * sinA + hdy * cosA);
+
+      if (forward > 0 && forward < closestDist && lateral < scanWidth + otherRadius) {
+        closestDist = forward;
+        closestThreat = { x: other.x, y: other.y, isHead: true, ownerId: other.id };
+      }
+    }
+
+    // Check body segments
+    if (other.pathBuffer && other.pathBuffer.samples.length > 1) {
+      const body = getBodyGeometry(other.lengthScore, world.C);
+
+      // Only check a segment every ~60px for performance
+      const stride = Math.max(1, Math.round(60 / body.spacing));
+      for (let i = 1; i <= body.count; i += stride) {
+        const sample = other.pathBuffer.sampleBack(segmentDistance(body, i));
+        const sdx = sample.x - bot.x;
+        const sdy = sample.y - bot.y;
+        const segDist = Math.sqrt(sdx * sdx + sdy * sdy);
+
+        if (segDist < lookAhead) {
+          const forward = sdx * cosA + sdy * sinA;
+          const lateral = Math.abs(-sdx * sinA + sdy * cosA);
+          const segRadius = body.segmentRadius;
+
+          if (forward > 0 && forward < closestDist && lateral < scanWidth + segRadius) {
+            closestDist = forward;
+            closestThreat = { x: sample.x, y: sample.y, isHead: false, ownerId: other.id };
+          }
+        }
+      }
+    }
+  }
+
+  return closestThreat;
+}
+
+// ✅ Find a huntable target (smaller or similar size, nearby)
+function findHuntTarget(world, bot, range = 600, maxSizeDeficit = 50) {
+  const allMarbles = world.getAliveMarbles().filter(m => m.id !== bot.id);
+
+  let bestTarget = null;
+  let bestScore = -Infinity;
+
+  for (const other of allMarbles) {
+    const dist = Math.hypot(other.x - bot.x, other.y - bot.y);
+    if (dist > range) continue; // Only hunt nearby
+
+    // Prefer smaller targets, closer targets, and players over bots
+    const sizeAdvantage = bot.lengthScore - other.lengthScore;
+    if (sizeAdvantage < -maxSizeDeficit) continue; // Don't hunt much bigger
+
+    const score = sizeAdvantage * 2 - dist + (other.isBot ? 0 : 100) + (other.bounty || 0) * 5;
+
+    if (score > bestScore) {
+      bestScore = score;
+      bestTarget = other;
+    }
+  }
+
+  return bestScore > 0 ? bestTarget : null;
+}
+
+// ✅ Get angle to intercept a moving target (lead the target)
+function getInterceptAngle(world, bot, target) {
+  const baseSpeed = world.C.movement?.normalSpeed || 250;
+
+  // Predict where target will be in ~0.5 seconds
+  const predictX = target.x + Math.cos(target.angle || 0) * baseSpeed * 0.5;
+  const predictY = target.y + Math.sin(target.angle || 0) * baseSpeed * 0.5;
+
+  return Math.atan2(predictY - bot.y, predictX - bot.x);
+}
+
+// ✅ Nearest marble big enough to be a danger
+function findThreat(world, bot, range) {
+  let nearest = null;
+  let minDist = range;
+
+  for (const other of world.getAliveMarbles()) {
+    if (other.id === bot.id || other.lengthScore <= bot.lengthScore) continue;
+    const dist = Math.hypot(other.x - bot.x, other.y - bot.y);
+    if (dist < minDist) {
+      minDist = dist;
+      nearest = other;
+    }
+  }
+  return nearest;
+}
+
+// ============================================================
+// BRAIN BUILDING BLOCKS
+// ============================================================
+function chaseTarget(world, bot, target, profile) {
+  bot._aiState = 'HUNT_PLAYER';
+
+  // ✅ Delayed reaction: use last known position, not current
+  if (!bot._lastPlayerSeen || world.now() - (bot._lastSeenTime || 0) > bot._reactionDelay) {
+    bot._lastPlayerSeen = { x: target.x, y: target.y, angle: target.angle || 0 };
+    bot._lastSeenTime = world.now();
+  }
+
+  // Lead the target with prediction
+  bot.targetAngle = getInterceptAngle(world, bot, bot._lastPlayerSeen);
+
+  // Boost to close distance
+  const huntDist = Math.hypot(target.x - bot.x, target.y - bot.y);
+  bot.boosting = huntDist < profile.chaseBoostPx[1] && huntDist > profile.chaseBoostPx[0];
+}
+
+function collectCoin(world, bot, coin, profile) {
+  bot.targetAngle = Math.atan2(coin.y - bot.y, coin.x - bot.x);
+
+  // Boost toward coin clusters
+  const coinDist = Math.hypot(coin.x - bot.x, coin.y - bot.y);
+  bot.boosting = coinDist > 200 && bot.lengthScore > 150 && world.rng.next() < profile.coinBoostChance;
+}
+
+function wander(world, bot) {
+  const rng = world.rng;
+
+  if (bot._stateTimer > 2000 + rng.next() * 2000) {
+    // Pick random point within safe zone (70% of arena)
+    const angle = rng.next() * Math.PI * 2;
+    const distance = rng.next() * world.state.arenaRadius * 0.6;
+    bot._wanderTarget = {
+      x: Math.cos(angle) * distance,
+      y: Math.sin(angle) * distance
+    };
+    bot._stateTimer = 0;
+  }
+
+  if (bot._wanderTarget) {
+    bot.targetAngle = Math.atan2(
+      bot._wanderTarget.y - bot.y,
+      bot._wanderTarget.x - bot.x
+    );
+  }
+  bot.boosting = false;
+
+  // Switch back to coin hunting periodically
+  if (bot._stateTimer > 1000) {
+    bot._aiState = 'HUNT_COIN';
+  }
+}
+
+// Coin if one is in range, else wander — the fallback for every brain but forager
+function graze(world, bot, profile) {
+  const coin = findNearestCoin(world, bot, profile.coinRangePx);
+  if (coin) {
+    bot._aiState = 'HUNT_COIN';
+    collectCoin(world, bot, coin, profile);
+  } else {
+    bot._aiState = 'WANDER';
+    wander(world, bot);
+  }
+}
+
+// ============================================================
+// BUILT-IN BRAINS
+// ============================================================
+registerBrain('forager', {
+  think(world, bot, profile) {
+    // ✅ Always try coins first
+    const nearestCoin = findNearestCoin(world, bot, profile.coinRangePx);
+
+    // Only hunt players when NO coins nearby and bot is big + aggressive
+    if (!nearestCoin && bot._personality > profile.huntAggression && bot.lengthScore > profile.huntMinLength && bot._stateTimer > bot._reactionDelay) {
+      const huntTarget = findHuntTarget(world, bot, profile.huntRangePx, profile.maxSizeDeficit);
+
+      if (huntTarget) {
+        chaseTarget(world, bot, huntTarget, profile);
+      } else {
+        bot._aiState = 'HUNT_COIN';
+      }
+    }
+
+    // Collect coins
+    if (bot._aiState === 'HUNT_COIN') {
+      if (nearestCoin) {
+        collectCoin(world, bot, nearestCoin, profile);
+      } else {
+        bot._aiState = 'WANDER';
+      }
+    }
+
+    // Wander when nothing to do
+    if (bot._aiState === 'WANDER') {
+      wander(world, bot);
+    }
+  }
+});
+
+registerBrain('hunter', {
+  think(world, bot, profile) {
+    if (bot.lengthScore > profile.huntMinLength && bot._stateTimer > bot._reactionDelay) {
+      const target = findHuntTarget(world, bot, profile.huntRangePx, profile.maxSizeDeficit);
+      if (target) return chaseTarget(world, bot, target, profile);
+    }
+    graze(world, bot, profile);
+  }
+});
+
+registerBrain('coward', {
+  think(world, bot, profile) {
+    const threat = findThreat(world, bot, profile.fleeRangePx);
+    if (threat) {
+      bot._aiState = 'FLEE';
+      bot.targetAngle = Math.atan2(bot.y - threat.y, bot.x - threat.x);
+      const dist = Math.hypot(threat.x - bot.x, threat.y - bot.y);
+      bot.boosting = dist < profile.fleeBoostPx && bot.lengthScore > world.C.player.startLength;
+      return;
+    }
+    graze(world, bot, profile);
+  }
+});
+
+registerBrain('sniper', {
+  think(world, bot, profile) {
+    if (bot.lengthScore > profile.huntMinLength && bot._stateTimer > bot._reactionDelay) {
+      const target = findHuntTarget(world, bot, profile.huntRangePx, profile.maxSizeDeficit);
+      if (target) return chaseTarget(world, bot, target, profile);
+    }
+    // Lurk: never spend length on boosts between shots
+    graze(world, bot, profile);
+    bot.boosting = false;
+  }
+});
+
+function updateBotAI(world, bot, delta) {
+  const C = world.C;
+  const rng = world.rng;
+  const dt = world.dt; // ✅ Fixed timestep
+  const botRadius = calculateMarbleRadius(bot.lengthScore, C);
+
+  // ✅ Initialize AI state (bots that didn't come through spawnBot)
+  if (!bot._aiState) {
+    const profile = pickBotProfile(world);
+    bot.profile = profile.name;
+    bot._aiState = 'HUNT_COIN';
+    bot._stateTimer = 0;
+    bot._reactionDelay = rng.range(profile.reactionMs[0], profile.reactionMs[1]);
+    bot._lastPlayerSeen = null;
+    bot._personality = rng.range(profile.aggression[0], profile.aggression[1]); // 0 = passive, 1 = aggressive
+    bot._steerSmooth = bot.angle; // Smoothed steering
+    bot._wanderCurve = (rng.next() - 0.5) * 0.03; // ✅ Slight curve drift for natural movement
+    bot._decisionJitter = 0; // ✅ Prevents rapid state flipping
+    const brain = getBrain(profile.brain);
+    if (brain.init) brain.init(world, bot, profile);
+  }
+
+  const profile = world.getBotProfile(bot.profile);
+  bot._stateTimer += delta;
+
+  // ========================================
+  // PRIORITY 1: WALL AVOIDANCE (always active)
+  // ========================================
+  const wallBuffer = botRadius + 150;
+  const futureX = bot.x + Math.cos(bot.angle) * 200;
+  const futureY = bot.y + Math.sin(bot.angle) * 200;
+
+  if (isNearWall(world, futureX, futureY, wallBuffer) || isNearWall(world, bot.x, bot.y, wallBuffer)) {
+    bot._aiState = 'WALL_AVOID';
+    const avoidAngle = getWallAvoidAngle(world, bot.x, bot.y);
+    bot.targetAngle = avoidAngle;
+    bot.boosting = false;
+
+    // Emergency: very close to wall, steer harder toward center
+    const distFromCenter = Math.sqrt(bot.x * bot.x + bot.y * bot.y);
+    if (distFromCenter + botRadius > world.state.arenaRadius - 50) {
+      bot.targetAngle = Math.atan2(-bot.y, -bot.x); // Straight to center
+    }
+  }
+
+  // ========================================
+  // PRIORITY 2: BODY/HEAD COLLISION AVOIDANCE
+  // ========================================
+  else {
+    const lookAhead = profile.dodgeLookAheadPx + (bot.boosting ? 100 : 0);
+    const scanWidth = botRadius + 20;
+    const threat = scanForBodies(world, bot, lookAhead, scanWidth);
+
+    if (threat) {
+      bot._aiState = 'DODGE';
+
+      // Steer perpendicular to threat
+      const angleToThreat = Math.atan2(threat.y - bot.y, threat.x - bot.x);
+      const angleDiff = wrapAngle(angleToThreat - bot.angle);
+
+      // Dodge left or right depending on which side threat is on
+      const dodgeDir = angleDiff > 0 ? -1 : 1;
+      bot.targetAngle = bot.angle + dodgeDir * (Math.PI / 2.5);
+      bot.boosting = false; // Slow down to steer better
+    }
+
+    // ========================================
+    // PRIORITY 3: SQUAD ORDERS, ELSE WHATEVER THE BRAIN WANTS
+    // ========================================
+    else if (!world.botSquads.steer(bot)) {
+      getBrain(profile.brain).think(world, bot, profile);
+    }
+  }
+
+  // ========================================
+  // APPLY MOVEMENT (shared for all states) — ✅ Smoothed steering
+  // ========================================
+  // Smooth the target angle to prevent jittery snapping
+  const steerLerp = 0.08 + bot._personality * 0.07; // 0.08-0.15 depending on personality
+  const angleDiff = ((bot.targetAngle - bot._steerSmooth + Math.PI * 3) % (Math.PI * 2)) - Math.PI;
+  bot._steerSmooth = bot._steerSmooth + angleDiff * steerLerp;
+
+  // ✅ Add subtle curve drift for organic movement
+  bot._steerSmooth += bot._wanderCurve;
+
+  // ✅ Slowly drift the curve direction over time
+  if (rng.next() < 0.01) {
+    bot._wanderCurve = (rng.next() - 0.5) * 0.03;
+  }
+
+  // Speed burst power-up: boost speed, no length loss (shared/physics.js)
+  bot.angle = calculateTurnStep(
+    bot._steerSmooth,
+    bot.angle,
+    bot.lengthScore,
+    bot.boosting,
+    C,
+    dt,
+    bot.powerUps
+  );
+
+  const speed = calculateMoveSpeed(bot.boosting, bot.isGolden, C, bot.powerUps);
+
+  // ✅ Exponential boost growth loss for bots too
+  if (bot.boosting && bot.lengthScore > C.player.startLength) {
+    bot.lengthScore = world.applyBoostLoss(bot.lengthScore, bot.powerUps);
+  }
+
+  const newX = bot.x + Math.cos(bot.angle) * speed * dt;
+  const newY = bot.y + Math.sin(bot.angle) * speed * dt;
+
+  const distFromCenter = Math.sqrt(newX * newX + newY * newY);
+
+  if (distFromCenter + botRadius < world.state.arenaRadius - 5) {
+    bot.x = newX;
+    bot.y = newY;
+    bot.pathBuffer.add(bot.x, bot.y);
+  } else {
+    // Emergency: force steer toward center next tick
+    bot.targetAngle = Math.atan2(-bot.y, -bot.x);
+  }
+}
+
+function spawnBot(world, id) {
+  const C = world.C;
+  const rng = world.rng;
+  const profile = pickBotProfile(world);
+  const spawnPos = world.findSafeSpawn(C.arena?.spawnMinDistance || 200);
+
+  const bot = {
+    id,
+    name: rng.pick(BOT_NAMES) + Math.floor(rng.next() * 100),
+    marbleType: rng.pick(world.botMarbleTypes),
+    x: spawnPos.x,
+    y: spawnPos.y,
+    angle: rng.next() * Math.PI * 2,
+    targetAngle: rng.next() * Math.PI * 2,
+    lengthScore: C.bot?.startLength || 100,
+    bounty: world.botEconomy.rollStartBounty(),
+    kills: 0,
+    alive: true,
+    boosting: false,
+    isBot: true,
+    isGolden: false,
+    profile: profile.name,
+    targetX: spawnPos.x,
+    targetY: spawnPos.y,
+    lastUpdate: world.now(),
+    spawnTime: world.now(),
+    pathBuffer: new PathBuffer(C.spline?.pathStepPx || 2),
+    _aiState: 'HUNT_COIN',
+    _stateTimer: 0,
+    _reactionDelay: rng.range(profile.reactionMs[0], profile.reactionMs[1]),
+    _lastPlayerSeen: null,
+    _personality: rng.range(profile.aggression[0], profile.aggression[1]),
+    _steerSmooth: rng.next() * Math.PI * 2,
+    _wanderCurve: (rng.next() - 0.5) * 0.03,
+    _decisionJitter: 0
+  };
+
+  bot.pathBuffer.reset(bot.x, bot.y);
+  const brain = getBrain(profile.brain);
+  if (brain.init) brain.init(world, bot, profile);
+  world.state.bots.push(bot);
+  return bot;
+}
+
+module.exports = {
+  updateBotAI,
+  spawnBot,
+  findNearestCoin,
+  isNearWall,
+  scanForBodies,
+  findHuntTarget,
+  findThreat,
+  getInterceptAngle,
+  chaseTarget,
+  collectCoin,
+  wander,
+  graze
+};
@@ -0,0 +1,105 @@
+// ============================================================
+// sim/botBrains.js — Bot behaviour registry + difficulty profiles
+// ============================================================
+// updateBotAI (sim/botAI.js) keeps the reflexes every bot shares
+// — wall avoidance, then dodging bodies — and hands the rest of
+// the tick to the bot's brain:
+//
+//   brain.init(world, bot, profile)    optional, once at spawn
+//   brain.think(world, bot, profile)   sets targetAngle, boosting
+//                                      and _aiState
+//
+// Brains draw randomness from world.rng only, so replays stay
+// exact. New behaviours: registerBrain('name', brain) and point a
+// profile at it — the main loop doesn't change.
+//
+// Profiles come from gameConstants bot.profiles:
+//
+//   "hunter": { "brain": "hunter", "weight": { "free": 2, "paid": 1 },
+//               "reactionMs": [200, 600], "aggression": [0.6, 1] }
+//
+// weight is a number or per-mode ({ free, paid }); each bot
+// rolls its profile against the arena's mode. Fields a profile
+// leaves out fall back to PROFILE_DEFAULTS. No bot.profiles at
+// all = every bot is "classic", the original behaviour.
+// ============================================================
+
+const brains = new Map();   // name → { init?, think }
+
+// Tunables shared by the built-in brains — the original bot numbers
+const PROFILE_DEFAULTS = {
+  brain: 'forager',
+  weight: 1,
+  reactionMs: [200, 1400],     // delay before reacting to a hunt target
+  aggression: [0, 1],          // rolled into bot._personality
+  coinRangePx: 500,
+  coinBoostChance: 0.3,        // per tick, while a coin is > 200px away
+  huntRangePx: 600,
+  huntMinLength: 300,
+  huntAggression: 0.7,         // forager hunts only above this _personality
+  maxSizeDeficit: 50,          // won't hunt anything this much bigger
+  chaseBoostPx: [100, 400],    // boost while the target is in this band
+  dodgeLookAheadPx: 150,
+  fleeRangePx: 450,
+  fleeBoostPx: 250
+};
+
+const CLASSIC_PROFILE = Object.freeze({ name: 'classic', ...PROFILE_DEFAULTS });
+
+function registerBrain(name, brain) {
+  if (!brain || typeof brain.think !== 'function') {
+    throw new Error(`Bot brain "${name}" needs a think(world, bot, profile) function`);
+  }
+  brains.set(name, brain);
+  return brain;
+}
+
+function getBrain(name) {
+  return brains.get(name) || null;
+}
+
+function profileWeight(profile, mode) {
+  if (typeof profile.weight === 'number') return profile.weight;
+  return profile.weight?.[mode] ?? 0;
+}
+
+// bot.profiles → [{ name, ...PROFILE_DEFAULTS, ...cfg }] with weight > 0 for `mode`.
+// Empty array = not configured (classic). Throws on unknown brains.
+function resolveBotProfiles(gameConstants, mode) {
+  const configured = gameConstants.bot?.profiles;
+  if (!configured) return [];
+
+  const profiles = [];
+  for (const [name, cfg] of Object.entries(configured)) {
+    const profile = { name, ...PROFILE_DEFAULTS, ...cfg };
+    if (!brains.has(profile.brain)) {
+      throw new Error(`Bot profile "${name}" uses unknown brain "${profile.brain}" (registered: ${[...brains.keys()].join(', ')})`);
+    }
+    const weight = profileWeight(profile, mode);
+    if (weight > 0) profiles.push({ ...profile, weight });
+  }
+  return profiles;
+}
+
+// Weighted roll — no rng draw when profiles aren't configured
+function pickBotProfile(world) {
+  const profiles = world.botProfiles;
+  if (!profiles || profiles.length === 0) return CLASSIC_PROFILE;
+
+  const total = profiles.reduce((sum, profile) => sum + profile.weight, 0);
+  let roll = world.rng.next() * total;
+  for (const profile of profiles) {
+    roll -= profile.weight;
+    if (roll < 0) return profile;
+  }
+  return profiles[profiles.length - 1];
+}
+
+module.exports = {
+  PROFILE_DEFAULTS,
+  CLASSIC_PROFILE,
+  registerBrain,
+  getBrain,
+  resolveBotProfiles,
+  pickBotProfile
+};
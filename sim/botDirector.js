@@ -0,0 +1,182 @@
+// ============================================================
+// sim/botDirector.js — Bots fill the arena up to a population
+// ============================================================
+// Instead of a fixed bot count, each arena aims for a total
+// number of marbles (humans + bots) for its mode:
+//
+//   bots wanted = clamp(target − humans, minBots, world.maxBots)
+//   target      = gytTargetMarbles while Golden Yard Time is
+//                 open, else targetMarbles
+//
+// Below that, one bot joins every spawnIntervalMs (and not
+// within respawnDelayMs of a bot dying). Above it, one bot is
+// retired every retireIntervalMs — removed quietly, no death
+// drops (its bounty goes where bot.economy sends a dead bot's,
+// see sim/botEconomy.js), and only once no human is within retireMinDistancePx
+// so nobody sees it vanish. Golden bots and the Vault Keeper
+// are never retired.
+//
+// Decisions use simulation time and world state only (GYT comes
+// in through world.setGoldenYardTime), so replays reproduce them.
+//
+// Telemetry: one sample per telemetry.sampleIntervalMs of
+// humans / bots / target and the bot-to-human ratio.
+//
+// Config: bot.population (disabled = the old fixed bot count)
+// ============================================================
+
+class BotDirector {
+  constructor(world) {
+    this.world = world;
+    const cfg = world.C.bot?.population || {};
+    const modeCfg = cfg.modes?.[world.mode] || {};
+
+    this.enabled = cfg.enabled === true;
+    this.targetMarbles = modeCfg.targetMarbles ?? world.maxBots;
+    this.gytTargetMarbles = modeCfg.gytTargetMarbles ?? this.targetMarbles;
+    this.minBots = modeCfg.minBots ?? 0;
+
+    this.checkIntervalMs = cfg.checkIntervalMs ?? 500;
+    this.spawnIntervalMs = cfg.spawnIntervalMs ?? 1000;
+    this.retireIntervalMs = cfg.retireIntervalMs ?? 2000;
+    this.respawnDelayMs = cfg.respawnDelayMs ?? 3000;
+    this.retireMinDistancePx = cfg.retireMinDistancePx ?? 1200;
+
+    const telemetry = cfg.telemetry || {};
+    this.sampleIntervalMs = telemetry.sampleIntervalMs ?? 10000;
+    this.historySize = telemetry.historySize ?? 360;
+    this.history = [];
+
+    this.lastCheckAt = -Infinity;
+    this.lastSpawnAt = -Infinity;
+    this.lastRetireAt = -Infinity;
+    this.lastBotDeathAt = -Infinity;
+    this.lastSampleAt = -Infinity;
+    this.totals = { spawned: 0, retired: 0 };
+  }
+
+  // ----------------------------------------------------------
+  // Counts
+  // ----------------------------------------------------------
+  humanCount() {
+    return Object.values(this.world.state.players).filter(p => p.alive).length;
+  }
+
+  // Vault Keeper holds the vault, it isn't population
+  botCount() {
+    return this.world.state.bots.filter(b => b.alive && !b.isVaultKeeper).length;
+  }
+
+  currentTarget() {
+    return this.world.arena.isOpen ? this.gytTargetMarbles : this.targetMarbles;
+  }
+
+  desiredBots(humans = this.humanCount()) {
+    const wanted = Math.max(this.minBots, this.currentTarget() - humans);
+    return Math.max(0, Math.min(wanted, this.world.maxBots));
+  }
+
+  // killMarble calls this — the replacement waits respawnDelayMs
+  onBotDeath() {
+    this.lastBotDeathAt = this.world.now();
+  }
+
+  // ----------------------------------------------------------
+  // Once per step()
+  // ----------------------------------------------------------
+  update() {
+    if (!this.enabled) return;
+    const now = this.world.now();
+
+    if (now - this.lastSampleAt >= this.sampleIntervalMs) {
+      this.lastSampleAt = now;
+      this._sample(now);
+    }
+
+    if (now - this.lastCheckAt < this.checkIntervalMs) return;
+    this.lastCheckAt = now;
+
+    const bots = this.botCount();
+    const desired = this.desiredBots();
+
+    if (bots < desired) {
+      if (now - this.lastSpawnAt < this.spawnIntervalMs) return;
+      if (now - this.lastBotDeathAt < this.respawnDelayMs) return;
+      this.lastSpawnAt = now;
+      this.totals.spawned++;
+      this.world.spawnBot(`bot_${Math.floor(now)}_${this.world.nextEntityId()}`);
+    } else if (bots > desired) {
+      if (now - this.lastRetireAt < this.retireIntervalMs) return;
+      const bot = this._pickRetiree();
+      if (!bot) return;
+      this.lastRetireAt = now;
+      this.totals.retired++;
+      this.world.retireBot(bot.id);
+    }
+  }
+
+  // Lowest bounty first, among bots no human is close enough to see
+  _pickRetiree() {
+    const humans = Object.values(this.world.state.players).filter(p => p.alive);
+    let best = null;
+
+    for (const bot of this.world.state.bots) {
+      if (!bot.alive || bot.isGolden || bot.isVaultKeeper) continue;
+
+      let nearestHuman = Infinity;
+      for (const human of humans) {
+        nearestHuman = Math.min(nearestHuman, Math.hypot(human.x - bot.x, human.y - bot.y));
+      }
+      if (nearestHuman < this.retireMinDistancePx) continue;
+
+      if (!best || (bot.bounty || 0) < (best.bounty || 0)) best = bot;
+    }
+    return best;
+  }
+
+  // ----------------------------------------------------------
+  // Telemetry
+  // ----------------------------------------------------------
+  _sample(now) {
+    const humans = this.humanCount();
+    const bots = this.botCount();
+    this.history.push({
+      t: Math.round(now),
+      humans,
+      bots,
+      target: this.currentTarget(),
+      desired: this.desiredBots(humans),
+      gyt: this.world.arena.isOpen,
+      ratio: humans > 0 ? Math.round((bots / humans) * 100) / 100 : null
+    });
+    if (this.history.length > this.historySize) this.history.shift();
+  }
+
+  getTelemetry() {
+    const humans = this.humanCount();
+    const bots = this.botCount();
+    const withHumans = this.history.filter(s => s.ratio !== null);
+    const avgRatio = withHumans.length > 0
+      ? withHumans.reduce((sum, s) => sum + s.ratio, 0) / withHumans.length
+      : null;
+
+    return {
+      enabled: this.enabled,
+      mode: this.world.mode,
+      current: {
+        humans,
+        bots,
+        target: this.currentTarget(),
+        desired: this.desiredBots(humans),
+        gyt: this.world.arena.isOpen,
+        ratio: humans > 0 ? Math.round((bots / humans) * 100) / 100 : null
+      },
+      averageRatio: avgRatio === null ? null : Math.round(avgRatio * 100) / 100,
+      totals: { ...this.totals },
+      sampleIntervalMs: this.sampleIntervalMs,
+      history: this.history.slice()
+    };
+  }
+}
+
+module.exports = BotDirector;
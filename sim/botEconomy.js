@@ -0,0 +1,225 @@
+// ============================================================
+// sim/botEconomy.js — What bots may hold, and where it goes
+// ============================================================
+// Every dollar of bounty that enters or leaves a bot goes through
+// here, and each movement is emitted as a 'botValueFlow' event:
+//
+//   { direction: 'in' | 'out', botId, botName, amount, reason,
+//     counterparty, bountyAfter, tick, settled }
+//
+//   in  — spawn (house grant), kill (victim's bounty), goldenTax,
+//         vault (vault floor / Vault Keeper deposit)
+//   out — death, retired, cap (excess over maxBounty),
+//         goldenInstantCash (the 20% a golden bot can't cash)
+//
+// counterparty is a marble id, or 'house' / 'prizePool' / 'vault'.
+// settled = the economy engine already moved this value (kill and
+// tax credits, golden instant cash, classic death routing) and the
+// flow is the bot's view of it — bountyLedger.js skips those.
+// server.js writes every flow to AuditLog as BOT_VALUE, so the
+// log alone shows nothing reaches the house through a bot
+// unless the policy says so.
+//
+// Policy per arena mode, gameConstants bot.economy.modes[mode]:
+//
+//   startBounty          [min, max) roll at spawn
+//   maxBounty            cap; the excess goes to excessTo
+//   canBeGolden          may a bot become the Golden Mib
+//   canCollectGoldenTax  may a golden bot take the 10% PvP tax
+//                        (no = the kill is tax-exempt)
+//   onDeath              'killer'     — classic bounty routing
+//                        'house'      — kept by the house
+//                        'prizePool'  — hourly bounty prize pool
+//                        'nearestHuman' — closest living human
+//                        'vault'      — human Golden Mib's vault
+//   excessTo             as onDeath, minus 'killer'
+//
+// A destination with nobody to receive it (no human alive, no
+// human Golden Mib, no killer) falls back to 'house' — and is
+// logged as such. bot.economy.enabled false = the classic policy,
+// identical to the behaviour before this module.
+// ============================================================
+
+const DESTINATIONS = ['killer', 'house', 'prizePool', 'nearestHuman', 'vault'];
+const POOLS = ['house', 'prizePool', 'vault'];   // counterparties that aren't marbles
+
+class BotEconomy {
+  constructor(world) {
+    this.world = world;
+    const C = world.C;
+    const cfg = C.bot?.economy || {};
+
+    // Classic: what bots have always done
+    const classic = {
+      startBounty: [C.bot?.startBounty || 1, C.bot?.startBountyMax || 5],
+      maxBounty: null,
+      canBeGolden: true,
+      canCollectGoldenTax: true,
+      onDeath: 'killer',
+      excessTo: 'house'
+    };
+
+    this.enabled = cfg.enabled === true;
+    this.policy = this.enabled
+      ? { ...classic, ...cfg.modes?.[world.mode] }
+      : classic;
+
+    for (const key of ['onDeath', 'excessTo']) {
+      if (!DESTINATIONS.includes(this.policy[key]) || (key === 'excessTo' && this.policy[key] === 'killer')) {
+        throw new Error(`bot.economy.${world.mode}.${key} "${this.policy[key]}" must be one of ${DESTINATIONS.join(', ')}${key === 'excessTo' ? ' (not killer)' : ''}`);
+      }
+    }
+
+    this.totals = { in: 0, out: 0, byReason: {}, byPool: {} };
+  }
+
+  // ----------------------------------------------------------
+  // Policy checks
+  // ----------------------------------------------------------
+  rollStartBounty() {
+    const [min, max] = this.policy.startBounty;
+    // One draw whatever the range — keeps the rng stream stable
+    return Math.floor(this.world.rng.next() * (max - min)) + min;
+  }
+
+  // The Vault Keeper is golden by definition — it holds the vault
+  canBeGolden(marble) {
+    return !marble.isBot || marble.isVaultKeeper || this.policy.canBeGolden;
+  }
+
+  canCollectGoldenTax(marble) {
+    return !marble.isBot || this.policy.canCollectGoldenTax;
+  }
+
+  // Does a bot's death pay its killer (classic routing)?
+  paysKiller() {
+    return this.policy.onDeath === 'killer';
+  }
+
+  // ----------------------------------------------------------
+  // Value in
+  // ----------------------------------------------------------
+  onSpawn(bot) {
+    this.flow('in', bot, bot.bounty || 0, 'spawn', bot.isVaultKeeper ? 'vault' : 'house');
+  }
+
+  // Bounty already added to bot.bounty by the caller (an economy
+  // engine movement); applies the cap
+  credit(bot, amount, reason, counterparty) {
+    if (!(amount > 0)) return;
+    this.flow('in', bot, amount, reason, counterparty, true);
+
+    const max = this.policy.maxBounty;
+    if (max !== null && max !== undefined && !bot.isVaultKeeper && bot.bounty > max) {
+      const excess = bot.bounty - max;
+      bot.bounty = max;
+      this._route(bot, excess, this.policy.excessTo, 'cap');
+    }
+  }
+
+  // ----------------------------------------------------------
+  // Value out
+  // ----------------------------------------------------------
+  // A dead or retired bot's bounty. killer is null for wall deaths
+  // and retirement; classic routing has already paid a live killer.
+  // The Vault Keeper always pays whoever absorbs it — it's a
+  // departed player's bounty, not the bot's.
+  release(bot, reason, killer = null) {
+    const amount = bot.bounty || 0;
+    if (bot.isVaultKeeper || this.paysKiller()) {
+      // A death went through the economy engine; retirement didn't
+      const settled = reason === 'death';
+      if (killer && killer.alive) {
+        this.flow('out', bot, amount, reason, killer.id, settled);
+      } else {
+        this.flow('out', bot, amount, reason, 'house', settled);
+      }
+      return;
+    }
+    this._route(bot, amount, this.policy.onDeath, reason);
+  }
+
+  _route(bot, amount, destination, reason) {
+    if (!(amount > 0)) return;
+    const world = this.world;
+    let recipient = null;
+
+    if (destination === 'nearestHuman') {
+      let bestDist = Infinity;
+      for (const player of Object.values(world.state.players)) {
+        if (!player.alive) continue;
+        const dist = Math.hypot(player.x - bot.x, player.y - bot.y);
+        if (dist < bestDist) { bestDist = dist; recipient = player; }
+      }
+    } else if (destination === 'vault') {
+      const golden = world.findGoldenMib();
+      if (golden && !golden.isBot) recipient = golden;
+    }
+
+    if ((destination === 'nearestHuman' || destination === 'vault') && !recipient) {
+      destination = 'house';
+    }
+
+    if (!recipient) {
+      this.flow('out', bot, amount, reason, destination);
+      return;
+    }
+
+    recipient.bounty = (recipient.bounty || 0) + amount;
+    if (destination === 'vault') world.state.goldenVaultFloor = (world.state.goldenVaultFloor || 0) + amount;
+    this.flow('out', bot, amount, reason, recipient.id);
+    console.log(`🤖 BOT BOUNTY → ${destination === 'vault' ? 'VAULT' : 'NEAREST HUMAN'}: ${bot.name} $${amount.toFixed(2)} → ${recipient.name} | bounty now $${recipient.bounty.toFixed(2)}`);
+
+    const cashouts = world.checkCashoutTiers(recipient);
+    world._emitTierCashouts(recipient, cashouts, amount);
+    world.emit('economyChanged');
+  }
+
+  // ----------------------------------------------------------
+  // Audit trail
+  // ----------------------------------------------------------
+  flow(direction, bot, amount, reason, counterparty, settled = false) {
+    if (!(amount > 0)) return;
+    this.totals[direction] += amount;
+    const key = `${direction}:${reason}`;
+    this.totals.byReason[key] = (this.totals.byReason[key] || 0) + amount;
+    if (POOLS.includes(counterparty)) {
+      const poolKey = `${direction}:${counterparty}`;
+      this.totals.byPool[poolKey] = (this.totals.byPool[poolKey] || 0) + amount;
+    }
+
+    this.world.emit('botValueFlow', {
+      direction,
+      botId: bot.id,
+      botName: bot.name,
+      amount,
+      reason,
+      counterparty,
+      bountyAfter: bot.alive ? (bot.bounty || 0) : 0,
+      tick: this.world.tick,
+      settled
+    });
+  }
+
+  getStats() {
+    const held = this.world.state.bots
+      .filter(b => b.alive)
+      .reduce((sum, b) => sum + (b.bounty || 0), 0);
+    return {
+      enabled: this.enabled,
+      mode: this.world.mode,
+      policy: { ...this.policy },
+      heldByBots: held,
+      totals: {
+        in: this.totals.in,
+        out: this.totals.out,
+        byReason: { ...this.totals.byReason },
+        byPool: { ...this.totals.byPool }
+      }
+    };
+  }
+}
+
+BotEconomy.DESTINATIONS = DESTINATIONS;
+
+module.exports = BotEconomy;
@@ -0,0 +1,212 @@
+// ============================================================
+// sim/botSquads.js — Bots that hunt a big player together
+// ============================================================
+// Every checkIntervalMs, a human at least minTargetLength long
+// with no squad on them can draw 2–4 nearby bots into a squad:
+//
+//   cutter    heads for the point leadPx ahead of the target and
+//             boosts to get across its path
+//   flankers  hold slots spread around the target's sides and
+//             rear; the slot radius shrinks from encircleRadiusPx
+//             to closeRadiusPx over closeMs — closing the loop
+//
+// Members still dodge walls and bodies first (updateBotAI); the
+// squad only replaces their brain. A squad breaks up when the
+// target dies or gets away (> breakRangePx from every member),
+// when fewer than minSize members are left, or after
+// maxDurationMs — members go back to their own brain, and that
+// target gets cooldownMs of peace before the next squad.
+//
+// Free arenas only: paid arenas never form squads, whatever the
+// config says. No rng draws — members are picked by distance —
+// so squads replay exactly.
+//
+// Config: bot.squads (disabled = bots only hunt alone)
+// ============================================================
+
+class BotSquads {
+  constructor(world) {
+    this.world = world;
+    const cfg = world.C.bot?.squads || {};
+
+    this.enabled = cfg.enabled === true && world.mode === 'free';
+    this.checkIntervalMs = cfg.checkIntervalMs ?? 1000;
+    this.maxSquads = cfg.maxSquads ?? 2;
+    this.minSize = Math.max(2, cfg.minSize ?? 2);
+    this.maxSize = Math.max(this.minSize, Math.min(4, cfg.maxSize ?? 4));
+    this.minTargetLength = cfg.minTargetLength ?? 400;
+    this.minMemberLength = cfg.minMemberLength ?? 80;
+    this.formRangePx = cfg.formRangePx ?? 900;
+    this.breakRangePx = cfg.breakRangePx ?? 1400;
+    this.leadPx = cfg.leadPx ?? 350;
+    this.encircleRadiusPx = cfg.encircleRadiusPx ?? 450;
+    this.closeRadiusPx = cfg.closeRadiusPx ?? 120;
+    this.closeMs = cfg.closeMs ?? 6000;
+    this.maxDurationMs = cfg.maxDurationMs ?? 20000;
+    this.boostBeyondPx = cfg.boostBeyondPx ?? 180;
+    this.cooldownMs = cfg.cooldownMs ?? 8000;
+
+    this.squads = new Map();   // squadId → { id, targetId, memberIds, formedAt }
+    this.restingUntil = new Map();   // targetId → no new squad before this time
+    this._seq = 0;
+    this.lastCheckAt = -Infinity;
+    this.totals = { formed: 0, disbanded: 0, kills: 0 };
+  }
+
+  // ----------------------------------------------------------
+  // Once per step(), before bots think
+  // ----------------------------------------------------------
+  update() {
+    if (!this.enabled) return;
+    const now = this.world.now();
+
+    for (const squad of this.squads.values()) {
+      const reason = this._breakReason(squad, now);
+      if (reason) this._disband(squad, reason);
+    }
+
+    if (now - this.lastCheckAt < this.checkIntervalMs) return;
+    this.lastCheckAt = now;
+    if (this.squads.size >= this.maxSquads) return;
+
+    for (const [targetId, until] of this.restingUntil) {
+      if (now >= until || !this.world.state.players[targetId]) this.restingUntil.delete(targetId);
+    }
+
+    const hunted = new Set([...this.squads.values()].map(s => s.targetId));
+    const targets = Object.values(this.world.state.players)
+      .filter(p => p.alive && !p.spawnProtection && p.lengthScore >= this.minTargetLength)
+      .filter(p => !hunted.has(p.id) && !this.restingUntil.has(p.id))
+      .sort((a, b) => b.lengthScore - a.lengthScore || (a.id < b.id ? -1 : 1));
+
+    for (const target of targets) {
+      if (this.squads.size >= this.maxSquads) break;
+      this._form(target, now);
+    }
+  }
+
+  _form(target, now) {
+    const candidates = [];
+    for (const bot of this.world.state.bots) {
+      if (!bot.alive || bot.isVaultKeeper || bot._squadId) continue;
+      if (bot.lengthScore < this.minMemberLength) continue;
+      const dist = Math.hypot(bot.x - target.x, bot.y - target.y);
+      if (dist <= this.formRangePx) candidates.push({ bot, dist });
+    }
+    if (candidates.length < this.minSize) return null;
+
+    candidates.sort((a, b) => a.dist - b.dist);
+    const members = candidates.slice(0, this.maxSize).map(c => c.bot);
+    const squad = {
+      id: `squad_${++this._seq}`,
+      targetId: target.id,
+      memberIds: members.map(b => b.id),
+      formedAt: now
+    };
+
+    // Whoever is furthest along the target's heading cuts it off
+    const heading = target.angle || 0;
+    const ahead = bot => Math.cos(heading) * (bot.x - target.x) + Math.sin(heading) * (bot.y - target.y);
+    const cutter = members.reduce((best, bot) => (ahead(bot) > ahead(best) ? bot : best));
+
+    let slot = 0;
+    for (const bot of members) {
+      bot._squadId = squad.id;
+      bot._squadRole = bot === cutter ? 'cutter' : 'flanker';
+      bot._squadSlot = bot === cutter ? -1 : slot++;
+    }
+    squad.flankers = slot;
+
+    this.squads.set(squad.id, squad);
+    this.totals.formed++;
+    console.log(`🐺 SQUAD FORMED: ${members.map(b => b.name).join(', ')} → ${target.name} (length ${Math.round(target.lengthScore)})`);
+    return squad;
+  }
+
+  _breakReason(squad, now) {
+    const target = this.world.state.players[squad.targetId];
+    const members = this._members(squad);
+
+    if (!target || !target.alive) return 'target gone';
+    if (members.length < this.minSize) return 'too few members';
+    if (now - squad.formedAt > this.maxDurationMs) return 'timed out';
+    const closest = Math.min(...members.map(b => Math.hypot(b.x - target.x, b.y - target.y)));
+    if (closest > this.breakRangePx) return 'target escaped';
+    return null;
+  }
+
+  _members(squad) {
+    return squad.memberIds
+      .map(id => this.world.state.bots.find(b => b.id === id))
+      .filter(b => b && b.alive);
+  }
+
+  _disband(squad, reason) {
+    for (const bot of this._members(squad)) {
+      bot._squadId = null;
+      bot._squadRole = null;
+      bot._squadSlot = null;
+    }
+    this.squads.delete(squad.id);
+    this.restingUntil.set(squad.targetId, this.world.now() + this.cooldownMs);
+    this.totals.disbanded++;
+    console.log(`🐺 SQUAD DISBANDED: ${squad.id} (${reason})`);
+  }
+
+  // killMarble calls this so telemetry counts squad kills
+  onKill(killer, victim) {
+    if (!this.enabled || !killer?._squadId) return;
+    const squad = this.squads.get(killer._squadId);
+    if (squad && squad.targetId === victim.id) this.totals.kills++;
+  }
+
+  // ----------------------------------------------------------
+  // Steering — updateBotAI calls this in place of the brain.
+  // Returns false when the bot isn't in a live squad.
+  // ----------------------------------------------------------
+  steer(bot) {
+    if (!this.enabled || !bot._squadId) return false;
+    const squad = this.squads.get(bot._squadId);
+    const target = squad && this.world.state.players[squad.targetId];
+    if (!target || !target.alive) return false;
+
+    const heading = target.angle || 0;
+    let goalX;
+    let goalY;
+
+    if (bot._squadRole === 'cutter') {
+      goalX = target.x + Math.cos(heading) * this.leadPx;
+      goalY = target.y + Math.sin(heading) * this.leadPx;
+    } else {
+      // Flankers spread evenly from one side of the target, round
+      // the back, to the other
+      const spread = squad.flankers > 1 ? Math.PI / (squad.flankers - 1) : 0;
+      const slotAngle = heading + Math.PI / 2 + bot._squadSlot * spread;
+      const progress = Math.min(1, (this.world.now() - squad.formedAt) / this.closeMs);
+      const radius = this.encircleRadiusPx + (this.closeRadiusPx - this.encircleRadiusPx) * progress;
+      goalX = target.x + Math.cos(slotAngle) * radius;
+      goalY = target.y + Math.sin(slotAngle) * radius;
+    }
+
+    bot._aiState = 'SQUAD';
+    bot.targetAngle = Math.atan2(goalY - bot.y, goalX - bot.x);
+    const goalDist = Math.hypot(goalX - bot.x, goalY - bot.y);
+    bot.boosting = goalDist > this.boostBeyondPx && bot.lengthScore > this.world.C.player.startLength;
+    return true;
+  }
+
+  getTelemetry() {
+    return {
+      enabled: this.enabled,
+      active: [...this.squads.values()].map(squad => ({
+        id: squad.id,
+        targetId: squad.targetId,
+        members: squad.memberIds.length,
+        ageMs: Math.round(this.world.now() - squad.formedAt)
+      })),
+      totals: { ...this.totals }
+    };
+  }
+}
+
+module.exports = BotSquads;
@@ -0,0 +1,216 @@
+// ============================================================
+// sim/botTournament.js — Bots-only matches for tuning bot AI
+// ============================================================
+// Runs a headless World with nothing but bots for a fixed span
+// of simulated time, as fast as the CPU allows, once per seed.
+// Everything goes through World.step() — the same updateBotAI,
+// checkCollisions and checkWallCollisions the server runs — so
+// a result here is what the change does in a real arena.
+//
+// Each bot life is tracked from spawn to death (or the end of
+// the match) and rolled up per profile (bot.profiles):
+//
+//   lives, survivalSec (mean / p50), kills (combat only — wall
+//   credit isn't a kill), killsPerMin (kills per minute alive),
+//   peakLength (mean / max), wallDeaths + wallDeathRate,
+//   bountyGained (final − starting bounty, mean / total)
+//
+// Fixed bot count: bot.population is switched off for the match
+// and dead bots respawn 3s later, the classic way. Same seed +
+// same constants = same result, so two runs differ only by the
+// change being measured.
+// ============================================================
+
+const World = require('./world');
+const SeededRng = require('./rng');
+const { TickClock } = require('./clock');
+
+const TICK_RATE = World.DEFAULT_TICK_RATE; // same TICK_RATE the server runs with
+
+/**
+ * options: { gameConstants, seeds, minutes, bots, mode, profiles }
+ *   profiles — optional list of profile names; the match uses only
+ *   those, weighted evenly, for a head-to-head comparison
+ */
+function runTournament(options) {
+  const seeds = options.seeds || [1];
+  const matches = seeds.map(seed => runMatch({ ...options, seed }));
+
+  const lives = matches.flatMap(match => match.lives);
+  return {
+    config: {
+      seeds,
+      minutes: options.minutes,
+      bots: options.bots,
+      mode: options.mode || 'free',
+      profiles: options.profiles || null
+    },
+    simulatedSec: matches.reduce((sum, m) => sum + m.simulatedSec, 0),
+    wallClockSec: round(matches.reduce((sum, m) => sum + m.wallClockSec, 0)),
+    profiles: summarizeLives(lives),
+    seeds: matches.map(match => ({
+      seed: match.seed,
+      wallClockSec: round(match.wallClockSec),
+      profiles: summarizeLives(match.lives)
+    }))
+  };
+}
+
+function tournamentConstants(gameConstants, profileNames) {
+  const C = JSON.parse(JSON.stringify(gameConstants));
+  C.bot = C.bot || {};
+  C.bot.population = { ...C.bot.population, enabled: false };
+
+  if (profileNames && profileNames.length > 0) {
+    const configured = C.bot.profiles || {};
+    const picked = {};
+    for (const name of profileNames) {
+      if (!configured[name]) {
+        throw new Error(`Unknown bot profile "${name}" (configured: ${Object.keys(configured).join(', ') || 'none'})`);
+      }
+      picked[name] = { ...configured[name], weight: 1 };
+    }
+    C.bot.profiles = picked;
+  }
+  return C;
+}
+
+function runMatch({ gameConstants, seed, minutes, bots, mode = 'free', profiles }) {
+  const C = tournamentConstants(gameConstants, profiles);
+  const world = new World(C, {
+    rng: new SeededRng(seed),
+    clock: new TickClock(0, 1000 / TICK_RATE),
+    tickRate: TICK_RATE,
+    maxBots: bots,
+    mode,
+    hooks: { canRefundLastPlayer: () => false }
+  });
+
+  const lives = new Map();   // bot id → life record
+  const lifeOf = (bot) => {
+    let life = lives.get(bot.id);
+    if (!life) {
+      life = {
+        seed,
+        botId: bot.id,
+        profile: bot.profile || 'classic',
+        spawnMs: bot.spawnTime ?? world.now(),
+        endMs: null,
+        startBounty: bot.bounty || 0,
+        endBounty: null,
+        kills: 0,
+        peakLength: bot.lengthScore,
+        died: false,
+        wallDeath: false
+      };
+      lives.set(bot.id, life);
+    }
+    return life;
+  };
+
+  world.on('kill', ({ killer, deathType }) => {
+    if (killer.isBot && !killer.isVaultKeeper && deathType !== 'wall') lifeOf(killer).kills++;
+  });
+  world.on('death', ({ marble, deathType }) => {
+    if (!marble.isBot || marble.isVaultKeeper) return;
+    const life = lifeOf(marble);
+    life.died = true;
+    life.wallDeath = deathType === 'wall';
+    life.endMs = world.now();
+    life.endBounty = marble.bounty || 0;
+    life.peakLength = Math.max(life.peakLength, marble.lengthScore);
+  });
+
+  const ticks = Math.ceil((minutes * 60000) / world.tickMs);
+  const started = process.hrtime.bigint();
+
+  world.initialize();
+  for (let t = 0; t < ticks; t++) {
+    world.step();
+    for (const bot of world.state.bots) {
+      if (!bot.alive || bot.isVaultKeeper) continue;
+      const life = lifeOf(bot);
+      if (bot.lengthScore > life.peakLength) life.peakLength = bot.lengthScore;
+    }
+  }
+
+  // Still alive at the whistle — survival is cut off, not a death
+  for (const bot of world.state.bots) {
+    if (!bot.alive || bot.isVaultKeeper) continue;
+    const life = lifeOf(bot);
+    life.endMs = world.now();
+    life.endBounty = bot.bounty || 0;
+  }
+
+  return {
+    seed,
+    simulatedSec: round(ticks * world.tickMs / 1000),
+    wallClockSec: Number(process.hrtime.bigint() - started) / 1e9,
+    lives: [...lives.values()].filter(life => life.endMs !== null)
+  };
+}
+
+// ----------------------------------------------------------
+// Roll-up
+// ----------------------------------------------------------
+function summarizeLives(lives) {
+  const byProfile = {};
+  for (const life of lives) {
+    (byProfile[life.profile] = byProfile[life.profile] || []).push(life);
+  }
+
+  const summary = {};
+  for (const name of Object.keys(byProfile).sort()) {
+    const group = byProfile[name];
+    const survival = group.map(l => (l.endMs - l.spawnMs) / 1000).sort((a, b) => a - b);
+    const aliveSec = survival.reduce((sum, s) => sum + s, 0);
+    const kills = group.reduce((sum, l) => sum + l.kills, 0);
+    const deaths = group.filter(l => l.died).length;
+    const wallDeaths = group.filter(l => l.wallDeath).length;
+    const peaks = group.map(l => l.peakLength);
+    const gained = group.map(l => l.endBounty - l.startBounty);
+
+    summary[name] = {
+      lives: group.length,
+      deaths,
+      survivalSecMean: round(aliveSec / group.length),
+      survivalSecP50: round(survival[Math.floor(survival.length / 2)]),
+      kills,
+      killsPerMin: round(aliveSec > 0 ? kills / (aliveSec / 60) : 0),
+      peakLengthMean: round(mean(peaks)),
+      peakLengthMax: round(Math.max(...peaks)),
+      wallDeaths,
+      wallDeathRate: round(deaths > 0 ? wallDeaths / deaths : 0),
+      bountyGainedMean: round(mean(gained)),
+      bountyGainedTotal: round(gained.reduce((sum, g) => sum + g, 0))
+    };
+  }
+  return summary;
+}
+
+function mean(values) {
+  return values.length > 0 ? values.reduce((sum, v) => sum + v, 0) / values.length : 0;
+}
+
+function round(value) {
+  return Math.round(value * 1000) / 1000;
+}
+
+// One row per profile per seed, plus seed "all" for the totals
+function tournamentToCsv(result) {
+  const rows = [];
+  const push = (seed, profiles) => {
+    for (const [profile, stats] of Object.entries(profiles)) rows.push({ seed, profile, ...stats });
+  };
+  push('all', result.profiles);
+  for (const match of result.seeds) push(match.seed, match.profiles);
+
+  if (rows.length === 0) return '';
+  const columns = Object.keys(rows[0]);
+  return [
+    columns.join(','),
+    ...rows.map(row => columns.map(col => row[col]).join(','))
+  ].join('\n');
+}
+
+module.exports = { runTournament, runMatch, summarizeLives, tournamentToCsv };
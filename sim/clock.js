@@ -0,0 +1,33 @@
+// ============================================================
+// sim/clock.js — Clocks the World simulation can run on
+// ============================================================
+// TickClock:   simulated time, advances a fixed step per tick
+//              (live server + headless runs — deterministic)
+// SystemClock: wall time, for code that really wants Date.now()
+// ============================================================
+
+class TickClock {
+  constructor(startMs = 0, stepMs = 1000 / 60) {
+    this.startMs = startMs;
+    this.stepMs = stepMs;
+    this.ticks = 0;
+  }
+
+  now() {
+    return this.startMs + this.ticks * this.stepMs;
+  }
+
+  advance() {
+    this.ticks++;
+  }
+}
+
+class SystemClock {
+  now() {
+    return Date.now();
+  }
+
+  advance() {}
+}
+
+module.exports = { TickClock, SystemClock };
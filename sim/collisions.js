@@ -0,0 +1,165 @@
+// ============================================================
+// sim/collisions.js — Marble-vs-marble and wall collisions
+// ============================================================
+// Both checks only DETECT. Kills are applied by the World so
+// bounty routing happens in one place.
+//
+// Power-ups (sim/powerUps.js): a shield counts as spawn
+// protection; a ghost head skips the head-to-body check.
+// ============================================================
+
+const { wrapAngle, calculateMarbleRadius } = require('../shared/physics');
+const { getBodyGeometry, segmentDistance, contactDistance } = require('../shared/bodyGeometry');
+
+// ----------------------------------------------------------
+// Pair tests — shared by the live check and lag-compensated rewinds.
+// `other` only needs { id, x, y, angle, lengthScore }.
+// ----------------------------------------------------------
+
+// HEAD-to-HEAD: null if no contact, else who dies (killerId null = both)
+function headToHead(marble, other, C) {
+  const headRadius = calculateMarbleRadius(marble.lengthScore, C);
+  const otherHeadRadius = calculateMarbleRadius(other.lengthScore, C);
+
+  const dx = other.x - marble.x;
+  const dy = other.y - marble.y;
+  const dist = Math.sqrt(dx * dx + dy * dy);
+  if (dist >= contactDistance(headRadius, otherHeadRadius, C)) return null;
+
+  // HEAD-to-HEAD: Use angle comparison
+  const collisionX = (marble.x + other.x) / 2;
+  const collisionY = (marble.y + other.y) / 2;
+
+  const angleFromMarble = Math.atan2(collisionY - marble.y, collisionX - marble.x);
+  const relativeAngleMarble = Math.abs(wrapAngle(angleFromMarble - marble.angle));
+
+  const angleFromOther = Math.atan2(collisionY - other.y, collisionX - other.x);
+  const relativeAngleOther = Math.abs(wrapAngle(angleFromOther - other.angle));
+
+  // SMALLER angle = more aggressive = DIES
+  if (relativeAngleMarble < relativeAngleOther) {
+    return { killerId: other.id, victimId: marble.id, x: collisionX, y: collisionY };
+  }
+  if (relativeAngleOther < relativeAngleMarble) {
+    return { killerId: marble.id, victimId: other.id, x: collisionX, y: collisionY };
+  }
+  // Equal - both die
+  return { killerId: null, victimId: null, x: collisionX, y: collisionY };
+}
+
+// HEAD-to-BODY: the body sample `marble`'s head touched, or null.
+// sampleBack defaults to the live path; rewinds pass a shifted one.
+function headToBody(marble, other, C, sampleBack) {
+  const readBack = sampleBack || (d => other.pathBuffer.sampleBack(d));
+  const headRadius = calculateMarbleRadius(marble.lengthScore, C);
+  const body = getBodyGeometry(other.lengthScore, C);
+  const threshold = contactDistance(headRadius, body.segmentRadius, C);
+
+  for (let segIdx = 1; segIdx <= body.count; segIdx++) {
+    const sample = readBack(segmentDistance(body, segIdx));
+
+    const segDx = sample.x - marble.x;
+    const segDy = sample.y - marble.y;
+    const segDist = Math.sqrt(segDx * segDx + segDy * segDy);
+
+    if (segDist < threshold) return sample;
+  }
+  return null;
+}
+
+// Candidates come from the spatial grid (rebuilt just before this),
+// visited in the same marble order as a full pairwise pass would.
+function checkCollisions(world) {
+  const C = world.C;
+  const results = [];
+  const grid = world.state.spatialGrid;
+  const allMarbles = grid.marbles;
+
+  const emitCollision = (x, y, playerId, otherPlayerId) => {
+    world.emit('collision', { x, y, playerId, otherPlayerId, timestamp: world.now() });
+  };
+
+  const powerUps = world.powerUps;
+  const isProtected = m => m.spawnProtection || powerUps.has(m, 'shield');
+
+  // ✅ For each marble, check its HEAD against every nearby head + body
+  for (let i = 0; i < allMarbles.length; i++) {
+    const marble = allMarbles[i];
+    if (!marble.alive) continue;
+
+    // ✅ SPAWN PROTECTION: Skip collision if either marble just spawned (or is shielded)
+    if (isProtected(marble)) continue;
+    const isGhost = powerUps.has(marble, 'ghost');
+
+    // Widest contact possible: head-to-head against the largest marble
+    const headRadius = grid.ownerRadius[i];
+    const reach = contactDistance(headRadius, grid.maxRadius, C) + 1;
+    const count = grid.queryOwners(marble.x, marble.y, reach, false, i);
+
+    for (let k = 0; k < count; k++) {
+      const j = grid.found[k];
+      const other = allMarbles[j];
+      if (!other.alive || isProtected(other)) continue;
+
+      // ✅ CHECK 1: HEAD-to-HEAD collision
+      const head = headToHead(marble, other, C);
+      if (head) {
+        if (head.victimId) {
+          results.push({ killerId: head.killerId, victimId: head.victimId, type: 'head' });
+          emitCollision(head.x, head.y, head.victimId, head.killerId);
+        } else {
+          results.push({ killerId: null, victimId: marble.id, type: 'head' });
+          results.push({ killerId: null, victimId: other.id, type: 'head' });
+          emitCollision(head.x, head.y, marble.id, other.id);
+        }
+        continue; // Skip body check if head-to-head happened
+      }
+
+      // ✅ CHECK 2: HEAD-to-BODY collision (same samples headToBody reads)
+      if (!isGhost && grid.hasBody(j)) {
+        const hit = grid.firstBodyHit(j, marble.x, marble.y, contactDistance(headRadius, grid.ownerRadius[j], C));
+        if (hit !== -1) {
+          results.push({ killerId: other.id, victimId: marble.id, type: 'body' });
+          emitCollision(grid.entX[hit], grid.entY[hit], marble.id, other.id);
+        }
+      }
+    }
+  }
+
+  // Remove duplicates
+  const uniqueDeaths = new Map();
+  for (const result of results) {
+    const key = result.victimId;
+    if (!uniqueDeaths.has(key)) {
+      uniqueDeaths.set(key, result);
+    }
+  }
+
+  return Array.from(uniqueDeaths.values());
+}
+
+// ============================================================================
+// WALL COLLISIONS
+// ============================================================================
+function checkWallCollisions(world) {
+  const C = world.C;
+  const allMarbles = world.getAliveMarbles();
+  const wallHits = [];
+
+  for (const marble of allMarbles) {
+    if (!marble.alive) continue;
+
+    const leadRadius = calculateMarbleRadius(marble.lengthScore, C);
+
+    // Check head
+    const headDist = Math.sqrt(marble.x * marble.x + marble.y * marble.y);
+    if (headDist + leadRadius > world.state.arenaRadius) {
+      const hitLocation = { x: marble.x, y: marble.y };
+      wallHits.push({ marbleId: marble.id, creditTo: world.findWallDeathCredit(marble.id), location: hitLocation });
+    }
+  }
+
+  return wallHits;
+}
+
+module.exports = { checkCollisions, checkWallCollisions, headToHead, headToBody };
@@ -0,0 +1,457 @@
+// ============================================================
+// sim/economyEngine.js — Bounty math as balance movements
+// ============================================================
+// Takes one economy event and returns the money it moves, in
+// integer micro-USDC (1 USDC = 1,000,000). No World, no
+// sockets — the World builds the event, applies the movements
+// to its marbles and turns them into log lines and events.
+//
+// Events (amounts in micro-USDC):
+//   kill | wall | disconnect
+//     { victim, bountyValue, route, killer, golden,
+//       goldenCanCollectTax, vaultFloor, exhaustedTiers }
+//     route: 'killer'      bounty math below
+//            'botEconomy'  bot victim — sim/botEconomy.js pays it out
+//            'vaultKeeper' last marble out — a Vault Keeper holds it
+//            'house'       nobody to pay
+//   tiers   { marble, vaultFloor, exhaustedTiers }   cashout check
+//           against the active tier schedule (sim/tierSchedules.js)
+//           and payout limit — a tier that would pay more than the
+//           limit (a jackpot: its threshold) is held: the player
+//           keeps the bounty until the limit lifts (solvencyGuard.js)
+//   refund  { player, amount }                       last player refund
+//
+// Marbles are plain { id, bounty, isBot, isGolden, nextTierIndex }.
+//
+// Accounts: 'bounty:<id>', 'wallet:<id>' (paid out), 'vault'
+// (the Golden Vault floor), 'house', and the hand-offs
+// 'botEconomy' / 'vaultKeeper'.
+//
+// Kill routing:
+//   golden victim   bounty above the vault floor → killer, who
+//                   cashes tiers on it, then inherits the floor
+//                   (the house makes up a floor the victim didn't
+//                   hold; a jackpot forfeits it to the house)
+//   golden killer   combat: instantCashRate to wallet, rest to
+//                   bounty; wall/disconnect: all to bounty
+//   otherwise       passiveTaxRate to the Golden Mib (exempt when
+//                   both are ≤ taxExemptMaxBounty), rest to killer
+//
+// Every event is checked before it is returned: whole positive
+// amounts, no account but the house below zero, the victim's
+// bounty fully disposed, and the vault empty again. Once the
+// World has applied it, checkApplied compares the marbles'
+// bounty + paid out before and after against the movements. A
+// failure goes to options.onInvariantFailure (the World raises
+// it as an event, server.js as an AuditLog alert) — the
+// movements still apply.
+// ============================================================
+
+const { resolveTierSchedules, defaultTierSchedule } = require('./tierSchedules');
+
+const MICRO = 1000000;
+const DEATH_EVENTS = ['kill', 'wall', 'disconnect'];
+const ROUTES = ['killer', 'botEconomy', 'vaultKeeper', 'house'];
+
+function toMicro(usd) {
+  return Math.round((usd || 0) * MICRO);
+}
+
+function fromMicro(micro) {
+  return micro / MICRO;
+}
+
+// 'bounty:<id>' / 'wallet:<id>' → '<id>', anything else → null
+function marbleIdOf(account) {
+  const colon = account.indexOf(':');
+  return colon === -1 ? null : account.slice(colon + 1);
+}
+
+class EconomyEngine {
+  constructor(gameConstants, options = {}) {
+    const C = gameConstants;
+    const vault = C.goldenVault || {};
+
+    const resolved = resolveTierSchedules(C);
+    this.schedules = {};
+    for (const [name, tiers] of Object.entries(resolved.schedules)) {
+      this.schedules[name] = tiers.map(t => ({ threshold: toMicro(t.threshold), payout: toMicro(t.payout) }));
+    }
+    this.scheduleName = null;
+    this.tiers = [];
+    const initial = options.tierSchedule || defaultTierSchedule(resolved, options.mode);
+    if (initial) this.setSchedule(initial);
+    this.payoutLimit = null;   // micro-USDC, null = every tier pays
+    this.vaultFloors = (vault.vaultFloors || []).map(f => ({ tierThreshold: toMicro(f.tierThreshold), vaultFloor: toMicro(f.vaultFloor) }));
+    this.jackpotThreshold = toMicro(vault.jackpotThreshold || 1000000);
+    this.instantCashRate = vault.instantCashRate || 0.20;
+    this.passiveTaxRate = vault.passiveTaxRate || 0.10;
+    this.taxExemptMax = toMicro(vault.taxExemptMaxBounty || 1);
+
+    this.onInvariantFailure = options.onInvariantFailure || (() => {});
+    this.stats = { events: 0, movements: 0, failures: 0 };
+  }
+
+  // ----------------------------------------------------------
+  // One event → { type, movements, marbles, vaultFloor,
+  //               exhaustedTiers, bountyGained, failures }
+  // ----------------------------------------------------------
+  process(event) {
+    const ctx = {
+      event,
+      movements: [],
+      marbles: {},      // id → { nextTierIndex, jackpot, skipped: [exhausted thresholds] }
+      vaultFloor: event.vaultFloor || 0,
+      exhaustedTiers: new Set(event.exhaustedTiers || []),
+      bountyGained: 0,
+      balances: new Map()
+    };
+
+    if (DEATH_EVENTS.includes(event.type)) {
+      this._death(ctx);
+    } else if (event.type === 'tiers') {
+      this._open(ctx, event.marble);
+      this._cashoutTiers(ctx, event.marble, 0);
+    } else if (event.type === 'refund') {
+      this._refund(ctx);
+    } else {
+      throw new Error(`Unknown economy event "${event.type}"`);
+    }
+
+    const failures = this._check(ctx);
+    this.stats.events++;
+    this.stats.movements += ctx.movements.length;
+    this._report(event.type, failures, ctx.movements);
+
+    return {
+      type: event.type,
+      movements: ctx.movements,
+      marbles: ctx.marbles,
+      vaultFloor: ctx.vaultFloor,
+      exhaustedTiers: [...ctx.exhaustedTiers],
+      bountyGained: ctx.bountyGained,
+      failures
+    };
+  }
+
+  // ----------------------------------------------------------
+  // Tier schedules
+  // ----------------------------------------------------------
+  setSchedule(name) {
+    if (!this.schedules[name]) {
+      throw new Error(`Unknown tier schedule "${name}" (schedules: ${Object.keys(this.schedules).join(', ') || 'none'})`);
+    }
+    this.scheduleName = name;
+    this.tiers = this.schedules[name];
+  }
+
+  // nextTierIndex on the active schedule for one taken on `previousTiers`:
+  // whatever was already passed stays passed, nothing is skipped
+  rebaseTierIndex(previousTiers, index) {
+    const passed = index > 0 ? previousTiers[Math.min(index, previousTiers.length) - 1].threshold : 0;
+    let rebased = 0;
+    while (rebased < this.tiers.length && this.tiers[rebased].threshold <= passed) rebased++;
+    return rebased;
+  }
+
+  // Largest single tier payout allowed — null lifts the limit
+  setPayoutLimit(limit) {
+    this.payoutLimit = limit === null || limit === undefined ? null : Math.max(0, Math.floor(limit));
+  }
+
+  _tierHeld(tier) {
+    if (this.payoutLimit === null) return false;
+    const cost = tier.threshold >= this.jackpotThreshold ? tier.threshold : tier.payout;
+    return cost > this.payoutLimit;
+  }
+
+  // Threshold of the first held tier on the active schedule — null if none
+  firstHeldTier() {
+    const tier = this.tiers.find(t => this._tierHeld(t));
+    return tier ? tier.threshold : null;
+  }
+
+  // Highest vault floor unlocked at or below a tier threshold
+  vaultFloorForTier(threshold) {
+    let best = 0;
+    for (const floor of this.vaultFloors) {
+      if (floor.tierThreshold <= threshold) best = floor.vaultFloor;
+    }
+    return best;
+  }
+
+  // ----------------------------------------------------------
+  // Deaths
+  // ----------------------------------------------------------
+  _death(ctx) {
+    const { event } = ctx;
+    const victim = event.victim;
+    const route = event.route || 'killer';
+    if (!ROUTES.includes(route)) throw new Error(`Unknown economy route "${route}"`);
+
+    this._open(ctx, victim);
+    const from = `bounty:${victim.id}`;
+
+    if (route !== 'killer') {
+      const reason = route === 'house' ? 'unclaimed' : route;
+      this._move(ctx, from, route === 'house' ? 'house' : route, victim.bounty, reason);
+      return;
+    }
+
+    // A broke victim is still worth bountyValue — the house covers the difference
+    const value = Math.max(event.bountyValue ?? victim.bounty, victim.bounty);
+    this._move(ctx, 'house', from, value - victim.bounty, 'minimumBounty');
+
+    const killer = event.killer;
+    this._open(ctx, killer);
+    const to = `bounty:${killer.id}`;
+
+    // ═══ CASE 1: VICTIM IS GOLDEN MIB → vault transfer ═══
+    if (victim.isGolden && value > 0) {
+      const held = Math.min(value, ctx.vaultFloor);
+      const transferable = value - held;
+      const floor = ctx.vaultFloor;
+      this._move(ctx, from, to, transferable, 'vaultTransfer', { value, floor });
+      this._move(ctx, from, 'vault', held, 'vaultFloor');
+      ctx.bountyGained = transferable;
+
+      // Killer cashes tiers on the transferable part first; a jackpot forfeits the floor
+      if (!killer.isBot) this._cashoutTiers(ctx, killer, transferable);
+      if (!ctx.marbles[killer.id]?.jackpot) {
+        // A floor above what the victim held is made up by the house
+        this._move(ctx, 'house', 'vault', floor - held, 'vaultShortfall');
+        this._move(ctx, 'vault', to, floor, 'vaultInherit');
+      } else {
+        // The jackpot resets the vault — what it held stays with the house
+        this._move(ctx, 'vault', 'house', held, 'vaultForfeit');
+      }
+      return;
+    }
+
+    // ═══ CASE 2: KILLER IS GOLDEN MIB ═══
+    if (killer.isGolden && value > 0) {
+      if (event.type !== 'kill') {
+        // Wall / disconnect: 100% to bounty, no instant cash
+        this._move(ctx, from, to, value, 'bounty', { toGolden: true });
+        ctx.bountyGained = value;
+        if (!killer.isBot) this._cashoutTiers(ctx, killer, value);
+        return;
+      }
+
+      const instantCash = Math.round(value * this.instantCashRate);
+      const bountyAdded = value - instantCash;
+      this._move(ctx, from, to, bountyAdded, 'goldenShare');
+      if (killer.isBot) {
+        // A bot has no wallet — its share passes straight through to the house
+        this._move(ctx, from, to, instantCash, 'goldenInstantCash');
+        this._move(ctx, to, 'house', instantCash, 'goldenInstantCash');
+      } else {
+        this._move(ctx, from, `wallet:${killer.id}`, instantCash, 'goldenInstantCash', { gained: value });
+        this._cashoutTiers(ctx, killer, bountyAdded);
+      }
+      ctx.bountyGained = bountyAdded;
+      return;
+    }
+
+    // ═══ CASE 3: REGULAR PVP → passive tax to the Golden Mib ═══
+    const golden = event.golden;
+    const isExempt = !golden || !event.goldenCanCollectTax ||
+      (value <= this.taxExemptMax && killer.bounty <= this.taxExemptMax);
+
+    let toKiller = value;
+    if (!isExempt) {
+      const tax = Math.round(value * this.passiveTaxRate);
+      toKiller = value - tax;
+      this._open(ctx, golden);
+      this._move(ctx, from, `bounty:${golden.id}`, tax, 'goldenTax', { value });
+      if (!golden.isBot) this._cashoutTiers(ctx, golden, tax);
+    }
+
+    this._move(ctx, from, to, toKiller, 'bounty');
+    ctx.bountyGained = toKiller;
+    if (!killer.isBot) this._cashoutTiers(ctx, killer, toKiller);
+  }
+
+  // ----------------------------------------------------------
+  // Cashout tiers — bounty → wallet as thresholds are crossed
+  // ----------------------------------------------------------
+  _cashoutTiers(ctx, marble, gained) {
+    if (marble.isBot || marble.alive === false) return;
+    const account = `bounty:${marble.id}`;
+    const state = ctx.marbles[marble.id] ||
+      (ctx.marbles[marble.id] = { nextTierIndex: marble.nextTierIndex || 0, jackpot: false, skipped: [] });
+    if (state.jackpot) return;
+
+    while (state.nextTierIndex < this.tiers.length) {
+      const tier = this.tiers[state.nextTierIndex];
+      const bounty = ctx.balances.get(account);
+      if (bounty < tier.threshold) break;
+
+      // Jackpot-level tiers are exhausted globally; normal tiers reset per life
+      if (tier.threshold >= this.jackpotThreshold && ctx.exhaustedTiers.has(tier.threshold)) {
+        state.skipped.push(tier.threshold);
+        state.nextTierIndex++;
+        continue;
+      }
+
+      // Over the payout limit — armed again once it lifts
+      if (this._tierHeld(tier)) break;
+
+      // ═══ JACKPOT: the whole bounty, then an economy reset ═══
+      if (tier.threshold >= this.jackpotThreshold) {
+        state.jackpot = true;
+        ctx.exhaustedTiers.clear();
+        ctx.vaultFloor = 0;
+        this._move(ctx, account, `wallet:${marble.id}`, bounty, 'jackpot', { tierIndex: state.nextTierIndex, threshold: tier.threshold, gained });
+        break;
+      }
+
+      if (tier.payout > 0) {
+        const meta = { tierIndex: state.nextTierIndex, threshold: tier.threshold, gained };
+        if (marble.isGolden) {
+          const floor = this.vaultFloorForTier(tier.threshold);
+          if (floor > ctx.vaultFloor) {
+            meta.vaultFloorFrom = ctx.vaultFloor;
+            meta.vaultFloorTo = floor;
+            ctx.vaultFloor = floor;
+          }
+        }
+        this._move(ctx, account, `wallet:${marble.id}`, tier.payout, 'tier', meta);
+      }
+      state.nextTierIndex++;
+    }
+  }
+
+  // ----------------------------------------------------------
+  // Last player refund — bounty forfeited, buy-in returned
+  // ----------------------------------------------------------
+  _refund(ctx) {
+    const { player, amount } = ctx.event;
+    this._open(ctx, player);
+    this._move(ctx, `bounty:${player.id}`, 'house', player.bounty, 'refundForfeit');
+    this._move(ctx, 'house', `wallet:${player.id}`, amount, 'refund');
+  }
+
+  // ----------------------------------------------------------
+  // Ledger helpers
+  // ----------------------------------------------------------
+  _open(ctx, marble) {
+    const account = `bounty:${marble.id}`;
+    if (!ctx.balances.has(account)) ctx.balances.set(account, marble.bounty || 0);
+  }
+
+  // Zero amounts are skipped — nothing moved
+  _move(ctx, from, to, amount, reason, meta = {}) {
+    if (amount === 0) return;
+    ctx.movements.push({ from, to, amount, reason, ...meta });
+    ctx.balances.set(from, (ctx.balances.get(from) || 0) - amount);
+    ctx.balances.set(to, (ctx.balances.get(to) || 0) + amount);
+  }
+
+  // ----------------------------------------------------------
+  // Invariants
+  // ----------------------------------------------------------
+  _check(ctx) {
+    const failures = [];
+    const { event, movements } = ctx;
+
+    for (const m of movements) {
+      if (!Number.isSafeInteger(m.amount) || m.amount <= 0) {
+        failures.push(`${m.reason}: amount ${m.amount} is not a whole positive micro-USDC value`);
+      }
+      if (m.from === m.to) failures.push(`${m.reason}: moves ${m.from} to itself`);
+    }
+
+    // Replay the movements from opening balances — only the house may go
+    // below zero (a vault paid out before it was funded is minted value)
+    const running = new Map();
+    const balance = account => {
+      if (!running.has(account)) running.set(account, account.startsWith('bounty:') ? this._openingBounty(ctx, account) : 0);
+      return running.get(account);
+    };
+    for (const m of movements) {
+      running.set(m.from, balance(m.from) - m.amount);
+      running.set(m.to, balance(m.to) + m.amount);
+      if (m.from !== 'house' && running.get(m.from) < 0) {
+        failures.push(`${m.reason}: ${m.from} below zero (${running.get(m.from)})`);
+      }
+    }
+
+    // The vault only passes the floor from victim to killer — it holds nothing between events
+    if (running.has('vault') && running.get('vault') !== 0) {
+      failures.push(`vault left holding ${running.get('vault')}`);
+    }
+
+    if (DEATH_EVENTS.includes(event.type) || event.type === 'refund') {
+      const source = `bounty:${(event.victim || event.player).id}`;
+      const left = running.has(source) ? running.get(source) : this._openingBounty(ctx, source);
+      if (left !== 0) failures.push(`${source} not fully disposed (${left} left)`);
+    }
+
+    return failures;
+  }
+
+  // ----------------------------------------------------------
+  // Applied check — the World's marbles against the movements
+  // ----------------------------------------------------------
+  // before / after: Map 'id' → { bounty, paid } in micro-USDC,
+  // measured on the live marbles around applying a result. Each
+  // marble must have gained exactly what the movements moved into
+  // its bounty and wallet, no bounty may end below zero, and no
+  // movement may touch a marble that wasn't measured (it was never
+  // applied). gone: ids whose accounts aren't applied (the victim).
+  checkApplied(type, movements, before, after, gone = []) {
+    const failures = [];
+    const expected = new Map();
+    for (const id of before.keys()) expected.set(id, 0);
+
+    for (const m of movements) {
+      for (const [account, sign] of [[m.from, -1], [m.to, 1]]) {
+        const id = marbleIdOf(account);
+        if (id === null || gone.includes(id)) continue;
+        if (!expected.has(id)) {
+          failures.push(`${m.reason}: ${account} moved but not applied`);
+          continue;
+        }
+        expected.set(id, expected.get(id) + sign * m.amount);
+      }
+    }
+
+    for (const [id, was] of before) {
+      const now = after.get(id);
+      const gained = (now.bounty + now.paid) - (was.bounty + was.paid);
+      if (gained !== expected.get(id)) {
+        failures.push(`${id} holds ${now.bounty + now.paid}, expected ${was.bounty + was.paid + expected.get(id)}`);
+      }
+      if (now.bounty < 0) failures.push(`bounty:${id} below zero (${now.bounty})`);
+    }
+
+    this._report(type, failures, movements);
+    return failures;
+  }
+
+  _openingBounty(ctx, account) {
+    const { event } = ctx;
+    const id = account.slice('bounty:'.length);
+    for (const marble of [event.victim, event.killer, event.golden, event.marble, event.player]) {
+      if (marble && String(marble.id) === id) return marble.bounty || 0;
+    }
+    return 0;
+  }
+
+  _report(type, failures, movements) {
+    if (failures.length === 0) return;
+    this.stats.failures++;
+    this.onInvariantFailure({ type, failures, movements });
+  }
+
+  getStats() {
+    return { ...this.stats };
+  }
+}
+
+EconomyEngine.MICRO = MICRO;
+EconomyEngine.toMicro = toMicro;
+EconomyEngine.fromMicro = fromMicro;
+
+module.exports = EconomyEngine;
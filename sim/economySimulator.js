@@ -0,0 +1,357 @@
+// ============================================================
+// sim/economySimulator.js — House edge and solvency, offline
+// ============================================================
+// Monte Carlo over synthetic paid arenas. Each trial is a run of
+// Golden Yard Time sessions on one paid-mode World, driven
+// through the same methods the server calls — settleJoin,
+// killMarble, the wall-death path, disconnectPlayer — so kill
+// routing, golden tax, the vault, cashout tiers, the jackpot
+// reset and the last-player refund are the real code
+// (sim/economyEngine.js), not a model of it.
+//
+// Nothing moves: the World is never stepped and has no coins.
+// Who dies, how, and who gets the credit comes from a synthetic
+// population — every player draws a skill (lognormal, spread
+// `skillSpread`); killers are picked by skill, victims by its
+// inverse. Each session fills the arena to `arenaPlayers`,
+// replaces the dead while its buy-ins last, then plays out to
+// the last player, who leaves (a refund if they never cashed,
+// else a Vault Keeper carries their bounty into the next session).
+//
+// The house wallet, per trial:
+//   + buyIn.amountUsdc × houseSplitFraction per buy-in
+//   − every movement into a player's wallet (tiers, jackpot,
+//     golden instant cash, refunds)
+// starting from `houseBalance` (required — scripts/economy-sim.js
+// can read it live with PrivyService.getHouseUsdcBalance). Bounty
+// still on the table when the trial ends is settled as if cashed
+// out (`openBounty`), so profit never counts money players hold.
+//
+// Reported: expected house profit per buy-in (mean, variance,
+// percentiles), worst-case drawdown, and the probability the
+// balance is exhausted (≤ 0) at any point in a trial.
+// Same seed + same constants = same result.
+// ============================================================
+
+const World = require('./world');
+const SeededRng = require('./rng');
+const { TickClock } = require('./clock');
+const { fromMicro } = require('./economyEngine');
+
+const DEATH_TYPES = ['kill', 'wall', 'disconnect'];
+
+/**
+ * options: { gameConstants, trials, buyIns, sessionBuyIns, arenaPlayers,
+ *            bots, skillSpread, deathMix, houseBalance, schedule, seed }
+ *   buyIns         per trial
+ *   sessionBuyIns  per Golden Yard Time session
+ *   deathMix       { kill, wall, disconnect } relative weights
+ *   schedule       cashout tier schedule (default: the paid mode's)
+ */
+function runSimulation(options) {
+  const config = {
+    trials: options.trials ?? 200,
+    buyIns: options.buyIns ?? 500,
+    sessionBuyIns: options.sessionBuyIns ?? 50,
+    arenaPlayers: options.arenaPlayers ?? 6,
+    bots: options.bots ?? 0,
+    skillSpread: options.skillSpread ?? 0.6,
+    deathMix: { kill: 0.8, wall: 0.15, disconnect: 0.05, ...options.deathMix },
+    houseBalance: options.houseBalance,
+    schedule: options.schedule ?? null,
+    seed: options.seed ?? 1
+  };
+  if (!(config.arenaPlayers >= 2)) throw new Error('arenaPlayers must be at least 2');
+  if (!(config.houseBalance > 0)) throw new Error('houseBalance (starting house USDC) must be a positive number');
+
+  const started = process.hrtime.bigint();
+  const buyInUsdc = options.gameConstants.economy.buyIn.amountUsdc;
+  const trials = [];
+  for (let i = 0; i < config.trials; i++) {
+    trials.push(runTrial(options.gameConstants, config, config.seed + i));
+  }
+
+  return {
+    config,
+    wallClockSec: round(Number(process.hrtime.bigint() - started) / 1e9),
+    ...summarizeTrials(trials, config, buyInUsdc)
+  };
+}
+
+function simulatorConstants(gameConstants) {
+  const C = JSON.parse(JSON.stringify(gameConstants));
+  C.bot = C.bot || {};
+  C.bot.population = { ...C.bot.population, enabled: false };
+  return C;
+}
+
+// ----------------------------------------------------------
+// One trial — its own World, rng and house wallet
+// ----------------------------------------------------------
+function runTrial(gameConstants, config, seed) {
+  const C = simulatorConstants(gameConstants);
+  const buyIn = C.economy.buyIn;
+  const houseShare = buyIn.amountUsdc * buyIn.houseSplitFraction;
+
+  const world = new World(C, {
+    rng: new SeededRng(seed),
+    clock: new TickClock(0, 1000 / 60),
+    maxBots: config.bots,
+    maxCoins: 0,
+    mode: 'paid',
+    // Server rule: refund only a session that never accrued anything
+    hooks: { canRefundLastPlayer: (player) => (player.totalPayout || 0) <= 0 }
+  });
+  if (config.schedule) world.setTierSchedule(config.schedule);
+  const rng = new SeededRng(seed ^ 0x5eed);
+
+  const wallet = {
+    balance: config.houseBalance,
+    peak: config.houseBalance,
+    low: config.houseBalance,
+    drawdown: 0,
+    exhausted: false
+  };
+  const paidOut = {};
+  let jackpots = 0;
+  let refunds = 0;
+  let invariantFailures = 0;
+
+  const move = (usdc) => {
+    wallet.balance += usdc;
+    wallet.peak = Math.max(wallet.peak, wallet.balance);
+    wallet.low = Math.min(wallet.low, wallet.balance);
+    wallet.drawdown = Math.max(wallet.drawdown, wallet.peak - wallet.balance);
+    if (wallet.balance <= 0) wallet.exhausted = true;
+  };
+
+  world.on('economyEvent', ({ movements }) => {
+    for (const m of movements) {
+      if (!m.to.startsWith('wallet:')) continue;
+      const usdc = fromMicro(m.amount);
+      paidOut[m.reason] = (paidOut[m.reason] || 0) + usdc;
+      move(-usdc);
+    }
+  });
+  world.on('jackpot', () => jackpots++);
+  world.on('lastPlayerRefund', () => refunds++);
+  world.on('economyInvariantFailed', () => invariantFailures++);
+
+  const skills = new Map();   // marble id → skill
+  const skillOf = (marble) => {
+    let skill = skills.get(marble.id);
+    if (skill === undefined) {
+      skill = Math.exp(config.skillSpread * normal(rng));
+      skills.set(marble.id, skill);
+    }
+    return skill;
+  };
+
+  let nextId = 1;
+  const join = () => {
+    const angle = rng.next() * Math.PI * 2;
+    const distance = Math.sqrt(rng.next()) * world.state.arenaRadius * 0.8;
+    const x = Math.cos(angle) * distance;
+    const y = Math.sin(angle) * distance;
+    const player = {
+      id: `sim_${nextId}`,
+      name: `Player ${nextId++}`,
+      x, y, angle: 0, targetAngle: 0,
+      lengthScore: C.player.startLength,
+      bounty: C.player.startBounty,
+      kills: 0, alive: true, boosting: false,
+      isBot: false, isGolden: false,
+      spawnTime: world.now(), spawnProtection: false,
+      pathBuffer: world.createPathBuffer(x, y),
+      nextTierIndex: 0, totalPayout: 0,
+      isPaidSession: true, _isPaidSession: true
+    };
+    world.addPlayer(player);
+    move(houseShare);
+    world.settleJoin(player);
+  };
+
+  const humans = () => Object.values(world.state.players).filter(p => p.alive);
+  const fighters = () => world.getAliveMarbles().filter(m => !m.isVaultKeeper);
+
+  const fillBots = () => {
+    while (world.state.bots.filter(b => b.alive && !b.isVaultKeeper).length < config.bots) {
+      world.spawnBot(`simbot_${nextId++}`);
+    }
+  };
+
+  const death = () => {
+    const alive = fighters();
+    const victim = pickWeighted(rng, alive, m => 1 / skillOf(m));
+    const type = pickWeighted(rng, DEATH_TYPES, t => config.deathMix[t] || 0);
+
+    if (type === 'disconnect' && !victim.isBot) {
+      world.disconnectPlayer(victim.id);
+    } else if (type === 'wall') {
+      // World._handleMarkedDeaths, minus the movement that got them there
+      if (victim.isBot || !world.tryLastPlayerRefund(victim)) {
+        world.killMarble(victim, world.findWallDeathCredit(victim.id), 'wall');
+      }
+    } else {
+      const killer = pickWeighted(rng, alive.filter(m => m !== victim), m => skillOf(m));
+      world.killMarble(victim, killer ? killer.id : null);
+    }
+    world.killedThisFrame.clear();
+  };
+
+  let buyIns = 0;
+  while (buyIns < config.buyIns) {
+    const sessionEnd = Math.min(config.buyIns, buyIns + config.sessionBuyIns);
+
+    // Play while the session's buy-ins last
+    while (buyIns < sessionEnd || humans().length > 1) {
+      while (buyIns < sessionEnd && humans().length < config.arenaPlayers) {
+        join();
+        buyIns++;
+      }
+      if (buyIns < sessionEnd) fillBots();
+      if (fighters().length < 2) break;
+      death();
+      world.clock.advance();
+    }
+
+    // Bots go home; the last player out leaves
+    for (const bot of [...world.state.bots]) {
+      if (!bot.isVaultKeeper) world.retireBot(bot.id);
+    }
+    for (const player of humans()) world.disconnectPlayer(player.id);
+  }
+
+  // Whatever is still held is owed — settle it as a payout
+  const openBounty = world.getAliveMarbles().reduce((sum, m) => sum + (m.bounty || 0), 0);
+  if (openBounty > 0) {
+    paidOut.openBounty = openBounty;
+    move(-openBounty);
+  }
+
+  const revenue = buyIns * houseShare;
+  const totalPaid = Object.values(paidOut).reduce((sum, v) => sum + v, 0);
+
+  return {
+    seed,
+    buyIns,
+    revenue,
+    paidOut,
+    profit: revenue - totalPaid,
+    profitPerBuyIn: (revenue - totalPaid) / buyIns,
+    openBounty,
+    drawdown: wallet.drawdown,
+    lowBalance: wallet.low,
+    exhausted: wallet.exhausted,
+    jackpots,
+    refunds,
+    invariantFailures
+  };
+}
+
+// ----------------------------------------------------------
+// Roll-up
+// ----------------------------------------------------------
+function summarizeTrials(trials, config, buyInUsdc) {
+  const perBuyIn = trials.map(t => t.profitPerBuyIn);
+  const profits = trials.map(t => t.profit);
+  const drawdowns = trials.map(t => t.drawdown);
+  const totalBuyIns = trials.reduce((sum, t) => sum + t.buyIns, 0);
+
+  const paidOut = {};
+  for (const trial of trials) {
+    for (const [reason, usdc] of Object.entries(trial.paidOut)) {
+      paidOut[reason] = (paidOut[reason] || 0) + usdc;
+    }
+  }
+
+  return {
+    profitPerBuyIn: {
+      mean: round(mean(perBuyIn)),
+      variance: round(variance(perBuyIn)),
+      stdDev: round(Math.sqrt(variance(perBuyIn))),
+      p5: round(percentile(perBuyIn, 0.05)),
+      p50: round(percentile(perBuyIn, 0.5)),
+      p95: round(percentile(perBuyIn, 0.95))
+    },
+    profitPerTrial: {
+      mean: round(mean(profits)),
+      variance: round(variance(profits)),
+      stdDev: round(Math.sqrt(variance(profits))),
+      worst: round(Math.min(...profits))
+    },
+    houseEdge: round(mean(perBuyIn) / buyInUsdc),
+    drawdown: {
+      worst: round(Math.max(...drawdowns)),
+      p95: round(percentile(drawdowns, 0.95)),
+      mean: round(mean(drawdowns))
+    },
+    lowestBalance: round(Math.min(...trials.map(t => t.lowBalance))),
+    exhaustionProbability: round(trials.filter(t => t.exhausted).length / trials.length),
+    paidOutPerBuyIn: Object.fromEntries(Object.entries(paidOut).map(([reason, usdc]) => [reason, round(usdc / totalBuyIns)])),
+    openBountyPerTrial: round(mean(trials.map(t => t.openBounty))),
+    jackpotsPerTrial: round(mean(trials.map(t => t.jackpots))),
+    refundsPerTrial: round(mean(trials.map(t => t.refunds))),
+    invariantFailures: trials.reduce((sum, t) => sum + t.invariantFailures, 0),
+    trials: trials.map(t => ({
+      seed: t.seed,
+      profit: round(t.profit),
+      profitPerBuyIn: round(t.profitPerBuyIn),
+      drawdown: round(t.drawdown),
+      lowBalance: round(t.lowBalance),
+      exhausted: t.exhausted,
+      openBounty: round(t.openBounty),
+      jackpots: t.jackpots,
+      refunds: t.refunds
+    }))
+  };
+}
+
+// ----------------------------------------------------------
+// Helpers
+// ----------------------------------------------------------
+function pickWeighted(rng, items, weightOf) {
+  const weights = items.map(weightOf);
+  const total = weights.reduce((sum, w) => sum + w, 0);
+  if (!(total > 0)) return null;
+  let roll = rng.next() * total;
+  for (let i = 0; i < items.length; i++) {
+    roll -= weights[i];
+    if (roll < 0) return items[i];
+  }
+  return items[items.length - 1];
+}
+
+// Standard normal (Box–Muller)
+function normal(rng) {
+  const u = 1 - rng.next();
+  return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * rng.next());
+}
+
+function mean(values) {
+  return values.length > 0 ? values.reduce((sum, v) => sum + v, 0) / values.length : 0;
+}
+
+function variance(values) {
+  if (values.length < 2) return 0;
+  const m = mean(values);
+  return values.reduce((sum, v) => sum + (v - m) ** 2, 0) / (values.length - 1);
+}
+
+function percentile(values, p) {
+  if (values.length === 0) return 0;
+  const sorted = [...values].sort((a, b) => a - b);
+  return sorted[Math.min(sorted.length - 1, Math.floor(p * sorted.length))];
+}
+
+function round(value) {
+  return Math.round(value * 10000) / 10000;
+}
+
+// One row per trial
+function simulationToCsv(result) {
+  const columns = ['seed', 'profit', 'profitPerBuyIn', 'drawdown', 'lowBalance', 'exhausted', 'openBounty', 'jackpots', 'refunds'];
+  return [columns.join(','), ...result.trials.map(t => columns.map(c => t[c]).join(','))].join('\n') + '\n';
+}
+
+module.exports = { runSimulation, simulationToCsv };
@@ -0,0 +1,129 @@
+// ============================================================
+// sim/inputQueue.js — Per-player input queue, applied by tick
+// ============================================================
+// playerInput no longer overwrites targetAngle/boosting the
+// moment it arrives. Each accepted input is scheduled for one
+// tick and applied at the start of that step(), at most one
+// per player per tick:
+//
+//   applyTick = max(input.tick, world.tick + 1, previous + 1)
+//               capped at world.tick + maxLeadTicks
+//
+// Once applied, player.lastProcessedInput (seq) and
+// player.lastInputTick (tick) go out in every snapshot, so
+// the client can drop what's acked and replay the rest with
+// shared/inputPrediction.js.
+//
+// Rejected (never queued, never recorded):
+//   stale    seq not above the last one received (out of order / dupe)
+//   flood    over maxPerSecond (token bucket, `burst` deep) or
+//            maxQueue inputs already waiting
+//   invalid  seq present but not an integer
+//
+// Config: network.input { maxQueue, maxLeadTicks, maxPerSecond, burst }
+// ============================================================
+
+class InputQueue {
+  constructor(world) {
+    this.world = world;
+    const cfg = world.C.network?.input || {};
+
+    this.maxQueue = cfg.maxQueue || 8;
+    this.maxLeadTicks = Math.max(1, cfg.maxLeadTicks ?? 8);
+    this.burst = cfg.burst || 12;
+    this.refillPerTick = (cfg.maxPerSecond || 75) / world.tickRate;
+
+    this.metrics = {
+      accepted: 0,
+      applied: 0,
+      stale: 0,
+      flood: 0,
+      invalid: 0,
+      late: 0        // asked for a tick that had already been simulated
+    };
+  }
+
+  // Queue state lives on the player, so a respawn starts clean
+  _stateFor(player) {
+    if (!player._inputQueue) {
+      player._inputQueue = {
+        pending: [],
+        lastSeq: -1,
+        lastTick: 0,
+        tokens: this.burst,
+        refilledAt: this.world.tick
+      };
+    }
+    return player._inputQueue;
+  }
+
+  // ----------------------------------------------------------
+  // Returns null once queued, else the rejection reason
+  // ----------------------------------------------------------
+  push(player, input) {
+    const q = this._stateFor(player);
+    const tick = this.world.tick;
+
+    let seq;
+    if (input.seq === undefined || input.seq === null) {
+      seq = q.lastSeq + 1; // older clients don't number their inputs
+    } else if (!Number.isInteger(input.seq)) {
+      this.metrics.invalid++;
+      return 'invalid';
+    } else if (input.seq <= q.lastSeq) {
+      this.metrics.stale++;
+      return 'stale';
+    } else {
+      seq = input.seq;
+    }
+
+    q.tokens = Math.min(this.burst, q.tokens + (tick - q.refilledAt) * this.refillPerTick);
+    q.refilledAt = tick;
+    if (q.tokens < 1 || q.pending.length >= this.maxQueue) {
+      this.metrics.flood++;
+      return 'flood';
+    }
+    q.tokens -= 1;
+
+    const earliest = Math.max(tick + 1, q.lastTick + 1);
+    let applyTick = earliest;
+    if (typeof input.tick === 'number' && Number.isFinite(input.tick)) {
+      const wanted = Math.floor(input.tick);
+      if (wanted < tick + 1) this.metrics.late++;
+      applyTick = Math.max(earliest, Math.min(wanted, tick + this.maxLeadTicks));
+    }
+
+    q.pending.push({ seq, tick: applyTick, targetAngle: input.targetAngle, boost: !!input.boost });
+    q.lastSeq = seq;
+    q.lastTick = applyTick;
+    this.metrics.accepted++;
+    return null;
+  }
+
+  // ----------------------------------------------------------
+  // Start of step(): apply every input scheduled for this tick
+  // ----------------------------------------------------------
+  drain() {
+    const tick = this.world.tick;
+
+    for (const player of Object.values(this.world.state.players)) {
+      const q = player._inputQueue;
+      if (!q || q.pending.length === 0) continue;
+      if (!player.alive) {
+        q.pending.length = 0;
+        continue;
+      }
+
+      while (q.pending.length > 0 && q.pending[0].tick <= tick) {
+        const input = q.pending.shift();
+        player.targetAngle = input.targetAngle;
+        player.boosting = input.boost;
+        player.lastProcessedInput = input.seq;
+        player.lastInputTick = tick;
+        this.metrics.applied++;
+      }
+    }
+  }
+}
+
+module.exports = InputQueue;
@@ -0,0 +1,185 @@
+// ============================================================
+// sim/lagCompensation.js — Rewind contested collisions
+// ============================================================
+// A player at 150 ms sees everyone else ~150 ms in the past.
+// When the server says their head hit a body (or lost a
+// head-on), we re-check that contact against where the OTHER
+// marble was on the tick the player was looking at — the
+// `viewTick` sent with playerInput — bounded by maxRewindMs.
+//
+//   body hit, no contact in the rewound view   → cancelled
+//   head-on, rewound view says the other loses → flipped
+//   otherwise                                  → upheld
+//
+// Config: collision.lagCompensation
+//   mode: "off" | "shadow" (measure only) | "on"
+//   maxRewindMs: rewind window cap
+// ============================================================
+
+const { headToHead, headToBody } = require('./collisions');
+
+class LagCompensator {
+  constructor(world) {
+    this.world = world;
+    const cfg = world.C.collision?.lagCompensation || {};
+
+    this.mode = cfg.mode || 'off';
+    this.maxRewindMs = cfg.maxRewindMs ?? 200;
+
+    // marbleId → ring of { tick, x, y, angle, lengthScore, odometer }
+    this.history = new Map();
+    this._windowKey = null;
+    this._syncWindow();
+
+    this.metrics = {
+      evaluated: 0,   // collisions against a lagging victim we re-checked
+      upheld: 0,
+      cancelled: 0,
+      flipped: 0,
+      applied: 0,     // outcome changes actually applied (mode "on")
+      clamped: 0,     // lag longer than maxRewindMs
+      noHistory: 0
+    };
+  }
+
+  get active() {
+    return this.mode === 'on' || this.mode === 'shadow';
+  }
+
+  // The rewind clamp and the ring size are one tick count: the ring holds
+  // exactly the ticks a rewind may reach. Re-derived whenever maxRewindMs
+  // or the world's tick length changes — the old rings are dropped.
+  _syncWindow() {
+    const key = `${this.maxRewindMs}@${this.world.tickMs}`;
+    if (key === this._windowKey) return;
+    this._windowKey = key;
+    this.maxRewindTicks = Math.max(0, Math.floor(this.maxRewindMs / this.world.tickMs));
+    this.ringSize = this.maxRewindTicks + 1;
+    this.history.clear();
+  }
+
+  // ----------------------------------------------------------
+  // Record this tick's head + path odometer for every marble
+  // ----------------------------------------------------------
+  capture() {
+    if (!this.active) return;
+    this._syncWindow();
+    const tick = this.world.tick;
+    const alive = new Set();
+
+    for (const marble of this.world.getAliveMarbles()) {
+      alive.add(marble.id);
+      let ring = this.history.get(marble.id);
+      if (!ring) {
+        ring = new Array(this.ringSize);
+        this.history.set(marble.id, ring);
+      }
+      const pb = marble.pathBuffer;
+      ring[tick % this.ringSize] = {
+        tick,
+        x: marble.x,
+        y: marble.y,
+        angle: marble.angle,
+        lengthScore: marble.lengthScore,
+        odometer: pb ? pb.totalLength + (pb.trimmedLength || 0) : 0
+      };
+    }
+
+    for (const id of this.history.keys()) {
+      if (!alive.has(id)) this.history.delete(id);
+    }
+  }
+
+  stateAt(marbleId, tick) {
+    const ring = this.history.get(marbleId);
+    if (!ring) return null;
+    const entry = ring[tick % this.ringSize];
+    return entry && entry.tick === tick ? entry : null;
+  }
+
+  // How many ticks behind this marble's view is (from its latest input)
+  rewindTicksFor(marble) {
+    if (marble.isBot || typeof marble._viewLagTicks !== 'number') return 0;
+    const lag = marble._viewLagTicks;
+    if (lag <= 0) return 0;
+    if (lag > this.maxRewindTicks) {
+      this.metrics.clamped++;
+      return this.maxRewindTicks;
+    }
+    return lag;
+  }
+
+  // ----------------------------------------------------------
+  // Re-check each result whose victim is lagging
+  // ----------------------------------------------------------
+  resolve(results) {
+    if (!this.active || results.length === 0) return results;
+    this._syncWindow();
+
+    const world = this.world;
+    const C = world.C;
+    const resolved = [];
+
+    for (const result of results) {
+      const victim = world.findMarble(result.victimId);
+      const killer = result.killerId ? world.findMarble(result.killerId) : null;
+      const lag = victim && killer ? this.rewindTicksFor(victim) : 0;
+
+      if (lag === 0) {
+        resolved.push(result);
+        continue;
+      }
+
+      const past = this.stateAt(killer.id, world.tick - lag);
+      if (!past) {
+        this.metrics.noHistory++;
+        resolved.push(result);
+        continue;
+      }
+
+      this.metrics.evaluated++;
+      const seen = { id: killer.id, x: past.x, y: past.y, angle: past.angle, lengthScore: past.lengthScore };
+      let outcome = 'upheld';
+
+      if (result.type === 'body') {
+        // Body as it was `lag` ticks ago: shift back by the distance travelled since
+        const pb = killer.pathBuffer;
+        const travelled = (pb.totalLength + (pb.trimmedLength || 0)) - past.odometer;
+        const contact = headToBody(victim, seen, C, d => pb.sampleBack(d + travelled));
+        if (!contact) outcome = 'cancelled';
+      } else if (result.type === 'head') {
+        const head = headToHead(victim, seen, C);
+        if (!head) outcome = 'cancelled';
+        else if (head.victimId === killer.id) outcome = 'flipped';
+      }
+
+      this.metrics[outcome]++;
+
+      if (this.mode !== 'on' || outcome === 'upheld') {
+        resolved.push(result);
+        continue;
+      }
+
+      this.metrics.applied++;
+      console.log(`⏪ LAG COMP ${outcome.toUpperCase()}: ${victim.name} vs ${killer.name} | rewind ${lag} ticks (${Math.round(lag * world.tickMs)}ms)`);
+      if (outcome === 'flipped') {
+        resolved.push({ killerId: victim.id, victimId: killer.id, type: 'head', lagCompensated: true });
+      }
+    }
+
+    return resolved;
+  }
+
+  getMetrics() {
+    return {
+      mode: this.mode,
+      maxRewindMs: this.maxRewindMs,
+      ...this.metrics,
+      changeRate: this.metrics.evaluated > 0
+        ? (this.metrics.cancelled + this.metrics.flipped) / this.metrics.evaluated
+        : 0
+    };
+  }
+}
+
+module.exports = LagCompensator;
@@ -0,0 +1,206 @@
+// ============================================================
+// sim/peeweeField.js — Where ambient peewees spawn
+// ============================================================
+// spawnCoin asks the field for a spot. The active layout is a
+// list of patterns, each taking `share` of the spawns (the rest
+// stay uniform over the arena) and scaling peewee growth by
+// `value`:
+//
+//   cluster   count blobs evenly around an orbit (or at centers)
+//             { count, orbit, radius, rotationDeg, centers }
+//   ring      a band round the middle  { radius, width, center }
+//   spiral    arms winding out         { arms, turns, radius, width, rotationDeg }
+//   river     a band along a polyline  { points: [[x, y], ...], width }
+//   hotZone   blobs that orbit the arena once per periodMs
+//             { count, orbit, radius, periodMs, rotationDeg }
+//
+// Distances are fractions of the current arena radius, so the
+// field shrinks with the wall during Golden Yard Time. Anchors
+// come from config and simulation time only — no rng — so a
+// layout replays exactly; switching layouts goes through
+// world.setPeeweeLayout (recorded as a replay command).
+//
+// Config: peeweeField.patterns / layouts, modes[mode] picks the
+// default layout, nights[weekday] overrides it (server.js).
+// Disabled or an empty layout = the original uniform spawn.
+// ============================================================
+
+const TWO_PI = Math.PI * 2;
+const PATTERN_TYPES = ['cluster', 'ring', 'spiral', 'river', 'hotZone'];
+
+class PeeweeField {
+  constructor(world) {
+    this.world = world;
+    const cfg = world.C.peeweeField || {};
+
+    this.enabled = cfg.enabled === true;
+    this.patterns = cfg.patterns || {};
+    this.layouts = cfg.layouts || {};
+
+    for (const [name, pattern] of Object.entries(this.patterns)) {
+      if (!PATTERN_TYPES.includes(pattern.type)) {
+        throw new Error(`Peewee pattern "${name}" has unknown type "${pattern.type}" (types: ${PATTERN_TYPES.join(', ')})`);
+      }
+    }
+
+    this.layoutName = null;
+    this.active = [];          // [{ name, ...pattern }]
+    this.spawned = {};         // pattern name (or 'uniform') → count this layout
+    this.setLayout(this.enabled ? cfg.modes?.[world.mode] || null : null);
+  }
+
+  setLayout(name) {
+    if (name && !this.layouts[name]) {
+      throw new Error(`Unknown peewee layout "${name}" (layouts: ${Object.keys(this.layouts).join(', ') || 'none'})`);
+    }
+    const active = (name ? this.layouts[name] : []).map(patternName => {
+      const pattern = this.patterns[patternName];
+      if (!pattern) throw new Error(`Peewee layout "${name}" uses unknown pattern "${patternName}"`);
+      return { name: patternName, share: 0, value: 1, ...pattern };
+    });
+
+    const totalShare = active.reduce((sum, p) => sum + p.share, 0);
+    if (totalShare > 1) {
+      throw new Error(`Peewee layout "${name}" shares add up to ${totalShare} (max 1)`);
+    }
+
+    this.layoutName = name || null;
+    this.active = active;
+    this.spawned = {};
+  }
+
+  // ----------------------------------------------------------
+  // One spawn: { x, y, pattern, value }
+  // ----------------------------------------------------------
+  pickSpawn() {
+    const rng = this.world.rng;
+    const R = this.world.state.arenaRadius;
+
+    let pattern = null;
+    if (this.active.length > 0) {
+      let roll = rng.next();
+      for (const candidate of this.active) {
+        roll -= candidate.share;
+        if (roll < 0) { pattern = candidate; break; }
+      }
+    }
+
+    let spot;
+    if (pattern) {
+      spot = this['_' + pattern.type](pattern, rng, R);
+    } else {
+      // The original uniform spawn — same draws, same order
+      const angle = rng.next() * TWO_PI;
+      const distance = rng.next() * R * 0.95;
+      spot = { x: Math.cos(angle) * distance, y: Math.sin(angle) * distance };
+    }
+
+    // Keep everything inside the wall
+    const dist = Math.hypot(spot.x, spot.y);
+    if (dist > R * 0.95) {
+      spot.x *= (R * 0.95) / dist;
+      spot.y *= (R * 0.95) / dist;
+    }
+
+    const key = pattern ? pattern.name : 'uniform';
+    this.spawned[key] = (this.spawned[key] || 0) + 1;
+    return { x: spot.x, y: spot.y, pattern: pattern ? pattern.name : null, value: pattern ? pattern.value : 1 };
+  }
+
+  // ----------------------------------------------------------
+  // Pattern shapes
+  // ----------------------------------------------------------
+  _blob(cx, cy, radius, rng) {
+    const angle = rng.next() * TWO_PI;
+    const distance = Math.sqrt(rng.next()) * radius;   // even over the disc
+    return { x: cx + Math.cos(angle) * distance, y: cy + Math.sin(angle) * distance };
+  }
+
+  _cluster(p, rng, R) {
+    let cx;
+    let cy;
+    if (Array.isArray(p.centers) && p.centers.length > 0) {
+      const center = p.centers[Math.floor(rng.next() * p.centers.length)];
+      cx = center[0] * R;
+      cy = center[1] * R;
+    } else {
+      const count = p.count || 3;
+      const i = Math.floor(rng.next() * count);
+      const angle = degToRad(p.rotationDeg) + (i * TWO_PI) / count;
+      cx = Math.cos(angle) * (p.orbit ?? 0.5) * R;
+      cy = Math.sin(angle) * (p.orbit ?? 0.5) * R;
+    }
+    return this._blob(cx, cy, (p.radius ?? 0.08) * R, rng);
+  }
+
+  _ring(p, rng, R) {
+    const angle = rng.next() * TWO_PI;
+    const radius = ((p.radius ?? 0.4) + (rng.next() - 0.5) * (p.width ?? 0.05)) * R;
+    const [cx, cy] = p.center || [0, 0];
+    return { x: cx * R + Math.cos(angle) * radius, y: cy * R + Math.sin(angle) * radius };
+  }
+
+  _spiral(p, rng, R) {
+    const arms = p.arms || 2;
+    const arm = Math.floor(rng.next() * arms);
+    const t = rng.next();
+    const angle = degToRad(p.rotationDeg) + (arm * TWO_PI) / arms + t * (p.turns ?? 1) * TWO_PI;
+    const radius = (t * (p.radius ?? 0.8) + (rng.next() - 0.5) * (p.width ?? 0.04)) * R;
+    return { x: Math.cos(angle) * radius, y: Math.sin(angle) * radius };
+  }
+
+  _river(p, rng, R) {
+    const points = p.points || [[-0.8, 0], [0.8, 0]];
+    const lengths = [];
+    let total = 0;
+    for (let i = 1; i < points.length; i++) {
+      const len = Math.hypot(points[i][0] - points[i - 1][0], points[i][1] - points[i - 1][1]);
+      lengths.push(len);
+      total += len;
+    }
+
+    let along = rng.next() * total;
+    let seg = 0;
+    while (seg < lengths.length - 1 && along > lengths[seg]) {
+      along -= lengths[seg];
+      seg++;
+    }
+    const [ax, ay] = points[seg];
+    const [bx, by] = points[seg + 1];
+    const len = lengths[seg] || 1;
+    const t = along / len;
+    const offset = (rng.next() - 0.5) * (p.width ?? 0.05);
+
+    // Along the segment, then across it
+    const x = ax + (bx - ax) * t - ((by - ay) / len) * offset;
+    const y = ay + (by - ay) * t + ((bx - ax) / len) * offset;
+    return { x: x * R, y: y * R };
+  }
+
+  _hotZone(p, rng, R) {
+    const count = p.count || 1;
+    const i = Math.floor(rng.next() * count);
+    const phase = ((this.world.now() % (p.periodMs || 120000)) / (p.periodMs || 120000)) * TWO_PI;
+    const angle = degToRad(p.rotationDeg) + phase + (i * TWO_PI) / count;
+    const cx = Math.cos(angle) * (p.orbit ?? 0.5) * R;
+    const cy = Math.sin(angle) * (p.orbit ?? 0.5) * R;
+    return this._blob(cx, cy, (p.radius ?? 0.1) * R, rng);
+  }
+
+  getStatus() {
+    return {
+      enabled: this.enabled,
+      layout: this.layoutName,
+      patterns: this.active.map(p => ({ name: p.name, type: p.type, share: p.share, value: p.value })),
+      spawned: { ...this.spawned }
+    };
+  }
+}
+
+function degToRad(deg) {
+  return ((deg || 0) * Math.PI) / 180;
+}
+
+PeeweeField.PATTERN_TYPES = PATTERN_TYPES;
+
+module.exports = PeeweeField;
@@ -0,0 +1,387 @@
+// ============================================================
+// sim/peeweeSystem.js — Peewee physics, pooling, sleeping
+// ============================================================
+// Owns every peewee object in a World:
+//
+//   create(fields)  a peewee from the pool (or a new one) with a
+//                   fresh integer id — ids are never reused, so
+//                   snapshot net ids and replays stay stable
+//   release(coin)   back to the pool once it's been eaten
+//   update(dt)      one physics pass: roll, friction, spin, wall,
+//                   peewee-peewee and marble bounces
+//
+// Sleeping: a peewee that has sat at zero velocity for
+// sleep.afterTicks stops doing physics until something could
+// move it — a marble head/body within reach (spatial grid),
+// an awake peewee bumping into it, the arena wall reaching it,
+// or suction. Pickups don't care; checkCoinCollisions still
+// sees sleeping peewees.
+//
+// Peewee-peewee bounces use a per-pass cell index (cells at
+// least two peewee radii wide, neighbours checked in array
+// order) instead of every pair. All randomness from world.rng.
+//
+// Config: peewee.system { poolMax, cellSizePx,
+//                         sleep: { enabled, afterTicks, wakeMarginPx } }
+// ============================================================
+
+class PeeweeSystem {
+  constructor(world) {
+    this.world = world;
+    const cfg = world.C.peewee?.system || {};
+    const sleep = cfg.sleep || {};
+
+    this.poolMax = cfg.poolMax ?? 1000;
+    this.cellSizePx = cfg.cellSizePx ?? 64;
+    this.sleepEnabled = sleep.enabled !== false;
+    this.sleepAfterTicks = sleep.afterTicks ?? 30;
+    this.wakeMarginPx = sleep.wakeMarginPx ?? 8;
+
+    this.pool = [];
+    this.nextId = 1;
+    this.stats = { created: 0, reused: 0, released: 0, woken: 0 };
+
+    // Peewee-peewee broadphase, rebuilt each update()
+    this._cells = new Map();     // cell key → [coin index, ...]
+    this._usedCells = [];
+    this._cellSize = this.cellSizePx;
+    this._neighbours = [];
+  }
+
+  // ----------------------------------------------------------
+  // Pool
+  // ----------------------------------------------------------
+  create(fields) {
+    let coin = this.pool.pop();
+    if (coin) {
+      this.stats.reused++;
+    } else {
+      coin = {};
+      this.stats.created++;
+    }
+
+    // Every field, every time — a recycled peewee carries nothing over
+    coin.id = this.nextId++;
+    coin.x = fields.x;
+    coin.y = fields.y;
+    coin.vx = fields.vx;
+    coin.vy = fields.vy;
+    coin.radius = fields.radius;
+    coin.mass = fields.mass;
+    coin.growthValue = fields.growthValue;
+    coin.friction = fields.friction;
+    coin.marbleType = fields.marbleType;
+    coin.isDropped = fields.isDropped || false;
+    coin.sizeMultiplier = fields.sizeMultiplier ?? 1.0;
+    coin.pattern = fields.pattern ?? null;
+    coin.rotation = fields.rotation ?? 0;
+    coin.spawnTime = fields.spawnTime;
+    coin._curve = 0;
+    coin._spinSpeed = 0;
+    coin._inSuction = false;
+    coin._suctionTarget = null;
+    coin._asleep = false;
+    coin._restTicks = 0;
+    return coin;
+  }
+
+  release(coin) {
+    this.stats.released++;
+    if (this.pool.length < this.poolMax) this.pool.push(coin);
+  }
+
+  wake(coin) {
+    if (coin._asleep) this.stats.woken++;
+    coin._asleep = false;
+    coin._restTicks = 0;
+  }
+
+  // ----------------------------------------------------------
+  // Physics pass
+  // ----------------------------------------------------------
+  update(dt) {
+    const world = this.world;
+    const C = world.C;
+    const rng = world.rng;
+    const gameState = world.state;
+    const coins = gameState.coins;
+    const now = world.now();
+    const friction = C.peewee?.friction || 0.92;
+    const gravity = C.peewee?.gravity || 15;
+    const bounceMultiplier = C.peewee?.bounceMultiplier || 0.85;
+    const peeweeBounceMultiplier = C.peewee?.peeweeBounceMultiplier || 0.90;
+    const spinVelocityThreshold = C.peewee?.spinVelocityThreshold || 15;
+    const spinSpeedMin = C.peewee?.spinSpeedMin || 0.5;
+    const spinSpeedMax = C.peewee?.spinSpeedMax || 2.5;
+    const bounceWindowMs = C.peewee?.deathDrop?.bounceWindowMs || 2500;
+    const canBounce = (coin) => !coin.isDropped || now - (coin.spawnTime || 0) < bounceWindowMs;
+
+    // ✅ Marbles come from the grid (rebuilt just before this pass)
+    const grid = gameState.spatialGrid;
+    const allMarbles = grid.marbles;
+
+    this._indexCoins(coins, canBounce);
+
+    for (let i = 0; i < coins.length; i++) {
+      const peewee = coins[i];
+
+      // ✅ Skip ALL physics for coins being sucked in — suction is uninterruptible
+      if (peewee._inSuction) {
+        this.wake(peewee);
+        continue;
+      }
+
+      if (peewee._asleep) {
+        if (!this._disturbed(peewee, grid, gameState.arenaRadius, canBounce(peewee))) continue;
+        this.wake(peewee);
+      }
+
+      // Random curve drift (each peewee curves slightly different)
+      if (!peewee._curve) {
+        peewee._curve = (rng.next() - 0.5) * 0.02;
+      }
+
+      // Apply curve to velocity (rotate direction slightly)
+      if (Math.abs(peewee.vx) > 2 || Math.abs(peewee.vy) > 2) {
+        const cos = Math.cos(peewee._curve);
+        const sin = Math.sin(peewee._curve);
+        const newVx = peewee.vx * cos - peewee.vy * sin;
+        const newVy = peewee.vx * sin + peewee.vy * cos;
+        peewee.vx = newVx;
+        peewee.vy = newVy;
+      }
+
+      // ✅ ALWAYS apply velocity to position (THIS MAKES IT ROLL!)
+      peewee.x += peewee.vx * dt;
+      peewee.y += peewee.vy * dt;
+
+      // ✅ Apply friction
+      peewee.vx *= friction;
+      peewee.vy *= friction;
+
+      // ✅ Apply gravity
+      peewee.vy += gravity * dt;
+
+      // Calculate velocity magnitude
+      const speed = Math.sqrt(peewee.vx * peewee.vx + peewee.vy * peewee.vy);
+
+      // ✅ ONLY SPIN WHEN ROLLING (speed above threshold)
+      if (!peewee._spinSpeed) {
+        peewee._spinSpeed = (rng.next() * (spinSpeedMax - spinSpeedMin) + spinSpeedMin) * (rng.next() > 0.5 ? 1 : -1);
+      }
+
+      if (speed > spinVelocityThreshold) {
+        const spinMultiplier = Math.min(speed / 100, 6.0);
+        peewee.rotation = (peewee.rotation || 0) + (peewee._spinSpeed * spinMultiplier * dt);
+      }
+
+      // Stop if moving very slowly
+      if (speed < 5) {
+        peewee.vx = 0;
+        peewee.vy = 0;
+      }
+
+      // ✅ WALL COLLISION
+      this._bounceOffWall(peewee, gameState.arenaRadius, bounceMultiplier);
+
+      const peeweeCanBounce = canBounce(peewee);
+
+      // ✅ PEEWEE-PEEWEE COLLISION (only during bounce window for dropped peewees)
+      if (peeweeCanBounce) {
+        const neighbours = this._neighboursOf(peewee);
+        for (let n = 0; n < neighbours.length; n++) {
+          const other = coins[neighbours[n]];
+          if (other === peewee || !other) continue;
+
+          const dx = other.x - peewee.x;
+          const dy = other.y - peewee.y;
+          const dist = Math.sqrt(dx * dx + dy * dy);
+          const minDist = peewee.radius + other.radius;
+
+          if (dist < minDist && dist > 0) {
+            const nx = dx / dist;
+            const ny = dy / dist;
+
+            const tempVx = peewee.vx;
+            const tempVy = peewee.vy;
+            peewee.vx = other.vx * peeweeBounceMultiplier;
+            peewee.vy = other.vy * peeweeBounceMultiplier;
+            other.vx = tempVx * peeweeBounceMultiplier;
+            other.vy = tempVy * peeweeBounceMultiplier;
+
+            const overlap = minDist - dist;
+            peewee.x -= nx * (overlap / 2);
+            peewee.y -= ny * (overlap / 2);
+            other.x += nx * (overlap / 2);
+            other.y += ny * (overlap / 2);
+            this.wake(other);
+          }
+        }
+      }
+
+      // ✅ MARBLE COLLISION (bounce off player/bot marbles — only during bounce window for drops)
+      if (peeweeCanBounce) {
+        bounceOffMarbles(peewee, grid, allMarbles, bounceMultiplier);
+      }
+
+      // 💤 At rest long enough → sleep
+      if (this.sleepEnabled) {
+        peewee._restTicks = peewee.vx === 0 && peewee.vy === 0 ? peewee._restTicks + 1 : 0;
+        if (peewee._restTicks >= this.sleepAfterTicks) peewee._asleep = true;
+      }
+    }
+  }
+
+  _bounceOffWall(peewee, arenaRadius, bounceMultiplier) {
+    const distFromCenter = Math.sqrt(peewee.x * peewee.x + peewee.y * peewee.y);
+    if (distFromCenter + peewee.radius <= arenaRadius) return;
+
+    const nx = -peewee.x / distFromCenter;
+    const ny = -peewee.y / distFromCenter;
+
+    const dot = peewee.vx * nx + peewee.vy * ny;
+    peewee.vx = (peewee.vx - 2 * dot * nx) * bounceMultiplier;
+    peewee.vy = (peewee.vy - 2 * dot * ny) * bounceMultiplier;
+
+    // n points inward — push back inside (the wall may have moved onto it)
+    const overlap = (distFromCenter + peewee.radius) - arenaRadius;
+    peewee.x += nx * overlap;
+    peewee.y += ny * overlap;
+  }
+
+  // Could anything move a sleeping peewee this tick?
+  _disturbed(peewee, grid, arenaRadius, canBounce) {
+    if (Math.hypot(peewee.x, peewee.y) + peewee.radius > arenaRadius) return true;
+    if (!canBounce) return false;
+    const reach = grid.maxRadius + peewee.radius + this.wakeMarginPx;
+    return grid.queryOwners(peewee.x, peewee.y, reach) > 0;
+  }
+
+  // ----------------------------------------------------------
+  // Peewee-peewee broadphase
+  // ----------------------------------------------------------
+  _indexCoins(coins, canBounce) {
+    for (const key of this._usedCells) this._cells.get(key).length = 0;
+    this._usedCells.length = 0;
+
+    let maxRadius = 0;
+    for (const coin of coins) maxRadius = Math.max(maxRadius, coin.radius || 0);
+    this._cellSize = Math.max(this.cellSizePx, maxRadius * 2);
+
+    for (let i = 0; i < coins.length; i++) {
+      const coin = coins[i];
+      if (!canBounce(coin)) continue;
+      const key = this._cellKey(Math.floor(coin.x / this._cellSize), Math.floor(coin.y / this._cellSize));
+      let cell = this._cells.get(key);
+      if (!cell) {
+        cell = [];
+        this._cells.set(key, cell);
+      }
+      if (cell.length === 0) this._usedCells.push(key);
+      cell.push(i);
+    }
+  }
+
+  // Indices of bounce-able peewees in the 3×3 cells around `peewee`,
+  // in coins-array order (the order an all-pairs pass visits them)
+  _neighboursOf(peewee) {
+    const out = this._neighbours;
+    out.length = 0;
+    const col = Math.floor(peewee.x / this._cellSize);
+    const row = Math.floor(peewee.y / this._cellSize);
+    for (let dy = -1; dy <= 1; dy++) {
+      for (let dx = -1; dx <= 1; dx++) {
+        const cell = this._cells.get(this._cellKey(col + dx, row + dy));
+        if (cell) for (let k = 0; k < cell.length; k++) out.push(cell[k]);
+      }
+    }
+    if (out.length > 1) out.sort((a, b) => a - b);
+    return out;
+  }
+
+  _cellKey(col, row) {
+    return (col + 32768) * 65536 + (row + 32768);
+  }
+
+  getStats() {
+    const coins = this.world.state.coins;
+    return {
+      coins: coins.length,
+      asleep: coins.filter(c => c._asleep).length,
+      pooled: this.pool.length,
+      nextId: this.nextId,
+      ...this.stats
+    };
+  }
+}
+
+// Marbles in grid order, like a pass over every marble would visit them.
+// A bounce moves the peewee, so the rest are re-queried from where it landed.
+function bounceOffMarbles(peewee, grid, allMarbles, bounceMultiplier) {
+  const reach = grid.maxRadius + peewee.radius + 1;
+  let count = grid.queryOwners(peewee.x, peewee.y, reach);
+  let candidates = count > 0 ? Array.from(grid.found.subarray(0, count)) : [];
+
+  for (let k = 0; k < candidates.length; k++) {
+    const owner = candidates[k];
+    const marble = allMarbles[owner];
+    const marbleRadius = grid.ownerRadius[owner];
+    let bounced = false;
+
+    // Check HEAD collision
+    const dx = peewee.x - marble.x;
+    const dy = peewee.y - marble.y;
+    const dist = Math.sqrt(dx * dx + dy * dy);
+
+    if (dist < marbleRadius + peewee.radius && dist > 0) {
+      // Bounce off head
+      const nx = dx / dist;
+      const ny = dy / dist;
+
+      const dot = peewee.vx * nx + peewee.vy * ny;
+      peewee.vx = (peewee.vx - 2 * dot * nx) * bounceMultiplier;
+      peewee.vy = (peewee.vy - 2 * dot * ny) * bounceMultiplier;
+
+      // Push out
+      const overlap = (marbleRadius + peewee.radius) - dist;
+      peewee.x += nx * overlap;
+      peewee.y += ny * overlap;
+      bounced = true;
+    } else if (grid.hasBody(owner)) {
+      // ✅ Check every segment across full body length (segments are marble-sized)
+      const segmentRadius = marbleRadius;
+      const hit = grid.firstBodyHit(owner, peewee.x, peewee.y, segmentRadius + peewee.radius);
+      const segDx = hit === -1 ? 0 : peewee.x - grid.entX[hit];
+      const segDy = hit === -1 ? 0 : peewee.y - grid.entY[hit];
+      const segDist = Math.sqrt(segDx * segDx + segDy * segDy);
+
+      if (segDist > 0) {
+        // Bounce off segment
+        const nx = segDx / segDist;
+        const ny = segDy / segDist;
+
+        const dot = peewee.vx * nx + peewee.vy * ny;
+        peewee.vx = (peewee.vx - 2 * dot * nx) * bounceMultiplier;
+        peewee.vy = (peewee.vy - 2 * dot * ny) * bounceMultiplier;
+
+        // Push out
+        const overlap = (segmentRadius + peewee.radius) - segDist;
+        peewee.x += nx * overlap;
+        peewee.y += ny * overlap;
+        bounced = true; // Only bounce once per marble
+      }
+    }
+
+    if (bounced) {
+      count = grid.queryOwners(peewee.x, peewee.y, reach);
+      const rest = [];
+      for (let r = 0; r < count; r++) {
+        if (grid.found[r] > owner) rest.push(grid.found[r]);
+      }
+      candidates = rest;
+      k = -1;
+    }
+  }
+}
+
+module.exports = PeeweeSystem;
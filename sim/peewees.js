@@ -0,0 +1,229 @@
+// ============================================================
+// sim/peewees.js — Peewee (coin) spawning, pickups, death drops
+// ============================================================
+// Pure functions over a World. No sockets, no wall clock —
+// time comes from world.now() and randomness from world.rng.
+// Peewee objects come from and go back to world.peewees
+// (sim/peeweeSystem.js), which also runs their physics.
+// ============================================================
+
+const { calculateMarbleRadius } = require('../shared/physics');
+const { getBodyGeometry, segmentDistance } = require('../shared/bodyGeometry');
+
+// ============================================================================
+// COIN COLLISIONS
+// ============================================================================
+function checkCoinCollisions(world) {
+  const C = world.C;
+  const gameState = world.state;
+
+  // ✅ FIX: Clean up invalid coins FIRST
+  gameState.coins = gameState.coins.filter(isValidCoin);
+
+  // Marbles were indexed into the grid at the start of the peewee pass
+  const grid = gameState.spatialGrid;
+  const allMarbles = grid.marbles;
+  const aliveIds = new Set(allMarbles.map(m => m.id));
+  const extraRadius = C.suction?.extraRadius || 50;
+  const maxExtraRadius = extraRadius + world.powerUps.maxExtraSuction(); // magnet power-up
+  let maxRadius = grid.maxRadius; // grows as marbles eat this pass
+
+  for (let i = gameState.coins.length - 1; i >= 0; i--) {
+    const coin = gameState.coins[i];
+
+    // ✅ FIX: Safety check for this coin
+    if (!coin || !coin.x || !coin.y) {
+      gameState.coins.splice(i, 1);
+      continue;
+    }
+
+    // Every head that could collect or suction this coin, in marble order
+    const reach = maxRadius + Math.max(maxExtraRadius, coin.radius) + 1;
+    const count = grid.queryOwners(coin.x, coin.y, reach, true);
+    let claimed = false;
+
+    for (let k = 0; k < count; k++) {
+      const marble = allMarbles[grid.found[k]];
+      const marbleRadius = calculateMarbleRadius(marble.lengthScore, C);
+      const suctionRadius = marbleRadius + extraRadius + (marble._powerUpUntil ? world.powerUps.extraSuction(marble) : 0);
+      const dist = Math.hypot(coin.x - marble.x, coin.y - marble.y);
+
+      // ✅ COLLECTION: If touching marble head
+      if (dist < marbleRadius + coin.radius) {
+        marble.lengthScore += coin.growthValue;
+        maxRadius = Math.max(maxRadius, calculateMarbleRadius(marble.lengthScore, C));
+        gameState.coins.splice(i, 1);
+        world.peewees.release(coin);
+        spawnCoin(world); // fill-as-eaten — instantly replace consumed peewee
+        claimed = true;
+        break;
+      }
+
+      // ✅ SUCTION: Pull toward marble (Slither.io style)
+      if (dist < suctionRadius && dist > marbleRadius + coin.radius) {
+        coin._inSuction = true;
+        coin._suctionTarget = marble.id;
+
+        // ✅ Accelerating pull - gets STRONGER near head
+        const distanceRatio = dist / suctionRadius; // 1.0 at edge, 0.0 at head
+        const pullStrength = Math.pow(1 - distanceRatio, 2) * 0.55; // Quadratic acceleration (25% faster)
+
+        // Calculate direction to marble
+        const dx = marble.x - coin.x;
+        const dy = marble.y - coin.y;
+
+        // ✅ Smooth pull with acceleration
+        coin.x += dx * pullStrength;
+        coin.y += dy * pullStrength;
+
+        // Update velocity to match pull direction (for spin calculation)
+        coin.vx = dx * pullStrength * 60; // Convert to velocity
+        coin.vy = dy * pullStrength * 60;
+
+        claimed = true;
+        break; // Only one marble can suction this coin
+      }
+    }
+
+    // Reset suction flag if its marble is alive but out of range
+    if (!claimed && coin._suctionTarget && aliveIds.has(coin._suctionTarget)) {
+      coin._inSuction = false;
+      coin._suctionTarget = null;
+    }
+  }
+}
+
+function isValidCoin(coin) {
+  return coin &&
+    coin.x !== undefined &&
+    coin.y !== undefined &&
+    !isNaN(coin.x) &&
+    !isNaN(coin.y);
+}
+
+// ============================================================================
+// SPAWNING
+// ============================================================================
+function spawnCoin(world) {
+  const C = world.C;
+  const rng = world.rng;
+  const gameState = world.state;
+
+  // ✅ FIX: Clean up invalid coins BEFORE checking length
+  gameState.coins = gameState.coins.filter(isValidCoin);
+
+  if (gameState.coins.length >= 100) return;
+
+  // Uniform, or wherever the active field layout puts it (sim/peeweeField.js)
+  const spot = world.peeweeField.pickSpawn();
+
+  // ✅ ALWAYS give initial roll velocity
+  const rollAngle = rng.next() * Math.PI * 2;
+  const min = C.peewee?.initialRollSpeedMin || 80;
+  const max = C.peewee?.initialRollSpeedMax || 180;
+  const rollSpeed = min + rng.next() * (max - min);
+
+  const coin = world.peewees.create({
+    x: spot.x,
+    y: spot.y,
+    vx: Math.cos(rollAngle) * rollSpeed,
+    vy: Math.sin(rollAngle) * rollSpeed,
+    radius: C.peewee?.radius || 50,
+    mass: C.peewee?.mass || 2.0,
+    growthValue: (C.peewee?.growthValue || 20) * spot.value,
+    friction: C.peewee?.friction || 0.92,
+    marbleType: rng.pick(world.peeweeTypes),
+    isDropped: false,
+    sizeMultiplier: 1.0,
+    pattern: spot.pattern,
+    spawnTime: world.now()
+  });
+
+  gameState.coins.push(coin);
+  return coin;
+}
+
+// ============================================================================
+// DEATH DROPS
+// ============================================================================
+function calculateBountyDrop(marble, C) {
+  const totalValue = marble.lengthScore * (C.collision?.dropValueMultiplier || 0.5);
+  const bountyValue = marble.bounty || 1;
+  return { totalValue, bountyValue };
+}
+
+function calculateDropDistribution(rng, totalValue, C, lengthScore) {
+  const numSegments = Math.max(1, getBodyGeometry(lengthScore, C).count);
+  const dropsPerSeg = C.deathDrop?.dropsPerSegment || 1;
+  const maxDrops = C.deathDrop?.maxDrops || 30;
+  const numDrops = Math.min(numSegments * dropsPerSeg, maxDrops);
+
+  // ✅ Randomised sizeMultipliers (0.5–1.0) per drop, normalised so total value is preserved
+  const rawWeights = Array.from({ length: numDrops }, () => 0.5 + rng.next() * 0.5);
+  const weightSum = rawWeights.reduce((a, b) => a + b, 0);
+  const sizeMultipliers = rawWeights.map(w => w / weightSum * numDrops); // normalised around 1.0 mean
+  // Clamp each back to 0.6–1.5 range and derive value proportionally
+  const clampedMultipliers = sizeMultipliers.map(m => Math.max(0.6, Math.min(1.5, m)));
+
+  return { numDrops, totalValue, clampedMultipliers, numSegments, dropsPerSeg };
+}
+
+// Explode a dead marble's length into peewees along its body
+function spawnDeathDrops(world, marble, dropInfo) {
+  const C = world.C;
+  const rng = world.rng;
+  const gameState = world.state;
+
+  const dropDist = calculateDropDistribution(rng, dropInfo.totalValue, C, marble.lengthScore);
+  const coinsToSpawn = Math.min(dropDist.numDrops, world.maxCoins - gameState.coins.length);
+  console.log(`💀 DEATH DROP: ${marble.name} | lengthScore=${marble.lengthScore} | totalValue=${dropInfo.totalValue} | spawning ${coinsToSpawn} peewees`);
+
+  const body = getBodyGeometry(marble.lengthScore, C);
+
+  for (let i = 0; i < coinsToSpawn; i++) {
+    // Distribute along the body, not just at head — on the rendered segments
+    let spawnX = marble.x;
+    let spawnY = marble.y;
+
+    if (marble.pathBuffer && marble.pathBuffer.samples.length > 1) {
+      const segment = Math.floor((i / coinsToSpawn) * (dropDist.numSegments + 1));
+      const sample = marble.pathBuffer.sampleBack(segmentDistance(body, segment));
+      if (sample) {
+        spawnX = sample.x;
+        spawnY = sample.y;
+      }
+    }
+
+    // Random explosion direction from each segment
+    const angle = rng.next() * Math.PI * 2;
+    const distance = 20 + rng.next() * 40;
+    const explodeSpeed = 100 + rng.next() * 80;
+
+    const sm = dropDist.clampedMultipliers ? (dropDist.clampedMultipliers[i] ?? 1.0) : 1.0;
+    const baseRadius = C.peewee?.radius || 20;
+    const baseGrowth = (dropDist.totalValue / Math.max(1, dropDist.numDrops));
+
+    gameState.coins.push(world.peewees.create({
+      x: spawnX + Math.cos(angle) * distance,
+      y: spawnY + Math.sin(angle) * distance,
+      vx: Math.cos(angle) * explodeSpeed,
+      vy: Math.sin(angle) * explodeSpeed,
+      growthValue: Math.max(1, Math.floor(baseGrowth * sm)),
+      radius: baseRadius * sm,
+      sizeMultiplier: sm,
+      mass: C.peewee?.mass || 2.0,
+      friction: C.peewee?.friction || 0.92,
+      marbleType: marble.isGolden ? 'GOLDEN' : (marble.marbleType || 'GALAXY1'),
+      rotation: 0,
+      spawnTime: world.now()
+    }));
+  }
+}
+
+module.exports = {
+  checkCoinCollisions,
+  spawnCoin,
+  calculateBountyDrop,
+  calculateDropDistribution,
+  spawnDeathDrops
+};
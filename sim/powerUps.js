@@ -0,0 +1,193 @@
+// ============================================================
+// sim/powerUps.js — Rare pickups on the arena floor
+// ============================================================
+// Every spawnIntervalMs, while fewer than maxOnField are out, a
+// power-up drops somewhere inside the wall — its type rolled by
+// `weight`. The first head to touch it holds the effect for the
+// type's durationMs (picking up the same type again restarts it):
+//
+//   shield   immune to head/body kills, like spawnProtection
+//            (the wall still kills)
+//   magnet   suction reach + types.magnet.extraRadius
+//   ghost    head passes through other marbles' bodies
+//            (head-to-head still counts)
+//   speed    boost speed without boost length loss
+//
+// Items vanish after lifetimeMs or when the shrinking wall
+// reaches them. Spawns draw from world.rng on simulation time,
+// so they replay exactly; disabled = no draws at all.
+//
+// Config: powerUps { enabled, modes[mode], maxOnField,
+//   spawnIntervalMs, lifetimeMs, radius, types[type] }.
+// modes.paid is false — paid arenas stay pickup-free.
+// ============================================================
+
+const { calculateMarbleRadius } = require('../shared/physics');
+const { POWER_UP_TYPES } = require('../shared/snapshotCodec');
+
+class PowerUps {
+  constructor(world) {
+    this.world = world;
+    const cfg = world.C.powerUps || {};
+
+    this.enabled = cfg.enabled === true && cfg.modes?.[world.mode] === true;
+    this.maxOnField = cfg.maxOnField ?? 4;
+    this.spawnIntervalMs = cfg.spawnIntervalMs ?? 8000;
+    this.lifetimeMs = cfg.lifetimeMs ?? 30000;
+    this.radius = cfg.radius ?? 22;
+
+    this.types = {};
+    for (const [type, def] of Object.entries(cfg.types || {})) {
+      if (!POWER_UP_TYPES.includes(type)) {
+        throw new Error(`Unknown power-up type "${type}" (types: ${POWER_UP_TYPES.join(', ')})`);
+      }
+      if ((def.weight || 0) > 0) this.types[type] = { weight: def.weight, durationMs: def.durationMs ?? 5000, ...def };
+    }
+    this.totalWeight = Object.values(this.types).reduce((sum, def) => sum + def.weight, 0);
+    if (this.totalWeight === 0) this.enabled = false;
+
+    this.items = [];            // [{ id, type, x, y, radius, expiresAt }]
+    this.nextId = 1;
+    this.magnetActive = false;  // anyone holding a magnet after the last update()
+    this.nextSpawnAt = world.now() + this.spawnIntervalMs;
+    this.stats = { spawned: 0, collected: {}, expired: 0 };
+  }
+
+  // ----------------------------------------------------------
+  // Effects — read by movement, collisions and suction
+  // ----------------------------------------------------------
+  has(marble, type) {
+    const until = marble._powerUpUntil?.[type];
+    return until !== undefined && until > this.world.now();
+  }
+
+  // Suction reach on top of suction.extraRadius
+  extraSuction(marble) {
+    return this.has(marble, 'magnet') ? (this.types.magnet?.extraRadius ?? 0) : 0;
+  }
+
+  // Widest extra suction anyone has — keeps the coin grid query wide enough
+  maxExtraSuction() {
+    return this.magnetActive ? (this.types.magnet?.extraRadius ?? 0) : 0;
+  }
+
+  // ----------------------------------------------------------
+  // Per tick (after peewee pickups, before marble collisions)
+  // ----------------------------------------------------------
+  update() {
+    if (!this.enabled) return;
+    const world = this.world;
+    const now = world.now();
+    const marbles = world.getAliveMarbles();
+
+    this._expireEffects(marbles, now);
+
+    // Items out of time or outside the wall
+    const R = world.state.arenaRadius;
+    for (let i = this.items.length - 1; i >= 0; i--) {
+      const item = this.items[i];
+      if (item.expiresAt <= now || Math.hypot(item.x, item.y) + item.radius > R) {
+        this.items.splice(i, 1);
+        this.stats.expired++;
+      }
+    }
+
+    // Pickups — first head in marble order wins
+    for (let i = this.items.length - 1; i >= 0; i--) {
+      const item = this.items[i];
+      for (const marble of marbles) {
+        const reach = calculateMarbleRadius(marble.lengthScore, world.C) + item.radius;
+        if (Math.hypot(item.x - marble.x, item.y - marble.y) >= reach) continue;
+        this.items.splice(i, 1);
+        this._apply(marble, item.type, now);
+        break;
+      }
+    }
+
+    this.magnetActive = marbles.some(m => m.alive && m.powerUps?.includes('magnet'));
+
+    if (now >= this.nextSpawnAt) {
+      this.nextSpawnAt = now + this.spawnIntervalMs;
+      if (this.items.length < this.maxOnField) this._spawn(now);
+    }
+  }
+
+  _spawn(now) {
+    const rng = this.world.rng;
+    let roll = rng.next() * this.totalWeight;
+    let type = null;
+    for (const [name, def] of Object.entries(this.types)) {
+      type = name;
+      roll -= def.weight;
+      if (roll < 0) break;
+    }
+
+    const angle = rng.next() * Math.PI * 2;
+    const distance = Math.sqrt(rng.next()) * this.world.state.arenaRadius * 0.85;
+    const item = {
+      id: `powerup_${this.nextId++}`,
+      type,
+      x: Math.cos(angle) * distance,
+      y: Math.sin(angle) * distance,
+      radius: this.radius,
+      expiresAt: now + this.lifetimeMs
+    };
+    this.items.push(item);
+    this.stats.spawned++;
+    return item;
+  }
+
+  _apply(marble, type, now) {
+    const durationMs = this.types[type].durationMs;
+    marble._powerUpUntil = { ...marble._powerUpUntil, [type]: now + durationMs };
+    marble.powerUps = this._active(marble, now);
+    this.stats.collected[type] = (this.stats.collected[type] || 0) + 1;
+    console.log(`⚡ POWER-UP: ${marble.name} picked up ${type} (${(durationMs / 1000).toFixed(1)}s)`);
+    this.world.emit('powerUpCollected', { marble, type, durationMs });
+  }
+
+  _expireEffects(marbles, now) {
+    for (const marble of marbles) {
+      if (!marble._powerUpUntil) continue;
+      const active = this._active(marble, now);
+      if (active.length === 0) {
+        delete marble._powerUpUntil;
+        marble.powerUps = [];
+      } else if (active.length !== marble.powerUps.length) {
+        marble.powerUps = active;
+      }
+    }
+  }
+
+  // Active types in wire order (shared/snapshotCodec.js)
+  _active(marble, now) {
+    return POWER_UP_TYPES.filter(type => (marble._powerUpUntil[type] ?? 0) > now);
+  }
+
+  // ----------------------------------------------------------
+  // Snapshots / admin
+  // ----------------------------------------------------------
+  serialize() {
+    return this.items.map(item => ({
+      id: item.id,
+      type: item.type,
+      x: item.x,
+      y: item.y,
+      radius: item.radius
+    }));
+  }
+
+  getStatus() {
+    return {
+      enabled: this.enabled,
+      onField: this.items.length,
+      maxOnField: this.maxOnField,
+      types: Object.fromEntries(Object.entries(this.types).map(([type, def]) => [type, { weight: def.weight, durationMs: def.durationMs }])),
+      spawned: this.stats.spawned,
+      collected: { ...this.stats.collected },
+      expired: this.stats.expired
+    };
+  }
+}
+
+module.exports = PowerUps;
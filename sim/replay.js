@@ -0,0 +1,379 @@
+// ============================================================
+// sim/replay.js — Record and re-simulate whole arena sessions
+// ============================================================
+// A replay is the World's seed plus every command that reached
+// it from outside: joins, playerInput (targetAngle/boost/seq),
+// disconnects, removals, Golden Yard Time and hook answers.
+// Because the World is deterministic, feeding those back tick
+// by tick reproduces every collision, wall death and bounty
+// transfer exactly.
+//
+// File format — gzip'd NDJSON, one array per line:
+//   line 1:  { v, arena, seed, rngState, tickRate, startMs, ... }
+//   then:    [tick, type, ...args]
+//
+//   init                      World.initialize()
+//   p  fields                 player joined (no pathBuffer)
+//   i  id angle boost seq     accepted playerInput, then
+//      viewTick tick          (queued — sim/inputQueue.js)
+//   j  id                     settleJoin (vault keeper / golden)
+//   d  id                     disconnect
+//   r  id                     removed without death (stale)
+//   g  open elapsedMs         Golden Yard Time opened / closed
+//   f  layout                 peewee field layout switched
+//   t  schedule               cashout tier schedule switched
+//   u  limit                  cashout payout limit (null = lifted)
+//   h  id allowed             last-player refund hook answer
+//   b  id rngState            bot spawned  (checked on playback)
+//   c  id                     ambient coin (checked on playback)
+//   x                         recording closed
+//
+// `tick` is world.tick when the call happened. Commands that
+// arrive between steps are applied before the next step().
+// ============================================================
+
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const World = require('./world');
+const SeededRng = require('./rng');
+const { TickClock } = require('./clock');
+
+const REPLAY_VERSION = 2; // 2: inputs queued per tick (sim/inputQueue.js)
+const COMMAND_TYPES = new Set(['init', 'p', 'i', 'j', 'd', 'r', 'g', 'f', 't', 'u']);
+const CHECK_TYPES = new Set(['b', 'c']);
+
+class ReplayRecorder {
+  constructor(options = {}) {
+    this.dir = options.dir || process.env.REPLAY_DIR || './replays';
+    this.arenaId = options.arenaId || 'main';
+    this.flushIntervalMs = options.flushIntervalMs || 1000;
+
+    this.filePath = null;
+    this.gzip = null;
+    this.buffer = [];
+    this.flushTimer = null;
+    this.lineCount = 0;
+  }
+
+  // ----------------------------------------------------------
+  // Open the file and write the header — call before the first step
+  // ----------------------------------------------------------
+  start(world, meta = {}) {
+    if (!fs.existsSync(this.dir)) {
+      fs.mkdirSync(this.dir, { recursive: true });
+    }
+
+    const startedAt = new Date();
+    const stamp = startedAt.toISOString().replace(/[:.]/g, '-');
+    this.filePath = path.join(this.dir, `${this.arenaId}_${stamp}.replay.gz`);
+
+    this.gzip = zlib.createGzip();
+    this.gzip.pipe(fs.createWriteStream(this.filePath));
+
+    const header = {
+      v: REPLAY_VERSION,
+      arena: this.arenaId,
+      startedAt: startedAt.toISOString(),
+      seed: world.rng.seed,
+      rngState: world.rng.getState(),
+      tick: world.tick,
+      tickRate: world.tickRate,
+      startMs: world.now(),
+      maxBots: world.maxBots,
+      maxCoins: world.maxCoins,
+      mode: world.mode,
+      peeweeLayout: world.peeweeField.layoutName,
+      tierSchedule: world.economy.scheduleName,
+      payoutLimit: world.economy.payoutLimit,
+      ...meta,
+      constants: world.C
+    };
+    this.gzip.write(JSON.stringify(header) + '\n');
+
+    world.recorder = this;
+
+    // Sync-flush regularly so a crashed server still leaves a readable file
+    this.flushTimer = setInterval(() => this.flush(), this.flushIntervalMs);
+    if (this.flushTimer.unref) this.flushTimer.unref();
+
+    console.log(`🎬 Replay recording → ${this.filePath}`);
+    return this.filePath;
+  }
+
+  record(tick, type, args) {
+    if (!this.gzip) return;
+    this.buffer.push(JSON.stringify([tick, type, ...args]));
+  }
+
+  flush() {
+    if (!this.gzip || this.buffer.length === 0) return;
+    this.lineCount += this.buffer.length;
+    this.gzip.write(this.buffer.join('\n') + '\n');
+    this.buffer = [];
+    this.gzip.flush();
+  }
+
+  close(tick) {
+    if (!this.gzip) return;
+    this.record(tick, 'x', []);
+    this.flush();
+    clearInterval(this.flushTimer);
+    this.gzip.end();
+    this.gzip = null;
+    console.log(`🎬 Replay closed: ${this.filePath} (${this.lineCount} lines)`);
+  }
+}
+
+// ============================================================================
+// READING
+// ============================================================================
+function readReplay(filePath) {
+  const raw = fs.readFileSync(filePath);
+  // Z_SYNC_FLUSH: accept files from a server that is still recording (or crashed)
+  const text = zlib.gunzipSync(raw, { finishFlush: zlib.constants.Z_SYNC_FLUSH }).toString('utf8');
+  const lines = text.split('\n').filter(Boolean);
+  if (lines.length === 0) throw new Error(`Empty replay: ${filePath}`);
+
+  const header = JSON.parse(lines[0]);
+  if (header.v !== REPLAY_VERSION) {
+    throw new Error(`Unsupported replay version ${header.v} (expected ${REPLAY_VERSION})`);
+  }
+
+  const events = [];
+  for (let i = 1; i < lines.length; i++) {
+    try {
+      events.push(JSON.parse(lines[i]));
+    } catch (err) {
+      // A half-written last line is expected if the server died mid-flush
+      if (i !== lines.length - 1) throw err;
+    }
+  }
+  return { header, events };
+}
+
+function listReplays(dir = process.env.REPLAY_DIR || './replays') {
+  if (!fs.existsSync(dir)) return [];
+  return fs.readdirSync(dir)
+    .filter(name => name.endsWith('.replay.gz'))
+    .map(name => {
+      const stat = fs.statSync(path.join(dir, name));
+      return { name, bytes: stat.size, modified: stat.mtime.toISOString() };
+    })
+    .sort((a, b) => b.modified.localeCompare(a.modified));
+}
+
+// ============================================================================
+// PLAYBACK
+// ============================================================================
+// Re-simulates the session and returns the kill/bounty timeline:
+//   { summary, divergence, timeline, survivors }
+function playReplay(replay, options = {}) {
+  const { header, events } = replay;
+  const untilTick = options.untilTick ?? Infinity;
+
+  // Hook answers, keyed by tick + player, consumed in recorded order
+  const hookAnswers = new Map();
+  for (const [tick, type, id, allowed] of events) {
+    if (type !== 'h') continue;
+    const key = `${tick}:${id}`;
+    if (!hookAnswers.has(key)) hookAnswers.set(key, []);
+    hookAnswers.get(key).push(!!allowed);
+  }
+
+  const rng = new SeededRng(header.seed);
+  rng.setState(header.rngState);
+
+  const world = new World(header.constants, {
+    rng,
+    clock: new TickClock(header.startMs, 1000 / header.tickRate),
+    tickRate: header.tickRate,
+    maxBots: header.maxBots,
+    maxCoins: header.maxCoins,
+    mode: header.mode,
+    hooks: {
+      canRefundLastPlayer: (player) => {
+        const answers = hookAnswers.get(`${world.tick}:${player.id}`);
+        return answers && answers.length > 0 ? answers.shift() : false;
+      }
+    }
+  });
+  world.tick = header.tick || 0;
+  if (header.peeweeLayout !== undefined) world.peeweeField.setLayout(header.peeweeLayout);
+  if (header.tierSchedule) world.economy.setSchedule(header.tierSchedule);
+  if (header.payoutLimit !== undefined) world.economy.setPayoutLimit(header.payoutLimit);
+
+  // ── Divergence check: bot/coin spawns must match the recording ──
+  const checks = events.filter(e => CHECK_TYPES.has(e[1]));
+  let checkIndex = 0;
+  let divergence = null;
+  world.recorder = {
+    record(tick, type, args) {
+      if (divergence || !CHECK_TYPES.has(type)) return;
+      const expected = checks[checkIndex++];
+      const actual = [tick, type, ...args];
+      if (!expected || JSON.stringify(expected) !== JSON.stringify(actual)) {
+        divergence = { tick, expected: expected || null, actual };
+      }
+    }
+  };
+
+  // ── Timeline ──
+  const timeline = [];
+  const elapsed = () => Math.round(world.now() - header.startMs);
+  const pendingKills = new Map(); // victimId → bountyGained (kill fires before death)
+
+  world.on('kill', ({ killer, victim, bountyGained }) => {
+    pendingKills.set(victim.id, { bountyGained, killerSeq: killer.lastProcessedInput ?? null });
+  });
+  world.on('death', ({ marble, killerId, killerName, deathType, bountyLost }) => {
+    const kill = pendingKills.get(marble.id);
+    pendingKills.delete(marble.id);
+    timeline.push({
+      tick: world.tick,
+      ms: elapsed(),
+      type: 'death',
+      deathType,
+      victimId: marble.id,
+      victimName: marble.name,
+      victimIsBot: !!marble.isBot,
+      victimSeq: marble.lastProcessedInput ?? null,
+      killerId: killerId || null,
+      killerName,
+      killerSeq: kill ? kill.killerSeq : null,
+      bountyLost,
+      bountyGained: kill ? kill.bountyGained : 0,
+      x: marble.x,
+      y: marble.y
+    });
+  });
+  world.on('collision', (data) => {
+    if (!options.includeCollisions) return;
+    timeline.push({ tick: world.tick, ms: elapsed(), type: 'collision', ...data });
+  });
+  world.on('tierPayout', ({ player, threshold, amount, isJackpot }) => {
+    timeline.push({
+      tick: world.tick, ms: elapsed(), type: isJackpot ? 'jackpot' : 'tierPayout',
+      playerId: player.id, playerName: player.name, threshold, amount,
+      bountyAfter: player.bounty
+    });
+  });
+  world.on('goldenBonus', ({ killer, amount }) => {
+    timeline.push({
+      tick: world.tick, ms: elapsed(), type: 'goldenBonus',
+      playerId: killer.id, playerName: killer.name, amount
+    });
+  });
+  world.on('lastPlayerRefund', ({ player, amount }) => {
+    timeline.push({
+      tick: world.tick, ms: elapsed(), type: 'lastPlayerRefund',
+      playerId: player.id, playerName: player.name, amount
+    });
+  });
+
+  // ── Drive the World ──
+  const commands = events.filter(e => COMMAND_TYPES.has(e[1]));
+  const lastTick = Math.min(
+    untilTick,
+    events.length > 0 ? events[events.length - 1][0] : world.tick
+  );
+
+  const apply = ([, type, ...args]) => {
+    switch (type) {
+      case 'init':
+        world.initialize();
+        break;
+      case 'p': {
+        const fields = args[0];
+        world.addPlayer({ ...fields, pathBuffer: world.createPathBuffer(fields.x, fields.y) });
+        timeline.push({
+          tick: world.tick, ms: elapsed(), type: 'join',
+          playerId: fields.id, playerName: fields.name, bounty: fields.bounty
+        });
+        break;
+      }
+      case 'i':
+        world.applyInput(args[0], {
+          targetAngle: args[1],
+          boost: args[2] === 1,
+          seq: args[3] ?? undefined,
+          viewTick: args[4] ?? undefined,
+          tick: args[5] ?? undefined
+        });
+        break;
+      case 'j': {
+        const player = world.state.players[args[0]];
+        if (player) world.settleJoin(player);
+        break;
+      }
+      case 'd':
+        world.disconnectPlayer(args[0]);
+        break;
+      case 'r':
+        world.removePlayer(args[0]);
+        break;
+      case 'g':
+        world.setGoldenYardTime(args[0] === 1, args[1]);
+        break;
+      case 'f':
+        world.setPeeweeLayout(args[0]);
+        break;
+      case 't':
+        world.setTierSchedule(args[0]);
+        break;
+      case 'u':
+        world.setPayoutLimit(args[0]);
+        break;
+    }
+  };
+
+  let cursor = 0;
+  while (world.tick <= lastTick) {
+    while (cursor < commands.length && commands[cursor][0] <= world.tick) {
+      apply(commands[cursor++]);
+    }
+    if (world.tick >= lastTick) break;
+    world.step();
+  }
+
+  const survivors = world.getAliveMarbles()
+    .map(m => ({ id: m.id, name: m.name, isBot: !!m.isBot, bounty: m.bounty, totalPayout: m.totalPayout || 0, isGolden: !!m.isGolden }))
+    .sort((a, b) => (b.bounty || 0) - (a.bounty || 0));
+
+  return {
+    summary: {
+      arena: header.arena,
+      startedAt: header.startedAt,
+      seed: header.seed,
+      ticks: world.tick - (header.tick || 0),
+      simulatedMs: elapsed(),
+      deaths: timeline.filter(e => e.type === 'death').length,
+      inputs: events.filter(e => e[1] === 'i').length,
+      goldenVaultFloor: world.state.goldenVaultFloor
+    },
+    divergence,
+    timeline,
+    survivors
+  };
+}
+
+// Flat CSV of the timeline (one row per event, union of columns)
+function timelineToCsv(timeline) {
+  const columns = [];
+  for (const entry of timeline) {
+    for (const key of Object.keys(entry)) {
+      if (!columns.includes(key)) columns.push(key);
+    }
+  }
+  const escape = (value) => {
+    if (value === undefined || value === null) return '';
+    const str = String(value);
+    return /[",\n]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+  };
+  return [
+    columns.join(','),
+    ...timeline.map(entry => columns.map(col => escape(entry[col])).join(','))
+  ].join('\n');
+}
+
+module.exports = { ReplayRecorder, readReplay, listReplays, playReplay, timelineToCsv };
@@ -0,0 +1,46 @@
+// ============================================================
+// sim/rng.js — Seeded random source for the World simulation
+// ============================================================
+// mulberry32: tiny, fast and good enough for gameplay noise.
+// Every random roll inside the simulation goes through one of
+// these so a World can be re-run from its seed exactly.
+// ============================================================
+
+class SeededRng {
+  constructor(seed = Date.now()) {
+    this.seed = seed >>> 0;
+    this.state = this.seed;
+  }
+
+  // Float in [0, 1) — drop-in for Math.random()
+  next() {
+    let t = (this.state = (this.state + 0x6D2B79F5) >>> 0);
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  }
+
+  // Float in [min, max)
+  range(min, max) {
+    return min + this.next() * (max - min);
+  }
+
+  // Integer in [0, maxExclusive)
+  int(maxExclusive) {
+    return Math.floor(this.next() * maxExclusive);
+  }
+
+  pick(list) {
+    return list[this.int(list.length)];
+  }
+
+  getState() {
+    return this.state;
+  }
+
+  setState(state) {
+    this.state = state >>> 0;
+  }
+}
+
+module.exports = SeededRng;
@@ -0,0 +1,196 @@
+// ============================================================
+// sim/spatialGrid.js — Broadphase for heads, bodies and peewees
+// ============================================================
+// Rebuilt every tick from scratch. Everything lives in flat
+// typed arrays so a rebuild allocates nothing once warm:
+//
+//   entries   one per head (seg 0) and per body sample (seg ≥ 1),
+//             appended marble by marble → a marble's own samples
+//             are contiguous [ownerStart, ownerStart + ownerCount)
+//   cells     counting-sorted entry indices (cellStart/cellItems)
+//             over the arena bounds; anything outside is clamped
+//             into the edge cells so queries never miss it
+//
+// Queries return OWNER indices (into `marbles`) sorted ascending,
+// so callers visit candidates in the same order the old all-pairs
+// loops did and outcomes don't change.
+// ============================================================
+
+const { getBodyGeometry, segmentDistance } = require('../shared/bodyGeometry');
+
+class SpatialGrid {
+  constructor(cellSize, bounds, gameConstants) {
+    this.cellSize = cellSize;
+    this.bounds = bounds;
+    this.C = gameConstants;
+
+    this.cols = Math.max(1, Math.ceil((bounds.maxX - bounds.minX) / cellSize));
+    this.rows = Math.max(1, Math.ceil((bounds.maxY - bounds.minY) / cellSize));
+    const cellCount = this.cols * this.rows;
+    this.cellStart = new Int32Array(cellCount + 1);
+    this.cellFill = new Int32Array(cellCount);
+
+    this.capacity = 0;
+    this._grow(1024);
+
+    this.entryCount = 0;
+    this.marbles = [];
+    this.ownerStart = new Int32Array(64);
+    this.ownerCount = new Int32Array(64);
+    this.ownerRadius = new Float64Array(64);
+    this.maxRadius = 0;
+
+    // Query scratch: owner de-dupe stamps + result buffer
+    this._stamp = new Int32Array(64);
+    this._queryId = 0;
+    this.found = new Int32Array(64);
+  }
+
+  clear() {
+    this.entryCount = 0;
+    this.marbles = [];
+    this.maxRadius = 0;
+    this.cellStart.fill(0);
+  }
+
+  // ----------------------------------------------------------
+  // Build
+  // ----------------------------------------------------------
+  rebuild(marbles) {
+    this.clear();
+    this.marbles = marbles;
+    this._ensureOwners(marbles.length);
+
+    for (let i = 0; i < marbles.length; i++) {
+      const marble = marbles[i];
+      const body = getBodyGeometry(marble.lengthScore, this.C);
+      this.ownerRadius[i] = body.radius; // head and segments share it
+      if (body.radius > this.maxRadius) this.maxRadius = body.radius;
+
+      this.ownerStart[i] = this.entryCount;
+      this._addEntry(marble.x, marble.y, i, 0);
+
+      const pb = marble.pathBuffer;
+      if (pb && pb.samples.length > 1) {
+        for (let s = 1; s <= body.count; s++) {
+          const sample = pb.sampleBack(segmentDistance(body, s));
+          this._addEntry(sample.x, sample.y, i, s);
+        }
+      }
+      this.ownerCount[i] = this.entryCount - this.ownerStart[i];
+    }
+
+    // Counting sort entries into cells
+    const cellCount = this.cols * this.rows;
+    for (let e = 0; e < this.entryCount; e++) this.cellStart[this.entCell[e] + 1]++;
+    for (let c = 0; c < cellCount; c++) this.cellStart[c + 1] += this.cellStart[c];
+    this.cellFill.set(this.cellStart.subarray(0, cellCount));
+    for (let e = 0; e < this.entryCount; e++) {
+      this.cellItems[this.cellFill[this.entCell[e]]++] = e;
+    }
+  }
+
+  // ----------------------------------------------------------
+  // Queries
+  // ----------------------------------------------------------
+  // Owners with a head (or, if !headsOnly, any body sample) within
+  // `radius` of (x, y). Fills this.found; returns how many.
+  queryOwners(x, y, radius, headsOnly = false, excludeOwner = -1) {
+    const qid = ++this._queryId;
+    const r2 = radius * radius;
+    const c0 = this._col(x - radius);
+    const c1 = this._col(x + radius);
+    const r0 = this._row(y - radius);
+    const r1 = this._row(y + radius);
+    let n = 0;
+
+    for (let row = r0; row <= r1; row++) {
+      for (let col = c0; col <= c1; col++) {
+        const cell = row * this.cols + col;
+        for (let k = this.cellStart[cell]; k < this.cellStart[cell + 1]; k++) {
+          const e = this.cellItems[k];
+          const owner = this.entOwner[e];
+          if (owner === excludeOwner || this._stamp[owner] === qid) continue;
+          if (headsOnly && this.entSeg[e] !== 0) continue;
+          const dx = this.entX[e] - x;
+          const dy = this.entY[e] - y;
+          if (dx * dx + dy * dy > r2) continue;
+          this._stamp[owner] = qid;
+          this.found[n++] = owner;
+        }
+      }
+    }
+
+    if (n > 1) this.found.subarray(0, n).sort();
+    return n;
+  }
+
+  // First body sample of `owner` (lowest segment index) closer than
+  // `threshold` to (x, y) — the same one headToBody would return.
+  // Entry index, or -1.
+  firstBodyHit(owner, x, y, threshold) {
+    const start = this.ownerStart[owner];
+    const end = start + this.ownerCount[owner];
+    for (let e = start + 1; e < end; e++) {
+      const dx = this.entX[e] - x;
+      const dy = this.entY[e] - y;
+      if (Math.sqrt(dx * dx + dy * dy) < threshold) return e;
+    }
+    return -1;
+  }
+
+  hasBody(owner) {
+    return this.ownerCount[owner] > 1;
+  }
+
+  // ----------------------------------------------------------
+  // Internals
+  // ----------------------------------------------------------
+  _col(x) {
+    const c = Math.floor((x - this.bounds.minX) / this.cellSize);
+    return c < 0 ? 0 : (c >= this.cols ? this.cols - 1 : c);
+  }
+
+  _row(y) {
+    const r = Math.floor((y - this.bounds.minY) / this.cellSize);
+    return r < 0 ? 0 : (r >= this.rows ? this.rows - 1 : r);
+  }
+
+  _addEntry(x, y, owner, seg) {
+    if (this.entryCount === this.capacity) this._grow(this.capacity * 2);
+    const e = this.entryCount++;
+    this.entX[e] = x;
+    this.entY[e] = y;
+    this.entOwner[e] = owner;
+    this.entSeg[e] = seg;
+    this.entCell[e] = this._row(y) * this.cols + this._col(x);
+  }
+
+  _grow(capacity) {
+    const copy = (Type, old) => {
+      const next = new Type(capacity);
+      if (old) next.set(old.subarray(0, this.entryCount));
+      return next;
+    };
+    this.entX = copy(Float64Array, this.entX);
+    this.entY = copy(Float64Array, this.entY);
+    this.entOwner = copy(Int32Array, this.entOwner);
+    this.entSeg = copy(Int32Array, this.entSeg);
+    this.entCell = copy(Int32Array, this.entCell);
+    this.cellItems = new Int32Array(capacity);
+    this.capacity = capacity;
+  }
+
+  _ensureOwners(count) {
+    if (count <= this.ownerStart.length) return;
+    const size = Math.max(count, this.ownerStart.length * 2);
+    this.ownerStart = new Int32Array(size);
+    this.ownerCount = new Int32Array(size);
+    this.ownerRadius = new Float64Array(size);
+    this._stamp = new Int32Array(size);
+    this._queryId = 0;
+    this.found = new Int32Array(size);
+  }
+}
+
+module.exports = SpatialGrid;
@@ -0,0 +1,132 @@
+// ============================================================
+// sim/tierSchedules.js — Named cashout tier schedules
+// ============================================================
+// A schedule is a list of { threshold, payout } in USDC: when a
+// player's bounty reaches a threshold, payout moves from bounty
+// to wallet and the next tier is armed (sim/economyEngine.js).
+// Tiers at or above goldenVault.jackpotThreshold pay the whole
+// bounty instead.
+//
+// Config:
+//   cashout.schedules[name]   the tier lists
+//   cashout.modes[mode]       default schedule per arena mode
+//   cashout.nights[weekday]   themed night override (server.js)
+// A bare cashout.tiers list is read as the "standard" schedule.
+//
+// Every schedule is checked when the World starts: a non-empty
+// list, thresholds strictly rising, 0 ≤ payout < threshold.
+// modes and nights must name a schedule that exists.
+//
+// simulateSchedule() is the quick answer to "what does this
+// schedule cost": the expected cashouts of one life given a
+// distribution of the bounty it reaches.
+// ============================================================
+
+const DEFAULT_SCHEDULE = 'standard';
+const WEEKDAYS = ['monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday', 'sunday'];
+
+function resolveTierSchedules(gameConstants) {
+  const cfg = gameConstants.cashout || {};
+  const schedules = cfg.schedules || (cfg.tiers ? { [DEFAULT_SCHEDULE]: cfg.tiers } : {});
+
+  for (const [name, tiers] of Object.entries(schedules)) {
+    validateTierSchedule(name, tiers);
+  }
+
+  const names = Object.keys(schedules);
+  const check = (where, name) => {
+    if (!schedules[name]) {
+      throw new Error(`cashout.${where} uses unknown tier schedule "${name}" (schedules: ${names.join(', ') || 'none'})`);
+    }
+  };
+  for (const [mode, name] of Object.entries(cfg.modes || {})) check(`modes.${mode}`, name);
+  for (const [weekday, name] of Object.entries(cfg.nights || {})) {
+    if (!WEEKDAYS.includes(weekday)) throw new Error(`cashout.nights.${weekday} is not a weekday`);
+    check(`nights.${weekday}`, name);
+  }
+
+  return { schedules, modes: cfg.modes || {}, nights: cfg.nights || {} };
+}
+
+function validateTierSchedule(name, tiers) {
+  if (!Array.isArray(tiers) || tiers.length === 0) {
+    throw new Error(`Tier schedule "${name}" must be a non-empty list of { threshold, payout }`);
+  }
+  let previous = 0;
+  tiers.forEach(({ threshold, payout }, i) => {
+    const at = `Tier schedule "${name}" tier ${i} ($${threshold})`;
+    if (!Number.isFinite(threshold) || threshold <= 0) throw new Error(`${at}: threshold must be a positive number`);
+    if (!Number.isFinite(payout) || payout < 0) throw new Error(`${at}: payout must be zero or more`);
+    if (threshold <= previous) throw new Error(`${at}: thresholds must rise (previous $${previous})`);
+    if (payout >= threshold) throw new Error(`${at}: payout $${payout} must be below the threshold`);
+    previous = threshold;
+  });
+}
+
+// The schedule a World in `mode` starts with
+function defaultTierSchedule(resolved, mode) {
+  return resolved.modes[mode] || (resolved.schedules[DEFAULT_SCHEDULE] ? DEFAULT_SCHEDULE : Object.keys(resolved.schedules)[0] || null);
+}
+
+// ----------------------------------------------------------
+// Expected cashouts per life
+// ----------------------------------------------------------
+// distribution: [{ bounty, weight }] — bounty is everything the life
+// gathered (start bounty, kills, tax) before cashouts take their share.
+// A life is walked the way the engine walks it: bounty minus what has
+// been paid must reach each threshold in turn. Vault floors and the
+// golden split are left out — this prices the schedule alone.
+//
+// houseEdge = (buy-in kept by the house − expected cashouts) / buy-in
+function simulateSchedule(tiers, distribution, economy = {}) {
+  const jackpotThreshold = economy.jackpotThreshold ?? Infinity;
+  const buyIn = economy.buyInUsdc ?? 0;
+  const houseShare = buyIn * (economy.houseSplitFraction ?? 1);
+
+  const totalWeight = distribution.reduce((sum, d) => sum + d.weight, 0);
+  if (!(totalWeight > 0)) throw new Error('Bounty distribution needs a positive total weight');
+
+  let expectedPayout = 0;
+  let jackpotChance = 0;
+  const buckets = distribution.map(({ bounty, weight }) => {
+    let held = bounty;
+    let paid = 0;
+    let tiersReached = 0;
+    let jackpot = false;
+    for (const tier of tiers) {
+      if (held < tier.threshold) break;
+      tiersReached++;
+      if (tier.threshold >= jackpotThreshold) {
+        paid += held;
+        held = 0;
+        jackpot = true;
+        break;
+      }
+      paid += tier.payout;
+      held -= tier.payout;
+    }
+
+    const p = weight / totalWeight;
+    expectedPayout += p * paid;
+    if (jackpot) jackpotChance += p;
+    return { bounty, probability: p, tiersReached, payout: paid, jackpot };
+  });
+
+  return {
+    buyInUsdc: buyIn,
+    houseShareUsdc: houseShare,
+    expectedPayoutUsdc: expectedPayout,
+    expectedHouseProfitUsdc: houseShare - expectedPayout,
+    houseEdge: buyIn > 0 ? (houseShare - expectedPayout) / buyIn : null,
+    jackpotChance,
+    buckets
+  };
+}
+
+module.exports = {
+  DEFAULT_SCHEDULE,
+  resolveTierSchedules,
+  validateTierSchedule,
+  defaultTierSchedule,
+  simulateSchedule
+};
@@ -0,0 +1,1178 @@
+// ============================================================
+// sim/world.js — Headless, deterministic arena simulation
+// ============================================================
+// Everything that used to live inside the server.js game loop:
+// movement, bot AI, peewee physics, collisions, kills, bounty
+// routing, cashout tiers and the golden vault.
+//
+// No sockets, no Privy, no Supabase. Time comes from an
+// injected clock (TickClock by default) and randomness from a
+// SeededRng, so `new World(C, { seed })` + N × step() gives
+// the same kills and bounties every run.
+//
+// Side effects are surfaced as events — server.js is a thin
+// adapter that turns them into io.emit / payouts / backups:
+//
+//   'collision'        (data)                 head or body contact
+//   'cashout'          (playerId, payload)    tier / golden cashout
+//   'tierPayout'       ({ player, threshold, amount, tierIndex, isJackpot })
+//   'goldenBonus'      ({ killer, amount })   20% instant cash
+//   'jackpot'          ({ player, amount, total })
+//   'kill'             ({ killer, victim, bountyGained, deathType })
+//   'playerDeath'      ({ marble, killerId, killerName, deathType, bountyLost })
+//   'marbleDeath'      (data)                 any marble died
+//   'playerLeft'       ({ playerId })
+//   'botRetired'       ({ bot })              bot director removed a bot (no death)
+//   'lastPlayerRefund' ({ player, amount })
+//   'economyChanged'   ()                     money moved — back it up
+//   'death'            ({ marble, killerId, killerName, deathType, bountyLost })
+//   'powerUpCollected' ({ marble, type, durationMs })
+//   'economyEvent'     ({ type, tick, movements, failures })   every economy engine event
+//   'economyInvariantFailed' ({ type, failures, movements, tick })
+//
+// Every call that feeds the World from outside (join, input,
+// disconnect, Golden Yard Time, hook answers) goes through a method here and is
+// handed to `recorder` if one is attached — see sim/replay.js.
+// ============================================================
+
+const EventEmitter = require('events');
+const {
+  calculateMarbleRadius,
+  calculateTurnStep,
+  calculateMoveSpeed,
+  calculateBoostLoss
+} = require('../shared/physics');
+const PathBuffer = require('../shared/PathBuffer');
+const SeededRng = require('./rng');
+const { TickClock } = require('./clock');
+const SpatialGrid = require('./spatialGrid');
+const { checkCollisions, checkWallCollisions } = require('./collisions');
+const { updateBotAI, spawnBot } = require('./botAI');
+const { resolveBotProfiles, CLASSIC_PROFILE } = require('./botBrains');
+const LagCompensator = require('./lagCompensation');
+const InputQueue = require('./inputQueue');
+const ArenaShrink = require('./arenaShrink');
+const BotDirector = require('./botDirector');
+const BotEconomy = require('./botEconomy');
+const BotSquads = require('./botSquads');
+const PeeweeField = require('./peeweeField');
+const PeeweeSystem = require('./peeweeSystem');
+const PowerUps = require('./powerUps');
+const EconomyEngine = require('./economyEngine');
+const {
+  checkCoinCollisions,
+  spawnCoin,
+  calculateBountyDrop,
+  spawnDeathDrops
+} = require('./peewees');
+
+const { toMicro, fromMicro } = EconomyEngine;
+
+// Simulation ticks per second — server.js steps every arena at this rate
+const DEFAULT_TICK_RATE = 60;
+
+class World extends EventEmitter {
+  constructor(gameConstants, options = {}) {
+    super();
+    this.C = gameConstants;
+
+    this.tickRate = options.tickRate || DEFAULT_TICK_RATE;
+    this.dt = 1 / this.tickRate;          // seconds per tick
+    this.tickMs = 1000 / this.tickRate;   // ms per tick
+
+    this.rng = options.rng || new SeededRng(options.seed);
+    // Player spawn points are picked before the join is recorded (the
+    // 'p' command carries them) — their rolls stay off the replayed rng
+    this.spawnRng = options.spawnRng || new SeededRng(this.rng.seed ^ 0x5a17);
+    this.clock = options.clock || new TickClock(0, this.tickMs);
+
+    this.maxBots = options.maxBots ?? 0;
+    this.maxCoins = options.maxCoins ?? 500;
+
+    // Arena mode picks the bot profile mix (bot.profiles weights)
+    this.mode = options.mode || 'free';
+    this.botProfiles = resolveBotProfiles(gameConstants, this.mode);
+    this._botProfilesByName = new Map(this.botProfiles.map(profile => [profile.name, profile]));
+
+    // Hooks for decisions that need data outside the simulation
+    this.hooks = {
+      canRefundLastPlayer: () => false,
+      ...options.hooks
+    };
+
+    // ✅ Peewee types — catseye only. Ground ambient spawns + bots. NOT player boulders.
+    this.peeweeTypes = Object.values(this.C.pickupThemes || {})
+      .filter(theme => theme.isPeewee === true)
+      .map(theme => theme.key);
+    if (this.peeweeTypes.length === 0) {
+      this.peeweeTypes.push('CATSEYEBLUEYELLOW', 'CATSEYEGREENBLUE', 'CATSEYEGREENORANGE');
+    }
+    this.botMarbleTypes = this.peeweeTypes;
+
+    this.state = {
+      players: {},
+      bots: [],
+      coins: [],
+      exhaustedTiers: new Set(),
+      goldenVaultFloor: 0,
+      arenaRadius: gameConstants.arena.radius,   // shrinks during Golden Yard Time
+      lastUpdate: this.clock.now(),
+      spatialGrid: new SpatialGrid(gameConstants.collision?.gridSizePx || 64, {
+        minX: -gameConstants.arena.radius,
+        minY: -gameConstants.arena.radius,
+        maxX: gameConstants.arena.radius,
+        maxY: gameConstants.arena.radius
+      }, gameConstants)
+    };
+
+    this.recorder = options.recorder || null;
+
+    this.tick = 0;
+    this.killedThisFrame = new Set(); // ✅ FIX: Track kills to prevent double-kill crash
+    this._entitySeq = 0;
+    this._timers = [];
+
+    // Bounty math in micro-USDC with conservation checks (sim/economyEngine.js)
+    this.economy = new EconomyEngine(gameConstants, {
+      mode: this.mode,
+      onInvariantFailure: (failure) => {
+        console.error(`🚨 ECONOMY INVARIANT FAILED (${failure.type}) tick ${this.tick}: ${failure.failures.join('; ')}`);
+        this.emit('economyInvariantFailed', { ...failure, tick: this.tick });
+      }
+    });
+
+    this.lagComp = new LagCompensator(this);
+    this.inputs = new InputQueue(this);
+    this.arena = new ArenaShrink(this);
+    this.peeweeField = new PeeweeField(this);
+    this.peewees = new PeeweeSystem(this);
+    this.powerUps = new PowerUps(this);
+    this.botEconomy = new BotEconomy(this);
+    this.botDirector = new BotDirector(this);
+    this.botSquads = new BotSquads(this);
+  }
+
+  // ----------------------------------------------------------
+  // Time, ids, scheduling
+  // ----------------------------------------------------------
+  now() {
+    return this.clock.now();
+  }
+
+  nextEntityId() {
+    return ++this._entitySeq;
+  }
+
+  // setTimeout on simulation time — runs at the start of a later step()
+  schedule(delayMs, fn) {
+    this._timers.push({ at: this.now() + delayMs, seq: this._timers.length, fn });
+  }
+
+  _runTimers() {
+    if (this._timers.length === 0) return;
+    const now = this.now();
+    const due = this._timers.filter(t => t.at <= now).sort((a, b) => a.at - b.at || a.seq - b.seq);
+    if (due.length === 0) return;
+    this._timers = this._timers.filter(t => t.at > now);
+    for (const timer of due) timer.fn();
+  }
+
+  _record(type, ...args) {
+    if (this.recorder) this.recorder.record(this.tick, type, args);
+  }
+
+  // Hook answers come from outside the simulation — record them so a
+  // replay makes the same decision without the payout sessions
+  _canRefundLastPlayer(player) {
+    const allowed = !!this.hooks.canRefundLastPlayer(player);
+    this._record('h', player.id, allowed ? 1 : 0);
+    return allowed;
+  }
+
+  // ----------------------------------------------------------
+  // Lookups
+  // ----------------------------------------------------------
+  getAliveMarbles() {
+    return [...Object.values(this.state.players), ...this.state.bots].filter(m => m.alive);
+  }
+
+  findMarble(id) {
+    return this.state.players[id] || this.state.bots.find(b => b.id === id) || null;
+  }
+
+  findGoldenMib() {
+    return this.getAliveMarbles().find(m => m.isGolden) || null;
+  }
+
+  // Wall/timeout deaths credit the Golden Mib, else the richest survivor
+  findWallDeathCredit(excludeId) {
+    const allMarbles = this.getAliveMarbles();
+    const goldenMarble = allMarbles.find(m => m.isGolden && m.alive && m.id !== excludeId);
+    if (goldenMarble) return goldenMarble.id;
+
+    const sorted = allMarbles
+      .filter(m => m.alive && m.id !== excludeId)
+      .sort((a, b) => (b.bounty || 0) - (a.bounty || 0));
+    return sorted.length > 0 ? sorted[0].id : null;
+  }
+
+  findSafeSpawn(minDistance, arenaRadius = this.state.arenaRadius, rng = this.rng) {
+    const allMarbles = [...Object.values(this.state.players), ...this.state.bots];
+
+    for (let attempt = 0; attempt < 100; attempt++) {
+      const angle = rng.next() * Math.PI * 2;
+      const distance = rng.next() * arenaRadius * 0.7;
+      const x = Math.cos(angle) * distance;
+      const y = Math.sin(angle) * distance;
+
+      let isSafe = true;
+      for (const marble of allMarbles) {
+        if (!marble.alive) continue;
+        const dist = Math.hypot(x - marble.x, y - marble.y);
+        if (dist < minDistance) {
+          isSafe = false;
+          break;
+        }
+      }
+
+      if (isSafe) return { x, y };
+    }
+
+    return { x: 0, y: 0 };
+  }
+
+  // Spawn point for a joining player (server.js, before addPlayer)
+  findPlayerSpawn(minDistance) {
+    return this.findSafeSpawn(minDistance, this.state.arenaRadius, this.spawnRng);
+  }
+
+  // ✅ Exponential boost growth loss — bigger chains lose MORE when boosting
+  applyBoostLoss(lengthScore, powerUps) {
+    return calculateBoostLoss(lengthScore, this.C, this.dt, powerUps);
+  }
+
+  // ==========================================================
+  //  LIFECYCLE
+  // ==========================================================
+
+  initialize() {
+    const C = this.C;
+    this._record('init');
+    this.state.exhaustedTiers = new Set();
+    this.state.goldenVaultFloor = 0;
+
+    // ✅ Spawn initial coins
+    const initialCoins = Math.min(this.maxCoins, 300);
+    for (let i = 0; i < initialCoins; i++) this.spawnCoin();
+    console.log(`✅ Spawned ${this.state.coins.length} initial coins`);
+
+    if (this.botDirector.enabled) {
+      console.log(`✅ Bot director: ${this.botDirector.targetMarbles} marbles (${this.botDirector.gytTargetMarbles} in GYT), up to ${this.maxBots} bots`);
+    } else if (this.maxBots > 0) {
+      const spawnInterval = 10000 / this.maxBots;
+      for (let i = 0; i < this.maxBots; i++) {
+        this.schedule(i * spawnInterval, () => this.spawnBot(`bot_${Math.floor(this.now())}_${i}`));
+      }
+      console.log(`✅ Spawning ${this.maxBots} bots...`);
+    }
+  }
+
+  getBotProfile(name) {
+    return this._botProfilesByName.get(name) || CLASSIC_PROFILE;
+  }
+
+  spawnBot(id) {
+    // Bot decisions all draw from the shared rng — its state here seeds the bot
+    this._record('b', id, this.rng.getState());
+    const bot = spawnBot(this, id);
+    this.botEconomy.onSpawn(bot);
+    return bot;
+  }
+
+  // Director-driven removal: no death, no drops, bounty routed by the bot economy policy
+  retireBot(id) {
+    const idx = this.state.bots.findIndex(b => b.id === id);
+    if (idx < 0) return null;
+    const [bot] = this.state.bots.splice(idx, 1);
+    bot.alive = false;
+    this.botEconomy.release(bot, 'retired');
+    console.log(`🌙 Bot retired: ${bot.name} | Bounty: $${(bot.bounty || 0).toFixed(2)}`);
+    this.emit('botRetired', { bot });
+    return bot;
+  }
+
+  spawnCoin() {
+    const coin = spawnCoin(this);
+    if (coin) this._record('c', coin.id);
+    return coin;
+  }
+
+  // Themed nights swap the field layout — server.js decides when
+  setPeeweeLayout(name) {
+    if ((name || null) === this.peeweeField.layoutName) return;
+    this._record('f', name || null);
+    this.peeweeField.setLayout(name || null);
+    console.log(`🌌 Peewee layout → ${name || 'uniform'}`);
+  }
+
+  // Cashout tier schedule (sim/tierSchedules.js) — server.js picks it per
+  // mode and themed night. Live players keep the tiers they've passed.
+  setTierSchedule(name) {
+    if (name === this.economy.scheduleName) return;
+    this._record('t', name);
+    const previous = this.economy.tiers;
+    this.economy.setSchedule(name);
+    for (const player of Object.values(this.state.players)) {
+      if (player.alive) player.nextTierIndex = this.economy.rebaseTierIndex(previous, player.nextTierIndex || 0);
+    }
+    console.log(`💰 Cashout tiers → ${name}`);
+  }
+
+  // Largest single tier payout the house can cover (solvencyGuard.js) —
+  // tiers above it are held, null pays them all. Players already past
+  // a tier that is now allowed cash it straight away.
+  setPayoutLimit(limitUsdc) {
+    const limit = limitUsdc === null || limitUsdc === undefined ? null : toMicro(limitUsdc);
+    if (limit === this.economy.payoutLimit) return;
+    this._record('u', limitUsdc ?? null);
+    const heldBefore = this.economy.firstHeldTier();
+    this.economy.setPayoutLimit(limit);
+    const held = this.economy.firstHeldTier();
+    if (held !== heldBefore) {
+      console.log(held === null
+        ? '✅ Cashout tiers: all available'
+        : `🛑 Cashout tiers held from $${fromMicro(held)} (payout limit $${fromMicro(this.economy.payoutLimit).toFixed(2)})`);
+    }
+
+    for (const player of Object.values(this.state.players)) {
+      if (player.alive) this._emitTierCashouts(player, this.checkCashoutTiers(player), 0);
+    }
+  }
+
+  // Threshold (USDC) from which cashout tiers are held — null if none
+  getHeldTierThreshold() {
+    const held = this.economy.firstHeldTier();
+    return held === null ? null : fromMicro(held);
+  }
+
+  // Player object is built by the caller (socket layer owns names, pockets, privy ids)
+  addPlayer(player) {
+    const { pathBuffer, ...fields } = player;
+    this._record('p', fields);
+
+    this.state.players[player.id] = player;
+
+    // Clear spawn protection after 3 seconds
+    this.schedule(3000, () => {
+      if (this.state.players[player.id]) {
+        this.state.players[player.id].spawnProtection = false;
+      }
+    });
+    return player;
+  }
+
+  createPathBuffer(x, y) {
+    const pathBuffer = new PathBuffer(this.C.spline?.pathStepPx || 2);
+    pathBuffer.reset(x, y);
+    return pathBuffer;
+  }
+
+  // Queued for a later tick (sim/inputQueue.js) — false if rejected
+  applyInput(playerId, input) {
+    const player = this.state.players[playerId];
+    if (!player || !player.alive) return false;
+
+    if (this.inputs.push(player, input) !== null) return false;
+
+    const viewTick = typeof input.viewTick === 'number' && input.viewTick <= this.tick
+      ? Math.floor(input.viewTick)
+      : null;
+    const inputTick = typeof input.tick === 'number' && Number.isFinite(input.tick) ? input.tick : null;
+    this._record('i', playerId, input.targetAngle, input.boost ? 1 : 0, input.seq ?? null, viewTick, inputTick);
+
+    // How far behind the client's view was when it sent this (lag compensation)
+    if (viewTick !== null) player._viewLagTicks = this.tick - viewTick;
+    return true;
+  }
+
+  // ✅ Disconnect = death: drop peewees + transfer bounty to highest player
+  // Returns 'refund' (last player refund), 'killed', or null if nothing to do
+  disconnectPlayer(playerId) {
+    const player = this.state.players[playerId];
+    if (!player || !player.alive) return null;
+    this._record('d', playerId);
+
+    // ✅ Last player refund check (disconnect path — player still alive)
+    if (this.tryLastPlayerRefund(player)) return 'refund';
+
+    const allAlive = this.getAliveMarbles().filter(m => m.id !== playerId);
+    if (allAlive.length > 0) {
+      const sorted = allAlive.sort((a, b) => (b.bounty || 0) - (a.bounty || 0));
+      this.killMarble(player, sorted[0].id, 'disconnect');
+    } else {
+      // No other players alive — killMarble handles vault keeper spawning
+      this.killMarble(player, null, 'disconnect');
+    }
+    return 'killed';
+  }
+
+  // Drop a live player with no death (stale socket, admin removal)
+  removePlayer(playerId) {
+    if (!this.state.players[playerId]) return;
+    this._record('r', playerId);
+    delete this.state.players[playerId];
+  }
+
+  // Golden Yard Time runs on the wall clock — server.js tells us when it flips
+  setGoldenYardTime(open, elapsedMs = 0) {
+    if (open === this.arena.isOpen) return;
+    this._record('g', open ? 1 : 0, elapsedMs);
+    if (open) {
+      this.arena.open(elapsedMs);
+    } else {
+      this.arena.close();
+    }
+  }
+
+  // Runs once the joiner's payout session is open (absorption can pay tiers)
+  settleJoin(player) {
+    this._record('j', player.id);
+
+    // ═══ VAULT KEEPER ABSORPTION — first player in inherits the preserved bounty ═══
+    const vaultKeeper = this.state.bots.find(b => b.isVaultKeeper && b.alive);
+    if (vaultKeeper) {
+      console.log(`🏦 VAULT KEEPER ABSORBED by ${player.name} | Bounty: $${vaultKeeper.bounty.toFixed(2)}`);
+      this.killMarble(vaultKeeper, player.id);
+    }
+
+    this.updateGoldenMarble();
+  }
+
+  // ==========================================================
+  //  STEP — one fixed tick
+  // ==========================================================
+
+  step() {
+    const gameState = this.state;
+
+    this.clock.advance();
+    const now = this.now();
+
+    // ✅ FIX: Clear kill tracking for new frame
+    this.killedThisFrame.clear();
+    gameState.lastUpdate = now;
+    this.tick++;
+
+    this._runTimers();
+
+    // 0. INPUTS scheduled for this tick, then move the wall
+    this.inputs.drain();
+    this.arena.update();
+
+    const dt = this.dt;
+
+    // 1. UPDATE PLAYERS
+    this._updatePlayers(dt);
+
+    // 2. HANDLE PLAYER DEATHS
+    this._handleMarkedDeaths();
+
+    // 3. UPDATE BOTS (squads first, so members know their slot)
+    this.botSquads.update();
+    for (const bot of gameState.bots) {
+      if (bot.alive) updateBotAI(this, bot, this.tickMs);
+    }
+
+    // 4. SPATIAL GRID + PEEWEE PHYSICS (bounces off nearby heads/bodies)
+    gameState.spatialGrid.rebuild(this.getAliveMarbles());
+    this.peewees.update(dt);
+
+    // 5. COIN COLLISIONS (pickup/suction against the same grid), then power-ups
+    checkCoinCollisions(this);
+    this.powerUps.update();
+
+    // 6. SPATIAL GRID UPDATE (pickups changed lengths → bodies)
+    gameState.spatialGrid.rebuild(this.getAliveMarbles());
+    this.lagComp.capture();
+
+    // 7. MARBLE COLLISIONS (re-checked against what lagging victims saw)
+    const collisionResults = this.lagComp.resolve(checkCollisions(this));
+    const victimToKiller = new Map();
+
+    for (const collision of collisionResults) {
+      if (!this.killedThisFrame.has(collision.victimId) && !victimToKiller.has(collision.victimId)) {
+        victimToKiller.set(collision.victimId, collision.killerId);
+      }
+    }
+
+    for (const [victimId, killerId] of victimToKiller.entries()) {
+      const victim = this.findMarble(victimId);
+      if (victim && victim.alive) {
+        this.killMarble(victim, killerId);
+        this.killedThisFrame.add(victimId);
+      }
+    }
+
+    // 8. WALL COLLISIONS
+    const wallHits = checkWallCollisions(this);
+    for (const wallHit of wallHits) {
+      if (this.killedThisFrame.has(wallHit.marbleId)) continue;
+
+      const victim = this.findMarble(wallHit.marbleId);
+      if (victim && victim.alive) {
+        const creditTarget = wallHit.creditTo ? this.findMarble(wallHit.creditTo) : null;
+        console.log(`🧱 WALL DEATH: ${victim.name} | Golden: ${victim.isGolden} | Bounty: $${(victim.bounty || 0).toFixed(2)} | Credit → ${creditTarget?.name || 'NONE (vault keeper)'}`);
+        this.killMarble(victim, wallHit.creditTo, 'wall');
+        this.killedThisFrame.add(wallHit.marbleId);
+      }
+    }
+
+    // 9. PERIODIC UPDATES
+    this.botDirector.update();
+    if (this.tick % 60 === 0) {
+      this.updateGoldenMarble();
+      const coinsToSpawn = this.maxCoins - gameState.coins.length;
+      for (let i = 0; i < Math.min(coinsToSpawn, 10); i++) this.spawnCoin();
+    }
+
+    // 9.5 Remove any dead bots that weren't properly cleaned up
+    for (let i = gameState.bots.length - 1; i >= 0; i--) {
+      if (!gameState.bots[i].alive) {
+        console.log(`🧹 Cleaning up ghost bot: ${gameState.bots[i].id}`);
+        gameState.bots.splice(i, 1);
+      }
+    }
+  }
+
+  // Step N ticks — handy for tests and offline runs
+  run(ticks) {
+    for (let i = 0; i < ticks; i++) this.step();
+  }
+
+  _updatePlayers(dt) {
+    const C = this.C;
+
+    Object.values(this.state.players).forEach(player => {
+      if (!player.alive) return;
+
+      // ✅ Boost drops temporarily disabled — re-enable after coin physics audit
+      if (!player.boosting) player._boostDropAccum = 0;
+
+      // ✅ REMOVE SPAWN PROTECTION AFTER 2 SECONDS
+      if (player.spawnProtection && this.now() - player.spawnTime > 2000) {
+        player.spawnProtection = false;
+      }
+      if (player.targetAngle === undefined) return;
+
+      // Speed burst moves like a boost but costs no length — read from
+      // player.powerUps, the list snapshots carry, so client prediction
+      // (shared/inputPrediction.js) sees the same burst on the same ticks
+      player.angle = calculateTurnStep(
+        player.targetAngle,
+        player.angle,
+        player.lengthScore,
+        player.boosting,
+        C,
+        dt,
+        player.powerUps
+      );
+
+      // Calculate speed
+      const speed = calculateMoveSpeed(player.boosting, player.isGolden, C, player.powerUps);
+
+      if (player.boosting && player.lengthScore > C.player.startLength) {
+        player.lengthScore = this.applyBoostLoss(player.lengthScore, player.powerUps);
+      }
+
+      // Calculate new position
+      const newX = player.x + Math.cos(player.angle) * speed * dt;
+      const newY = player.y + Math.sin(player.angle) * speed * dt;
+
+      // Anti-cheat: compare against PREVIOUS tick's position stored in _lastValidX/Y
+      if (player._lastValidX !== undefined) {
+        const movedSinceLastTick = Math.hypot(newX - player._lastValidX, newY - player._lastValidY);
+        const maxAllowedDistance = speed * dt * 3.0; // Allow 3x for network jitter
+
+        if (movedSinceLastTick > maxAllowedDistance) {
+          player.x = player._lastValidX;
+          player.y = player._lastValidY;
+          return;
+        }
+      }
+
+      // Check arena bounds
+      const marbleRadius = calculateMarbleRadius(player.lengthScore, C);
+      const distFromCenter = Math.sqrt(newX * newX + newY * newY);
+      const maxAllowedDist = this.state.arenaRadius - marbleRadius;
+
+      if (distFromCenter <= maxAllowedDist) {
+        player.x = newX;
+        player.y = newY;
+        player.pathBuffer.add(player.x, player.y);
+        player._lastValidX = newX;
+        player._lastValidY = newY;
+      } else {
+        // ✅ WALL DEATH: Only mark for death — do NOT set alive=false here
+        // _handleMarkedDeaths() handles alive=false, death drops, payouts, etc.
+        player._markForDeath = true;
+        player._wallDeath = true;
+        // Clamp position to arena edge so they don't phase through
+        const clampDist = this.state.arenaRadius - marbleRadius - 1;
+        const angle = Math.atan2(newY, newX);
+        player.x = Math.cos(angle) * clampDist;
+        player.y = Math.sin(angle) * clampDist;
+      }
+
+      player._lastAngle = player.angle;
+    });
+  }
+
+  _handleMarkedDeaths() {
+    Object.values(this.state.players).forEach(player => {
+      if (!player._markForDeath || !player.alive) return;
+
+      // ✅ Check last player refund BEFORE normal death processing
+      if (this.tryLastPlayerRefund(player)) {
+        delete player._markForDeath;
+        delete player._wallDeath;
+        return; // Clean exit — no death drops, no vault keeper
+      }
+
+      const creditTo = this.findWallDeathCredit(player.id);
+
+      // ✅ Log wall deaths distinctly + capture flag BEFORE deleting
+      const isWallDeath = !!player._wallDeath;
+      if (player._wallDeath) {
+        const creditName = creditTo
+          ? (this.findMarble(creditTo)?.name || creditTo)
+          : 'NONE (vault keeper)';
+        console.log(`🧱 WALL DEATH: ${player.name} | Bounty: $${(player.bounty || 0).toFixed(2)} | Credit → ${creditName}`);
+        delete player._wallDeath;
+      }
+
+      this.killMarble(player, creditTo, isWallDeath ? 'wall' : undefined);
+      delete player._markForDeath;
+    });
+  }
+
+  // ==========================================================
+  //  GOLDEN VAULT + CASHOUT TIERS
+  // ==========================================================
+
+  getVaultFloorForTier(tierThreshold) {
+    return fromMicro(this.economy.vaultFloorForTier(toMicro(tierThreshold)));
+  }
+
+  _raiseVaultFloorFromPassedTiers(marble) {
+    const tiers = this.economy.tiers;
+    for (let i = 0; i < (marble.nextTierIndex || 0); i++) {
+      if (i < tiers.length) {
+        const floor = fromMicro(this.economy.vaultFloorForTier(tiers[i].threshold));
+        if (floor > this.state.goldenVaultFloor) {
+          this.state.goldenVaultFloor = floor;
+        }
+      }
+    }
+  }
+
+  updateGoldenMarble() {
+    const gameState = this.state;
+    const allMarbles = this.getAliveMarbles();
+
+    // Find who WAS golden before this update
+    const previousGolden = allMarbles.find(m => m.isGolden);
+
+    // Clear all golden status
+    allMarbles.forEach(m => m.isGolden = false);
+
+    // Bot economy policy may keep bots out of the running
+    const candidates = allMarbles.filter(m => this.botEconomy.canBeGolden(m));
+    if (candidates.length === 0) return;
+
+    // Find highest bounty
+    const highest = candidates.reduce((prev, cur) => {
+      return (cur.bounty || 0) > (prev.bounty || 0) ? cur : prev;
+    });
+
+    if ((highest.bounty || 0) <= 0) return;
+
+    highest.isGolden = true;
+
+    // ═══ GOLDEN MIB CHANGED HANDS ═══
+    if (previousGolden && previousGolden.id !== highest.id) {
+      const exhaustedCount = gameState.exhaustedTiers.size;
+      gameState.exhaustedTiers.clear();
+
+      // Reset ALL players' tier indices so they can re-earn from tier 0
+      Object.values(gameState.players).forEach(p => { if (p.alive) p.nextTierIndex = 0; });
+      // Recalculate vault floor for new golden mib based on their passed tiers
+      this._raiseVaultFloorFromPassedTiers(highest);
+
+      console.log(`👑 GOLDEN TRANSFER: ${previousGolden.name} → ${highest.name} | Cleared ${exhaustedCount} exhausted tiers | Vault floor KEPT at $${gameState.goldenVaultFloor}`);
+    }
+
+    // ═══ FIRST GOLDEN MIB (no previous) ═══
+    if (!previousGolden && highest.isGolden) {
+      // Recalculate vault floor based on what tiers this player has already passed
+      this._raiseVaultFloorFromPassedTiers(highest);
+      console.log(`👑 FIRST GOLDEN MIB: ${highest.name} | Bounty: $${(highest.bounty || 0).toFixed(2)} | Vault floor: $${gameState.goldenVaultFloor}`);
+    }
+  }
+
+  // Runs each cashout tier the player's bounty has reached (sim/economyEngine.js).
+  // Returns [{ tierIndex, amount, total, isJackpot }] — callers emit 'cashout'.
+  checkCashoutTiers(player) {
+    if (!player.alive || player.isBot) return [];
+
+    const result = this._runEconomy({ type: 'tiers', marble: this._economyMarble(player) });
+    const [group] = this._applyEconomy(result, [player]);
+    return group ? group.cashouts : [];
+  }
+
+  _emitTierCashouts(player, cashouts, bountyGained) {
+    if (!cashouts || cashouts.length === 0) return;
+    this.emit('cashout', player.id, {
+      tiers: cashouts.map(c => ({ amount: c.amount, isGolden: false, isJackpot: c.isJackpot || false })),
+      total: player.totalPayout,
+      bountyGained
+    });
+  }
+
+  // ============================================================================
+  // LAST PLAYER REFUND — $1.00 buy-in returned if no kills, no payouts, last alive
+  // ============================================================================
+  tryLastPlayerRefund(player) {
+    if (!player || !player._isPaidSession) return false;
+    if ((player.kills || 0) > 0) return false;
+    if (!this._canRefundLastPlayer(player)) return false;
+
+    const humanPlayers = Object.values(this.state.players).filter(p => p.alive && p.id !== player.id);
+    const aliveBots = this.state.bots.filter(b => b.alive && !b.isVaultKeeper);
+    if (humanPlayers.length > 0 || aliveBots.length > 0) return false;
+
+    // All conditions met — refund (paid by the socket layer, not from the bounty)
+    const refundAmount = 1.00;
+    this._runEconomy({ type: 'refund', player: this._economyMarble(player), amount: toMicro(refundAmount) });
+    console.log(`💸 LAST PLAYER REFUND: $${refundAmount.toFixed(2)} → ${player.name} (0 kills, 0 payouts, last alive)`);
+
+    // Clean exit — no death drops, no vault keeper
+    player.alive = false;
+    player.nextTierIndex = 0;
+    player._refundProcessed = true; // Flag so disconnect handler skips duplicate processing
+
+    this.emit('lastPlayerRefund', { player, amount: refundAmount });
+    this.emit('playerLeft', { playerId: player.id });
+    delete this.state.players[player.id];
+    this.emit('economyChanged');
+    return true;
+  }
+
+  // ==========================================================
+  //  DEATH & BOUNTY ROUTING
+  // ==========================================================
+
+  killMarble(marble, killerId, overrideDeathType) {
+    if (!marble || !marble.alive) return;
+    const gameState = this.state;
+
+    // ✅ FIX: Prevent double-kill in same frame
+    if (this.killedThisFrame.has(marble.id)) {
+      console.log('⚠️ Already killed this frame:', marble.id);
+      return;
+    }
+    this.killedThisFrame.add(marble.id);
+    // ═══ RESET TIER INDEX ON DEATH — player can re-earn all tiers next life ═══
+    marble.nextTierIndex = 0;
+
+    marble.alive = false;
+
+    // ✅ Vault Keeper: skip peewee drops when absorbed by joining player
+    const dropInfo = calculateBountyDrop(marble, this.C);
+
+    if (marble.isVaultKeeper) {
+      console.log(`🏦 VAULT KEEPER ABSORBED: ${marble.name} | Bounty: $${(marble.bounty || 0).toFixed(2)} | No peewee drop`);
+    } else {
+      spawnDeathDrops(this, marble, dropInfo);
+    }
+
+    // Get killer info
+    let killerName = 'The Arena';
+    let deathType = 'wall';
+
+    const killer = killerId ? this.findMarble(killerId) : null;
+    const killerWasAlive = !!killer && killer.alive;
+    const route = this._deathRoute(marble, killer, killerId);
+    const bountyBefore = killer ? (killer.bounty || 0) : 0;
+    const bountyGained = this._settleDeath(marble, killer, route, dropInfo, overrideDeathType);
+
+    if (killer) {
+      killerName = killer.name || 'Unknown';
+      deathType = overrideDeathType || 'player';
+
+      if (killerWasAlive) {
+        killer.kills = (killer.kills || 0) + 1;
+        if (killer.isBot) {
+          this.botEconomy.credit(killer, (killer.bounty || 0) - bountyBefore, 'kill', marble.id);
+        }
+        this.botSquads.onKill(killer, marble);
+        this.emit('kill', { killer, victim: marble, bountyGained, deathType });
+      }
+    }
+
+    if (marble.isBot) {
+      this.botEconomy.release(marble, 'death', killer);
+      const idx = gameState.bots.findIndex(b => b.id === marble.id);
+      if (idx >= 0) {
+        gameState.bots.splice(idx, 1);
+        if (this.botDirector.enabled) {
+          this.botDirector.onBotDeath();
+        } else {
+          this.schedule(3000, () => {
+            if (gameState.bots.length < this.maxBots) {
+              this.spawnBot(`bot_${Math.floor(this.now())}_${this.nextEntityId()}`);
+            }
+          });
+        }
+      }
+    } else {
+      // ✅ Victim-side effects (death screen, stats, sessions) live in the socket layer
+      this.emit('playerDeath', {
+        marble,
+        killerId,
+        killerName,
+        deathType,
+        bountyLost: dropInfo.bountyValue
+      });
+
+      // ✅ FIX: DELETE IMMEDIATELY - no setImmediate delay!
+      delete gameState.players[marble.id];
+
+      // ═══ VAULT KEEPER: Last entity leaves with bounty — always preserve it ═══
+      if (route === 'vaultKeeper') {
+        this._spawnVaultKeeper(marble.bounty);
+      }
+    }
+
+    this.emit('death', {
+      marble,
+      killerId,
+      killerName,
+      deathType,
+      bountyLost: dropInfo.bountyValue
+    });
+
+    this.emit('marbleDeath', {
+      marbleId: marble.id,
+      killerId: killerId,
+      position: { x: marble.x, y: marble.y }
+    });
+
+    // ✅ FIX: Immediately recalculate golden status when someone dies
+    // This prevents the "no golden marble" gap that causes issues
+    this.updateGoldenMarble();
+  }
+
+  // Who the victim's bounty goes to (see sim/economyEngine.js routes)
+  _deathRoute(marble, killer, killerId) {
+    // A bot's bounty only reaches its killer under the classic policy
+    const paysKiller = !marble.isBot || marble.isVaultKeeper || this.botEconomy.paysKiller();
+    if (killer && killer.alive && paysKiller) return 'killer';
+    if (marble.isBot && !paysKiller) return 'botEconomy';
+    if (!marble.isBot && !killerId && (marble.bounty || 0) > 0 && this.getAliveMarbles().length === 0) {
+      return 'vaultKeeper';
+    }
+    return 'house';
+  }
+
+  // Moves the victim's bounty to killer / Golden Mib / vault. Returns the
+  // amount credited to the killer (for the kill notification).
+  _settleDeath(marble, killer, route, dropInfo, overrideDeathType) {
+    const type = overrideDeathType === 'wall' || overrideDeathType === 'disconnect' ? overrideDeathType : 'kill';
+    const golden = route === 'killer' ? this.findGoldenMib() : null;
+
+    const result = this._runEconomy({
+      type,
+      route,
+      victim: this._economyMarble(marble),
+      bountyValue: toMicro(dropInfo.bountyValue),
+      killer: route === 'killer' ? this._economyMarble(killer) : null,
+      golden: golden ? this._economyMarble(golden) : null,
+      goldenCanCollectTax: !!golden && this.botEconomy.canCollectGoldenTax(golden)
+    });
+    if (route !== 'killer') return 0;
+
+    for (const { marble: payee, cashouts, gained } of this._applyEconomy(result, [killer, golden], marble)) {
+      this._emitTierCashouts(payee, cashouts, gained);
+    }
+    if (result.marbles[killer.id]?.jackpot) {
+      console.log(`🎰 JACKPOT during bounty transfer! ${killer.name} removed.`);
+    }
+    return fromMicro(result.bountyGained);
+  }
+
+  // ----------------------------------------------------------
+  // Economy engine glue — marbles in dollars, engine in micro-USDC
+  // ----------------------------------------------------------
+  _economyMarble(marble) {
+    return {
+      id: marble.id,
+      bounty: toMicro(marble.bounty),
+      isBot: !!marble.isBot,
+      isGolden: !!marble.isGolden,
+      nextTierIndex: marble.nextTierIndex || 0,
+      alive: marble.alive
+    };
+  }
+
+  _runEconomy(event) {
+    const result = this.economy.process({
+      vaultFloor: toMicro(this.state.goldenVaultFloor),
+      exhaustedTiers: [...this.state.exhaustedTiers].map(toMicro),
+      ...event
+    });
+    this.emit('economyEvent', { type: event.type, tick: this.tick, movements: result.movements, failures: result.failures });
+    return result;
+  }
+
+  // Applies movements to the live marbles (the victim is gone and keeps its
+  // final bounty). Returns tier cashouts grouped per marble, in order.
+  _applyEconomy(result, participants, victim = null) {
+    const gameState = this.state;
+    const byAccount = new Map();
+    for (const m of participants) {
+      if (m) byAccount.set(`bounty:${m.id}`, m);
+    }
+    const measure = () => new Map([...byAccount.values()].map(m => [String(m.id), { bounty: toMicro(m.bounty), paid: toMicro(m.totalPayout) }]));
+    const before = measure();
+    const botCredits = [];
+    const marbleOf = account => byAccount.get(account.startsWith('wallet:') ? 'bounty:' + account.slice(7) : account) || null;
+    const add = (marble, key, micro) => { marble[key] = fromMicro(toMicro(marble[key]) + micro); };
+
+    // Vault floor, exhausted tiers and tier progress first — bot credits below can nest more events
+    gameState.goldenVaultFloor = fromMicro(result.vaultFloor);
+    gameState.exhaustedTiers = new Set(result.exhaustedTiers.map(fromMicro));
+    for (const [id, progress] of Object.entries(result.marbles)) {
+      const marble = byAccount.get(`bounty:${id}`);
+      if (!marble) continue;
+      marble.nextTierIndex = progress.nextTierIndex;
+      for (const threshold of progress.skipped) {
+        console.log(`⏭️ JACKPOT TIER EXHAUSTED: $${fromMicro(threshold)} (skipping for ${marble.name})`);
+      }
+    }
+
+    const groups = [];
+    let group = null;
+
+    for (const move of result.movements) {
+      const from = marbleOf(move.from);
+      const to = marbleOf(move.to);
+      const amount = fromMicro(move.amount);
+      if (from && move.from.startsWith('bounty:')) add(from, 'bounty', -move.amount);
+      if (to && move.to.startsWith('bounty:')) add(to, 'bounty', move.amount);
+      if (to && move.to.startsWith('wallet:')) add(to, 'totalPayout', move.amount);
+
+      const isTier = move.reason === 'tier' || move.reason === 'jackpot';
+      if (!isTier) group = null;
+
+      switch (move.reason) {
+        case 'vaultTransfer':
+          console.log(`🏦 VAULT TRANSFER: ${victim.name} killed by ${to.name}`);
+          console.log(`   Bounty: $${fromMicro(move.value).toFixed(2)} | Vault: $${fromMicro(move.floor)} | Transferable: $${amount.toFixed(2)}`);
+          break;
+
+        case 'vaultInherit':
+          if (!to.isBot) console.log(`🏦 VAULT INHERITED: ${to.name} | New bounty: $${to.bounty.toFixed(2)} | Vault floor: $${amount}`);
+          break;
+
+        case 'goldenInstantCash':
+          // A bot passes it through: in from the victim, out to the house
+          if (from && from.isBot) {
+            this.botEconomy.flow('out', from, amount, 'goldenInstantCash', 'house', true);
+          } else if (to.isBot) {
+            this.botEconomy.flow('in', to, amount, 'goldenInstantCash', victim.id, true);
+          } else {
+            console.log(`🥇 GOLDEN KILL: ${to.name} | Absorbed $${fromMicro(move.gained).toFixed(2)} | ${Math.round(this.economy.instantCashRate * 100)}%: $${amount.toFixed(2)} to wallet`);
+            this.emit('economyChanged');
+            this.emit('goldenBonus', { killer: to, amount });
+            this.emit('cashout', to.id, {
+              tiers: [{ amount, isGolden: true }],
+              total: to.totalPayout,
+              isGolden: true,
+              bountyGained: fromMicro(move.gained)
+            });
+          }
+          break;
+
+        case 'goldenTax':
+          console.log(`👑 GOLDEN TAX: ${to.name} +$${amount.toFixed(2)} (${Math.round(this.economy.passiveTaxRate * 100)}% of $${fromMicro(move.value).toFixed(2)}) | Golden bounty now: $${to.bounty.toFixed(2)}`);
+          // After the check below — a capped bot routes the excess on
+          if (to.isBot) botCredits.push([to, amount, 'goldenTax', victim.id]);
+          break;
+
+        case 'bounty':
+          // Wall / disconnect into the Golden Mib — no instant cash
+          if (move.toGolden) {
+            console.log(`🧱 ${victim.name}→GOLDEN: ${to.name} | +$${amount.toFixed(2)} to bounty (no instant cash) | New bounty: $${to.bounty.toFixed(2)}`);
+          }
+          break;
+
+        case 'tier': {
+          if (move.vaultFloorTo !== undefined) {
+            console.log(`🏦 VAULT FLOOR UP: $${fromMicro(move.vaultFloorFrom)} → $${fromMicro(move.vaultFloorTo)} (triggered $${fromMicro(move.threshold)} tier)`);
+          }
+          const before = from.bounty + amount;
+          console.log(`💰 CASHOUT: ${from.name} | Tier $${fromMicro(move.threshold)}: payout $${amount} | Bounty: $${before.toFixed(2)} → $${from.bounty.toFixed(2)} | Total paid: $${from.totalPayout.toFixed(2)}`);
+          this.emit('economyChanged');
+          this.emit('tierPayout', {
+            player: from, threshold: fromMicro(move.threshold), amount,
+            tierIndex: move.tierIndex, isJackpot: false
+          });
+          break;
+        }
+
+        case 'jackpot': {
+          from.alive = false;
+          console.log(`🎰 ═══════════════════════════════════════`);
+          console.log(`🎰 JACKPOT!!! ${from.name}`);
+          console.log(`🎰 Paid: $${amount.toFixed(2)} | Total: $${from.totalPayout.toFixed(2)}`);
+          console.log(`🎰 ═══════════════════════════════════════`);
+          console.log(`🔄 ECONOMY RESET: All tiers refreshed, vault floor cleared`);
+
+          this.emit('jackpot', { player: from, amount, total: from.totalPayout });
+          this.emit('economyChanged');
+          this.emit('tierPayout', {
+            player: from, threshold: fromMicro(move.threshold), amount,
+            tierIndex: move.tierIndex, isJackpot: true
+          });
+
+          // Remove player from game after brief delay (let events emit first)
+          const jackpotPlayerId = from.id;
+          this.schedule(500, () => {
+            delete gameState.players[jackpotPlayerId];
+            this.emit('playerLeft', { playerId: jackpotPlayerId });
+            this.updateGoldenMarble();
+          });
+          break;
+        }
+      }
+
+      if (isTier) {
+        if (!group || group.marble !== from) {
+          group = { marble: from, cashouts: [], gained: fromMicro(move.gained || 0) };
+          groups.push(group);
+        }
+        group.cashouts.push({
+          tierIndex: move.tierIndex,
+          amount,
+          total: from.totalPayout,
+          ...(move.reason === 'jackpot' ? { isJackpot: true } : {})
+        });
+      }
+    }
+
+    this.economy.checkApplied(result.type, result.movements, before, measure(), victim ? [String(victim.id)] : []);
+    for (const credit of botCredits) this.botEconomy.credit(...credit);
+
+    return groups;
+  }
+
+  _spawnVaultKeeper(bounty) {
+    const vaultKeeperBot = {
+      id: `vaultkeeper_${Math.floor(this.now())}`,
+      name: '🏦 Vault Keeper',
+      x: 0, y: 0, angle: 0, targetAngle: 0,
+      lengthScore: this.C.player.startLength,
+      bounty,
+      kills: 0, alive: true, boosting: false,
+      isBot: true, isGolden: true, isVaultKeeper: true,
+      lastUpdate: this.now(), spawnTime: this.now(),
+      pathBuffer: this.createPathBuffer(0, 0),
+      _lastValidX: 0, _lastValidY: 0, _lastAngle: 0,
+      _aiState: 'IDLE', _steerSmooth: 0, _wanderCurve: 0,
+      _personality: { aggression: 0, speed: 0 }
+    };
+    this.state.bots.push(vaultKeeperBot);
+    this.botEconomy.onSpawn(vaultKeeperBot);
+    console.log(`🏦 VAULT KEEPER SPAWNED: Bounty $${bounty.toFixed(2)} | Vault floor: $${this.state.goldenVaultFloor}`);
+    this.emit('economyChanged');
+  }
+
+  // ==========================================================
+  //  SERIALIZATION (Clean serialization from Doc 14)
+  // ==========================================================
+  // ✅ NEVER send PathBuffer or other class instances
+  // Only send plain JSON-serializable data
+
+  serializePlayers() {
+    // ✅ FIX: Only broadcast ALIVE players
+    return Object.fromEntries(
+      Object.entries(this.state.players)
+        .filter(([id, p]) => p && p.alive)
+        .map(([id, p]) => [id, {
+          id: p.id,
+          name: p.name,
+          marbleType: p.marbleType,
+          x: p.x,
+          y: p.y,
+          angle: p.angle,
+          targetAngle: p.targetAngle,
+          lengthScore: p.lengthScore,
+          bounty: p.bounty,
+          kills: p.kills,
+          alive: p.alive,
+          isGolden: p.isGolden,
+          boosting: p.boosting || false,
+          lastProcessedInput: p.lastProcessedInput,
+          lastInputTick: p.lastInputTick || 0,
+          nextTierIndex: p.nextTierIndex || 0,
+          powerUps: p.powerUps || []
+        }])
+    );
+  }
+
+  serializeBots() {
+    // ✅ FIX: Only broadcast ALIVE bots
+    return this.state.bots
+      .filter(b => b && b.alive)
+      .map(b => ({
+        id: b.id,
+        name: b.name,
+        marbleType: b.marbleType,
+        x: b.x,
+        y: b.y,
+        angle: b.angle,
+        lengthScore: b.lengthScore,
+        bounty: b.bounty,
+        kills: b.kills || 0,
+        alive: b.alive,
+        isGolden: b.isGolden,
+        boosting: b.boosting || false,
+        powerUps: b.powerUps || []
+      }));
+  }
+
+  serializeCoins() {
+    return this.state.coins.map(c => ({
+      id: c.id,
+      x: c.x,
+      y: c.y,
+      vx: c.vx,
+      vy: c.vy,
+      radius: c.radius,
+      growthValue: c.growthValue,
+      marbleType: c.marbleType,
+      rotation: c.rotation || 0,
+      isDropped: c.isDropped || false,
+      sizeMultiplier: c.sizeMultiplier || 1.0,
+      pattern: c.pattern || null
+    }));
+  }
+
+  serializePowerUps() {
+    return this.powerUps.serialize();
+  }
+}
+
+World.DEFAULT_TICK_RATE = DEFAULT_TICK_RATE;
+
+module.exports = World;
@@ -0,0 +1,211 @@
+// ============================================================
+// solvencyGuard.js — Keep payouts inside what the house holds
+// ============================================================
+// Tiers and jackpots accrue to payout sessions the moment they're
+// crossed; the USDC only leaves when the session ends
+// (payoutManager.js). This watches the gap:
+//
+//   liabilities  accrued on paid sessions not yet paid out
+//                (playing, ended and queued, retrying)
+//   headroom     house USDC balance − liabilities
+//   coverage     house USDC balance / liabilities
+//
+// Every checkIntervalMs the balance is read through
+// PrivyService.getHouseUsdcBalance (a failed read comes back as
+// 0 — that throttles, which is the safe way to be wrong). Paid
+// play starts closed with every tier held until the first read
+// succeeds, and a check that throws throttles too.
+//
+// Throttled when coverage < minCoverageRatio or headroom <
+// minHeadroomUsdc; back to normal once coverage ≥
+// resumeCoverageRatio and headroom ≥ minHeadroomUsdc. While
+// throttled:
+//   • paid buy-ins and the queue are closed (canAcceptBuyIns)
+//   • options.onThrottle / onResume fire (server.js alerts AuditLog)
+//
+// Paid arenas always get a payout limit (World.setPayoutLimit):
+// the headroom, or headroom × payoutLimitFraction while throttled.
+// Tiers that would pay more are held — the player keeps the
+// bounty, the broadcast marks them unavailable
+// (heldTierThreshold), and they pay once the limit lifts.
+//
+// Config: economy.solvency { enabled, checkIntervalMs,
+//   minCoverageRatio, resumeCoverageRatio, minHeadroomUsdc,
+//   payoutLimitFraction }.
+// ============================================================
+
+class SolvencyGuard {
+  /**
+   * options: { privyService, payouts, getArenas, onThrottle, onResume }
+   *   getArenas  () => paid Arena instances
+   */
+  constructor(gameConstants, options = {}) {
+    const cfg = gameConstants.economy?.solvency || {};
+    this.enabled = cfg.enabled !== false;
+    this.checkIntervalMs = cfg.checkIntervalMs || 30000;
+    this.minCoverageRatio = cfg.minCoverageRatio ?? 1.5;
+    this.resumeCoverageRatio = Math.max(this.minCoverageRatio, cfg.resumeCoverageRatio ?? 2);
+    this.minHeadroomUsdc = cfg.minHeadroomUsdc ?? 0;
+    this.payoutLimitFraction = cfg.payoutLimitFraction ?? 0.5;
+
+    this.privy = options.privyService;
+    this.payouts = options.payouts;
+    this.getArenas = options.getArenas || (() => []);
+    this.onThrottle = options.onThrottle || (() => {});
+    this.onResume = options.onResume || (() => {});
+
+    this.houseBalance = null;   // USDC — null until the first read
+    this.checkedAt = null;
+    this.verified = false;      // a balance read has succeeded
+    this.lastError = null;
+    this.throttled = false;
+    this.throttledSince = null;
+    this.payoutLimit = this.enabled ? 0 : null;
+    this.isChecking = false;
+
+    if (this.enabled) {
+      this.checkInterval = setInterval(() => this.check(), this.checkIntervalMs);
+      this.check();
+    }
+
+    console.log(`✅ SolvencyGuard ${this.enabled ? `initialized (coverage ${this.minCoverageRatio}× → ${this.resumeCoverageRatio}×, every ${this.checkIntervalMs / 1000}s)` : 'disabled'}`);
+  }
+
+  // ----------------------------------------------------------
+  // Liabilities — accrued USDC the house still owes
+  // ----------------------------------------------------------
+  getLiabilities() {
+    let total = 0;
+    let sessions = 0;
+    for (const session of this.payouts?.activeSessions?.values() || []) {
+      if (!session.isPaid || session.status === 'paid' || !(session.totalAccrued > 0)) continue;
+      total += session.totalAccrued;
+      sessions++;
+    }
+    return { total, sessions };
+  }
+
+  // ----------------------------------------------------------
+  // Check — read the balance, then decide
+  // ----------------------------------------------------------
+  async check() {
+    if (!this.enabled || this.isChecking) return this.getStatus();
+    this.isChecking = true;
+    try {
+      this.houseBalance = await this.privy.getHouseUsdcBalance();
+      this.checkedAt = Date.now();
+      this.verified = true;
+      this.lastError = null;
+      this.evaluate();
+    } catch (err) {
+      console.error(`❌ Solvency check failed: ${err.message}`);
+      this.lastError = err.message;
+      this._failClosed();
+    } finally {
+      this.isChecking = false;
+    }
+    return this.getStatus();
+  }
+
+  // Re-decide on the last balance read (no RPC)
+  evaluate() {
+    if (!this.enabled || this.houseBalance === null) return;
+    const status = this._measure();
+
+    const low = status.headroom < this.minHeadroomUsdc ||
+      (status.coverage !== null && status.coverage < this.minCoverageRatio);
+    const recovered = status.headroom >= this.minHeadroomUsdc &&
+      (status.coverage === null || status.coverage >= this.resumeCoverageRatio);
+
+    const wasThrottled = this.throttled;
+    const pausedSince = this.throttledSince;
+    if (!this.throttled && low) {
+      this.throttled = true;
+      this.throttledSince = Date.now();
+    } else if (this.throttled && recovered) {
+      this.throttled = false;
+      this.throttledSince = null;
+    }
+
+    // Largest single payout, in whole cents
+    const headroom = Math.max(0, status.headroom);
+    this.payoutLimit = Math.floor((this.throttled ? headroom * this.payoutLimitFraction : headroom) * 100) / 100;
+    for (const arena of this.getArenas()) arena.world.setPayoutLimit(this.payoutLimit);
+
+    if (this.throttled && !wasThrottled) {
+      console.error(`🚨 SOLVENCY: coverage ${formatCoverage(status.coverage)} | headroom $${status.headroom.toFixed(2)} — paid buy-ins closed, large tiers held`);
+      this.onThrottle(this.getStatus());
+    } else if (wasThrottled && !this.throttled) {
+      console.log(`✅ SOLVENCY: coverage ${formatCoverage(status.coverage)} | headroom $${status.headroom.toFixed(2)} — paid buy-ins reopened`);
+      this.onResume({ ...this.getStatus(), pausedMs: Date.now() - pausedSince });
+    }
+  }
+
+  // No balance to go on — close paid play and hold every tier until a read succeeds
+  _failClosed() {
+    const wasThrottled = this.throttled;
+    if (!this.throttled) {
+      this.throttled = true;
+      this.throttledSince = Date.now();
+    }
+    this.payoutLimit = 0;
+    for (const arena of this.getArenas()) arena.world.setPayoutLimit(0);
+
+    if (!wasThrottled) {
+      console.error(`🚨 SOLVENCY: balance check failed (${this.lastError}) — paid buy-ins closed, tiers held`);
+      this.onThrottle(this.getStatus());
+    }
+  }
+
+  _measure() {
+    const liabilities = this.getLiabilities();
+    return {
+      liabilities,
+      headroom: this.houseBalance - liabilities.total,
+      coverage: liabilities.total > 0 ? this.houseBalance / liabilities.total : null
+    };
+  }
+
+  canAcceptBuyIns() {
+    if (!this.enabled) return true;
+    return this.verified && !this.throttled;
+  }
+
+  // ----------------------------------------------------------
+  // Status (/health)
+  // ----------------------------------------------------------
+  getStatus() {
+    if (!this.enabled) return { enabled: false };
+    const measured = this.houseBalance === null ? null : this._measure();
+    return {
+      enabled: true,
+      state: !this.verified ? 'unknown' : (this.throttled ? 'throttled' : 'ok'),
+      buyInsOpen: this.canAcceptBuyIns(),
+      houseBalance: this.houseBalance,
+      liabilities: measured ? round(measured.liabilities.total) : null,
+      owingSessions: measured ? measured.liabilities.sessions : null,
+      headroom: measured ? round(measured.headroom) : null,
+      coverage: measured && measured.coverage !== null ? round(measured.coverage) : null,
+      minCoverageRatio: this.minCoverageRatio,
+      resumeCoverageRatio: this.resumeCoverageRatio,
+      payoutLimit: this.payoutLimit,
+      checkedAt: this.checkedAt ? new Date(this.checkedAt).toISOString() : null,
+      lastError: this.lastError,
+      throttledSince: this.throttledSince ? new Date(this.throttledSince).toISOString() : null
+    };
+  }
+
+  destroy() {
+    clearInterval(this.checkInterval);
+  }
+}
+
+function round(value) {
+  return Math.round(value * 100) / 100;
+}
+
+function formatCoverage(coverage) {
+  return coverage === null ? 'n/a (nothing owed)' : `${coverage.toFixed(2)}×`;
+}
+
+module.exports = SolvencyGuard;
@@ -6,19 +6,22 @@
 // Saves critical financial state to disk as a fallback
 // if PostgreSQL is unreachable. On startup, restores state
 // from DB first, then falls back to JSON if DB is empty.
+// The bounty ledger (bountyLedger.js) rides in the JSON file.
 // ============================================================
 
 class StateBackup {
-constructor(payoutManager, feeManager, spendVerifier, database, gameConstants) {
+constructor(payoutManager, feeManager, spendVerifier, database, gameConstants, bountyLedger = null) {
     this.payouts = payoutManager;
     this.fees = feeManager;
     this.spender = spendVerifier;
+    this.ledger = bountyLedger;
     this.db = database || null;
     this.gc = gameConstants;
     this.serverId = process.env.SERVER_ID || 'unknown';
 
     const cfg = this.gc.economy.payouts;
-    this.backupPath = './state_backup.json';
+    // One file per SERVER_ID so local instances don't restore each other's sessions
+    this.backupPath = process.env.SERVER_ID ? `./state_backup_${this.serverId}.json` : './state_backup.json';
     this.maxAge = cfg.maxBackupAgeMs;
 
     // Save state periodically
@@ -49,6 +52,7 @@ constructor(payoutManager, feeManager, spendVerifier, database, gameConstants) {
           playerId: v.playerId,
           playerName: v.playerName,
           isPaid: v.isPaid,
+          arenaId: v.arenaId || null,
           totalAccruedLamports: v.totalAccruedLamports || 0,
           ledger: v.ledger,
           stats: v.stats,
@@ -59,6 +63,7 @@ constructor(payoutManager, feeManager, spendVerifier, database, gameConstants) {
       pendingPayouts: this.payouts.pendingPayouts.length,
       pendingCreatorLamports: this.fees.pendingCreatorLamports || 0,
       pendingBountyLamports: this.fees.pendingBountyLamports || 0,
+      bountyLedger: this.ledger ? this.ledger.serialize() : null,
       timestamp: Date.now()
     };
 
@@ -156,6 +161,18 @@ constructor(payoutManager, feeManager, spendVerifier, database, gameConstants) {
         console.log('ℹ️  No state backup found, starting fresh');
       }
     }
+
+    // 3. Bounty ledger — JSON only, and kept whatever the backup's age
+    //    (its balances are cumulative; open marble balances get burned)
+    if (this.ledger) {
+      try {
+        const fs = require('fs');
+        const state = JSON.parse(fs.readFileSync(this.backupPath, 'utf8'));
+        this.ledger.restore(state.bountyLedger);
+      } catch {
+        // No backup file — nothing to restore
+      }
+    }
   }
 
   destroy() {
@@ -0,0 +1,274 @@
+// ============================================================
+// test/economyEngine.test.js — Bounty routing, tiers, refunds
+// ============================================================
+// Feeds single events to the engine on a small fixed schedule
+// and checks the exact movements, the state it hands back and
+// that the invariants stay quiet — plus that checkApplied does
+// catch a World that applied the movements wrong.
+// ============================================================
+
+const test = require('node:test');
+const assert = require('node:assert');
+
+const EconomyEngine = require('../sim/economyEngine');
+
+const M = EconomyEngine.toMicro;
+
+// Tiers at $5 and $10, the $50 tier is the jackpot; Golden Mibs past $10 keep a $4 floor
+const constants = {
+  cashout: {
+    tiers: [
+      { threshold: 5, payout: 1 },
+      { threshold: 10, payout: 2 },
+      { threshold: 50, payout: 0 }
+    ]
+  },
+  goldenVault: {
+    passiveTaxRate: 0.1,
+    instantCashRate: 0.2,
+    taxExemptMaxBounty: 1,
+    jackpotThreshold: 50,
+    vaultFloors: [{ tierThreshold: 10, vaultFloor: 4 }]
+  }
+};
+
+function engine() {
+  const failures = [];
+  const economy = new EconomyEngine(constants, { onInvariantFailure: f => failures.push(f) });
+  economy.failures = failures;
+  return economy;
+}
+
+function marble(id, bounty, extra = {}) {
+  return { id, bounty: M(bounty), isBot: false, isGolden: false, nextTierIndex: 0, alive: true, ...extra };
+}
+
+// [reason, from, to, amount in USDC]
+function moves(result) {
+  return result.movements.map(m => [m.reason, m.from, m.to, EconomyEngine.fromMicro(m.amount)]);
+}
+
+// Net change of one account over an event, in micro-USDC
+function net(result, account) {
+  return result.movements.reduce((sum, m) => sum + (m.to === account) * m.amount - (m.from === account) * m.amount, 0);
+}
+
+function kill(economy, event) {
+  const result = economy.process({ type: 'kill', route: 'killer', vaultFloor: 0, exhaustedTiers: [], ...event });
+  assert.deepStrictEqual(result.failures, []);
+  return result;
+}
+
+test('plain kill moves the whole bounty to the killer', () => {
+  const economy = engine();
+  const result = kill(economy, { victim: marble('v', 3), bountyValue: M(3), killer: marble('k', 1) });
+  assert.deepStrictEqual(moves(result), [['bounty', 'bounty:v', 'bounty:k', 3]]);
+  assert.strictEqual(result.bountyGained, M(3));
+});
+
+test('a broke victim is topped up to bountyValue by the house', () => {
+  const economy = engine();
+  const result = kill(economy, { victim: marble('v', 0.5), bountyValue: M(2), killer: marble('k', 1) });
+  assert.deepStrictEqual(moves(result), [
+    ['minimumBounty', 'house', 'bounty:v', 1.5],
+    ['bounty', 'bounty:v', 'bounty:k', 2]
+  ]);
+});
+
+test('regular kill pays the golden tax, then the killer cashes a tier', () => {
+  const economy = engine();
+  const golden = marble('g', 30, { isGolden: true, nextTierIndex: 2 });
+  const result = kill(economy, {
+    victim: marble('v', 4), bountyValue: M(4), killer: marble('k', 2),
+    golden, goldenCanCollectTax: true
+  });
+  assert.deepStrictEqual(moves(result), [
+    ['goldenTax', 'bounty:v', 'bounty:g', 0.4],
+    ['bounty', 'bounty:v', 'bounty:k', 3.6],
+    ['tier', 'bounty:k', 'wallet:k', 1]
+  ]);
+  assert.strictEqual(result.marbles.k.nextTierIndex, 1);
+});
+
+test('no golden tax when both bounties are under the exempt limit', () => {
+  const economy = engine();
+  const result = kill(economy, {
+    victim: marble('v', 0.8), bountyValue: M(0.8), killer: marble('k', 0.5),
+    golden: marble('g', 30, { isGolden: true, nextTierIndex: 2 }), goldenCanCollectTax: true
+  });
+  assert.deepStrictEqual(moves(result), [['bounty', 'bounty:v', 'bounty:k', 0.8]]);
+});
+
+test('killing the Golden Mib transfers above the vault floor, then the killer inherits it', () => {
+  const economy = engine();
+  const result = kill(economy, {
+    victim: marble('g', 30, { isGolden: true }), bountyValue: M(30), killer: marble('k', 2), vaultFloor: M(4)
+  });
+  assert.deepStrictEqual(moves(result), [
+    ['vaultTransfer', 'bounty:g', 'bounty:k', 26],
+    ['vaultFloor', 'bounty:g', 'vault', 4],
+    ['tier', 'bounty:k', 'wallet:k', 1],
+    ['tier', 'bounty:k', 'wallet:k', 2],
+    ['vaultInherit', 'vault', 'bounty:k', 4]
+  ]);
+  assert.strictEqual(result.vaultFloor, M(4));
+  assert.strictEqual(result.bountyGained, M(26));
+});
+
+test('a Golden Mib holding less than the floor: the house makes up the vault', () => {
+  const economy = engine();
+  const result = kill(economy, {
+    victim: marble('g', 3, { isGolden: true }), bountyValue: M(3), killer: marble('k', 2), vaultFloor: M(4)
+  });
+  assert.deepStrictEqual(moves(result), [
+    ['vaultFloor', 'bounty:g', 'vault', 3],
+    ['vaultShortfall', 'house', 'vault', 1],
+    ['vaultInherit', 'vault', 'bounty:k', 4]
+  ]);
+});
+
+// Regression: the killer used to inherit the full floor out of a vault
+// that only held what the victim had — the vault went negative
+test('a broke Golden Mib: the vault never pays out more than went in', () => {
+  const economy = engine();
+  const result = kill(economy, {
+    victim: marble('g', 0, { isGolden: true }), bountyValue: M(1), killer: marble('k', 2), vaultFloor: M(4)
+  });
+  assert.deepStrictEqual(moves(result), [
+    ['minimumBounty', 'house', 'bounty:g', 1],
+    ['vaultFloor', 'bounty:g', 'vault', 1],
+    ['vaultShortfall', 'house', 'vault', 3],
+    ['vaultInherit', 'vault', 'bounty:k', 4]
+  ]);
+  assert.strictEqual(net(result, 'vault'), 0);
+  assert.strictEqual(net(result, 'house'), -M(4));
+});
+
+test('a jackpot on the vault transfer forfeits the floor to the house', () => {
+  const economy = engine();
+  const result = kill(economy, {
+    victim: marble('g', 20, { isGolden: true }), bountyValue: M(20),
+    killer: marble('k', 40, { nextTierIndex: 2 }), vaultFloor: M(4)
+  });
+  assert.deepStrictEqual(moves(result), [
+    ['vaultTransfer', 'bounty:g', 'bounty:k', 16],
+    ['vaultFloor', 'bounty:g', 'vault', 4],
+    ['jackpot', 'bounty:k', 'wallet:k', 56],
+    ['vaultForfeit', 'vault', 'house', 4]
+  ]);
+  assert.strictEqual(net(result, 'vault'), 0);
+  assert.strictEqual(result.vaultFloor, 0);
+});
+
+test('a golden killer takes instant cash to the wallet, a bot passes it to the house', () => {
+  const economy = engine();
+  const player = kill(economy, {
+    victim: marble('v', 5), bountyValue: M(5), killer: marble('g', 20, { isGolden: true, nextTierIndex: 2 })
+  });
+  assert.deepStrictEqual(moves(player), [
+    ['goldenShare', 'bounty:v', 'bounty:g', 4],
+    ['goldenInstantCash', 'bounty:v', 'wallet:g', 1]
+  ]);
+
+  const bot = kill(economy, {
+    victim: marble('v', 5), bountyValue: M(5), killer: marble('b', 20, { isGolden: true, isBot: true })
+  });
+  assert.deepStrictEqual(moves(bot), [
+    ['goldenShare', 'bounty:v', 'bounty:b', 4],
+    ['goldenInstantCash', 'bounty:v', 'bounty:b', 1],
+    ['goldenInstantCash', 'bounty:b', 'house', 1]
+  ]);
+});
+
+test('a wall death into the Golden Mib is all bounty, no instant cash', () => {
+  const economy = engine();
+  const result = kill(economy, {
+    type: 'wall', victim: marble('v', 5), bountyValue: M(5), killer: marble('g', 20, { isGolden: true, nextTierIndex: 2 })
+  });
+  assert.deepStrictEqual(moves(result), [['bounty', 'bounty:v', 'bounty:g', 5]]);
+});
+
+test('routes other than the killer hand the bounty off whole', () => {
+  const economy = engine();
+  for (const [route, to, reason] of [['botEconomy', 'botEconomy', 'botEconomy'], ['vaultKeeper', 'vaultKeeper', 'vaultKeeper'], ['house', 'house', 'unclaimed']]) {
+    const result = kill(economy, { route, victim: marble('v', 2.5), bountyValue: M(2.5), killer: null });
+    assert.deepStrictEqual(moves(result), [[reason, 'bounty:v', to, 2.5]]);
+  }
+});
+
+test('tier cashouts pay each tier crossed, and a payout limit holds the rest', () => {
+  const economy = engine();
+  const result = economy.process({ type: 'tiers', marble: marble('p', 12), vaultFloor: 0, exhaustedTiers: [] });
+  assert.deepStrictEqual(moves(result), [
+    ['tier', 'bounty:p', 'wallet:p', 1],
+    ['tier', 'bounty:p', 'wallet:p', 2]
+  ]);
+  assert.strictEqual(result.marbles.p.nextTierIndex, 2);
+
+  economy.setPayoutLimit(M(1.5));
+  const held = economy.process({ type: 'tiers', marble: marble('p', 12), vaultFloor: 0, exhaustedTiers: [] });
+  assert.deepStrictEqual(moves(held), [['tier', 'bounty:p', 'wallet:p', 1]]);
+  assert.strictEqual(held.marbles.p.nextTierIndex, 1);
+  assert.strictEqual(economy.firstHeldTier(), M(10));
+});
+
+test('a golden tier raises the vault floor', () => {
+  const economy = engine();
+  const result = economy.process({
+    type: 'tiers', marble: marble('g', 12, { isGolden: true, nextTierIndex: 1 }), vaultFloor: 0, exhaustedTiers: []
+  });
+  assert.strictEqual(result.vaultFloor, M(4));
+  assert.strictEqual(result.movements[0].vaultFloorTo, M(4));
+});
+
+test('the jackpot pays the whole bounty and resets the economy', () => {
+  const economy = engine();
+  const result = economy.process({
+    type: 'tiers', marble: marble('p', 55, { nextTierIndex: 2 }), vaultFloor: M(4), exhaustedTiers: [M(60)]
+  });
+  assert.deepStrictEqual(result.failures, []);
+  assert.deepStrictEqual(moves(result), [['jackpot', 'bounty:p', 'wallet:p', 55]]);
+  assert.strictEqual(result.marbles.p.jackpot, true);
+  assert.strictEqual(result.vaultFloor, 0);
+  assert.deepStrictEqual(result.exhaustedTiers, []);
+});
+
+test('an exhausted jackpot tier is skipped, not paid', () => {
+  const economy = engine();
+  const result = economy.process({
+    type: 'tiers', marble: marble('p', 55, { nextTierIndex: 2 }), vaultFloor: 0, exhaustedTiers: [M(50)]
+  });
+  assert.deepStrictEqual(result.movements, []);
+  assert.deepStrictEqual(result.marbles.p.skipped, [M(50)]);
+  assert.strictEqual(result.marbles.p.nextTierIndex, 3);
+});
+
+test('last player refund forfeits the bounty and returns the buy-in', () => {
+  const economy = engine();
+  const result = economy.process({ type: 'refund', player: marble('p', 1.5), amount: M(1) });
+  assert.deepStrictEqual(result.failures, []);
+  assert.deepStrictEqual(moves(result), [
+    ['refundForfeit', 'bounty:p', 'house', 1.5],
+    ['refund', 'house', 'wallet:p', 1]
+  ]);
+});
+
+test('checkApplied catches marbles that do not match the movements', () => {
+  const economy = engine();
+  const result = kill(economy, { victim: marble('v', 3), bountyValue: M(3), killer: marble('k', 4) });
+  const before = new Map([['k', { bounty: M(4), paid: 0 }]]);
+
+  // Applied right: $3 in, the $5 tier out to the wallet
+  const applied = new Map([['k', { bounty: M(6), paid: M(1) }]]);
+  assert.deepStrictEqual(economy.checkApplied(result.type, result.movements, before, applied, ['v']), []);
+
+  // The tier never reached the wallet
+  const lost = new Map([['k', { bounty: M(6), paid: 0 }]]);
+  assert.strictEqual(economy.checkApplied(result.type, result.movements, before, lost, ['v']).length, 1);
+
+  // The victim wasn't marked gone — its account moved but nobody applied it
+  const failures = economy.checkApplied(result.type, result.movements, before, applied);
+  assert.deepStrictEqual(failures, ['bounty: bounty:v moved but not applied']);
+  assert.strictEqual(economy.failures.length, 2);
+  assert.strictEqual(economy.getStats().failures, 2);
+});
@@ -0,0 +1,146 @@
+// ============================================================
+// test/lagCompensation.test.js — Rewound collision outcomes
+// ============================================================
+// A stand-in world with hand-placed marbles: the killer's
+// history is captured tick by tick, then resolve() re-checks a
+// collision against a victim looking `lag` ticks into the past.
+// ============================================================
+
+const test = require('node:test');
+const assert = require('node:assert');
+
+const gameConstants = require('../constants/gameConstants.json');
+const LagCompensator = require('../sim/lagCompensation');
+const PathBuffer = require('../shared/PathBuffer');
+
+function makeWorld({ mode = 'on', maxRewindMs = 200, tickRate = 60 } = {}) {
+  const C = {
+    ...gameConstants,
+    collision: { ...gameConstants.collision, lagCompensation: { mode, maxRewindMs } }
+  };
+  const marbles = [];
+  return {
+    C,
+    tick: 0,
+    tickMs: 1000 / tickRate,
+    marbles,
+    getAliveMarbles: () => marbles.filter(m => m.alive),
+    findMarble: id => marbles.find(m => m.id === id) || null
+  };
+}
+
+function addMarble(world, id, x, y, angle) {
+  const pathBuffer = new PathBuffer(1);
+  pathBuffer.reset(x, y);
+  const marble = { id, name: id, x, y, angle, lengthScore: world.C.player.startLength, alive: true, isBot: false, pathBuffer };
+  world.marbles.push(marble);
+  return marble;
+}
+
+// Move the marble and record the tick
+function at(world, lagComp, tick, marble, x, y, angle = marble.angle) {
+  world.tick = tick;
+  Object.assign(marble, { x, y, angle });
+  marble.pathBuffer.add(x, y);
+  lagComp.capture();
+}
+
+test('head-on: the rewound view cancels, flips or upholds the kill', () => {
+  const cases = [
+    // killer three ticks ago, facing straight at the victim → it was the one that lost
+    { past: [10, 0, Math.PI], expected: 'flipped' },
+    // killer three ticks ago, facing away → the victim still loses
+    { past: [10, 0, 0], expected: 'upheld' },
+    // killer three ticks ago, nowhere near
+    { past: [300, 0, Math.PI], expected: 'cancelled' }
+  ];
+
+  for (const { past, expected } of cases) {
+    const world = makeWorld();
+    const lagComp = new LagCompensator(world);
+    const victim = addMarble(world, 'v', 0, 0, Math.PI);
+    const killer = addMarble(world, 'k', ...past);
+    at(world, lagComp, 1, killer, ...past);
+    at(world, lagComp, 4, killer, 12, 0, Math.PI);
+    victim._viewLagTicks = 3;
+
+    const result = { type: 'head', victimId: 'v', killerId: 'k' };
+    const resolved = lagComp.resolve([result]);
+    const metrics = lagComp.getMetrics();
+
+    assert.strictEqual(metrics.evaluated, 1, expected);
+    assert.strictEqual(metrics[expected], 1, expected);
+    if (expected === 'flipped') {
+      assert.deepStrictEqual(resolved, [{ killerId: 'v', victimId: 'k', type: 'head', lagCompensated: true }]);
+    } else if (expected === 'upheld') {
+      assert.deepStrictEqual(resolved, [result]);
+    } else {
+      assert.deepStrictEqual(resolved, []);
+    }
+  }
+});
+
+test('body hit: checked against the body shifted back to where it was', () => {
+  // The killer runs along +x at 10px/tick; its body trails behind the head
+  function run(victimX) {
+    const world = makeWorld();
+    const lagComp = new LagCompensator(world);
+    const killer = addMarble(world, 'k', -600, 0, 0);
+    killer.pathBuffer.add(0, 0);
+    const victim = addMarble(world, 'v', victimX, 0, Math.PI / 2);
+    for (let tick = 1; tick <= 6; tick++) at(world, lagComp, tick, killer, tick * 10, 0);
+    victim._viewLagTicks = 5;
+    return { lagComp, resolved: lagComp.resolve([{ type: 'body', victimId: 'v', killerId: 'k' }]) };
+  }
+
+  // Touching the first segment now — five ticks ago the body was 50px further back
+  const cancelled = run(32);
+  assert.deepStrictEqual(cancelled.resolved, []);
+  assert.strictEqual(cancelled.lagComp.getMetrics().cancelled, 1);
+
+  // Further down the body there was a segment there then too
+  const upheld = run(-80);
+  assert.strictEqual(upheld.resolved.length, 1);
+  assert.strictEqual(upheld.lagComp.getMetrics().upheld, 1);
+});
+
+test('shadow mode measures the outcome but changes nothing', () => {
+  const world = makeWorld({ mode: 'shadow' });
+  const lagComp = new LagCompensator(world);
+  const victim = addMarble(world, 'v', 0, 0, Math.PI);
+  const killer = addMarble(world, 'k', 300, 0, Math.PI);
+  at(world, lagComp, 1, killer, 300, 0);
+  at(world, lagComp, 4, killer, 12, 0);
+  victim._viewLagTicks = 3;
+
+  const result = { type: 'head', victimId: 'v', killerId: 'k' };
+  assert.deepStrictEqual(lagComp.resolve([result]), [result]);
+  assert.strictEqual(lagComp.getMetrics().cancelled, 1);
+  assert.strictEqual(lagComp.getMetrics().applied, 0);
+});
+
+test('the clamp never reaches past what the ring holds', () => {
+  // 50ms at 60 TPS: three ticks back, four ring slots
+  const world = makeWorld({ maxRewindMs: 50 });
+  const lagComp = new LagCompensator(world);
+  assert.strictEqual(lagComp.maxRewindTicks, 3);
+  assert.strictEqual(lagComp.ringSize, 4);
+
+  const victim = addMarble(world, 'v', 0, 0, Math.PI);
+  const killer = addMarble(world, 'k', 300, 0, Math.PI);
+  for (let tick = 1; tick <= 10; tick++) at(world, lagComp, tick, killer, tick === 7 ? 300 : 12, 0);
+  victim._viewLagTicks = 9;
+
+  // Clamped to tick 7 — which the ring still has
+  assert.deepStrictEqual(lagComp.resolve([{ type: 'head', victimId: 'v', killerId: 'k' }]), []);
+  assert.strictEqual(lagComp.getMetrics().clamped, 1);
+  assert.strictEqual(lagComp.getMetrics().noHistory, 0);
+
+  // A slower tick re-derives both together and drops the old rings
+  world.tickMs = 25;
+  at(world, lagComp, 11, killer, 12, 0);
+  assert.strictEqual(lagComp.maxRewindTicks, 2);
+  assert.strictEqual(lagComp.ringSize, 3);
+  assert.strictEqual(lagComp.stateAt('k', 7), null);
+  assert.strictEqual(lagComp.stateAt('k', 11).x, 12);
+});
@@ -0,0 +1,74 @@
+// ============================================================
+// test/lobbyDirectory.test.js — Server listing and matchmaking
+// ============================================================
+// Heartbeats on a fake clock, then what list() and pick() make
+// of them.
+// ============================================================
+
+const test = require('node:test');
+const assert = require('node:assert');
+
+const ServerDirectory = require('../lobby/directory');
+
+function directory() {
+  let now = 1000;
+  const dir = new ServerDirectory({}, { staleAfterMs: 15000, now: () => now });
+  dir.advance = ms => { now += ms; };
+  return dir;
+}
+
+function report(id, extra = {}) {
+  return { id, url: `http://${id}.example:3001`, region: 'eu', modes: ['paid'], players: 2, maxPlayers: 20, ...extra };
+}
+
+test('a paid pick skips servers with paid play closed', () => {
+  const log = console.log;
+  console.log = () => {};
+  try {
+    const dir = directory();
+    dir.heartbeat(report('emptiest', { players: 0, paidPlayOpen: false }));
+    dir.heartbeat(report('open', { players: 5, paidPlayOpen: true }));
+
+    assert.strictEqual(dir.list()[0].paidPlayOpen, false);
+    assert.strictEqual(dir.pick({ mode: 'paid' }).id, 'open');
+
+    // Closed everywhere — nowhere to send a paid player
+    dir.heartbeat(report('open', { players: 5, paidPlayOpen: false }));
+    assert.strictEqual(dir.pick({ mode: 'paid' }), null);
+
+    // Reopened on the next heartbeat
+    dir.heartbeat(report('emptiest', { players: 0, paidPlayOpen: true }));
+    assert.strictEqual(dir.pick({ mode: 'paid' }).id, 'emptiest');
+  } finally {
+    console.log = log;
+  }
+});
+
+test('free picks ignore paid play, and a server without the field stays pickable', () => {
+  const log = console.log;
+  console.log = () => {};
+  try {
+    const dir = directory();
+    dir.heartbeat(report('both', { modes: ['free', 'paid'], paidPlayOpen: false }));
+    dir.heartbeat(report('older', { players: 10 }));
+
+    assert.strictEqual(dir.pick({ mode: 'free' }).id, 'both');
+    assert.strictEqual(dir.list().find(e => e.id === 'older').paidPlayOpen, null);
+    assert.strictEqual(dir.pick({ mode: 'paid' }).id, 'older');
+  } finally {
+    console.log = log;
+  }
+});
+
+test('servers that stop heartbeating drop out of picks', () => {
+  const log = console.log;
+  console.log = () => {};
+  try {
+    const dir = directory();
+    dir.heartbeat(report('a', { paidPlayOpen: true }));
+    dir.advance(16000);
+    assert.strictEqual(dir.pick({ mode: 'paid' }), null);
+  } finally {
+    console.log = log;
+  }
+});
@@ -0,0 +1,129 @@
+// ============================================================
+// test/replay.test.js — Record a live arena, replay it, compare
+// ============================================================
+// Drives a World the way server.js does — bots, players picking
+// a spawn point before they're added, inputs between steps — then
+// re-simulates the recording and checks the kills, bounties and
+// survivors come out the same.
+// ============================================================
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const gameConstants = require('../constants/gameConstants.json');
+const World = require('../sim/world');
+const SeededRng = require('../sim/rng');
+const { TickClock } = require('../sim/clock');
+const { ReplayRecorder, readReplay, playReplay } = require('../sim/replay');
+
+function joinPlayer(world, id) {
+  const C = world.C;
+  // server.js _prepareSpawn → playerReady
+  const spawn = world.findPlayerSpawn(C.arena?.spawnMinDistance || 200);
+  const player = {
+    id,
+    name: id,
+    marbleType: 'GALAXY1',
+    x: spawn.x,
+    y: spawn.y,
+    angle: 0,
+    targetAngle: 0,
+    lengthScore: C.player.startLength,
+    bounty: C.player.startBounty,
+    kills: 0,
+    alive: true,
+    boosting: false,
+    isBot: false,
+    isGolden: false,
+    spawnTime: world.now(),
+    spawnProtection: true,
+    pathBuffer: world.createPathBuffer(spawn.x, spawn.y),
+    lastProcessedInput: -1,
+    lastInputTick: 0,
+    nextTierIndex: 0,
+    totalPayout: 0
+  };
+  world.addPlayer(player);
+  world.settleJoin(player);
+  player._seq = 0;
+  return player;
+}
+
+// The recorder's gzip stream finishes writing after close()
+async function readClosedReplay(filePath) {
+  for (let attempt = 0; attempt < 50; attempt++) {
+    try {
+      const replay = readReplay(filePath);
+      const last = replay.events[replay.events.length - 1];
+      if (last && last[1] === 'x') return replay;
+    } catch (err) {
+      // not flushed yet
+    }
+    await new Promise(resolve => setTimeout(resolve, 20));
+  }
+  throw new Error(`Replay never finished writing: ${filePath}`);
+}
+
+test('a free arena with bots and joining players replays exactly', async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'replay-test-'));
+  const log = console.log;
+  console.log = () => {};
+  try {
+    const world = new World(gameConstants, {
+      rng: new SeededRng(59),
+      clock: new TickClock(0, 1000 / 60),
+      tickRate: 60,
+      maxBots: 10,
+      maxCoins: 200,
+      mode: 'free'
+    });
+    const recorder = new ReplayRecorder({ dir, arenaId: 'test' });
+    const filePath = recorder.start(world);
+    world.initialize();
+
+    const live = [];
+    world.on('death', ({ marble, killerId, bountyLost }) => {
+      live.push({ tick: world.tick, victimId: marble.id, killerId: killerId || null, bountyLost });
+    });
+
+    // Inputs come from outside the simulation — their own rng
+    const inputRng = new SeededRng(7);
+    const players = [];
+    for (let tick = 0; tick < 1800; tick++) {
+      if (tick % 300 === 10) players.push(joinPlayer(world, `player_${players.length}`));
+      for (const player of players) {
+        if (!player.alive || tick % 6 !== 0) continue;
+        world.applyInput(player.id, {
+          targetAngle: inputRng.range(-Math.PI, Math.PI),
+          boost: inputRng.next() < 0.2,
+          seq: ++player._seq
+        });
+      }
+      world.step();
+    }
+    recorder.close(world.tick);
+
+    const result = playReplay(await readClosedReplay(filePath));
+    assert.strictEqual(result.divergence, null);
+
+    const replayed = result.timeline
+      .filter(entry => entry.type === 'death')
+      .map(entry => ({ tick: entry.tick, victimId: entry.victimId, killerId: entry.killerId, bountyLost: entry.bountyLost }));
+    assert.ok(live.length > 0, 'the run should have some deaths to compare');
+    assert.deepStrictEqual(replayed, live);
+
+    const survivors = world.getAliveMarbles()
+      .map(m => [m.id, m.bounty])
+      .sort((a, b) => a[0].localeCompare(b[0]));
+    assert.deepStrictEqual(
+      result.survivors.map(s => [s.id, s.bounty]).sort((a, b) => a[0].localeCompare(b[0])),
+      survivors
+    );
+  } finally {
+    console.log = log;
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
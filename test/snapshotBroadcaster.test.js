@@ -0,0 +1,42 @@
+// ============================================================
+// test/snapshotBroadcaster.test.js — Snapshot send cadence
+// ============================================================
+// due() is asked once per tick, on the same period the server's
+// game loop steps the arenas, and has to produce both the full
+// and the in-between nearby rate.
+// ============================================================
+
+const test = require('node:test');
+const assert = require('node:assert');
+
+const gameConstants = require('../constants/gameConstants.json');
+const World = require('../sim/world');
+const SnapshotBroadcaster = require('../net/snapshotBroadcaster');
+
+// One simulated second of ticks → what due() picked on each
+function cadence(broadcaster, tickMs) {
+  const picks = [];
+  for (let tick = 0; tick * tickMs < 1000; tick++) picks.push(broadcaster.due(tick * tickMs));
+  return picks;
+}
+
+test('at the server tick rate, full and nearby snapshots both go out', () => {
+  const broadcaster = new SnapshotBroadcaster(gameConstants);
+  const tickMs = 1000 / World.DEFAULT_TICK_RATE;
+  const picks = cadence(broadcaster, tickMs);
+
+  const full = picks.filter(p => p === 'full').length;
+  const nearby = picks.filter(p => p === 'nearby').length;
+  assert.strictEqual(full, broadcaster.sendRateHz);
+  assert.ok(nearby > 0, 'no nearby snapshots');
+  assert.ok(picks.includes(null), 'sent on every tick');
+
+  // 60 TPS, 20 Hz full / 30 Hz nearby: full, idle, nearby, repeat
+  assert.deepStrictEqual(picks.slice(0, 6), ['full', null, 'nearby', 'full', null, 'nearby']);
+});
+
+test('the World steps on the period the cadence assumes', () => {
+  const world = new World(gameConstants, { maxBots: 0, maxCoins: 0 });
+  assert.strictEqual(world.tickRate, 60);
+  assert.strictEqual(world.tickMs, 1000 / 60);
+});
@@ -0,0 +1,144 @@
+// ============================================================
+// test/snapshotCodec.test.js — Binary snapshot round-trips
+// ============================================================
+// Hand-built entities are quantized, encoded the way the
+// broadcaster does it, and decoded back into the gameState
+// shape — full frames, deltas against an acked baseline, and
+// what the decoder refuses.
+// ============================================================
+
+const test = require('node:test');
+const assert = require('node:assert');
+
+const {
+  SNAPSHOT_VERSION,
+  KIND_PLAYER,
+  KIND_BOT,
+  KIND_COIN,
+  KIND_POWERUP,
+  quantizeEntity,
+  encodeSnapshot,
+  SnapshotDecoder
+} = require('../shared/snapshotCodec');
+
+const POS_SCALE = 4;
+
+function header(snapshotId, baselineId = 0) {
+  return {
+    snapshotId,
+    baselineId,
+    tick: 100 + snapshotId,
+    timestamp: 1700000000000 + snapshotId,
+    serverDeltaMs: 17,
+    isPaid: true,
+    goldenVaultFloor: 2.5,
+    exhaustedTierCount: 1,
+    posScale: POS_SCALE,
+    arenaRadius: 3000,
+    heldTierThreshold: 0
+  };
+}
+
+const player = {
+  id: 'sock-1', name: 'Alice', marbleType: 'ruby',
+  x: 120.25, y: -340.5, angle: 1, targetAngle: -2, lengthScore: 42,
+  bounty: 1.25, kills: 3, alive: true, isGolden: false, boosting: true,
+  lastProcessedInput: 77, lastInputTick: 99, nextTierIndex: 2, powerUps: ['shield', 'speed']
+};
+const bot = {
+  id: 'bot-1', name: 'Bot', marbleType: 'jade',
+  x: -50, y: 60, angle: 0.5, lengthScore: 20, bounty: 0.5, kills: 0,
+  alive: true, isGolden: true, boosting: false, powerUps: []
+};
+const coin = {
+  id: 'coin-1', marbleType: 'ruby', x: 10, y: 20, vx: 1.5, vy: -0.25,
+  radius: 6.5, growthValue: 2, rotation: 0.25, isDropped: true, sizeMultiplier: 1.5
+};
+const powerUp = { id: 'pu-1', type: 'magnet', x: 300, y: -300, radius: 14 };
+
+// netId → quantized record, as the broadcaster keeps per frame
+function frame(entries) {
+  return new Map(entries.map(([netId, kind, entity]) => [netId, quantizeEntity(kind, entity, POS_SCALE)]));
+}
+
+test('a full snapshot decodes back into the gameState shape', () => {
+  const current = frame([[1, KIND_PLAYER, player], [2, KIND_BOT, bot], [3, KIND_COIN, coin], [4, KIND_POWERUP, powerUp]]);
+  const state = new SnapshotDecoder().decode(encodeSnapshot(header(1), current, null));
+
+  assert.strictEqual(state.snapshotId, 1);
+  assert.strictEqual(state.baselineId, 0);
+  assert.strictEqual(state.tick, 101);
+  assert.strictEqual(state.isPaid, true);
+  assert.strictEqual(state.nearbyOnly, false);
+  assert.strictEqual(state.arenaRadius, 3000);
+  assert.strictEqual(state.heldTierThreshold, null);
+
+  const p = state.players['sock-1'];
+  assert.strictEqual(p.name, 'Alice');
+  assert.strictEqual(p.x, 120.25);
+  assert.strictEqual(p.y, -340.5);
+  assert.ok(Math.abs(p.angle - 1) < 1e-3);
+  assert.ok(Math.abs(p.targetAngle + 2) < 1e-3);
+  assert.strictEqual(p.bounty, 1.25);
+  assert.strictEqual(p.kills, 3);
+  assert.deepStrictEqual([p.alive, p.isGolden, p.boosting], [true, false, true]);
+  assert.strictEqual(p.lastProcessedInput, 77);
+  assert.strictEqual(p.lastInputTick, 99);
+  assert.deepStrictEqual(p.powerUps, ['shield', 'speed']);
+
+  assert.strictEqual(state.bots.length, 1);
+  assert.strictEqual(state.bots[0].isGolden, true);
+  assert.deepStrictEqual(state.bots[0].powerUps, []);
+  assert.deepStrictEqual(
+    { vx: state.coins[0].vx, vy: state.coins[0].vy, radius: state.coins[0].radius, isDropped: state.coins[0].isDropped },
+    { vx: 1.5, vy: -0.25, radius: 6.5, isDropped: true }
+  );
+  assert.deepStrictEqual(state.powerUps, [{ id: 'pu-1', type: 'magnet', x: 300, y: -300, radius: 14 }]);
+});
+
+test('a delta against the acked baseline carries only what changed', () => {
+  const decoder = new SnapshotDecoder();
+  const baseline = frame([[1, KIND_PLAYER, player], [2, KIND_BOT, bot]]);
+  const full = encodeSnapshot(header(1), baseline, null);
+  decoder.decode(full);
+
+  // Same frozen bot record, the player moved, a coin entered
+  const current = new Map(baseline);
+  current.set(1, quantizeEntity(KIND_PLAYER, { ...player, x: 130, kills: 4 }, POS_SCALE));
+  current.set(3, quantizeEntity(KIND_COIN, coin, POS_SCALE));
+
+  const delta = encodeSnapshot(header(2, 1), current, baseline);
+  const state = decoder.decode(delta);
+
+  assert.strictEqual(state.baselineId, 1);
+  assert.strictEqual(state.players['sock-1'].x, 130);
+  assert.strictEqual(state.players['sock-1'].kills, 4);
+  assert.strictEqual(state.players['sock-1'].name, 'Alice');
+  assert.strictEqual(state.players['sock-1'].lastInputTick, 99);
+  assert.strictEqual(state.bots[0].id, 'bot-1');
+  assert.strictEqual(state.coins[0].id, 'coin-1');
+
+  // Unchanged entities cost nothing: the delta is smaller than a full frame of the same state
+  assert.ok(delta.byteLength < encodeSnapshot(header(2), current, null).byteLength);
+});
+
+test('entities gone since the baseline are removed, and an unknown baseline is not applied', () => {
+  const decoder = new SnapshotDecoder();
+  const baseline = frame([[1, KIND_PLAYER, player], [2, KIND_BOT, bot], [4, KIND_POWERUP, powerUp]]);
+  decoder.decode(encodeSnapshot(header(1), baseline, null));
+
+  const current = new Map([[1, baseline.get(1)]]);
+  const state = decoder.decode(encodeSnapshot(header(2, 1), current, baseline));
+  assert.deepStrictEqual(Object.keys(state.players), ['sock-1']);
+  assert.deepStrictEqual(state.bots, []);
+  assert.deepStrictEqual(state.powerUps, []);
+
+  // Deltas against a snapshot this client never decoded → null, nothing to ack
+  assert.strictEqual(decoder.decode(encodeSnapshot(header(3, 99), current, baseline)), null);
+});
+
+test('a snapshot from another wire version is rejected', () => {
+  const bytes = encodeSnapshot(header(1), frame([[1, KIND_PLAYER, player]]), null).slice();
+  bytes[0] = SNAPSHOT_VERSION - 1;
+  assert.throws(() => new SnapshotDecoder().decode(bytes), /Unsupported snapshot version 4/);
+});